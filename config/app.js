@@ -19,10 +19,127 @@ export const appConfig = {
     minLength: parseInt(process.env.URL_MIN_LENGTH) || 10,
     defaultExpirationMonths: parseInt(process.env.URL_DEFAULT_EXPIRATION_MONTHS) || 6,
     cacheTtlSeconds: parseInt(process.env.URL_CACHE_TTL_SECONDS) || 3600,
+    negativeCacheTtlSeconds: parseInt(process.env.URL_NEGATIVE_CACHE_TTL_SECONDS) || 60,
     bulkOperationLimit: parseInt(process.env.URL_BULK_OPERATION_LIMIT) || 1000,
+    listDefaultLimit: parseInt(process.env.URL_LIST_DEFAULT_LIMIT) || 20,
+    listMaxLimit: parseInt(process.env.URL_LIST_MAX_LIMIT) || 100,
+    exportBatchSize: parseInt(process.env.URL_EXPORT_BATCH_SIZE) || 500,
     allowedProtocols: (process.env.URL_ALLOWED_PROTOCOLS || 'http:,https:').split(','),
     allowLocalhost: process.env.URL_ALLOW_LOCALHOST === 'true',
-    allowIpAddresses: process.env.URL_ALLOW_IP_ADDRESSES === 'true'
+    allowIpAddresses: process.env.URL_ALLOW_IP_ADDRESSES === 'true',
+    aliasMinLength: parseInt(process.env.URL_ALIAS_MIN_LENGTH) || 3,
+    aliasMaxLength: parseInt(process.env.URL_ALIAS_MAX_LENGTH) || 50,
+    reservedAliases: (process.env.URL_RESERVED_ALIASES || 'api,health,create,delete,css,js').split(','),
+    maxLifetimeDays: parseInt(process.env.URL_MAX_LIFETIME_DAYS) || 730,
+    allowNeverExpires: process.env.URL_ALLOW_NEVER_EXPIRES !== 'false',
+    maxClicksLimit: parseInt(process.env.URL_MAX_CLICKS_LIMIT) || 1000000,
+    passwordMinLength: parseInt(process.env.URL_PASSWORD_MIN_LENGTH) || 4,
+    passwordMaxLength: parseInt(process.env.URL_PASSWORD_MAX_LENGTH) || 128,
+    utmValueMaxLength: parseInt(process.env.URL_UTM_VALUE_MAX_LENGTH) || 200,
+    // Countdown on the interstitial page before visitors are forwarded
+    interstitialDelaySeconds: parseInt(process.env.URL_INTERSTITIAL_DELAY_SECONDS) || 5,
+    // Browsers cache 301/308 redirects; a short max-age keeps edits, expiry and click counts effective
+    permanentRedirectMaxAgeSeconds: parseInt(process.env.URL_PERMANENT_REDIRECT_MAX_AGE_SECONDS) || 300,
+    // Signs the cookie set after a link password is entered. Without one, a random
+    // secret is used per process, so unlocks don't survive restarts or span instances.
+    unlockSecret: process.env.URL_UNLOCK_SECRET || null,
+    unlockTtlSeconds: parseInt(process.env.URL_UNLOCK_TTL_SECONDS) || 15 * 60,
+    // Return an existing link for an identical destination instead of creating a new one
+    dedupe: process.env.URL_DEDUPE === 'true',
+    trackingParams: (process.env.URL_TRACKING_PARAMS || 'utm_*,fbclid,gclid,dclid,gbraid,wbraid,msclkid,yclid,mc_cid,mc_eid,igshid,_ga,_gl').split(','),
+    safety: {
+      // One host or *.host pattern per line, merged with the blocked_domains table
+      blocklistFile: process.env.URL_BLOCKLIST_FILE || null,
+      blocklistRefreshMs: parseInt(process.env.URL_BLOCKLIST_REFRESH_MS) || 60 * 1000,
+      resolveDns: process.env.URL_SAFETY_RESOLVE_DNS !== 'false',
+      dnsTimeoutMs: parseInt(process.env.URL_SAFETY_DNS_TIMEOUT_MS) || 2000
+    }
+  },
+  auth: {
+    required: process.env.API_AUTH_REQUIRED !== 'false',
+    // API key owners allowed to use the /api/admin endpoints; these need a key even when auth isn't required
+    adminOwnerIds: (process.env.ADMIN_OWNER_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
+  },
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    create: {
+      limit: parseInt(process.env.RATE_LIMIT_CREATE_MAX) || 30,
+      windowMs: parseInt(process.env.RATE_LIMIT_CREATE_WINDOW_MS) || 60 * 1000
+    },
+    // Weighted by URL count, so this is URLs per window rather than requests
+    bulk: {
+      limit: parseInt(process.env.RATE_LIMIT_BULK_MAX_URLS) || 5000,
+      windowMs: parseInt(process.env.RATE_LIMIT_BULK_WINDOW_MS) || 60 * 60 * 1000
+    },
+    redirect: {
+      limit: parseInt(process.env.RATE_LIMIT_REDIRECT_MAX) || 300,
+      windowMs: parseInt(process.env.RATE_LIMIT_REDIRECT_WINDOW_MS) || 60 * 1000
+    },
+    // Wrong passwords per client for one short code
+    unlock: {
+      limit: parseInt(process.env.RATE_LIMIT_UNLOCK_MAX) || 10,
+      windowMs: parseInt(process.env.RATE_LIMIT_UNLOCK_WINDOW_MS) || 15 * 60 * 1000
+    },
+    // Wrong passwords for one short code across all clients, against guesses spread over many addresses
+    unlockPerCode: {
+      limit: parseInt(process.env.RATE_LIMIT_UNLOCK_PER_CODE_MAX) || 200,
+      windowMs: parseInt(process.env.RATE_LIMIT_UNLOCK_PER_CODE_WINDOW_MS) || 15 * 60 * 1000
+    },
+    // Weighted by URL count, like bulk
+    jobs: {
+      limit: parseInt(process.env.RATE_LIMIT_JOB_MAX_URLS) || 100000,
+      windowMs: parseInt(process.env.RATE_LIMIT_JOB_WINDOW_MS) || 24 * 60 * 60 * 1000
+    }
+  },
+  jobs: {
+    maxUrls: parseInt(process.env.JOB_MAX_URLS) || 100000,
+    chunkSize: parseInt(process.env.JOB_CHUNK_SIZE) || 100,
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+    // A running job that hasn't reported progress for this long is assumed orphaned and picked up again
+    staleAfterMs: parseInt(process.env.JOB_STALE_AFTER_MS) || 5 * 60 * 1000,
+    failureReportLimit: parseInt(process.env.JOB_FAILURE_REPORT_LIMIT) || 100
+  },
+  cleanup: {
+    enabled: process.env.CLEANUP_ENABLED !== 'false',
+    intervalMs: (parseInt(process.env.CLEANUP_JOB_INTERVAL_HOURS) || 24) * 60 * 60 * 1000,
+    batchSize: parseInt(process.env.CLEANUP_BATCH_SIZE) || 1000,
+    // Bounds one run; what's left is purged on the next
+    maxBatchesPerRun: parseInt(process.env.CLEANUP_MAX_BATCHES_PER_RUN) || 20,
+    // Expired links are kept this long (still showing the expired page) before they're purged
+    graceDays: parseInt(process.env.CLEANUP_GRACE_DAYS) || 30,
+    // Copy purged links to archived_urls rather than only deleting them. Their click
+    // events are deleted either way; the archive keeps only the click count.
+    archive: process.env.CLEANUP_ARCHIVE !== 'false',
+    // Return purged generated codes to the pool once their quarantine ends; otherwise never reuse them
+    recycleCodes: process.env.CLEANUP_RECYCLE_CODES === 'true',
+    quarantineDays: parseInt(process.env.CLEANUP_CODE_QUARANTINE_DAYS) || 365
+  },
+  qr: {
+    // Pixel width and height of rendered codes; the module size is rounded down to whole pixels
+    defaultSize: parseInt(process.env.QR_DEFAULT_SIZE) || 256,
+    minSize: parseInt(process.env.QR_MIN_SIZE) || 64,
+    maxSize: parseInt(process.env.QR_MAX_SIZE) || 2048,
+    // Quiet zone in modules; scanners expect at least 4
+    defaultMargin: parseInt(process.env.QR_DEFAULT_MARGIN) || 4,
+    maxMargin: parseInt(process.env.QR_MAX_MARGIN) || 16,
+    defaultEcc: process.env.QR_DEFAULT_ECC || 'M',
+    cacheTtlSeconds: parseInt(process.env.QR_CACHE_TTL_SECONDS) || 24 * 60 * 60
+  },
+  analytics: {
+    // Record a click event (referrer, browser, hashed IP) per redirect. Unless set
+    // explicitly, on only when a salt is configured, so upgrades without one keep running.
+    enabled: process.env.ANALYTICS_ENABLED
+      ? process.env.ANALYTICS_ENABLED !== 'false'
+      : !!process.env.ANALYTICS_IP_HASH_SALT,
+    // Keys the HMAC of client IPs. An unsalted IPv4 hash is reversed by hashing every
+    // address, so the server won't start with analytics enabled and no salt.
+    ipHashSalt: process.env.ANALYTICS_IP_HASH_SALT || null,
+    topReferrersLimit: parseInt(process.env.ANALYTICS_TOP_REFERRERS_LIMIT) || 10,
+    maxBuckets: parseInt(process.env.ANALYTICS_MAX_BUCKETS) || 1000
+  },
+  clickTracking: {
+    flushIntervalMs: parseInt(process.env.CLICK_FLUSH_INTERVAL_MS) || 5000,
+    flushBatchSize: parseInt(process.env.CLICK_FLUSH_BATCH_SIZE) || 500
   },
   validation: {
     maxRequestBodySize: parseInt(process.env.MAX_REQUEST_BODY_SIZE_BYTES) || 10 * 1024 * 1024, // 10MB
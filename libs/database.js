@@ -2,6 +2,34 @@ import { PrismaClient } from '@prisma/client'
 import __ from './attempt.mjs'
 import { appConfig } from '../config/app.js'
 
+const CONNECTION_ERROR_CODES = [
+  'P1001', // Can't reach database server
+  'P1002', // Database server unreachable
+  'P1003', // Database file doesn't exist
+  'P1008', // Operations timed out
+  'P1017' // Server closed connection
+]
+
+const CONNECTION_ERROR_MESSAGES = [
+  'connection',
+  'timeout',
+  'unreachable',
+  'refused',
+  'closed'
+]
+
+/**
+ * Check if an error means the database could not be reached, rather than that
+ * the operation itself failed
+ *
+ * @param {Error} error - Error thrown by a Prisma operation
+ * @returns {boolean} True if it's a connection error
+ */
+export const isDatabaseConnectionError = (error) => {
+  return CONNECTION_ERROR_CODES.includes(error.code) ||
+    CONNECTION_ERROR_MESSAGES.some(msg => error.message?.toLowerCase().includes(msg))
+}
+
 export class DatabaseService {
   constructor(logger) {
     this.prisma = null
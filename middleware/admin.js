@@ -0,0 +1,58 @@
+import { appConfig } from '../config/app.js'
+
+class AdminMiddleware {
+  constructor(logger) {
+    this.logPrefix = 'AdminMiddleware'
+    this.logger = logger
+  }
+
+  // Same envelope as the API routes' createErrorResponse
+  _sendError(res, statusCode, code, message, details) {
+    if (statusCode === 401) {
+      res.set('WWW-Authenticate', 'Bearer')
+    }
+
+    return res.status(statusCode).json({
+      success: false,
+      status_code: statusCode,
+      error: {
+        code,
+        message,
+        details
+      }
+    })
+  }
+
+  // Runs after the auth middleware, which has already rejected invalid keys
+  middleware() {
+    return (req, res, next) => {
+      // Moderation actions always need an admin key, even with API_AUTH_REQUIRED=false
+      if (!req.auth) {
+        this.logger.warn(this.logPrefix, 'Rejected anonymous admin request', {
+          ip: req.ip,
+          path: req.originalUrl
+        })
+        return this._sendError(res, 401, 'API_KEY_REQUIRED', 'API key required',
+          ['Admin endpoints require an admin API key via the Authorization: Bearer or X-API-Key header'])
+      }
+
+      if (!appConfig.auth.adminOwnerIds.includes(req.auth.ownerId)) {
+        this.logger.warn(this.logPrefix, 'Rejected non-admin API key', {
+          keyId: req.auth.keyId,
+          ownerId: req.auth.ownerId,
+          path: req.originalUrl
+        })
+        return this._sendError(res, 403, 'ADMIN_REQUIRED', 'Admin access required',
+          ['This API key is not allowed to use admin endpoints'])
+      }
+
+      next()
+    }
+  }
+}
+
+// Factory function that creates admin middleware with its dependencies
+export default function createAdminMiddleware(logger) {
+  const adminMiddleware = new AdminMiddleware(logger)
+  return adminMiddleware.middleware()
+}
\ No newline at end of file
@@ -0,0 +1,87 @@
+import __ from '../libs/attempt.mjs'
+import { appConfig } from '../config/app.js'
+
+class AuthMiddleware {
+  constructor(apiKeyService, logger) {
+    this.logPrefix = 'AuthMiddleware'
+    this.apiKeyService = apiKeyService
+    this.logger = logger
+  }
+
+  // Accept either `Authorization: Bearer <key>` or `X-API-Key: <key>`
+  _extractApiKey(req) {
+    const authorization = req.get('Authorization')
+    if (authorization) {
+      const [scheme, token] = authorization.trim().split(/\s+/)
+      if (scheme?.toLowerCase() === 'bearer' && token) {
+        return token
+      }
+    }
+
+    return req.get('X-API-Key')?.trim() || null
+  }
+
+  // Same envelope as the API routes' createErrorResponse
+  _sendError(res, statusCode, code, message, details) {
+    if (statusCode === 401) {
+      res.set('WWW-Authenticate', 'Bearer')
+    }
+
+    return res.status(statusCode).json({
+      success: false,
+      status_code: statusCode,
+      error: {
+        code,
+        message,
+        details
+      }
+    })
+  }
+
+  middleware() {
+    return async (req, res, next) => {
+      const apiKey = this._extractApiKey(req)
+
+      if (!apiKey) {
+        if (appConfig.auth.required) {
+          return this._sendError(res, 401, 'API_KEY_REQUIRED', 'API key required',
+            ['Provide an API key via the Authorization: Bearer or X-API-Key header'])
+        }
+
+        // Auth disabled: anonymous callers keep unscoped access
+        req.auth = null
+        return next()
+      }
+
+      const [error, key] = await __(this.apiKeyService.authenticate(apiKey))
+
+      if (error) {
+        this.logger.error(this.logPrefix, 'API key lookup failed', { error: error.message })
+        return this._sendError(res, 503, 'AUTH_UNAVAILABLE', 'Authentication service unavailable',
+          ['Please try again later'])
+      }
+
+      if (!key) {
+        this.logger.warn(this.logPrefix, 'Rejected invalid API key', {
+          keyPrefix: apiKey.slice(0, 12),
+          ip: req.ip
+        })
+        return this._sendError(res, 401, 'INVALID_API_KEY', 'Invalid API key',
+          ['The API key is unknown or has been revoked'])
+      }
+
+      req.auth = {
+        keyId: key.id,
+        ownerId: key.ownerId
+      }
+
+      next()
+    }
+  }
+}
+
+// Factory function that creates auth middleware with its dependencies
+export default function createAuthMiddleware(apiKeyService, logger) {
+  const authMiddleware = new AuthMiddleware(apiKeyService, logger)
+  return authMiddleware.middleware()
+}
\ No newline at end of file
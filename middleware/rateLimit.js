@@ -0,0 +1,208 @@
+import __ from '../libs/attempt.mjs'
+import { appConfig } from '../config/app.js'
+
+// Per-process sliding window used while Redis is unavailable. Limits are then
+// enforced per instance rather than globally, which is looser but still bounded.
+class MemoryRateLimiter {
+  constructor() {
+    this.windows = new Map()
+    this.lastSweep = Date.now()
+  }
+
+  consume(key, cost, limit, windowMs, now = Date.now()) {
+    this._sweep(windowMs, now)
+
+    const entries = (this.windows.get(key) || []).filter(entry => entry.at > now - windowMs)
+    const used = entries.reduce((sum, entry) => sum + entry.cost, 0)
+
+    if (used + cost <= limit) {
+      const entry = { at: now, cost }
+      entries.push(entry)
+      this.windows.set(key, entries)
+      return { allowed: true, used: used + cost, resetMs: entries[0].at + windowMs - now, entry }
+    }
+
+    this.windows.set(key, entries)
+
+    let freed = 0
+    for (const entry of entries) {
+      freed += entry.cost
+      if (used - freed + cost <= limit) {
+        return { allowed: false, used, resetMs: entry.at + windowMs - now }
+      }
+    }
+    return { allowed: false, used, resetMs: windowMs }
+  }
+
+  release(key, entry) {
+    const entries = this.windows.get(key)
+    if (entries) {
+      this.windows.set(key, entries.filter(candidate => candidate !== entry))
+    }
+  }
+
+  // Drop clients that have gone quiet so the map doesn't grow without bound
+  _sweep(windowMs, now) {
+    if (now - this.lastSweep < windowMs) {
+      return
+    }
+
+    this.lastSweep = now
+    for (const [key, entries] of this.windows) {
+      if (entries.every(entry => entry.at <= now - windowMs)) {
+        this.windows.delete(key)
+      }
+    }
+  }
+}
+
+// Fallback limiters, one per budget for each Redis client, so middleware that
+// share a budget (the web and API create routes) also share it while Redis is down
+const memoryLimiters = new WeakMap()
+const NO_REDIS = {}
+
+const getMemoryLimiter = (redis, name) => {
+  const scope = redis || NO_REDIS
+  if (!memoryLimiters.has(scope)) {
+    memoryLimiters.set(scope, new Map())
+  }
+
+  const limiters = memoryLimiters.get(scope)
+  if (!limiters.has(name)) {
+    limiters.set(name, new MemoryRateLimiter())
+  }
+  return limiters.get(name)
+}
+
+class RateLimitMiddleware {
+  constructor(redis, logger, options) {
+    this.logPrefix = 'RateLimitMiddleware'
+    this.redis = redis
+    this.logger = logger
+    this.name = options.name
+    this.cost = options.cost || (() => 1)
+    this.key = options.key || null
+    this.countIf = options.countIf || null
+    this.onLimited = options.onLimited || this._sendError.bind(this)
+    this.memoryLimiter = getMemoryLimiter(redis, this.name)
+  }
+
+  // Authenticated callers are limited per owner, everyone else per client IP,
+  // unless the budget names its own key
+  _getClientKey(req) {
+    if (this.key) {
+      return `${this.name}:${this.key(req)}`
+    }
+
+    const client = req.auth?.ownerId ? `owner:${req.auth.ownerId}` : `ip:${req.ip}`
+    return `${this.name}:${client}`
+  }
+
+  // Returns the limiter's verdict plus a release() that hands an admitted request's cost back
+  async _consume(key, cost, limit, windowMs) {
+    if (this.redis?.isConnected) {
+      const [error, result] = await __(this.redis.consumeRateLimit(key, cost, limit, windowMs))
+      if (!error) {
+        return { ...result, release: () => this.redis.releaseRateLimit(key, result.member) }
+      }
+
+      this.logger.warn(this.logPrefix, 'Redis rate limit check failed, using in-memory limiter', {
+        budget: this.name,
+        error: error.message
+      })
+    }
+
+    const result = this.memoryLimiter.consume(key, cost, limit, windowMs)
+    return { ...result, release: () => this.memoryLimiter.release(key, result.entry) }
+  }
+
+  // The cost was reserved up front so concurrent requests can't overshoot the budget;
+  // give it back once the response shows the request shouldn't have counted
+  _releaseUnlessCounted(req, res, release) {
+    res.once('finish', async () => {
+      if (this.countIf(req, res)) {
+        return
+      }
+
+      const [error] = await __(Promise.resolve().then(release))
+      if (error) {
+        this.logger.warn(this.logPrefix, 'Failed to release rate limit reservation', {
+          budget: this.name,
+          error: error.message
+        })
+      }
+    })
+  }
+
+  // Same envelope as the API routes' createErrorResponse
+  _sendError(req, res, retryAfterSeconds) {
+    return res.status(429).json({
+      success: false,
+      status_code: 429,
+      error: {
+        code: 'RATE_LIMIT_EXCEEDED',
+        message: 'Too many requests',
+        details: [`Rate limit exceeded, retry in ${retryAfterSeconds} seconds`]
+      }
+    })
+  }
+
+  middleware() {
+    return async (req, res, next) => {
+      const budget = appConfig.rateLimit[this.name]
+
+      if (!appConfig.rateLimit.enabled || !budget) {
+        return next()
+      }
+
+      const cost = Math.max(1, this.cost(req))
+      const { limit, windowMs } = budget
+      const { allowed, used, resetMs, release } = await this._consume(this._getClientKey(req), cost, limit, windowMs)
+      const resetSeconds = Math.max(1, Math.ceil(resetMs / 1000))
+
+      res.set({
+        'X-RateLimit-Limit': String(limit),
+        'X-RateLimit-Remaining': String(Math.max(0, limit - used)),
+        'X-RateLimit-Reset': String(Math.ceil(Date.now() / 1000) + resetSeconds)
+      })
+
+      if (!allowed) {
+        this.logger.warn(this.logPrefix, 'Rate limit exceeded', {
+          budget: this.name,
+          client: req.auth?.ownerId || req.ip,
+          cost,
+          used,
+          limit
+        })
+
+        res.set('Retry-After', String(resetSeconds))
+        return this.onLimited(req, res, resetSeconds)
+      }
+
+      if (this.countIf) {
+        this._releaseUnlessCounted(req, res, release)
+      }
+
+      next()
+    }
+  }
+}
+
+/**
+ * Factory function that creates a rate limiting middleware for one budget
+ *
+ * @param {Object} redis - RedisService instance holding the shared counters
+ * @param {Object} logger - Winston logger instance
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Budget name in appConfig.rateLimit (create, bulk, redirect, unlock, unlockPerCode or jobs)
+ * @param {Function} options.cost - Returns the weight of a request (defaults to 1)
+ * @param {Function} options.key - Returns what the budget is counted per (defaults to owner or client IP)
+ * @param {Function} options.countIf - Called with (req, res) once the response is sent; requests it
+ *   returns false for are refunded, so only e.g. failed attempts use up the budget (defaults to counting all)
+ * @param {Function} options.onLimited - Sends the 429 response, called with (req, res, retryAfterSeconds)
+ * @returns {Function} Express middleware
+ */
+export default function createRateLimitMiddleware(redis, logger, options) {
+  const rateLimitMiddleware = new RateLimitMiddleware(redis, logger, options)
+  return rateLimitMiddleware.middleware()
+}
\ No newline at end of file
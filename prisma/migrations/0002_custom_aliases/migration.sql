@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "urls" ADD COLUMN "is_custom_alias" BOOLEAN NOT NULL DEFAULT false;
\ No newline at end of file
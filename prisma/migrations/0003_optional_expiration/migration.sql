@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "urls" ALTER COLUMN "expires_at" DROP NOT NULL;
\ No newline at end of file
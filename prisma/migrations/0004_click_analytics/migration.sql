@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "clicks" (
+    "id" TEXT NOT NULL,
+    "url_id" TEXT NOT NULL,
+    "clicked_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "referrer_host" TEXT,
+    "user_agent_family" TEXT NOT NULL,
+    "country" TEXT,
+    "ip_hash" TEXT,
+
+    CONSTRAINT "clicks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_clicks_url_id_clicked_at" ON "clicks"("url_id", "clicked_at");
+
+-- AddForeignKey
+ALTER TABLE "clicks" ADD CONSTRAINT "clicks_url_id_fkey" FOREIGN KEY ("url_id") REFERENCES "urls"("id") ON DELETE CASCADE ON UPDATE CASCADE;
\ No newline at end of file
@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "bulk_jobs" (
+    "id" TEXT NOT NULL,
+    "owner_id" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "total_count" INTEGER NOT NULL,
+    "processed_count" INTEGER NOT NULL DEFAULT 0,
+    "success_count" INTEGER NOT NULL DEFAULT 0,
+    "failure_count" INTEGER NOT NULL DEFAULT 0,
+    "options" JSONB NOT NULL DEFAULT '{}',
+    "error" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "started_at" TIMESTAMP(3),
+    "heartbeat_at" TIMESTAMP(3),
+    "finished_at" TIMESTAMP(3),
+
+    CONSTRAINT "bulk_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "bulk_job_items" (
+    "id" TEXT NOT NULL,
+    "job_id" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "original_url" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "short_code" TEXT,
+    "error_code" TEXT,
+    "error" TEXT,
+
+    CONSTRAINT "bulk_job_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_bulk_jobs_status_created_at" ON "bulk_jobs"("status", "created_at");
+
+-- CreateIndex
+CREATE INDEX "idx_bulk_jobs_owner_id" ON "bulk_jobs"("owner_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bulk_job_items_job_id_position_key" ON "bulk_job_items"("job_id", "position");
+
+-- CreateIndex
+CREATE INDEX "idx_bulk_job_items_job_id_status" ON "bulk_job_items"("job_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "bulk_job_items" ADD CONSTRAINT "bulk_job_items_job_id_fkey" FOREIGN KEY ("job_id") REFERENCES "bulk_jobs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
\ No newline at end of file
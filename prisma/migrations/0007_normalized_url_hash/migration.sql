@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "urls" ADD COLUMN "normalized_url_hash" TEXT;
+
+-- CreateIndex
+CREATE INDEX "idx_urls_normalized_url_hash_owner_id" ON "urls"("normalized_url_hash", "owner_id");
\ No newline at end of file
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "blocked_domains" (
+    "id" TEXT NOT NULL,
+    "pattern" TEXT NOT NULL,
+    "reason" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "blocked_domains_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "blocked_domains_pattern_key" ON "blocked_domains"("pattern");
\ No newline at end of file
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "urls" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'active',
+ADD COLUMN "status_reason" TEXT,
+ADD COLUMN "status_changed_at" TIMESTAMP(3),
+ADD COLUMN "status_changed_by" TEXT;
\ No newline at end of file
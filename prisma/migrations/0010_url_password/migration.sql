@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "urls" ADD COLUMN "password_hash" TEXT;
\ No newline at end of file
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "urls" ADD COLUMN "max_clicks" INTEGER;
\ No newline at end of file
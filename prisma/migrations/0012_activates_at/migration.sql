@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "urls" ADD COLUMN "activates_at" TIMESTAMP(3);
\ No newline at end of file
@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "archived_urls" (
+    "id" TEXT NOT NULL,
+    "original_url" TEXT NOT NULL,
+    "short_code" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL,
+    "expires_at" TIMESTAMP(3),
+    "click_count" INTEGER NOT NULL,
+    "is_custom_alias" BOOLEAN NOT NULL,
+    "owner_id" TEXT,
+    "archived_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "archived_urls_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "short_code_quarantine" (
+    "short_code" TEXT NOT NULL,
+    "is_custom_alias" BOOLEAN NOT NULL,
+    "quarantined_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "release_at" TIMESTAMP(3),
+
+    CONSTRAINT "short_code_quarantine_pkey" PRIMARY KEY ("short_code")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_archived_urls_short_code" ON "archived_urls"("short_code");
+
+-- CreateIndex
+CREATE INDEX "idx_archived_urls_owner_id" ON "archived_urls"("owner_id");
+
+-- CreateIndex
+CREATE INDEX "idx_short_code_quarantine_release_at" ON "short_code_quarantine"("release_at");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "urls" ADD COLUMN "forward_query" TEXT NOT NULL DEFAULT 'ignore',
+ADD COLUMN "forward_path" BOOLEAN NOT NULL DEFAULT false;
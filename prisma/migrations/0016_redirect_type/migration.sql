@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "urls" ADD COLUMN "redirect_type" TEXT NOT NULL DEFAULT '302';
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "archived_urls" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'active',
+ADD COLUMN "status_reason" TEXT,
+ADD COLUMN "status_changed_at" TIMESTAMP(3),
+ADD COLUMN "status_changed_by" TEXT,
+ADD COLUMN "max_clicks" INTEGER,
+ADD COLUMN "activates_at" TIMESTAMP(3),
+ADD COLUMN "utm_source" TEXT,
+ADD COLUMN "utm_medium" TEXT,
+ADD COLUMN "utm_campaign" TEXT,
+ADD COLUMN "utm_term" TEXT,
+ADD COLUMN "utm_content" TEXT,
+ADD COLUMN "forward_query" TEXT NOT NULL DEFAULT 'ignore',
+ADD COLUMN "forward_path" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "redirect_type" TEXT NOT NULL DEFAULT '302';
@@ -7,8 +7,8 @@
 const App = {
   state: {
     isLoading: false,
-    currentPage: 1,
-    hasMoreUrls: true,
+    nextCursor: null,
+    hasMoreUrls: false,
     isMobile: window.innerWidth < 768,
     urls: []
   },
@@ -20,6 +20,11 @@ const App = {
       delete: '/api/web/delete',
       list: '/api/web/urls'
     },
+    qr: {
+      previewSize: 256,
+      downloadSize: 1024
+    },
+    utmFields: ['source', 'medium', 'campaign', 'term', 'content'],
     pagination: {
       limit: 20
     },
@@ -78,6 +83,13 @@ function loadInitialData() {
       App.state.urls = JSON.parse(decodeURIComponent(urlsData))
     }
     
+    // Parse cursor for the next page of URLs
+    const cursorData = pageData.getAttribute('data-next-cursor')
+    if (cursorData) {
+      App.state.nextCursor = JSON.parse(decodeURIComponent(cursorData))
+      App.state.hasMoreUrls = !!App.state.nextCursor
+    }
+    
     // Parse error message
     const errorData = pageData.getAttribute('data-error')
     if (errorData) {
@@ -185,6 +197,9 @@ async function handleFormSubmit(event) {
   const form = event.target
   const formData = new FormData(form)
   const url = formData.get('url')
+  const alias = (formData.get('alias') || '').trim()
+  const expiration = formData.get('expiration') || ''
+  const utm = readUtmFields(formData)
   
   // Validate URL
   if (!validateUrl(url)) {
@@ -192,6 +207,11 @@ async function handleFormSubmit(event) {
     return
   }
   
+  if (utm && !utm.source) {
+    showErrorToast('A campaign source is required when adding UTM tags')
+    return
+  }
+  
   try {
     // Show loading state
     showFormLoading()
@@ -204,7 +224,7 @@ async function handleFormSubmit(event) {
         'Content-Type': 'application/json',
         'Accept': 'application/json'
       },
-      body: JSON.stringify({ url: url })
+      body: JSON.stringify(buildCreatePayload(url, alias, expiration, utm))
     })
     
     const result = await response.json()
@@ -216,7 +236,7 @@ async function handleFormSubmit(event) {
       resetFormAfterSuccess()
     } else {
       // Error from server
-      const errorMessage = result.message || 'Failed to create short URL'
+      const errorMessage = result.error || result.message || 'Failed to create short URL'
       showErrorToast(errorMessage)
       
       if (result.field === 'url') {
@@ -232,6 +252,52 @@ async function handleFormSubmit(event) {
   }
 }
 
+/**
+ * Read the optional UTM campaign fields from the creation form
+ * @param {FormData} formData - Form values
+ * @returns {Object|null} UTM set with the filled-in fields, or null if none are filled in
+ */
+function readUtmFields(formData) {
+  const utm = {}
+  
+  App.config.utmFields.forEach(field => {
+    const value = (formData.get(`utm[${field}]`) || '').trim()
+    if (value) {
+      utm[field] = value
+    }
+  })
+  
+  return Object.keys(utm).length > 0 ? utm : null
+}
+
+/**
+ * Build the JSON payload for URL creation from the form values
+ * @param {string} url - URL to shorten
+ * @param {string} alias - Optional custom alias
+ * @param {string} expiration - ISO 8601 duration, 'never', or empty for the default
+ * @param {Object|null} utm - Optional UTM campaign set
+ * @returns {Object} Request payload
+ */
+function buildCreatePayload(url, alias, expiration, utm) {
+  const payload = { url: url }
+  
+  if (alias) {
+    payload.alias = alias
+  }
+  
+  if (utm) {
+    payload.utm = utm
+  }
+  
+  if (expiration === 'never') {
+    payload.neverExpires = true
+  } else if (expiration) {
+    payload.expiresIn = expiration
+  }
+  
+  return payload
+}
+
 /**
  * Handle URL input changes for real-time validation
  * @param {Event} event - Input change event
@@ -298,7 +364,11 @@ function handleKeyboardShortcuts(event) {
     }
   }
   
-  // Escape to close form
+  // Escape to close the QR modal, or else the form
+  if (event.key === 'Escape' && isQrModalOpen()) {
+    closeQrModal()
+    return
+  }
   if (event.key === 'Escape') {
     const container = document.getElementById('url-form-container')
     if (container && container.classList.contains('expanded')) {
@@ -332,8 +402,8 @@ async function loadMoreUrls() {
     App.state.isLoading = true
     showInfiniteScrollLoading()
     
-    const nextPage = App.state.currentPage + 1
-    const response = await fetch(`${App.config.apiEndpoints.list}?page=${nextPage}&limit=${App.config.pagination.limit}`)
+    const cursor = encodeURIComponent(App.state.nextCursor)
+    const response = await fetch(`${App.config.apiEndpoints.list}?cursor=${cursor}&limit=${App.config.pagination.limit}`)
     
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}`)
@@ -341,19 +411,13 @@ async function loadMoreUrls() {
     
     const result = await response.json()
     
-    if (result.success && result.data && result.data.length > 0) {
-      // Add new URLs to the list
-      result.data.forEach(url => {
-        addUrlToList(url, false) // Don't show toast for infinite scroll
-      })
-      
-      App.state.currentPage = nextPage
-      App.state.urls = [...App.state.urls, ...result.data]
+    if (result.success && result.data) {
+      // Add the next page below the URLs already shown
+      appendUrlsToList(result.data.urls)
       
       // Check if there are more URLs
-      if (result.data.length < App.config.pagination.limit) {
-        App.state.hasMoreUrls = false
-      }
+      App.state.nextCursor = result.data.pagination.nextCursor
+      App.state.hasMoreUrls = result.data.pagination.hasMore
     } else {
       App.state.hasMoreUrls = false
     }
@@ -430,6 +494,68 @@ async function deleteUrl(shortCode) {
   }
 }
 
+/**
+ * Build the QR code image URL for a short code
+ * @param {string} shortCode - Short code of the URL
+ * @param {string} format - svg or png
+ * @param {number} size - Width and height in pixels
+ * @returns {string} QR endpoint URL
+ */
+function getQrUrl(shortCode, format, size) {
+  return `${App.config.apiEndpoints.list}/${encodeURIComponent(shortCode)}/qr?format=${format}&size=${size}`
+}
+
+/**
+ * Open the QR code modal for a URL
+ * @param {string} shortCode - Short code of the URL
+ */
+function openQrModal(shortCode) {
+  const modal = document.getElementById('qr-modal')
+  if (!modal) return
+
+  modal.dataset.shortCode = shortCode
+  document.getElementById('qr-modal-image').src = getQrUrl(shortCode, 'svg', App.config.qr.previewSize)
+  document.getElementById('qr-modal-url').textContent = `${window.location.origin}/${shortCode}`
+  updateQrDownload()
+
+  modal.classList.remove('hidden')
+  modal.classList.add('flex')
+}
+
+/**
+ * Point the download link at the selected format
+ */
+function updateQrDownload() {
+  const modal = document.getElementById('qr-modal')
+  const shortCode = modal.dataset.shortCode
+  const format = document.getElementById('qr-modal-format').value
+  const link = document.getElementById('qr-modal-download')
+
+  link.href = getQrUrl(shortCode, format, App.config.qr.downloadSize)
+  link.setAttribute('download', `${shortCode}-qr.${format}`)
+}
+
+/**
+ * Close the QR code modal
+ */
+function closeQrModal() {
+  const modal = document.getElementById('qr-modal')
+  if (!modal) return
+
+  modal.classList.add('hidden')
+  modal.classList.remove('flex')
+  document.getElementById('qr-modal-image').src = ''
+}
+
+/**
+ * Check whether the QR code modal is showing
+ * @returns {boolean} True if open
+ */
+function isQrModalOpen() {
+  const modal = document.getElementById('qr-modal')
+  return !!modal && !modal.classList.contains('hidden')
+}
+
 /**
  * Add URL to the list (both table and cards)
  * @param {Object} url - URL object to add
@@ -453,6 +579,28 @@ function addUrlToList(url, showToast = true) {
   App.state.urls.unshift(url)
 }
 
+/**
+ * Append a page of older URLs to the bottom of the list (both table and cards)
+ * @param {Array<Object>} urls - URL objects in display order
+ */
+function appendUrlsToList(urls) {
+  urls.forEach(url => {
+    if (typeof addUrlToTable === 'function') {
+      addUrlToTable(url, true)
+    }
+    
+    if (typeof addUrlToCards === 'function') {
+      addUrlToCards(url, true)
+    }
+  })
+  
+  if (urls.length > 0) {
+    hideEmptyStates()
+  }
+  
+  App.state.urls = [...App.state.urls, ...urls]
+}
+
 /**
  * Remove URL from the list (both table and cards)
  * @param {string} shortCode - Short code of URL to remove
@@ -601,6 +749,9 @@ function debounce(func, wait) {
 // Make functions globally available for onclick handlers
 window.deleteUrl = deleteUrl
 window.copyToClipboard = copyToClipboard
+window.openQrModal = openQrModal
+window.closeQrModal = closeQrModal
+window.updateQrDownload = updateQrDownload
 
 // Export for testing
 if (typeof module !== 'undefined' && module.exports) {
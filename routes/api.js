@@ -1,11 +1,33 @@
 import express from 'express'
 import UrlService from '../services/UrlService.js'
+import AnalyticsService from '../services/AnalyticsService.js'
+import ApiKeyService from '../services/ApiKeyService.js'
+import BulkJobService from '../services/BulkJobService.js'
+import QrCodeService from '../services/QrCodeService.js'
+import createAuthMiddleware from '../middleware/auth.js'
+import createRateLimitMiddleware from '../middleware/rateLimit.js'
+import createAdminMiddleware from '../middleware/admin.js'
 import __ from '../libs/attempt.mjs'
+import { appConfig } from '../config/app.js'
+import { parseCsvUrls, toCsvRow } from '../utils/csv.js'
+import { EXPORT_CONTENT_TYPES, streamUrlExport } from '../utils/urlExport.js'
 import { 
   validateUrl, 
   validateBulkUrls, 
-  validateShortCode, 
+  validateShortCodeOrAlias, 
+  validateAlias,
+  validatePassword,
+  validateMaxClicks,
+  validateActivation,
+  validateExpiration,
+  validateStatsQuery,
+  validateListQuery,
   validateRequestSize,
+  validateStatusChange,
+  validateQrOptions,
+  validateUtm,
+  validateForwarding,
+  validateRedirectType,
   createValidationErrorResponse 
 } from '../utils/validators.js'
 
@@ -16,6 +38,29 @@ export default function createApiRoutes(database, redis, logger) {
   
   // Instantiate UrlService with proper dependencies
   const urlService = new UrlService(database, redis, logger)
+  const analyticsService = new AnalyticsService(database, redis, logger)
+  const bulkJobService = new BulkJobService(database, logger)
+  const qrCodeService = new QrCodeService(redis, logger)
+
+  // Applied per route rather than with router.use(): this router is mounted at /api
+  // and the web UI's /api/web/* endpoints fall through it to the web router
+  const requireApiKey = createAuthMiddleware(new ApiKeyService(database, logger), logger)
+  const requireAdmin = createAdminMiddleware(logger)
+
+  // Rate limits run after authentication so key holders are limited per owner.
+  // Bulk requests are weighted by URL count: each URL takes a code from the pool.
+  const limitCreates = createRateLimitMiddleware(redis, logger, { name: 'create' })
+  const limitBulkCreates = createRateLimitMiddleware(redis, logger, {
+    name: 'bulk',
+    cost: (req) => Array.isArray(req.body?.urls) ? req.body.urls.length : 1
+  })
+  const limitJobs = createRateLimitMiddleware(redis, logger, {
+    name: 'jobs',
+    cost: (req) => Array.isArray(req.jobUrls) ? req.jobUrls.length : 1
+  })
+
+  // Bulk jobs also accept a raw CSV upload (Content-Type: text/csv)
+  const parseCsvBody = express.text({ type: 'text/csv', limit: appConfig.validation.maxRequestBodySize })
 
   /**
    * Standardized success response format
@@ -70,15 +115,230 @@ export default function createApiRoutes(database, redis, logger) {
     return null
   }
 
+  /**
+   * Extract per-link expiration options from a request body
+   * @param {Object} body - Request body
+   * @returns {Object} Expiration options (expiresAt, expiresIn, neverExpires)
+   */
+  const getExpirationOptions = (body) => ({
+    expiresAt: body.expiresAt,
+    expiresIn: body.expiresIn,
+    neverExpires: body.neverExpires
+  })
+
+  /**
+   * Validate per-link expiration options from a request body
+   * @param {Object} body - Request body
+   * @returns {Object|null} Error response or null if valid
+   */
+  const validateExpirationOptions = (body) => {
+    const expirationValidation = validateExpiration(getExpirationOptions(body))
+    if (expirationValidation.isValid) {
+      return null
+    }
+
+    const errorResponse = createValidationErrorResponse(expirationValidation, 'expiration validation')
+    return createErrorResponse(
+      'INVALID_EXPIRATION',
+      errorResponse.error,
+      errorResponse.details,
+      400
+    )
+  }
+
+  /**
+   * Validate an optional scheduled activation time from a request body
+   * @param {Object} body - Request body
+   * @returns {Object|null} Error response or null if valid
+   */
+  const validateActivationOption = (body) => {
+    const activationValidation = validateActivation(body.activatesAt)
+    if (activationValidation.isValid) {
+      return null
+    }
+
+    const errorResponse = createValidationErrorResponse(activationValidation, 'activation validation')
+    return createErrorResponse(
+      'INVALID_ACTIVATION',
+      errorResponse.error,
+      errorResponse.details,
+      400
+    )
+  }
+
+  /**
+   * Validate an optional UTM campaign set from a request body (null clears it on update)
+   * @param {Object} body - Request body
+   * @returns {Object|null} Error response or null if valid
+   */
+  const validateUtmOption = (body) => {
+    if (body.utm === undefined || body.utm === null) {
+      return null
+    }
+
+    const utmValidation = validateUtm(body.utm)
+    if (utmValidation.isValid) {
+      return null
+    }
+
+    const errorResponse = createValidationErrorResponse(utmValidation, 'UTM validation')
+    return createErrorResponse(
+      'INVALID_UTM',
+      errorResponse.error,
+      errorResponse.details,
+      400
+    )
+  }
+
+  /**
+   * Validate optional redirect forwarding settings from a request body
+   * @param {Object} body - Request body
+   * @returns {Object|null} Error response or null if valid
+   */
+  const validateForwardingOption = (body) => {
+    const forwardingValidation = validateForwarding(body)
+    if (forwardingValidation.isValid) {
+      return null
+    }
+
+    const errorResponse = createValidationErrorResponse(forwardingValidation, 'forwarding validation')
+    return createErrorResponse(
+      'INVALID_FORWARDING',
+      errorResponse.error,
+      errorResponse.details,
+      400
+    )
+  }
+
+  /**
+   * Validate an optional redirect type from a request body
+   * @param {Object} body - Request body
+   * @returns {Object|null} Error response or null if valid
+   */
+  const validateRedirectTypeOption = (body) => {
+    if (body.redirectType === undefined) {
+      return null
+    }
+
+    const redirectTypeValidation = validateRedirectType(body.redirectType)
+    if (redirectTypeValidation.isValid) {
+      return null
+    }
+
+    const errorResponse = createValidationErrorResponse(redirectTypeValidation, 'redirect type validation')
+    return createErrorResponse(
+      'INVALID_REDIRECT_TYPE',
+      errorResponse.error,
+      errorResponse.details,
+      400
+    )
+  }
+
+  /**
+   * Error response for a destination rejected by UrlSafetyService
+   * @param {Object} validation - Failed safety result (error.validation from UrlService)
+   * @returns {Object} Error response carrying the machine-readable rejection reason
+   */
+  const createUnsafeUrlResponse = (validation) => {
+    const errorResponse = createValidationErrorResponse(validation, 'URL safety validation')
+    const response = createErrorResponse(
+      'UNSAFE_URL',
+      errorResponse.error,
+      errorResponse.details,
+      400
+    )
+    response.error.reason = validation.reason
+    return response
+  }
+
+  /**
+   * Validate the optional dedupe flag of a create request
+   * @param {*} dedupe - Value from the request
+   * @returns {Object|null} Error response or null if valid
+   */
+  const validateDedupeOption = (dedupe) => {
+    if (dedupe === undefined || dedupe === null || typeof dedupe === 'boolean') {
+      return null
+    }
+
+    return createErrorResponse(
+      'INVALID_DEDUPE',
+      'dedupe must be a boolean',
+      [`Provided type: ${typeof dedupe}`],
+      400
+    )
+  }
+
+  /**
+   * Ownership scope for the authenticated caller
+   * @param {Object} req - Express request (req.auth is set by the auth middleware)
+   * @returns {Object} Scope restricting results to the caller's links, or unscoped when auth is disabled
+   */
+  const getOwnerScope = (req) => (req.auth ? { ownerId: req.auth.ownerId } : {})
+
+  /**
+   * Resolve the URL list of a bulk job request into req.jobUrls, from a CSV
+   * upload or the JSON body's urls array
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next - Next middleware
+   */
+  const readJobUrls = (req, res, next) => {
+    if (!req.is('text/csv')) {
+      req.jobUrls = req.body?.urls
+      return next()
+    }
+
+    const csv = parseCsvUrls(req.body)
+    if (!csv.isValid) {
+      return res.status(400).json(createErrorResponse('INVALID_CSV', csv.error, csv.details, 400))
+    }
+
+    req.jobUrls = csv.urls
+    next()
+  }
+
+  /**
+   * Extract expiration options for a bulk job: from the JSON body, or from the
+   * query string for CSV uploads
+   * @param {Object} req - Express request
+   * @returns {Object} Expiration options (expiresAt, expiresIn, neverExpires)
+   */
+  const getJobExpirationOptions = (req) => {
+    if (!req.is('text/csv')) {
+      return getExpirationOptions(req.body)
+    }
+
+    return {
+      expiresAt: req.query.expiresAt,
+      expiresIn: req.query.expiresIn,
+      neverExpires: req.query.neverExpires === undefined ? undefined : req.query.neverExpires === 'true'
+    }
+  }
+
+  /**
+   * Extract the dedupe flag for a bulk job: from the JSON body, or from the
+   * query string for CSV uploads
+   * @param {Object} req - Express request
+   * @returns {*} dedupe value, unvalidated
+   */
+  const getJobDedupeOption = (req) => {
+    if (!req.is('text/csv')) {
+      return req.body?.dedupe
+    }
+
+    return req.query.dedupe === undefined ? undefined : req.query.dedupe === 'true'
+  }
+
   // Single URL shortening endpoint
-  router.post('/shorten', async (req, res, next) => {
+  router.post('/shorten', requireApiKey, limitCreates, async (req, res, next) => {
     const requestId = Math.random().toString(36).substring(7)
     const startTime = Date.now()
     
     try {
       logger.info(logPrefix, 'Single URL shortening request received', { 
         requestId,
-        body: req.body,
+        body: req.body?.password === undefined ? req.body : { ...req.body, password: '[redacted]' },
         userAgent: req.headers['user-agent'],
         ip: req.ip
       })
@@ -111,8 +371,113 @@ export default function createApiRoutes(database, redis, logger) {
         ))
       }
 
+      // Validate optional custom alias
+      const { alias } = req.body
+      if (alias !== undefined && alias !== null) {
+        const aliasValidation = validateAlias(alias)
+        if (!aliasValidation.isValid) {
+          const errorResponse = createValidationErrorResponse(aliasValidation, 'alias validation')
+          logger.warn(logPrefix, 'Alias validation failed', {
+            requestId,
+            alias,
+            validation: aliasValidation
+          })
+          return res.status(400).json(createErrorResponse(
+            'INVALID_ALIAS',
+            errorResponse.error,
+            errorResponse.details,
+            400
+          ))
+        }
+      }
+
+      // Validate optional per-link expiration
+      const expirationError = validateExpirationOptions(req.body)
+      if (expirationError) {
+        logger.warn(logPrefix, 'Expiration validation failed', {
+          requestId,
+          error: expirationError.error
+        })
+        return res.status(400).json(expirationError)
+      }
+
+      // Validate optional scheduled activation
+      const activationError = validateActivationOption(req.body)
+      if (activationError) {
+        return res.status(400).json(activationError)
+      }
+
+      // Validate optional link password
+      const { password } = req.body
+      if (password !== undefined && password !== null) {
+        const passwordValidation = validatePassword(password)
+        if (!passwordValidation.isValid) {
+          const errorResponse = createValidationErrorResponse(passwordValidation, 'password validation')
+          logger.warn(logPrefix, 'Password validation failed', {
+            requestId,
+            error: passwordValidation.error
+          })
+          return res.status(400).json(createErrorResponse(
+            'INVALID_PASSWORD',
+            errorResponse.error,
+            errorResponse.details,
+            400
+          ))
+        }
+      }
+
+      // Validate optional click limit
+      const { maxClicks } = req.body
+      if (maxClicks !== undefined && maxClicks !== null) {
+        const maxClicksValidation = validateMaxClicks(maxClicks)
+        if (!maxClicksValidation.isValid) {
+          const errorResponse = createValidationErrorResponse(maxClicksValidation, 'click limit validation')
+          return res.status(400).json(createErrorResponse(
+            'INVALID_MAX_CLICKS',
+            errorResponse.error,
+            errorResponse.details,
+            400
+          ))
+        }
+      }
+
+      // Validate optional UTM campaign tags
+      const utmError = validateUtmOption(req.body)
+      if (utmError) {
+        return res.status(400).json(utmError)
+      }
+
+      // Validate optional query string and path forwarding
+      const forwardingError = validateForwardingOption(req.body)
+      if (forwardingError) {
+        return res.status(400).json(forwardingError)
+      }
+
+      // Validate optional redirect status code or interstitial mode
+      const redirectTypeError = validateRedirectTypeOption(req.body)
+      if (redirectTypeError) {
+        return res.status(400).json(redirectTypeError)
+      }
+
+      const dedupeError = validateDedupeOption(req.body.dedupe)
+      if (dedupeError) {
+        return res.status(400).json(dedupeError)
+      }
+
       // Create short URL using UrlService
-      const [error, result] = await __(urlService.createShortUrl(req.body.url))
+      const [error, result] = await __(urlService.createShortUrl(req.body.url, {
+        alias,
+        password,
+        maxClicks,
+        activatesAt: req.body.activatesAt,
+        utm: req.body.utm,
+        forwardQuery: req.body.forwardQuery,
+        forwardPath: req.body.forwardPath,
+        redirectType: req.body.redirectType,
+        ...getExpirationOptions(req.body),
+        dedupe: req.body.dedupe ?? undefined,
+        ownerId: req.auth?.ownerId
+      }))
       
       if (error) {
         const responseTime = Date.now() - startTime
@@ -120,15 +485,20 @@ export default function createApiRoutes(database, redis, logger) {
           requestId,
           error: error.message,
           originalUrl: req.body.url,
+          alias,
           responseTime,
           errorType: _categorizeError(error)
         })
+
+        if (error.validation) {
+          return res.status(400).json(createUnsafeUrlResponse(error.validation))
+        }
         
         // Determine appropriate status code based on error type
         const statusCode = _getStatusCodeForError(error)
         
         return res.status(statusCode).json(createErrorResponse(
-          'URL_CREATION_FAILED',
+          statusCode === 409 && alias ? 'ALIAS_UNAVAILABLE' : 'URL_CREATION_FAILED',
           error.message,
           [error.message],
           statusCode
@@ -140,13 +510,17 @@ export default function createApiRoutes(database, redis, logger) {
         requestId,
         shortCode: result.shortCode,
         originalUrl: result.originalUrl,
+        deduplicated: result.deduplicated,
         responseTime
       })
 
-      res.status(201).json(createSuccessResponse(
+      // 200 rather than 201 when nothing new was created
+      const statusCode = result.deduplicated ? 200 : 201
+
+      res.status(statusCode).json(createSuccessResponse(
         result,
-        'URL shortened successfully',
-        201
+        result.deduplicated ? 'Existing short URL returned' : 'URL shortened successfully',
+        statusCode
       ))
     } catch (error) {
       const responseTime = Date.now() - startTime
@@ -161,7 +535,7 @@ export default function createApiRoutes(database, redis, logger) {
   })
 
   // Bulk URL shortening endpoint
-  router.post('/shorten/bulk', async (req, res, next) => {
+  router.post('/shorten/bulk', requireApiKey, limitBulkCreates, async (req, res, next) => {
     const requestId = Math.random().toString(36).substring(7)
     const startTime = Date.now()
     
@@ -201,9 +575,9 @@ export default function createApiRoutes(database, redis, logger) {
         ))
       }
 
-      // Validate URLs array using comprehensive validator
+      // Validate the URLs array itself; individual invalid URLs are reported per item
       const urlsValidation = validateBulkUrls(req.body.urls)
-      if (!urlsValidation.isValid) {
+      if (!urlsValidation.isValid && urlsValidation.failedUrls.length === 0) {
         const errorResponse = createValidationErrorResponse(urlsValidation, 'bulk URLs validation')
         logger.warn(logPrefix, 'Bulk URLs validation failed', {
           requestId,
@@ -218,8 +592,26 @@ export default function createApiRoutes(database, redis, logger) {
         ))
       }
 
+      // Validate optional expiration shared by all URLs in the batch
+      const expirationError = validateExpirationOptions(req.body)
+      if (expirationError) {
+        logger.warn(logPrefix, 'Bulk expiration validation failed', {
+          requestId,
+          error: expirationError.error
+        })
+        return res.status(400).json(expirationError)
+      }
+
+      const dedupeError = validateDedupeOption(req.body.dedupe)
+      if (dedupeError) {
+        return res.status(400).json(dedupeError)
+      }
+
       // Create bulk short URLs using UrlService
-      const [error, result] = await __(urlService.createBulkShortUrls(req.body.urls))
+      const [error, result] = await __(urlService.createBulkShortUrls(
+        req.body.urls,
+        { ...getExpirationOptions(req.body), dedupe: req.body.dedupe ?? undefined, ownerId: req.auth?.ownerId }
+      ))
       
       if (error) {
         const responseTime = Date.now() - startTime
@@ -243,17 +635,36 @@ export default function createApiRoutes(database, redis, logger) {
       }
 
       const responseTime = Date.now() - startTime
-      logger.info(logPrefix, 'Successfully created bulk short URLs', { 
+      logger.info(logPrefix, 'Processed bulk short URLs', { 
         requestId,
         successCount: result.successCount,
         failureCount: result.failureCount,
         responseTime
       })
 
-      res.status(201).json(createSuccessResponse(
+      // Nothing created: same error envelope as other failures, with the per-item results attached
+      if (result.successCount === 0) {
+        return res.status(422).json({
+          ...createErrorResponse(
+            'BULK_URL_CREATION_FAILED',
+            'None of the URLs could be shortened',
+            result.failed.slice(0, appConfig.validation.maxErrorDetailsCount)
+              .map(failure => `URL at index ${failure.index}: ${failure.error}`),
+            422
+          ),
+          data: result
+        })
+      }
+
+      // 207 Multi-Status when only some of the URLs were created
+      const statusCode = result.failureCount === 0 ? 201 : 207
+
+      res.status(statusCode).json(createSuccessResponse(
         result,
-        `Successfully processed ${result.successCount} URLs`,
-        201
+        result.failureCount === 0
+          ? `Successfully processed ${result.successCount} URLs`
+          : `Shortened ${result.successCount} of ${result.successCount + result.failureCount} URLs`,
+        statusCode
       ))
     } catch (error) {
       const responseTime = Date.now() - startTime
@@ -269,14 +680,14 @@ export default function createApiRoutes(database, redis, logger) {
   })
 
   // Get URL details endpoint
-  router.get('/url/:shortCode', async (req, res, next) => {
+  router.get('/url/:shortCode', requireApiKey, async (req, res, next) => {
     try {
       const { shortCode } = req.params
       
       logger.info(logPrefix, 'URL details request received', { shortCode })
       
-      // Validate shortCode parameter using comprehensive validator
-      const shortCodeValidation = validateShortCode(shortCode)
+      // Validate shortCode parameter (generated code or custom alias)
+      const shortCodeValidation = validateShortCodeOrAlias(shortCode)
       if (!shortCodeValidation.isValid) {
         const errorResponse = createValidationErrorResponse(shortCodeValidation, 'short code validation')
         return res.status(400).json(createErrorResponse(
@@ -288,7 +699,7 @@ export default function createApiRoutes(database, redis, logger) {
       }
 
       // Get URL details using UrlService
-      const [error, result] = await __(urlService.getUrlByShortCode(shortCode))
+      const [error, result] = await __(urlService.getUrlByShortCode(shortCode, getOwnerScope(req)))
       
       if (error) {
         logger.error(logPrefix, 'Failed to retrieve URL details', { 
@@ -339,15 +750,289 @@ export default function createApiRoutes(database, redis, logger) {
     }
   })
 
+  // Click statistics endpoint
+  router.get('/url/:shortCode/stats', requireApiKey, async (req, res, next) => {
+    try {
+      const { shortCode } = req.params
+      
+      logger.info(logPrefix, 'Click statistics request received', { shortCode, query: req.query })
+      
+      // Validate shortCode parameter (generated code or custom alias)
+      const shortCodeValidation = validateShortCodeOrAlias(shortCode)
+      if (!shortCodeValidation.isValid) {
+        const errorResponse = createValidationErrorResponse(shortCodeValidation, 'short code validation')
+        return res.status(400).json(createErrorResponse(
+          'INVALID_SHORT_CODE',
+          errorResponse.error,
+          errorResponse.details,
+          400
+        ))
+      }
+
+      // Validate interval and reporting window
+      const statsQuery = validateStatsQuery(req.query)
+      if (!statsQuery.isValid) {
+        const errorResponse = createValidationErrorResponse(statsQuery, 'statistics query validation')
+        return res.status(400).json(createErrorResponse(
+          'INVALID_STATS_QUERY',
+          errorResponse.error,
+          errorResponse.details,
+          400
+        ))
+      }
+
+      const [error, result] = await __(analyticsService.getClickStats(shortCode, statsQuery, getOwnerScope(req)))
+      
+      if (error) {
+        logger.error(logPrefix, 'Failed to retrieve click statistics', { 
+          error: error.message,
+          shortCode 
+        })
+        
+        const statusCode = _getStatusCodeForError(error)
+        return res.status(statusCode).json(createErrorResponse(
+          'STATS_RETRIEVAL_FAILED',
+          'Failed to retrieve click statistics',
+          [error.message],
+          statusCode
+        ))
+      }
+
+      if (!result) {
+        return res.status(404).json(createErrorResponse(
+          'URL_NOT_FOUND',
+          'URL not found',
+          [`URL with short code '${shortCode}' does not exist`],
+          404
+        ))
+      }
+
+      res.status(200).json(createSuccessResponse(
+        result,
+        'Click statistics retrieved successfully',
+        200
+      ))
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  // QR code for a short link, as SVG or PNG
+  router.get('/url/:shortCode/qr', requireApiKey, async (req, res, next) => {
+    try {
+      const { shortCode } = req.params
+
+      // Validate shortCode parameter (generated code or custom alias)
+      const shortCodeValidation = validateShortCodeOrAlias(shortCode)
+      if (!shortCodeValidation.isValid) {
+        const errorResponse = createValidationErrorResponse(shortCodeValidation, 'short code validation')
+        return res.status(400).json(createErrorResponse(
+          'INVALID_SHORT_CODE',
+          errorResponse.error,
+          errorResponse.details,
+          400
+        ))
+      }
+
+      const qrOptions = validateQrOptions(req.query)
+      if (!qrOptions.isValid) {
+        const errorResponse = createValidationErrorResponse(qrOptions, 'QR options validation')
+        return res.status(400).json(createErrorResponse(
+          'INVALID_QR_OPTIONS',
+          errorResponse.error,
+          errorResponse.details,
+          400
+        ))
+      }
+
+      // Looked up first so callers only get codes for links they own
+      const [error, url] = await __(urlService.getUrlByShortCode(shortCode, getOwnerScope(req)))
+
+      if (error) {
+        logger.error(logPrefix, 'Failed to retrieve URL for QR code', {
+          error: error.message,
+          shortCode
+        })
+
+        const statusCode = _getStatusCodeForError(error)
+        return res.status(statusCode).json(createErrorResponse(
+          'QR_GENERATION_FAILED',
+          'Failed to generate QR code',
+          [error.message],
+          statusCode
+        ))
+      }
+
+      if (!url) {
+        return res.status(404).json(createErrorResponse(
+          'URL_NOT_FOUND',
+          'URL not found',
+          [`URL with short code '${shortCode}' does not exist`],
+          404
+        ))
+      }
+
+      const qr = await qrCodeService.renderShortUrl(url.shortUrl, qrOptions)
+
+      logger.info(logPrefix, 'QR code generated', { shortCode, format: qrOptions.format, cached: qr.cached })
+
+      res.set('Cache-Control', 'private, max-age=3600')
+      res.type(qr.contentType).send(qr.content)
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  // Update URL endpoint (destination and/or expiration; the short code never changes)
+  router.patch('/url/:shortCode', requireApiKey, async (req, res, next) => {
+    try {
+      const { shortCode } = req.params
+      
+      logger.info(logPrefix, 'URL update request received', { shortCode, body: req.body })
+      
+      // Validate shortCode parameter (generated code or custom alias)
+      const shortCodeValidation = validateShortCodeOrAlias(shortCode)
+      if (!shortCodeValidation.isValid) {
+        const errorResponse = createValidationErrorResponse(shortCodeValidation, 'short code validation')
+        return res.status(400).json(createErrorResponse(
+          'INVALID_SHORT_CODE',
+          errorResponse.error,
+          errorResponse.details,
+          400
+        ))
+      }
+
+      // Validate request body
+      const bodyValidation = validateRequestBody(req.body)
+      if (bodyValidation) {
+        return res.status(bodyValidation.status_code).json(bodyValidation)
+      }
+
+      const { url, activatesAt, utm, forwardQuery, forwardPath, redirectType } = req.body
+      const expirationOptions = getExpirationOptions(req.body)
+      const hasExpirationUpdate = Object.values(expirationOptions).some(value => value !== undefined)
+      const hasForwardingUpdate = forwardQuery !== undefined || forwardPath !== undefined
+
+      if (url === undefined && !hasExpirationUpdate && activatesAt === undefined && utm === undefined &&
+        !hasForwardingUpdate && redirectType === undefined) {
+        return res.status(400).json(createErrorResponse(
+          'INVALID_REQUEST_BODY',
+          'Nothing to update',
+          ['Provide at least one of: url, expiresAt, expiresIn, neverExpires, activatesAt, utm, forwardQuery, forwardPath, redirectType'],
+          400
+        ))
+      }
+
+      // Validate new destination URL if provided
+      if (url !== undefined) {
+        const urlValidation = validateUrl(url)
+        if (!urlValidation.isValid) {
+          const errorResponse = createValidationErrorResponse(urlValidation, 'URL update validation')
+          return res.status(400).json(createErrorResponse(
+            'INVALID_URL',
+            errorResponse.error,
+            errorResponse.details,
+            400
+          ))
+        }
+      }
+
+      // Validate new expiration if provided
+      const expirationError = validateExpirationOptions(req.body)
+      if (expirationError) {
+        return res.status(400).json(expirationError)
+      }
+
+      // Validate new activation time if provided (null activates the link now)
+      const activationError = validateActivationOption(req.body)
+      if (activationError) {
+        return res.status(400).json(activationError)
+      }
+
+      // Validate new UTM set if provided (null removes the link's tags)
+      const utmError = validateUtmOption(req.body)
+      if (utmError) {
+        return res.status(400).json(utmError)
+      }
+
+      // Validate new forwarding settings if provided
+      const forwardingError = validateForwardingOption(req.body)
+      if (forwardingError) {
+        return res.status(400).json(forwardingError)
+      }
+
+      // Validate new redirect type if provided
+      const redirectTypeError = validateRedirectTypeOption(req.body)
+      if (redirectTypeError) {
+        return res.status(400).json(redirectTypeError)
+      }
+
+      // Update URL using UrlService
+      const [error, result] = await __(urlService.updateUrl(shortCode, {
+        originalUrl: url,
+        ...expirationOptions,
+        activatesAt,
+        utm,
+        forwardQuery,
+        forwardPath,
+        redirectType
+      }, getOwnerScope(req)))
+      
+      if (error) {
+        logger.error(logPrefix, 'Failed to update URL', { 
+          error: error.message,
+          shortCode,
+          errorType: _categorizeError(error)
+        })
+
+        if (error.validation) {
+          return res.status(400).json(createUnsafeUrlResponse(error.validation))
+        }
+        
+        const statusCode = _getStatusCodeForError(error)
+        
+        return res.status(statusCode).json(createErrorResponse(
+          'URL_UPDATE_FAILED',
+          'Failed to update URL',
+          [error.message],
+          statusCode
+        ))
+      }
+
+      if (!result) {
+        return res.status(404).json(createErrorResponse(
+          'URL_NOT_FOUND',
+          'URL not found',
+          [`URL with short code '${shortCode}' does not exist`],
+          404
+        ))
+      }
+
+      logger.info(logPrefix, 'Successfully updated URL', { 
+        shortCode,
+        originalUrl: result.originalUrl,
+        expiresAt: result.expiresAt
+      })
+
+      res.status(200).json(createSuccessResponse(
+        result,
+        'URL updated successfully',
+        200
+      ))
+    } catch (error) {
+      next(error)
+    }
+  })
+
   // Delete URL endpoint
-  router.delete('/url/:shortCode', async (req, res, next) => {
+  router.delete('/url/:shortCode', requireApiKey, async (req, res, next) => {
     try {
       const { shortCode } = req.params
       
       logger.info(logPrefix, 'URL deletion request received', { shortCode })
       
-      // Validate shortCode parameter using comprehensive validator
-      const shortCodeValidation = validateShortCode(shortCode)
+      // Validate shortCode parameter (generated code or custom alias)
+      const shortCodeValidation = validateShortCodeOrAlias(shortCode)
       if (!shortCodeValidation.isValid) {
         const errorResponse = createValidationErrorResponse(shortCodeValidation, 'short code validation')
         return res.status(400).json(createErrorResponse(
@@ -359,7 +1044,7 @@ export default function createApiRoutes(database, redis, logger) {
       }
 
       // Delete URL using UrlService
-      const [error, result] = await __(urlService.deleteUrl(shortCode))
+      const [error, result] = await __(urlService.deleteUrl(shortCode, getOwnerScope(req)))
       
       if (error) {
         logger.error(logPrefix, 'Failed to delete URL', { 
@@ -385,10 +1070,17 @@ export default function createApiRoutes(database, redis, logger) {
         ))
       }
 
-      logger.info(logPrefix, 'Successfully deleted URL', { 
-        shortCode,
-        deletedUrl: result.originalUrl 
-      })
+      // Not found, or owned by another API key: don't reveal which
+      if (!result) {
+        return res.status(404).json(createErrorResponse(
+          'URL_NOT_FOUND',
+          'URL not found',
+          [`URL with short code '${shortCode}' does not exist`],
+          404
+        ))
+      }
+
+      logger.info(logPrefix, 'Successfully deleted URL', { shortCode })
 
       res.status(200).json(createSuccessResponse(
         result,
@@ -400,34 +1092,364 @@ export default function createApiRoutes(database, redis, logger) {
     }
   })
 
-  // Get all URLs endpoint
-  router.get('/urls', async (req, res, next) => {
+  // List URLs endpoint (cursor-paginated, filterable and sortable)
+  router.get('/urls', requireApiKey, async (req, res, next) => {
     try {
-      logger.info(logPrefix, 'All URLs request received')
+      logger.info(logPrefix, 'URL list request received', { query: req.query })
+
+      // Validate paging, sorting and filter parameters
+      const listQuery = validateListQuery(req.query)
+      if (!listQuery.isValid) {
+        const errorResponse = createValidationErrorResponse(listQuery, 'list query validation')
+        return res.status(400).json(createErrorResponse(
+          'INVALID_LIST_QUERY',
+          errorResponse.error,
+          errorResponse.details,
+          400
+        ))
+      }
       
-      // Get all URLs using UrlService
-      const [error, result] = await __(urlService.getAllUrls())
+      const [error, result] = await __(urlService.listUrls(listQuery, getOwnerScope(req)))
       
       if (error) {
-        logger.error(logPrefix, 'Failed to retrieve all URLs', { 
+        logger.error(logPrefix, 'Failed to retrieve URL list', { 
           error: error.message 
         })
+
+        const statusCode = _getStatusCodeForError(error)
         
-        return res.status(500).json(createErrorResponse(
-          'URL_LIST_RETRIEVAL_FAILED',
-          'Failed to retrieve URL list',
+        return res.status(statusCode).json(createErrorResponse(
+          statusCode === 400 ? 'INVALID_LIST_QUERY' : 'URL_LIST_RETRIEVAL_FAILED',
+          statusCode === 400 ? 'Invalid cursor' : 'Failed to retrieve URL list',
           [error.message],
-          500
+          statusCode
+        ))
+      }
+
+      logger.info(logPrefix, 'Successfully retrieved URL list', { 
+        count: result.urls.length,
+        hasMore: !!result.nextCursor
+      })
+
+      res.status(200).json(createSuccessResponse(
+        {
+          urls: result.urls,
+          pagination: {
+            limit: listQuery.limit,
+            nextCursor: result.nextCursor,
+            hasMore: !!result.nextCursor
+          }
+        },
+        `Retrieved ${result.urls.length} URLs`,
+        200
+      ))
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  // Export all of the caller's links, expired ones included, as a streamed download
+  router.get('/urls/export', requireApiKey, async (req, res, next) => {
+    const format = req.query.format || 'csv'
+
+    try {
+      if (!EXPORT_CONTENT_TYPES[format]) {
+        return res.status(400).json(createErrorResponse(
+          'INVALID_FORMAT',
+          'Invalid export format',
+          [`format must be one of: ${Object.keys(EXPORT_CONTENT_TYPES).join(', ')}`],
+          400
+        ))
+      }
+
+      logger.info(logPrefix, 'URL export request received', { format, ownerId: req.auth?.ownerId })
+
+      const count = await streamUrlExport(res, urlService.iterateUrls(getOwnerScope(req)), format, 'urls-export')
+
+      logger.info(logPrefix, 'URL export completed', { format, count })
+    } catch (error) {
+      logger.error(logPrefix, 'Failed to export URLs', {
+        format,
+        error: error.message
+      })
+
+      // Too late for an error response once the download has started
+      if (res.headersSent) {
+        return res.destroy(error)
+      }
+
+      const statusCode = _getStatusCodeForError(error)
+      res.status(statusCode).json(createErrorResponse(
+        'URL_EXPORT_FAILED',
+        'Failed to export URLs',
+        [error.message],
+        statusCode
+      ))
+    }
+  })
+
+  // Queue an asynchronous bulk import job (JSON { urls: [...] } or a CSV upload)
+  router.post('/jobs/shorten', requireApiKey, parseCsvBody, readJobUrls, limitJobs, async (req, res, next) => {
+    try {
+      logger.info(logPrefix, 'Bulk job request received', {
+        urlCount: req.jobUrls?.length,
+        contentType: req.get('content-type'),
+        ip: req.ip
+      })
+
+      // Only a malformed list is rejected; invalid URLs are reported per row in the job
+      const urlsValidation = validateBulkUrls(req.jobUrls, { maxCount: appConfig.jobs.maxUrls })
+      if (!urlsValidation.isValid && urlsValidation.failedUrls.length === 0) {
+        const errorResponse = createValidationErrorResponse(urlsValidation, 'bulk URLs validation')
+        return res.status(400).json(createErrorResponse(
+          'BULK_URL_VALIDATION_FAILED',
+          errorResponse.error,
+          errorResponse.details,
+          400
+        ))
+      }
+
+      const expirationOptions = getJobExpirationOptions(req)
+      const expirationError = validateExpirationOptions(expirationOptions)
+      if (expirationError) {
+        return res.status(400).json(expirationError)
+      }
+
+      const dedupe = getJobDedupeOption(req)
+      const dedupeError = validateDedupeOption(dedupe)
+      if (dedupeError) {
+        return res.status(400).json(dedupeError)
+      }
+
+      const [error, job] = await __(bulkJobService.createJob(
+        req.jobUrls,
+        { ...expirationOptions, dedupe: dedupe ?? undefined, ownerId: req.auth?.ownerId }
+      ))
+
+      if (error) {
+        logger.error(logPrefix, 'Failed to queue bulk job', {
+          error: error.message,
+          urlCount: req.jobUrls.length,
+          errorType: _categorizeError(error)
+        })
+
+        const statusCode = _getStatusCodeForError(error)
+
+        return res.status(statusCode).json(createErrorResponse(
+          'BULK_JOB_CREATION_FAILED',
+          'Failed to queue bulk job',
+          [error.message],
+          statusCode
+        ))
+      }
+
+      res.status(202).location(job.statusUrl).json(createSuccessResponse(
+        job,
+        `Queued ${job.totalCount} URLs for processing`,
+        202
+      ))
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  // Bulk job progress, with the first per-row failures
+  router.get('/jobs/:id', requireApiKey, async (req, res, next) => {
+    try {
+      const [error, job] = await __(bulkJobService.getJob(req.params.id, getOwnerScope(req)))
+
+      if (error) {
+        logger.error(logPrefix, 'Failed to retrieve bulk job', {
+          jobId: req.params.id,
+          error: error.message
+        })
+
+        const statusCode = _getStatusCodeForError(error)
+
+        return res.status(statusCode).json(createErrorResponse(
+          'BULK_JOB_RETRIEVAL_FAILED',
+          'Failed to retrieve bulk job',
+          [error.message],
+          statusCode
         ))
       }
 
-      logger.info(logPrefix, 'Successfully retrieved all URLs', { 
-        count: result.length 
+      if (!job) {
+        return res.status(404).json(createErrorResponse(
+          'BULK_JOB_NOT_FOUND',
+          'Bulk job not found',
+          [`No bulk job found with id: ${req.params.id}`],
+          404
+        ))
+      }
+
+      const [failuresError, failures] = await __(bulkJobService.getFailures(job.id))
+      if (failuresError) {
+        return next(failuresError)
+      }
+
+      res.status(200).json(createSuccessResponse(
+        {
+          ...job,
+          failures,
+          // The full list of failures is in the result download
+          failuresTruncated: job.failureCount > failures.length
+        },
+        `Bulk job is ${job.status}`,
+        200
+      ))
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  // Download a bulk job's per-row results as CSV (default) or JSON
+  router.get('/jobs/:id/result', requireApiKey, async (req, res, next) => {
+    const format = req.query.format || 'csv'
+
+    try {
+      if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json(createErrorResponse(
+          'INVALID_FORMAT',
+          'Invalid result format',
+          ['format must be csv or json'],
+          400
+        ))
+      }
+
+      const [error, job] = await __(bulkJobService.getJob(req.params.id, getOwnerScope(req)))
+
+      if (error) {
+        const statusCode = _getStatusCodeForError(error)
+        return res.status(statusCode).json(createErrorResponse(
+          'BULK_JOB_RETRIEVAL_FAILED',
+          'Failed to retrieve bulk job',
+          [error.message],
+          statusCode
+        ))
+      }
+
+      if (!job) {
+        return res.status(404).json(createErrorResponse(
+          'BULK_JOB_NOT_FOUND',
+          'Bulk job not found',
+          [`No bulk job found with id: ${req.params.id}`],
+          404
+        ))
+      }
+
+      const baseUrl = appConfig.server?.baseUrl || `http://localhost:${appConfig.server?.port || 3000}`
+
+      res.status(200)
+      res.type(format === 'csv' ? 'text/csv' : 'application/json')
+      res.attachment(`bulk-job-${job.id}.${format}`)
+      res.write(format === 'csv'
+        ? toCsvRow(['index', 'original_url', 'status', 'short_code', 'short_url', 'error_code', 'error'])
+        : '[')
+
+      // Stream the rows a page at a time so large jobs aren't held in memory
+      let afterPosition = -1
+      let first = true
+      let items
+      do {
+        items = await bulkJobService.listItems(job.id, { afterPosition })
+
+        for (const item of items) {
+          const shortUrl = item.shortCode ? `${baseUrl}/${item.shortCode}` : null
+
+          if (format === 'csv') {
+            res.write(toCsvRow([item.index, item.url, item.status, item.shortCode, shortUrl, item.code, item.error]))
+          } else {
+            res.write(`${first ? '' : ','}${JSON.stringify({ ...item, shortUrl })}`)
+            first = false
+          }
+        }
+
+        afterPosition = items.length > 0 ? items[items.length - 1].index : afterPosition
+      } while (items.length > 0)
+
+      res.end(format === 'csv' ? '' : ']')
+    } catch (error) {
+      logger.error(logPrefix, 'Failed to stream bulk job result', {
+        jobId: req.params.id,
+        error: error.message
       })
 
+      // Too late for an error response once the download has started
+      if (res.headersSent) {
+        return res.destroy(error)
+      }
+      next(error)
+    }
+  })
+
+  // Admin: disable, take down or re-activate any link. The record is kept for audit.
+  router.put('/admin/urls/:shortCode/status', requireApiKey, requireAdmin, async (req, res, next) => {
+    try {
+      const { shortCode } = req.params
+      const { status, reason } = req.body || {}
+
+      logger.info(logPrefix, 'URL status change request received', {
+        shortCode,
+        status,
+        keyId: req.auth.keyId
+      })
+
+      const shortCodeValidation = validateShortCodeOrAlias(shortCode)
+      if (!shortCodeValidation.isValid) {
+        const errorResponse = createValidationErrorResponse(shortCodeValidation, 'short code validation')
+        return res.status(400).json(createErrorResponse(
+          'INVALID_SHORT_CODE',
+          errorResponse.error,
+          errorResponse.details,
+          400
+        ))
+      }
+
+      const statusValidation = validateStatusChange({ status, reason })
+      if (!statusValidation.isValid) {
+        const errorResponse = createValidationErrorResponse(statusValidation, 'status change validation')
+        return res.status(400).json(createErrorResponse(
+          'INVALID_STATUS_CHANGE',
+          errorResponse.error,
+          errorResponse.details,
+          400
+        ))
+      }
+
+      const [error, result] = await __(urlService.setUrlStatus(shortCode, { status, reason }, req.auth.ownerId))
+
+      if (error) {
+        logger.error(logPrefix, 'Failed to change URL status', {
+          error: error.message,
+          shortCode,
+          errorType: _categorizeError(error)
+        })
+
+        const statusCode = _getStatusCodeForError(error)
+
+        return res.status(statusCode).json(createErrorResponse(
+          'URL_STATUS_UPDATE_FAILED',
+          'Failed to change URL status',
+          [error.message],
+          statusCode
+        ))
+      }
+
+      if (!result) {
+        return res.status(404).json(createErrorResponse(
+          'URL_NOT_FOUND',
+          'URL not found',
+          [`URL with short code '${shortCode}' does not exist`],
+          404
+        ))
+      }
+
+      logger.info(logPrefix, 'Successfully changed URL status', { shortCode, status })
+
       res.status(200).json(createSuccessResponse(
         result,
-        `Retrieved ${result.length} URLs`,
+        'URL status updated successfully',
         200
       ))
     } catch (error) {
@@ -465,7 +1487,8 @@ export default function createApiRoutes(database, redis, logger) {
     }
     
     if (message.includes('collision') || 
-        message.includes('unique constraint')) {
+        message.includes('unique constraint') ||
+        message.includes('already in use')) {
       return 'constraint_violation'
     }
     
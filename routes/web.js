@@ -1,6 +1,14 @@
 import express from 'express'
 import __ from '../libs/attempt.mjs'
 import UrlService from '../services/UrlService.js'
+import AnalyticsService from '../services/AnalyticsService.js'
+import QrCodeService from '../services/QrCodeService.js'
+import createRateLimitMiddleware from '../middleware/rateLimit.js'
+import { validateShortCodeOrAlias, validateListQuery, validateQrOptions } from '../utils/validators.js'
+import { EXPORT_CONTENT_TYPES, streamUrlExport } from '../utils/urlExport.js'
+import { appConfig } from '../config/app.js'
+import { createUnlockToken, verifyUnlockToken, getUnlockCookieName, readCookie } from '../utils/linkPassword.js'
+import { buildForwardedUrl } from '../utils/redirectForwarding.js'
 
 /**
  * Factory function that creates web routes with dependencies
@@ -16,6 +24,97 @@ export default function createWebRoutes(database, redis, logger) {
   
   // Initialize URL service with dependencies
   const urlService = new UrlService(database, redis, logger)
+  const analyticsService = new AnalyticsService(database, redis, logger)
+  const qrCodeService = new QrCodeService(redis, logger)
+
+  // The web UI is unauthenticated, so it only lists and deletes anonymous links,
+  // never those created with an API key
+  const WEB_SCOPE = { ownerId: null }
+
+  // The web UI shares the API's create budget so it can't be used to get around it
+  const limitAjaxCreates = createRateLimitMiddleware(redis, logger, {
+    name: 'create',
+    onLimited: (req, res, retryAfterSeconds) => res.status(429).json({
+      success: false,
+      error: `Too many requests, please try again in ${retryAfterSeconds} seconds`,
+      data: null
+    })
+  })
+  const limitFormCreates = createRateLimitMiddleware(redis, logger, {
+    name: 'create',
+    onLimited: (req, res, retryAfterSeconds) => res.redirect('/?error=' +
+      encodeURIComponent(`Too many requests, please try again in ${retryAfterSeconds} seconds`))
+  })
+  const limitRedirects = createRateLimitMiddleware(redis, logger, {
+    name: 'redirect',
+    onLimited: (req, res, retryAfterSeconds) => res.status(429).render('errors/429', {
+      shortCode: req.params.shortCode,
+      retryAfterSeconds
+    })
+  })
+  // Only wrong passwords count, per client and short code, so one client guessing
+  // can't lock everyone else out. The much higher per-code budget still caps
+  // guesses spread over many addresses.
+  const renderUnlockLimited = (req, res, retryAfterSeconds) => res.status(429).render('errors/429', {
+    shortCode: req.params.shortCode,
+    retryAfterSeconds
+  })
+  const isWrongPassword = (req, res) => res.statusCode === 401
+  const limitUnlocks = [
+    createRateLimitMiddleware(redis, logger, {
+      name: 'unlock',
+      key: (req) => `code:${req.params.shortCode}:ip:${req.ip}`,
+      countIf: isWrongPassword,
+      onLimited: renderUnlockLimited
+    }),
+    createRateLimitMiddleware(redis, logger, {
+      name: 'unlockPerCode',
+      key: (req) => `code:${req.params.shortCode}`,
+      countIf: isWrongPassword,
+      onLimited: renderUnlockLimited
+    })
+  ]
+
+  /**
+   * Extract the optional custom alias from a form or JSON body
+   * @param {Object} body - Request body
+   * @returns {string|undefined} Trimmed alias, or undefined when not provided
+   */
+  const parseOptionalAlias = (body) => {
+    if (typeof body?.alias !== 'string' || body.alias.trim() === '') {
+      return undefined
+    }
+    return body.alias.trim()
+  }
+
+  /**
+   * Split a redirect request into the raw query string and the raw path after the short code
+   * @param {Object} req - Express request
+   * @returns {Object} `{ query, pathSuffix }` as sent by the visitor (see buildForwardedUrl)
+   */
+  const getForwardedParts = (req) => {
+    const queryIndex = req.originalUrl.indexOf('?')
+    const requestPath = queryIndex === -1 ? req.originalUrl : req.originalUrl.slice(0, queryIndex)
+    const suffixIndex = requestPath.indexOf('/', 1)
+
+    return {
+      query: queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex + 1),
+      pathSuffix: suffixIndex === -1 ? '' : requestPath.slice(suffixIndex)
+    }
+  }
+
+  /**
+   * Check that a path submitted with the unlock form leads back to the same short URL,
+   * so the form can't be used to redirect elsewhere
+   * @param {string} shortCode - Short code being unlocked
+   * @param {string} returnPath - Path of the original redirect request
+   * @returns {boolean} True if the path is the short URL, optionally with a suffix or query
+   */
+  const isReturnPathFor = (shortCode, returnPath) => {
+    const basePath = `/${encodeURIComponent(shortCode)}`
+    return typeof returnPath === 'string' &&
+      (returnPath === basePath || returnPath.startsWith(`${basePath}/`) || returnPath.startsWith(`${basePath}?`))
+  }
 
   /**
    * Database health check endpoint
@@ -53,23 +152,25 @@ export default function createWebRoutes(database, redis, logger) {
     try {
       logger.info(logPrefix, 'Home page request received')
       
-      // Get initial URL data for the page
-      const [urlsError, urls] = await __(urlService.getAllUrls())
+      // Get the first page of URLs; the rest load on scroll via /api/web/urls
+      const [urlsError, result] = await __(urlService.listUrls(validateListQuery({}), WEB_SCOPE))
       
       if (urlsError) {
         logger.error(logPrefix, 'Failed to fetch URLs for home page', urlsError)
         // Render page with empty URLs array and error message
         return res.render('index', {
           urls: [],
+          nextCursor: null,
           error: 'Failed to load URLs. Please refresh the page.',
           success: null
         })
       }
       
-      logger.debug(logPrefix, 'Successfully fetched URLs for home page', { count: urls.length })
+      logger.debug(logPrefix, 'Successfully fetched URLs for home page', { count: result.urls.length })
       
       res.render('index', {
-        urls: urls || [],
+        urls: result.urls,
+        nextCursor: result.nextCursor,
         error: null,
         success: null
       })
@@ -83,10 +184,11 @@ export default function createWebRoutes(database, redis, logger) {
    * AJAX endpoint for URL creation
    * Task 1.2: Create AJAX endpoint for URL creation (POST /api/web/create) with JSON response
    */
-  router.post('/api/web/create', async (req, res, next) => {
+  router.post('/api/web/create', limitAjaxCreates, async (req, res, next) => {
     try {
       const { url } = req.body
-      logger.info(logPrefix, 'AJAX URL creation request received', { url })
+      const alias = parseOptionalAlias(req.body)
+      logger.info(logPrefix, 'AJAX URL creation request received', { url, alias })
       
       // Validate input
       if (!url || typeof url !== 'string' || url.trim() === '') {
@@ -99,11 +201,18 @@ export default function createWebRoutes(database, redis, logger) {
       }
       
       // Create short URL using URL service
-      const [createError, shortUrl] = await __(urlService.createShortUrl(url.trim()))
+      const [createError, shortUrl] = await __(urlService.createShortUrl(url.trim(), {
+        alias,
+        expiresAt: req.body.expiresAt,
+        expiresIn: req.body.expiresIn,
+        neverExpires: req.body.neverExpires,
+        utm: req.body.utm
+      }))
       
       if (createError) {
         logger.error(logPrefix, 'Failed to create short URL via AJAX', createError)
-        return res.status(400).json({
+        const statusCode = createError.message?.includes('already in use') ? 409 : 400
+        return res.status(statusCode).json({
           success: false,
           error: createError.message || 'Failed to create short URL',
           data: null
@@ -125,7 +234,9 @@ export default function createWebRoutes(database, redis, logger) {
           shortUrl: shortUrl.shortUrl,
           createdAt: shortUrl.createdAt,
           expiresAt: shortUrl.expiresAt,
-          clickCount: shortUrl.clickCount
+          clickCount: shortUrl.clickCount,
+          isCustomAlias: shortUrl.isCustomAlias,
+          utm: shortUrl.utm
         }
       })
     } catch (error) {
@@ -153,29 +264,25 @@ export default function createWebRoutes(database, redis, logger) {
         })
       }
       
-      // Delete URL using URL service
-      const [deleteError, deletedUrl] = await __(urlService.deleteUrl(shortCode.trim()))
+      // Delete URL using URL service (the web UI only manages anonymous links)
+      const [deleteError, deleted] = await __(urlService.deleteUrl(shortCode.trim(), WEB_SCOPE))
       
-      if (deleteError) {
-        logger.error(logPrefix, 'Failed to delete URL via AJAX', deleteError)
+      if (deleteError || !deleted) {
+        logger.error(logPrefix, 'Failed to delete URL via AJAX', deleteError || { shortCode })
         return res.status(404).json({
           success: false,
-          error: deleteError.message || 'Failed to delete URL',
+          error: deleteError?.message || 'URL not found',
           data: null
         })
       }
       
-      logger.info(logPrefix, 'Successfully deleted URL via AJAX', {
-        shortCode: deletedUrl.shortCode,
-        originalUrl: deletedUrl.originalUrl
-      })
+      logger.info(logPrefix, 'Successfully deleted URL via AJAX', { shortCode })
       
       res.json({
         success: true,
         error: null,
         data: {
-          shortCode: deletedUrl.shortCode,
-          originalUrl: deletedUrl.originalUrl
+          shortCode: shortCode.trim()
         }
       })
     } catch (error) {
@@ -190,58 +297,46 @@ export default function createWebRoutes(database, redis, logger) {
    */
   router.get('/api/web/urls', async (req, res, next) => {
     try {
-      const page = parseInt(req.query.page) || 1
-      const limit = parseInt(req.query.limit) || 20
-      const offset = (page - 1) * limit
-      
-      logger.info(logPrefix, 'AJAX URL listing request received', { page, limit, offset })
+      logger.info(logPrefix, 'AJAX URL listing request received', { query: req.query })
       
-      // Validate pagination parameters
-      if (page < 1 || limit < 1 || limit > 100) {
-        logger.warn(logPrefix, 'Invalid pagination parameters', { page, limit })
+      // Validate pagination, sorting and filter parameters
+      const listQuery = validateListQuery(req.query)
+      if (!listQuery.isValid) {
+        logger.warn(logPrefix, 'Invalid listing parameters', { error: listQuery.error })
         return res.status(400).json({
           success: false,
-          error: 'Invalid pagination parameters. Page must be >= 1, limit must be 1-100',
+          error: `${listQuery.error}: ${listQuery.details.join(', ')}`,
           data: null
         })
       }
       
-      // Get all URLs first (we'll implement pagination logic here)
-      const [urlsError, allUrls] = await __(urlService.getAllUrls())
+      const [urlsError, result] = await __(urlService.listUrls(listQuery, WEB_SCOPE))
       
       if (urlsError) {
         logger.error(logPrefix, 'Failed to fetch URLs for AJAX listing', urlsError)
-        return res.status(500).json({
+        const isInvalidCursor = urlsError.message?.startsWith('Invalid cursor')
+        return res.status(isInvalidCursor ? 400 : 500).json({
           success: false,
-          error: 'Failed to fetch URLs',
+          error: isInvalidCursor ? 'Invalid cursor' : 'Failed to fetch URLs',
           data: null
         })
       }
       
-      // Apply pagination
-      const totalUrls = allUrls.length
-      const paginatedUrls = allUrls.slice(offset, offset + limit)
-      const hasMore = offset + limit < totalUrls
-      
-      logger.debug(logPrefix, 'Successfully fetched paginated URLs', {
-        page,
-        limit,
-        totalUrls,
-        returnedUrls: paginatedUrls.length,
-        hasMore
+      logger.debug(logPrefix, 'Successfully fetched URL page', {
+        limit: listQuery.limit,
+        returnedUrls: result.urls.length,
+        hasMore: !!result.nextCursor
       })
       
       res.json({
         success: true,
         error: null,
         data: {
-          urls: paginatedUrls,
+          urls: result.urls,
           pagination: {
-            page,
-            limit,
-            total: totalUrls,
-            hasMore,
-            totalPages: Math.ceil(totalUrls / limit)
+            limit: listQuery.limit,
+            nextCursor: result.nextCursor,
+            hasMore: !!result.nextCursor
           }
         }
       })
@@ -251,17 +346,181 @@ export default function createWebRoutes(database, redis, logger) {
     }
   })
 
+  /**
+   * Download of all web UI links (the home page "Export" button)
+   */
+  router.get('/api/web/urls/export', async (req, res, next) => {
+    const format = req.query.format || 'csv'
+
+    try {
+      if (!EXPORT_CONTENT_TYPES[format]) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid export format: format must be one of ${Object.keys(EXPORT_CONTENT_TYPES).join(', ')}`,
+          data: null
+        })
+      }
+
+      const count = await streamUrlExport(res, urlService.iterateUrls(WEB_SCOPE), format, 'urls-export')
+
+      logger.info(logPrefix, 'Web URL export completed', { format, count })
+    } catch (error) {
+      logger.error(logPrefix, 'Error in web URL export', error)
+
+      if (res.headersSent) {
+        return res.destroy(error)
+      }
+
+      res.status(error.message?.includes('Database service unavailable') ? 503 : 500).json({
+        success: false,
+        error: 'Failed to export URLs',
+        data: null
+      })
+    }
+  })
+
+  /**
+   * QR code for one of the web UI's links, shown in the QR modal
+   */
+  router.get('/api/web/urls/:shortCode/qr', async (req, res, next) => {
+    try {
+      const { shortCode } = req.params
+
+      if (!validateShortCodeOrAlias(shortCode).isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid short code',
+          data: null
+        })
+      }
+
+      const qrOptions = validateQrOptions(req.query)
+      if (!qrOptions.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: `${qrOptions.error}: ${qrOptions.details.join(', ')}`,
+          data: null
+        })
+      }
+
+      const [error, url] = await __(urlService.getUrlByShortCode(shortCode, WEB_SCOPE))
+
+      if (error) {
+        logger.error(logPrefix, 'Error retrieving URL for web QR code', error)
+        return res.status(error.message?.includes('Database service unavailable') ? 503 : 500).json({
+          success: false,
+          error: 'Failed to generate QR code',
+          data: null
+        })
+      }
+
+      if (!url) {
+        return res.status(404).json({
+          success: false,
+          error: 'URL not found',
+          data: null
+        })
+      }
+
+      const qr = await qrCodeService.renderShortUrl(url.shortUrl, qrOptions)
+
+      res.set('Cache-Control', 'private, max-age=3600')
+      res.type(qr.contentType).send(qr.content)
+    } catch (error) {
+      next(error)
+    }
+  })
+
+  /**
+   * Link preview (GET /:shortCode+): shows where a short URL leads without following it
+   * or counting a click. Registered before the redirect route, whose :shortCode would
+   * otherwise swallow the trailing `+`.
+   */
+  router.get(/^\/([^/]+)\+$/, limitRedirects, async (req, res, next) => {
+    try {
+      const shortCode = req.params[0]
+      logger.info(logPrefix, 'Link preview request received', { shortCode })
+
+      if (!validateShortCodeOrAlias(shortCode).isValid) {
+        return res.status(404).render('errors/404', {
+          shortCode,
+          message: 'Invalid short code provided'
+        })
+      }
+
+      const [getUrlError, url] = await __(urlService.getUrlByShortCode(shortCode))
+
+      if (getUrlError) {
+        logger.error(logPrefix, 'Failed to load URL for preview', { shortCode, error: getUrlError.message })
+        return res.status(500).render('errors/500', {
+          shortCode,
+          message: 'Internal server error while loading the preview'
+        })
+      }
+
+      if (!url) {
+        return res.status(404).render('errors/404', {
+          shortCode,
+          message: 'Short URL not found'
+        })
+      }
+
+      // Disabled links keep their destination hidden, as on the redirect route
+      if (url.status !== 'active') {
+        const statusCode = url.status === 'taken_down' ? 451 : 410
+        return res.status(statusCode).render('errors/disabled', {
+          shortCode,
+          status: url.status,
+          statusCode
+        })
+      }
+
+      // The stored count lags by the clicks still buffered in Redis
+      const bufferedClicks = await urlService.getBufferedClickCount(url.shortCode)
+
+      // A protected link's destination is only revealed after unlocking
+      res.render('preview', {
+        url: {
+          ...url,
+          originalUrl: url.passwordProtected ? null : url.originalUrl,
+          clickCount: url.clickCount + bufferedClicks
+        },
+        destinationHost: url.passwordProtected ? null : new URL(url.originalUrl).hostname
+      }, (renderError, body) => {
+        if (renderError) {
+          return next(renderError)
+        }
+
+        res.set('Cache-Control', 'no-store')
+        res.render('layouts/main', {
+          title: `Preview /${url.shortCode} - URL Shortener`,
+          body
+        })
+      })
+    } catch (error) {
+      next(error)
+    }
+  })
+
   /**
    * Short URL redirect route with asynchronous click tracking
    * Task 1.5: Implement short URL redirect route (GET /:shortCode) with asynchronous click tracking
+   * 
+   * The incoming query string is forwarded according to the link's forwardQuery mode.
+   * Paths below the short code (GET /:shortCode/extra/path) are only served for links
+   * with forwardPath; for anything else they fall through to the regular 404 handler.
    */
-  router.get('/:shortCode', async (req, res, next) => {
+  router.get(['/:shortCode', '/:shortCode/*'], limitRedirects, async (req, res, next) => {
     try {
       const { shortCode } = req.params
-      logger.info(logPrefix, 'Short URL redirect request received', { shortCode })
+      const hasPathSuffix = req.params[0] !== undefined
+      logger.info(logPrefix, 'Short URL redirect request received', { shortCode, hasPathSuffix })
       
-      // Validate short code
-      if (!shortCode || typeof shortCode !== 'string' || shortCode.trim() === '') {
+      // Validate short code (generated codes and custom aliases have different shapes)
+      if (!shortCode || typeof shortCode !== 'string' || !validateShortCodeOrAlias(shortCode.trim()).isValid) {
+        if (hasPathSuffix) {
+          return next()
+        }
         logger.warn(logPrefix, 'Invalid short code for redirect', { shortCode })
         return res.status(404).render('errors/404', {
           shortCode,
@@ -269,44 +528,145 @@ export default function createWebRoutes(database, redis, logger) {
         })
       }
       
-      // Get URL by short code
-      const [getUrlError, urlData] = await __(urlService.getUrlByShortCode(shortCode.trim()))
+      // Resolve the redirect target (served from cache when possible)
+      const [getUrlError, urlData] = await __(urlService.getRedirectTarget(shortCode.trim()))
       
-      if (getUrlError) {
-        logger.warn(logPrefix, 'Short code not found for redirect', { shortCode, error: getUrlError.message })
+      if (hasPathSuffix && (getUrlError || !urlData?.forwardPath)) {
+        return next()
+      }
+      
+      if (getUrlError || !urlData) {
+        logger.warn(logPrefix, 'Short code not found for redirect', { shortCode, error: getUrlError?.message })
         return res.status(404).render('errors/404', {
           shortCode,
           message: 'Short URL not found'
         })
       }
       
+      // Disabled links never redirect, expired or not
+      if (urlData.status && urlData.status !== 'active') {
+        const statusCode = urlData.status === 'taken_down' ? 451 : 410
+        logger.warn(logPrefix, 'Disabled URL accessed', { shortCode, status: urlData.status })
+        return res.status(statusCode).render('errors/disabled', {
+          shortCode,
+          status: urlData.status,
+          statusCode
+        })
+      }
+      
+      // Scheduled links show a coming soon page until they activate. Cached entries
+      // carry activatesAt, so this flips on time without touching the cache.
+      if (urlData.activatesAt && new Date() < new Date(urlData.activatesAt)) {
+        logger.info(logPrefix, 'Scheduled URL accessed before activation', { shortCode, activatesAt: urlData.activatesAt })
+        res.set('Cache-Control', 'no-store')
+        return res.status(403).render('errors/scheduled', {
+          shortCode,
+          activatesAt: urlData.activatesAt
+        })
+      }
+      
       // Check if URL is expired
       if (urlData.expiresAt && new Date() > new Date(urlData.expiresAt)) {
         logger.warn(logPrefix, 'Expired URL accessed', { shortCode, expiresAt: urlData.expiresAt })
         return res.status(410).render('errors/expired', {
           shortCode,
-          originalUrl: urlData.originalUrl,
+          // The destination of a password-protected link stays hidden after expiry
+          originalUrl: urlData.passwordProtected ? null : urlData.originalUrl,
           expiresAt: urlData.expiresAt
         })
       }
       
+      // Password-protected links redirect only with a valid unlock cookie
+      if (urlData.passwordProtected &&
+        !verifyUnlockToken(urlData.shortCode, readCookie(req, getUnlockCookieName(urlData.shortCode)))) {
+        logger.info(logPrefix, 'Password required for URL', { shortCode })
+        res.set('Cache-Control', 'no-store')
+        return res.status(401).render('unlock', {
+          shortCode: urlData.shortCode,
+          // Brings the visitor back with their query string and path suffix once unlocked
+          returnPath: req.originalUrl,
+          error: null
+        })
+      }
+      
+      // Click-limited links count the click before redirecting, so the limit holds under concurrency
+      const isClickLimited = urlData.maxClicks !== null && urlData.maxClicks !== undefined
+      if (isClickLimited) {
+        const [claimError, claimed] = await __(urlService.claimLimitedClick(urlData.shortCode, urlData.maxClicks))
+        
+        if (claimError) {
+          logger.error(logPrefix, 'Failed to claim a limited click', { shortCode, error: claimError.message })
+          return res.status(500).render('errors/500', {
+            shortCode,
+            message: 'Internal server error during redirect'
+          })
+        }
+        
+        if (!claimed) {
+          logger.warn(logPrefix, 'Click limit reached for URL', { shortCode, maxClicks: urlData.maxClicks })
+          return res.status(410).render('errors/expired', {
+            shortCode,
+            limitReached: true
+          })
+        }
+      }
+      
       // Asynchronous click tracking - don't wait for completion
+      const clickRequest = {
+        referrer: req.get('referer'),
+        userAgent: req.get('user-agent'),
+        ip: req.ip
+      }
       setImmediate(async () => {
-        const [trackError] = await __(urlService.incrementClickCount(shortCode.trim()))
-        if (trackError) {
-          logger.warn(logPrefix, 'Failed to track click asynchronously', { shortCode, error: trackError.message })
-        } else {
-          logger.debug(logPrefix, 'Click tracked asynchronously', { shortCode })
+        if (!isClickLimited) {
+          const [trackError] = await __(urlService.trackClick(shortCode.trim()))
+          if (trackError) {
+            logger.warn(logPrefix, 'Failed to track click asynchronously', { shortCode, error: trackError.message })
+          } else {
+            logger.debug(logPrefix, 'Click tracked asynchronously', { shortCode })
+          }
+        }
+
+        const [recordError] = await __(analyticsService.recordClick(urlData.id, clickRequest))
+        if (recordError) {
+          logger.warn(logPrefix, 'Failed to record click event asynchronously', { shortCode, error: recordError.message })
         }
       })
       
+      const destination = buildForwardedUrl(urlData.originalUrl, getForwardedParts(req), urlData)
+      
+      const redirectType = urlData.redirectType || '302'
+      
       logger.info(logPrefix, 'Redirecting to original URL', {
         shortCode,
-        originalUrl: urlData.originalUrl
+        originalUrl: urlData.originalUrl,
+        forwarded: destination !== urlData.originalUrl,
+        redirectType
       })
       
+      // Interstitial links show the destination host and forward after a countdown
+      if (redirectType === 'interstitial') {
+        res.set('Cache-Control', 'no-store')
+        return res.render('interstitial', {
+          shortCode: urlData.shortCode,
+          destination,
+          // Forwarding never changes the host, and the stored URL has passed validation
+          destinationHost: new URL(urlData.originalUrl).hostname,
+          delaySeconds: appConfig.url?.interstitialDelaySeconds || 5
+        })
+      }
+      
+      const statusCode = Number(redirectType)
+      
+      // Browsers cache permanent redirects, which would skip click limits, password checks
+      // and later edits, so bound how long they may reuse one
+      if (statusCode === 301 || statusCode === 308) {
+        const maxAge = appConfig.url?.permanentRedirectMaxAgeSeconds || 300
+        res.set('Cache-Control', isClickLimited || urlData.passwordProtected ? 'no-store' : `private, max-age=${maxAge}`)
+      }
+      
       // Redirect to original URL
-      res.redirect(302, urlData.originalUrl)
+      res.redirect(statusCode, destination)
     } catch (error) {
       logger.error(logPrefix, 'Error in short URL redirect', error)
       res.status(500).render('errors/500', {
@@ -316,6 +676,71 @@ export default function createWebRoutes(database, redis, logger) {
     }
   })
 
+  /**
+   * Unlock a password-protected short URL: on success, set a short-lived signed
+   * cookie and send the visitor back to the redirect route
+   */
+  router.post('/:shortCode/unlock', limitUnlocks, async (req, res, next) => {
+    try {
+      const shortCode = req.params.shortCode?.trim()
+      logger.info(logPrefix, 'URL unlock request received', { shortCode })
+
+      if (!shortCode || !validateShortCodeOrAlias(shortCode).isValid) {
+        logger.warn(logPrefix, 'Invalid short code for unlock', { shortCode })
+        return res.status(404).render('errors/404', {
+          shortCode,
+          message: 'Invalid short code provided'
+        })
+      }
+
+      const [verifyError, verified] = await __(urlService.verifyUrlPassword(shortCode, req.body?.password))
+
+      if (verifyError) {
+        logger.error(logPrefix, 'Failed to verify URL password', { shortCode, error: verifyError.message })
+        return res.status(500).render('errors/500', {
+          shortCode,
+          message: 'Internal server error while checking the password'
+        })
+      }
+
+      if (verified === null) {
+        return res.status(404).render('errors/404', {
+          shortCode,
+          message: 'Short URL not found'
+        })
+      }
+
+      res.set('Cache-Control', 'no-store')
+
+      const returnPath = isReturnPathFor(shortCode, req.body?.returnPath)
+        ? req.body.returnPath
+        : `/${encodeURIComponent(shortCode)}`
+
+      if (!verified) {
+        logger.warn(logPrefix, 'Incorrect password for URL', { shortCode })
+        return res.status(401).render('unlock', {
+          shortCode,
+          returnPath,
+          error: 'Incorrect password, please try again'
+        })
+      }
+
+      const ttlSeconds = appConfig.url?.unlockTtlSeconds || 900
+      res.cookie(getUnlockCookieName(shortCode), createUnlockToken(shortCode, ttlSeconds), {
+        path: `/${shortCode}`,
+        maxAge: ttlSeconds * 1000,
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure
+      })
+
+      logger.info(logPrefix, 'URL unlocked', { shortCode })
+      res.redirect(303, returnPath)
+    } catch (error) {
+      next(error)
+    }
+  })
+
   /**
    * Legacy web form endpoints for backward compatibility
    * These maintain the existing POST routes but redirect to home page
@@ -324,16 +749,18 @@ export default function createWebRoutes(database, redis, logger) {
   /**
    * Create URL via web form (legacy support)
    */
-  router.post('/create', async (req, res, next) => {
+  router.post('/create', limitFormCreates, async (req, res, next) => {
     try {
       const { url } = req.body
-      logger.info(logPrefix, 'Legacy web form URL creation request received', { url })
+      const alias = parseOptionalAlias(req.body)
+      logger.info(logPrefix, 'Legacy web form URL creation request received', { url, alias })
       
       if (!url || typeof url !== 'string' || url.trim() === '') {
         return res.redirect('/?error=' + encodeURIComponent('URL is required'))
       }
       
-      const [createError, shortUrl] = await __(urlService.createShortUrl(url.trim()))
+      // Form fields named utm[source] etc. arrive as an object (extended urlencoded parsing)
+      const [createError, shortUrl] = await __(urlService.createShortUrl(url.trim(), { alias, utm: req.body.utm }))
       
       if (createError) {
         logger.error(logPrefix, 'Failed to create short URL via web form', createError)
@@ -363,11 +790,11 @@ export default function createWebRoutes(database, redis, logger) {
         return res.redirect('/?error=' + encodeURIComponent('Short code is required'))
       }
       
-      const [deleteError] = await __(urlService.deleteUrl(shortCode.trim()))
+      const [deleteError, deleted] = await __(urlService.deleteUrl(shortCode.trim(), WEB_SCOPE))
       
-      if (deleteError) {
-        logger.error(logPrefix, 'Failed to delete URL via web form', deleteError)
-        return res.redirect('/?error=' + encodeURIComponent(deleteError.message || 'Failed to delete URL'))
+      if (deleteError || !deleted) {
+        logger.error(logPrefix, 'Failed to delete URL via web form', deleteError || { shortCode })
+        return res.redirect('/?error=' + encodeURIComponent(deleteError?.message || 'URL not found'))
       }
       
       logger.info(logPrefix, 'Successfully deleted URL via web form', { shortCode })
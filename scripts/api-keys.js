@@ -0,0 +1,98 @@
+import __ from '../libs/attempt.mjs'
+import { createCoreServices, shutdownCoreServices } from '../libs/bootstrap.js'
+import ApiKeyService from '../services/ApiKeyService.js'
+
+const logPrefix = 'ApiKeyManager'
+
+const usage = `Usage:
+  node scripts/api-keys.js create <ownerId> [name]   Issue a new key (printed once)
+  node scripts/api-keys.js list [ownerId]            List keys, optionally for one owner
+  node scripts/api-keys.js revoke <keyId>            Revoke a key
+`
+
+// Written to stdout directly: the logger takes over console.log in development
+function print(line = '') {
+  process.stdout.write(`${line}\n`)
+}
+
+function formatKeyRow(key) {
+  const status = key.revokedAt ? `revoked ${key.revokedAt.toISOString()}` : 'active'
+  const lastUsed = key.lastUsedAt ? key.lastUsedAt.toISOString() : 'never'
+  return `${key.id}  ${key.keyPrefix}…  owner=${key.ownerId}  name=${key.name}  last used=${lastUsed}  ${status}`
+}
+
+async function createKey(apiKeyService, [ownerId, name]) {
+  if (!ownerId) {
+    throw new Error('ownerId is required')
+  }
+
+  const { apiKey, key } = await apiKeyService.createKey(ownerId, name)
+
+  print(formatKeyRow(key))
+  print()
+  print(`API key: ${apiKey}`)
+  print('Store it now: it cannot be shown again.')
+}
+
+async function listKeys(apiKeyService, [ownerId]) {
+  const keys = await apiKeyService.listKeys(ownerId)
+
+  if (keys.length === 0) {
+    print('No API keys found')
+    return
+  }
+
+  keys.forEach(key => print(formatKeyRow(key)))
+}
+
+async function revokeKey(apiKeyService, [keyId]) {
+  if (!keyId) {
+    throw new Error('keyId is required')
+  }
+
+  const key = await apiKeyService.revokeKey(keyId)
+
+  if (!key) {
+    throw new Error(`API key ${keyId} not found`)
+  }
+
+  print(formatKeyRow(key))
+}
+
+const commands = {
+  create: createKey,
+  list: listKeys,
+  revoke: revokeKey
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2)
+  const handler = commands[command]
+
+  if (!handler) {
+    process.stderr.write(usage)
+    process.exit(1)
+  }
+
+  let services
+
+  try {
+    services = await createCoreServices()
+    const { logger, database } = services
+
+    logger.info(logPrefix, `Running ${command} command`)
+
+    await handler(new ApiKeyService(database, logger), args)
+  } finally {
+    if (services) {
+      await shutdownCoreServices(services)
+    }
+  }
+}
+
+// Run the key manager
+const [managerError] = await __(main())
+if (managerError) {
+  process.stderr.write(`API key command failed: ${managerError.message}\n`)
+  process.exit(1)
+}
\ No newline at end of file
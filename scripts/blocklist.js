@@ -0,0 +1,93 @@
+import __ from '../libs/attempt.mjs'
+import { createCoreServices, shutdownCoreServices } from '../libs/bootstrap.js'
+import UrlSafetyService from '../services/UrlSafetyService.js'
+
+const logPrefix = 'BlocklistManager'
+
+const usage = `Usage:
+  node scripts/blocklist.js add <pattern> [reason]   Block a domain (example.com, or *.example.com for subdomains too)
+  node scripts/blocklist.js list                     List blocked domains
+  node scripts/blocklist.js remove <pattern>         Unblock a domain
+`
+
+// Written to stdout directly: the logger takes over console.log in development
+function print(line = '') {
+  process.stdout.write(`${line}\n`)
+}
+
+function formatEntryRow(entry) {
+  return `${entry.pattern}  added=${entry.createdAt.toISOString()}  reason=${entry.reason || '-'}`
+}
+
+async function addDomain(safetyService, [pattern, ...reason]) {
+  if (!pattern) {
+    throw new Error('pattern is required')
+  }
+
+  const entry = await safetyService.addBlockedDomain(pattern, reason.join(' ') || null)
+
+  print(formatEntryRow(entry))
+}
+
+async function listDomains(safetyService) {
+  const entries = await safetyService.listBlockedDomains()
+
+  if (entries.length === 0) {
+    print('No blocked domains found')
+    return
+  }
+
+  entries.forEach(entry => print(formatEntryRow(entry)))
+}
+
+async function removeDomain(safetyService, [pattern]) {
+  if (!pattern) {
+    throw new Error('pattern is required')
+  }
+
+  const removed = await safetyService.removeBlockedDomain(pattern)
+
+  if (!removed) {
+    throw new Error(`Blocked domain ${pattern} not found`)
+  }
+
+  print(`Removed ${pattern}`)
+}
+
+const commands = {
+  add: addDomain,
+  list: listDomains,
+  remove: removeDomain
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2)
+  const handler = commands[command]
+
+  if (!handler) {
+    process.stderr.write(usage)
+    process.exit(1)
+  }
+
+  let services
+
+  try {
+    services = await createCoreServices()
+    const { logger, database } = services
+
+    logger.info(logPrefix, `Running ${command} command`)
+
+    await handler(new UrlSafetyService(database, logger), args)
+  } finally {
+    if (services) {
+      await shutdownCoreServices(services)
+    }
+  }
+}
+
+// Run the blocklist manager
+const [managerError] = await __(main())
+if (managerError) {
+  process.stderr.write(`Blocklist command failed: ${managerError.message}\n`)
+  process.exit(1)
+}
\ No newline at end of file
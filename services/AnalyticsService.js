@@ -0,0 +1,293 @@
+import crypto from 'crypto'
+import moment from 'moment'
+import __ from '../libs/attempt.mjs'
+import { appConfig } from '../config/app.js'
+import { isDatabaseConnectionError } from '../libs/database.js'
+
+/**
+ * User agent families, checked in order. Order matters because most browsers
+ * include the tokens of the engines they descend from (Edge reports Chrome and
+ * Safari, Chrome reports Safari, and so on).
+ */
+const USER_AGENT_FAMILIES = [
+  { family: 'Bot', pattern: /bot|crawler|spider|slurp|curl|wget|python-requests|httpclient/i },
+  { family: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+  { family: 'Opera', pattern: /OPR\/|Opera/ },
+  { family: 'Samsung Internet', pattern: /SamsungBrowser\// },
+  { family: 'Chrome', pattern: /Chrome\/|CriOS\// },
+  { family: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+  { family: 'Safari', pattern: /Safari\// },
+  { family: 'Internet Explorer', pattern: /MSIE |Trident\// }
+]
+
+/**
+ * Moment units matching Postgres date_trunc() for each supported interval
+ */
+const INTERVAL_UNITS = {
+  hour: 'hour',
+  day: 'day',
+  week: 'isoWeek'
+}
+
+/**
+ * AnalyticsService - Per-click event storage and reporting
+ *
+ * Records one Click row per redirect and aggregates them into time-bucketed
+ * counts and top referrers. Events are buffered in Redis and inserted in batches
+ * by ClickCountFlusher, like the click counts. The denormalized Url.clickCount
+ * total is still maintained by UrlService.
+ */
+class AnalyticsService {
+  /**
+   * Create a new AnalyticsService instance
+   *
+   * @param {Object} database - DatabaseService instance for Prisma operations
+   * @param {Object} redis - RedisService instance buffering click events (optional)
+   * @param {Object} logger - Winston logger instance for operational logging
+   */
+  constructor(database, redis, logger) {
+    this.database = database
+    this.redis = redis
+    this.logger = logger
+    this.logPrefix = 'AnalyticsService'
+
+    // Validate required dependencies
+    if (!database) {
+      throw new Error('AnalyticsService requires a database service instance')
+    }
+    if (!logger) {
+      throw new Error('AnalyticsService requires a logger instance')
+    }
+  }
+
+  /**
+   * Record a click event for a URL
+   *
+   * The event is buffered in Redis, so a redirect doesn't write to the database;
+   * when Redis is unavailable it is inserted directly.
+   *
+   * @param {string} urlId - ID of the clicked URL
+   * @param {Object} request - Request details
+   * @param {string} request.referrer - Referer header value
+   * @param {string} request.userAgent - User-Agent header value
+   * @param {string} request.ip - Client IP address (only a salted hash is stored)
+   * @returns {Object|null} Where the click was recorded: { source: 'redis' } or
+   *   { source: 'database', click }, or null if analytics is disabled
+   */
+  async recordClick(urlId, request = {}) {
+    if (!urlId || typeof urlId !== 'string') {
+      throw new Error('URL id is required and must be a string')
+    }
+
+    if (!appConfig.analytics.enabled) {
+      return null
+    }
+
+    const data = {
+      urlId,
+      // Set here rather than by the database, so buffered events keep their click time
+      clickedAt: new Date(),
+      referrerHost: this.parseReferrerHost(request.referrer),
+      userAgentFamily: this.parseUserAgentFamily(request.userAgent),
+      // Placeholder until a geo-IP lookup is wired in
+      country: null,
+      ipHash: this.hashIp(request.ip)
+    }
+
+    if (this.redis && this.redis.isConnected) {
+      const [bufferError] = await __(this.redis.bufferClickEvent(data))
+      if (!bufferError) {
+        this.logger.debug(this.logPrefix, 'Click event buffered in Redis', { urlId })
+        return { source: 'redis' }
+      }
+
+      this.logger.warn(this.logPrefix, 'Failed to buffer click event, writing to database directly', {
+        urlId,
+        error: bufferError.message
+      })
+    }
+
+    const [error, click] = await __(this.database.getClient().click.create({ data }))
+
+    if (error) {
+      this.logger.error(this.logPrefix, 'Failed to record click', { urlId, error: error.message })
+      throw new Error('Failed to record click')
+    }
+
+    this.logger.debug(this.logPrefix, 'Click recorded', {
+      urlId,
+      referrerHost: data.referrerHost,
+      userAgentFamily: data.userAgentFamily
+    })
+
+    return { source: 'database', click }
+  }
+
+  /**
+   * Get time-bucketed click counts and top referrers for a URL
+   *
+   * @param {string} shortCode - Short code of the URL
+   * @param {Object} options - Reporting window, as resolved by validateStatsQuery
+   * @param {string} options.interval - Bucket size: hour, day or week
+   * @param {Date} options.from - Start of the window (inclusive)
+   * @param {Date} options.to - End of the window (exclusive)
+   * @param {Object} scope - Ownership scope, as for UrlService; scope.ownerId undefined means unscoped
+   * @returns {Object|null} Click statistics, or null if the URL does not exist (or belongs to someone else)
+   * @throws {Error} 'Database service unavailable' if the database can't be reached
+   */
+  async getClickStats(shortCode, { interval, from, to }, scope = {}) {
+    this.logger.debug(this.logPrefix, 'Getting click statistics', { shortCode, interval, from, to })
+
+    if (!this.database.isConnected) {
+      this.logger.error(this.logPrefix, 'Database not connected for click statistics')
+      throw new Error('Database service unavailable')
+    }
+
+    const prisma = this.database.getClient()
+
+    const [findError, url] = await __(prisma.url.findUnique({
+      where: { shortCode },
+      select: { id: true, shortCode: true, clickCount: true, ownerId: true }
+    }))
+
+    if (findError) {
+      this.logger.error(this.logPrefix, 'Database error while loading URL for statistics', findError)
+      throw this._toStatsError(findError)
+    }
+
+    if (!url || (scope.ownerId !== undefined && url.ownerId !== scope.ownerId)) {
+      return null
+    }
+
+    const [statsError, results] = await __(Promise.all([
+      prisma.$queryRaw`
+        SELECT date_trunc(${interval}, "clicked_at") AS "bucket", COUNT(*)::int AS "count"
+        FROM "clicks"
+        WHERE "url_id" = ${url.id} AND "clicked_at" >= ${from} AND "clicked_at" < ${to}
+        GROUP BY "bucket"
+        ORDER BY "bucket"
+      `,
+      prisma.click.groupBy({
+        by: ['referrerHost'],
+        where: { urlId: url.id, clickedAt: { gte: from, lt: to } },
+        _count: { _all: true },
+        orderBy: { _count: { id: 'desc' } },
+        take: appConfig.analytics?.topReferrersLimit || 10
+      })
+    ]))
+
+    if (statsError) {
+      this.logger.error(this.logPrefix, 'Database error while aggregating click statistics', statsError)
+      throw this._toStatsError(statsError)
+    }
+
+    const [bucketRows, referrerRows] = results
+
+    return {
+      shortCode: url.shortCode,
+      totalClicks: url.clickCount,
+      interval,
+      from,
+      to,
+      windowClicks: bucketRows.reduce((sum, row) => sum + Number(row.count), 0),
+      buckets: this._fillBuckets(bucketRows, interval, from, to),
+      topReferrers: referrerRows.map(row => ({
+        referrerHost: row.referrerHost,
+        count: row._count._all
+      }))
+    }
+  }
+
+  /**
+   * Map a failed statistics query to the error reported to callers, keeping
+   * outages distinguishable from query failures
+   *
+   * @param {Error} error - Error thrown by a Prisma operation
+   * @returns {Error} Error to throw
+   */
+  _toStatsError(error) {
+    return isDatabaseConnectionError(error)
+      ? new Error('Database service unavailable')
+      : new Error('Failed to retrieve click statistics')
+  }
+
+  /**
+   * Extract the host from a Referer header
+   *
+   * @param {string} referrer - Referer header value
+   * @returns {string|null} Lowercased host, or null for direct traffic or unparseable values
+   */
+  parseReferrerHost(referrer) {
+    if (!referrer || typeof referrer !== 'string') {
+      return null
+    }
+
+    try {
+      return new URL(referrer).hostname.toLowerCase() || null
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Classify a User-Agent header into a coarse browser family
+   *
+   * @param {string} userAgent - User-Agent header value
+   * @returns {string} Browser family, 'Other' if unrecognized or 'Unknown' if missing
+   */
+  parseUserAgentFamily(userAgent) {
+    if (!userAgent || typeof userAgent !== 'string') {
+      return 'Unknown'
+    }
+
+    const match = USER_AGENT_FAMILIES.find(({ pattern }) => pattern.test(userAgent))
+    return match ? match.family : 'Other'
+  }
+
+  /**
+   * Hash a client IP address with the configured salt so raw IPs are never stored
+   *
+   * @param {string} ip - Client IP address
+   * @returns {string|null} Hex-encoded HMAC-SHA256 of the IP, or null if missing or no salt is configured
+   */
+  hashIp(ip) {
+    // Without a salt the hash could be reversed, so nothing is stored rather than the IP in disguise
+    if (!ip || typeof ip !== 'string' || !appConfig.analytics.ipHashSalt) {
+      return null
+    }
+
+    return crypto
+      .createHmac('sha256', appConfig.analytics.ipHashSalt)
+      .update(ip)
+      .digest('hex')
+  }
+
+  /**
+   * Expand sparse bucket rows into a continuous series, filling gaps with zero
+   *
+   * @param {Array<Object>} rows - Rows of { bucket, count } from date_trunc()
+   * @param {string} interval - Bucket size: hour, day or week
+   * @param {Date} from - Start of the window
+   * @param {Date} to - End of the window
+   * @returns {Array<Object>} Buckets of { start, count } in chronological order
+   */
+  _fillBuckets(rows, interval, from, to) {
+    const unit = INTERVAL_UNITS[interval]
+    const counts = new Map(rows.map(row => [
+      moment.utc(row.bucket).toISOString(),
+      Number(row.count)
+    ]))
+
+    const buckets = []
+    const cursor = moment.utc(from).startOf(unit)
+    while (cursor.isBefore(to)) {
+      const start = cursor.toISOString()
+      buckets.push({ start, count: counts.get(start) || 0 })
+      cursor.add(1, interval)
+    }
+
+    return buckets
+  }
+}
+
+export default AnalyticsService
\ No newline at end of file
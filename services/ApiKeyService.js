@@ -0,0 +1,197 @@
+import crypto from 'crypto'
+import __ from '../libs/attempt.mjs'
+
+/**
+ * Prefix marking a string as one of our API keys, so leaked keys are easy to spot
+ */
+const API_KEY_PREFIX = 'usk_'
+
+/**
+ * How long to wait between lastUsedAt writes for the same key, so an active
+ * key costs one extra UPDATE per minute rather than one per request
+ */
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000
+
+/**
+ * ApiKeyService - Issuing, resolving and revoking API keys
+ *
+ * Keys are random 192-bit secrets. Only a SHA-256 hash is stored, which is
+ * sufficient for high-entropy secrets and keeps lookups a single indexed query.
+ * The plaintext key is returned once, at creation time.
+ */
+class ApiKeyService {
+  /**
+   * Create a new ApiKeyService instance
+   *
+   * @param {Object} database - DatabaseService instance for Prisma operations
+   * @param {Object} logger - Winston logger instance for operational logging
+   */
+  constructor(database, logger) {
+    this.database = database
+    this.logger = logger
+    this.logPrefix = 'ApiKeyService'
+
+    // Validate required dependencies
+    if (!database) {
+      throw new Error('ApiKeyService requires a database service instance')
+    }
+    if (!logger) {
+      throw new Error('ApiKeyService requires a logger instance')
+    }
+  }
+
+  /**
+   * Issue a new API key for an owner
+   *
+   * @param {string} ownerId - Owner the key (and links created with it) belongs to
+   * @param {string} name - Human-readable label for the key
+   * @returns {Object} { apiKey, key } where apiKey is the plaintext secret (shown once)
+   */
+  async createKey(ownerId, name = 'default') {
+    if (!ownerId || typeof ownerId !== 'string') {
+      throw new Error('Owner id is required and must be a string')
+    }
+
+    const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`
+
+    const [error, record] = await __(this.database.getClient().apiKey.create({
+      data: {
+        name,
+        ownerId,
+        keyPrefix: apiKey.slice(0, API_KEY_PREFIX.length + 8),
+        keyHash: this.hashKey(apiKey)
+      }
+    }))
+
+    if (error) {
+      this.logger.error(this.logPrefix, 'Failed to create API key', { ownerId, error: error.message })
+      throw new Error('Failed to create API key')
+    }
+
+    this.logger.info(this.logPrefix, 'API key created', { keyId: record.id, ownerId, keyPrefix: record.keyPrefix })
+
+    return { apiKey, key: this._formatKey(record) }
+  }
+
+  /**
+   * Resolve a plaintext API key to its active key record
+   *
+   * @param {string} apiKey - Plaintext key from the request
+   * @returns {Object|null} Key details, or null if the key is unknown or revoked
+   */
+  async authenticate(apiKey) {
+    if (!apiKey || typeof apiKey !== 'string' || !apiKey.startsWith(API_KEY_PREFIX)) {
+      return null
+    }
+
+    const [error, record] = await __(this.database.getClient().apiKey.findUnique({
+      where: { keyHash: this.hashKey(apiKey) }
+    }))
+
+    if (error) {
+      this.logger.error(this.logPrefix, 'Database error while authenticating API key', error)
+      throw new Error('Database service unavailable')
+    }
+
+    if (!record || record.revokedAt) {
+      return null
+    }
+
+    this._touchLastUsed(record)
+
+    return this._formatKey(record)
+  }
+
+  /**
+   * List API keys, optionally for a single owner
+   *
+   * @param {string} ownerId - Owner to list keys for (all owners when omitted)
+   * @returns {Array<Object>} Key details, newest first (hashes are never returned)
+   */
+  async listKeys(ownerId) {
+    const [error, records] = await __(this.database.getClient().apiKey.findMany({
+      where: ownerId ? { ownerId } : {},
+      orderBy: { createdAt: 'desc' }
+    }))
+
+    if (error) {
+      this.logger.error(this.logPrefix, 'Failed to list API keys', error)
+      throw new Error('Failed to list API keys')
+    }
+
+    return records.map(record => this._formatKey(record))
+  }
+
+  /**
+   * Revoke an API key. Revoked keys stop authenticating immediately; links they
+   * created keep their owner.
+   *
+   * @param {string} keyId - ID of the key to revoke
+   * @returns {Object|null} Revoked key details, or null if not found
+   */
+  async revokeKey(keyId) {
+    const [error, record] = await __(this.database.getClient().apiKey.update({
+      where: { id: keyId },
+      data: { revokedAt: new Date() }
+    }))
+
+    if (error) {
+      if (error.code === 'P2025') {
+        return null
+      }
+
+      this.logger.error(this.logPrefix, 'Failed to revoke API key', { keyId, error: error.message })
+      throw new Error('Failed to revoke API key')
+    }
+
+    this.logger.info(this.logPrefix, 'API key revoked', { keyId, ownerId: record.ownerId })
+
+    return this._formatKey(record)
+  }
+
+  /**
+   * Hash a plaintext API key for storage and lookup
+   *
+   * @param {string} apiKey - Plaintext key
+   * @returns {string} Hex-encoded SHA-256 hash
+   */
+  hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex')
+  }
+
+  /**
+   * Record key usage in the background; failures only affect the audit trail
+   *
+   * @param {Object} record - API key record
+   */
+  _touchLastUsed(record) {
+    if (record.lastUsedAt && Date.now() - new Date(record.lastUsedAt).getTime() < LAST_USED_UPDATE_INTERVAL_MS) {
+      return
+    }
+
+    setImmediate(async () => {
+      const [error] = await __(this.database.getClient().apiKey.update({
+        where: { id: record.id },
+        data: { lastUsedAt: new Date() }
+      }))
+
+      if (error) {
+        this.logger.warn(this.logPrefix, 'Failed to update API key last used time', { keyId: record.id, error: error.message })
+      }
+    })
+  }
+
+  _formatKey(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      ownerId: record.ownerId,
+      keyPrefix: record.keyPrefix,
+      createdAt: record.createdAt,
+      lastUsedAt: record.lastUsedAt,
+      revokedAt: record.revokedAt
+    }
+  }
+}
+
+export default ApiKeyService
\ No newline at end of file
@@ -0,0 +1,362 @@
+import __ from '../libs/attempt.mjs'
+import { appConfig } from '../config/app.js'
+import { validateBulkUrls, validateExpiration } from '../utils/validators.js'
+
+/**
+ * Rows per createMany when storing a job's items, well under PostgreSQL's bind parameter limit
+ */
+const ITEM_INSERT_BATCH_SIZE = 1000
+
+/**
+ * BulkJobService - Persistence for asynchronous bulk import jobs
+ *
+ * A job and one row per submitted URL are stored in PostgreSQL, so queued and
+ * half-finished jobs survive restarts. BulkJobWorker claims jobs and records
+ * results through this service; the API reads progress and results from it.
+ *
+ * Job status: queued -> running -> completed | failed.
+ * Item status: pending -> succeeded | failed.
+ */
+class BulkJobService {
+  /**
+   * Create a new BulkJobService instance
+   *
+   * @param {Object} database - DatabaseService instance for Prisma operations
+   * @param {Object} logger - Winston logger instance for operational logging
+   */
+  constructor(database, logger) {
+    this.database = database
+    this.logger = logger
+    this.logPrefix = 'BulkJobService'
+
+    // Validate required dependencies
+    if (!database) {
+      throw new Error('BulkJobService requires a database service instance')
+    }
+    if (!logger) {
+      throw new Error('BulkJobService requires a logger instance')
+    }
+  }
+
+  /**
+   * Queue a bulk import job
+   *
+   * URLs that fail validation are stored as already-failed items, so the
+   * worker only ever sees URLs it can try to shorten.
+   *
+   * @param {Array<string>} urls - URLs to shorten
+   * @param {Object} options - Job options
+   * @param {string} options.expiresAt - Expiration shared by all links (see validateExpiration)
+   * @param {string} options.expiresIn - Relative expiration, resolved when the job is queued
+   * @param {boolean} options.neverExpires - Whether the links should never expire
+   * @param {boolean} options.dedupe - Reuse existing links for duplicate destinations (see UrlService.createShortUrl)
+   * @param {string|null} options.ownerId - Owner of the job and the links it creates
+   * @returns {Object} Formatted job
+   * @throws {Error} If the URL list or expiration is invalid, or the database is unavailable
+   */
+  async createJob(urls, options = {}) {
+    const validation = validateBulkUrls(urls, { maxCount: appConfig.jobs.maxUrls })
+    if (!validation.isValid && validation.failedUrls.length === 0) {
+      this.logger.warn(this.logPrefix, 'Bulk job URL validation failed', { error: validation.error })
+      throw new Error(validation.error)
+    }
+
+    const expiration = validateExpiration(options)
+    if (!expiration.isValid) {
+      throw new Error(expiration.error)
+    }
+
+    if (!this.database.isConnected) {
+      throw new Error('Database service unavailable')
+    }
+
+    // Resolve relative expirations now so every link expires at the same time,
+    // however long the job waits in the queue
+    const jobOptions = expiration.expiresAt === null
+      ? { neverExpires: true }
+      : expiration.expiresAt
+        ? { expiresAt: expiration.expiresAt.toISOString() }
+        : {}
+
+    // Stored explicitly so a later change to the config default doesn't alter queued jobs
+    jobOptions.dedupe = options.dedupe ?? appConfig.url?.dedupe ?? false
+
+    const invalidByIndex = new Map(validation.failedUrls.map(failure => [failure.index, failure]))
+    const items = urls.map((url, index) => {
+      const invalid = invalidByIndex.get(index)
+      return {
+        position: index,
+        originalUrl: typeof url === 'string' ? url : String(url),
+        status: invalid ? 'failed' : 'pending',
+        errorCode: invalid ? 'INVALID_URL' : null,
+        error: invalid ? invalid.error : null
+      }
+    })
+
+    const prisma = this.database.getClient()
+    const [error, job] = await __(prisma.$transaction(async (tx) => {
+      const created = await tx.bulkJob.create({
+        data: {
+          ownerId: options.ownerId ?? null,
+          totalCount: items.length,
+          processedCount: invalidByIndex.size,
+          failureCount: invalidByIndex.size,
+          options: jobOptions
+        }
+      })
+
+      for (let start = 0; start < items.length; start += ITEM_INSERT_BATCH_SIZE) {
+        await tx.bulkJobItem.createMany({
+          data: items.slice(start, start + ITEM_INSERT_BATCH_SIZE).map(item => ({ jobId: created.id, ...item }))
+        })
+      }
+
+      return created
+    }, { timeout: 60 * 1000 }))
+
+    if (error) {
+      this.logger.error(this.logPrefix, 'Failed to create bulk job', { urlCount: items.length, error: error.message })
+      throw new Error('Failed to create bulk job')
+    }
+
+    this.logger.info(this.logPrefix, 'Bulk job queued', {
+      jobId: job.id,
+      ownerId: job.ownerId,
+      totalCount: job.totalCount,
+      invalidCount: invalidByIndex.size
+    })
+
+    return this._formatJob(job)
+  }
+
+  /**
+   * Get a job's progress
+   *
+   * @param {string} jobId - Job id
+   * @param {Object} scope - Ownership scope, as for URLs (see UrlService._isInScope)
+   * @returns {Object|null} Formatted job, or null if not found or out of scope
+   */
+  async getJob(jobId, scope = {}) {
+    const job = await this._findJob(jobId, scope)
+    return job ? this._formatJob(job) : null
+  }
+
+  /**
+   * Get the first failed items of a job, in submission order
+   *
+   * @param {string} jobId - Job id
+   * @param {number} limit - Maximum number of failures to return
+   * @returns {Array<Object>} Failures: { index, url, code, error }
+   */
+  async getFailures(jobId, limit = appConfig.jobs.failureReportLimit) {
+    const items = await this.database.getClient().bulkJobItem.findMany({
+      where: { jobId, status: 'failed' },
+      orderBy: { position: 'asc' },
+      take: limit
+    })
+
+    return items.map(item => ({
+      index: item.position,
+      url: item.originalUrl,
+      code: item.errorCode,
+      error: item.error
+    }))
+  }
+
+  /**
+   * Read a page of a job's items, in submission order
+   *
+   * @param {string} jobId - Job id
+   * @param {Object} options - Paging options
+   * @param {number} options.afterPosition - Position of the last item already read
+   * @param {number} options.take - Page size
+   * @returns {Array<Object>} Formatted items
+   */
+  async listItems(jobId, { afterPosition = -1, take = ITEM_INSERT_BATCH_SIZE } = {}) {
+    const items = await this.database.getClient().bulkJobItem.findMany({
+      where: { jobId, position: { gt: afterPosition } },
+      orderBy: { position: 'asc' },
+      take
+    })
+
+    return items.map(item => this._formatItem(item))
+  }
+
+  /**
+   * Claim the oldest runnable job for this worker
+   *
+   * Runnable means queued, or running with a heartbeat older than jobs.staleAfterMs
+   * (its worker died mid-job). The claim is a conditional update, so when several
+   * instances poll at once only one of them gets the job.
+   *
+   * @param {Date} now - Current time
+   * @returns {Object|null} Claimed job record, or null if there is nothing to do
+   */
+  async claimNextJob(now = new Date()) {
+    const prisma = this.database.getClient()
+    const staleBefore = new Date(now.getTime() - appConfig.jobs.staleAfterMs)
+
+    const candidate = await prisma.bulkJob.findFirst({
+      where: {
+        OR: [
+          { status: 'queued' },
+          { status: 'running', heartbeatAt: { lt: staleBefore } }
+        ]
+      },
+      orderBy: { createdAt: 'asc' }
+    })
+
+    if (!candidate) {
+      return null
+    }
+
+    const claimed = await prisma.bulkJob.updateMany({
+      where: { id: candidate.id, status: candidate.status, heartbeatAt: candidate.heartbeatAt },
+      data: {
+        status: 'running',
+        startedAt: candidate.startedAt ?? now,
+        heartbeatAt: now
+      }
+    })
+
+    if (claimed.count === 0) {
+      return null
+    }
+
+    if (candidate.status === 'running') {
+      this.logger.warn(this.logPrefix, 'Resuming orphaned bulk job', { jobId: candidate.id, heartbeatAt: candidate.heartbeatAt })
+    }
+
+    return { ...candidate, status: 'running', heartbeatAt: now }
+  }
+
+  /**
+   * Get the next items of a job that still need processing
+   *
+   * @param {string} jobId - Job id
+   * @param {number} take - Maximum number of items
+   * @returns {Array<Object>} Item records, in submission order
+   */
+  async getPendingItems(jobId, take) {
+    return this.database.getClient().bulkJobItem.findMany({
+      where: { jobId, status: 'pending' },
+      orderBy: { position: 'asc' },
+      take
+    })
+  }
+
+  /**
+   * Record the outcome of a processed chunk and bump the job's counters and heartbeat
+   * in one transaction
+   *
+   * @param {string} jobId - Job id
+   * @param {Array<Object>} results - { id, status, shortCode?, errorCode?, error? } per item
+   */
+  async recordResults(jobId, results) {
+    const prisma = this.database.getClient()
+    const successCount = results.filter(result => result.status === 'succeeded').length
+
+    await prisma.$transaction([
+      ...results.map(({ id, ...result }) => prisma.bulkJobItem.update({
+        where: { id },
+        data: result
+      })),
+      prisma.bulkJob.update({
+        where: { id: jobId },
+        data: {
+          processedCount: { increment: results.length },
+          successCount: { increment: successCount },
+          failureCount: { increment: results.length - successCount },
+          heartbeatAt: new Date()
+        }
+      })
+    ])
+  }
+
+  /**
+   * Mark a job finished
+   *
+   * @param {string} jobId - Job id
+   * @param {string} status - completed or failed
+   * @param {string} error - Reason the job failed
+   */
+  async finishJob(jobId, status, error = null) {
+    await this.database.getClient().bulkJob.update({
+      where: { id: jobId },
+      data: { status, error, finishedAt: new Date() }
+    })
+
+    this.logger.info(this.logPrefix, 'Bulk job finished', { jobId, status, error })
+  }
+
+  /**
+   * Put a claimed job back in the queue, e.g. on shutdown or a database outage
+   *
+   * @param {string} jobId - Job id
+   */
+  async releaseJob(jobId) {
+    await this.database.getClient().bulkJob.updateMany({
+      where: { id: jobId, status: 'running' },
+      data: { status: 'queued', heartbeatAt: null }
+    })
+  }
+
+  /**
+   * Load a job record if it exists and is visible in the scope
+   *
+   * @param {string} jobId - Job id
+   * @param {Object} scope - Ownership scope
+   * @returns {Object|null} Job record
+   */
+  async _findJob(jobId, scope = {}) {
+    if (!jobId || typeof jobId !== 'string') {
+      return null
+    }
+
+    if (!this.database.isConnected) {
+      throw new Error('Database service unavailable')
+    }
+
+    const job = await this.database.getClient().bulkJob.findUnique({ where: { id: jobId } })
+    if (!job || (scope.ownerId !== undefined && (job.ownerId ?? null) !== scope.ownerId)) {
+      return null
+    }
+
+    return job
+  }
+
+  _formatJob(job) {
+    const baseUrl = appConfig.server?.baseUrl || `http://localhost:${appConfig.server?.port || 3000}`
+
+    return {
+      id: job.id,
+      status: job.status,
+      totalCount: job.totalCount,
+      processedCount: job.processedCount,
+      successCount: job.successCount,
+      failureCount: job.failureCount,
+      // Percentage, rounded down so 100 means every item has been processed
+      progress: job.totalCount === 0 ? 100 : Math.floor((job.processedCount / job.totalCount) * 1000) / 10,
+      error: job.error ?? null,
+      ownerId: job.ownerId ?? null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt ?? null,
+      finishedAt: job.finishedAt ?? null,
+      statusUrl: `${baseUrl}/api/jobs/${job.id}`,
+      resultUrl: `${baseUrl}/api/jobs/${job.id}/result`
+    }
+  }
+
+  _formatItem(item) {
+    return {
+      index: item.position,
+      url: item.originalUrl,
+      status: item.status,
+      shortCode: item.shortCode ?? null,
+      code: item.errorCode ?? null,
+      error: item.error ?? null
+    }
+  }
+}
+
+export default BulkJobService
\ No newline at end of file
@@ -0,0 +1,95 @@
+import __ from '../libs/attempt.mjs'
+import { appConfig } from '../config/app.js'
+import { QR_CONTENT_TYPES, encodeQr, renderQrSvg, renderQrPng } from '../utils/qrCode.js'
+
+/**
+ * QrCodeService - Renders short URLs as QR codes, cached in Redis
+ *
+ * Rendering is pure CPU work with no external service. Codes are cached by
+ * content and rendering options; PNGs are stored base64-encoded since the
+ * Redis client works with strings.
+ */
+class QrCodeService {
+  /**
+   * Create a new QrCodeService instance
+   *
+   * @param {Object} redis - RedisService instance for caching rendered codes
+   * @param {Object} logger - Winston logger instance for operational logging
+   */
+  constructor(redis, logger) {
+    this.redis = redis
+    this.logger = logger
+    this.logPrefix = 'QrCodeService'
+
+    // Validate required dependencies
+    if (!logger) {
+      throw new Error('QrCodeService requires a logger instance')
+    }
+
+    this.cacheTtlSeconds = appConfig.qr?.cacheTtlSeconds || 24 * 60 * 60
+  }
+
+  /**
+   * Render a short URL as a QR code
+   *
+   * @param {string} shortUrl - Full short URL to encode (see UrlService._buildShortUrl)
+   * @param {Object} options - Rendering options that have passed validateQrOptions
+   * @param {string} options.format - svg or png
+   * @param {number} options.size - Width and height in pixels
+   * @param {number} options.margin - Quiet zone width in modules
+   * @param {string} options.ecc - Error correction level
+   * @returns {Object} `{ content, contentType, cached }`; content is a string for SVG, a Buffer for PNG
+   */
+  async renderShortUrl(shortUrl, options) {
+    const { format, size, margin, ecc } = options
+    const contentType = QR_CONTENT_TYPES[format]
+    const cacheKey = `${format}:${size}:${margin}:${ecc}:${shortUrl}`
+
+    const cached = await this._getCachedGracefully(cacheKey)
+    if (cached) {
+      return {
+        content: format === 'png' ? Buffer.from(cached, 'base64') : cached,
+        contentType,
+        cached: true
+      }
+    }
+
+    const qr = encodeQr(shortUrl, { ecc })
+    const content = format === 'png'
+      ? renderQrPng(qr, { size, margin })
+      : renderQrSvg(qr, { size, margin })
+
+    this.logger.debug(this.logPrefix, 'Rendered QR code', { shortUrl, format, version: qr.version, ecc })
+
+    await this._cacheGracefully(cacheKey, format === 'png' ? content.toString('base64') : content)
+
+    return { content, contentType, cached: false }
+  }
+
+  async _getCachedGracefully(cacheKey) {
+    if (!this.redis || !this.redis.isConnected) {
+      return null
+    }
+
+    const [cacheError, cached] = await __(this.redis.getCachedQrCode(cacheKey))
+    if (cacheError) {
+      this.logger.warn(this.logPrefix, 'Failed to read cached QR code, rendering instead', { error: cacheError.message })
+      return null
+    }
+
+    return cached
+  }
+
+  async _cacheGracefully(cacheKey, content) {
+    if (!this.redis || !this.redis.isConnected) {
+      return
+    }
+
+    const [cacheError] = await __(this.redis.cacheQrCode(cacheKey, content, this.cacheTtlSeconds))
+    if (cacheError) {
+      this.logger.warn(this.logPrefix, 'Failed to cache QR code, continuing', { error: cacheError.message })
+    }
+  }
+}
+
+export default QrCodeService
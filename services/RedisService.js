@@ -7,9 +7,16 @@ class RedisService {
     this.client = null
     this.isConnected = false
     this.logPrefix = 'RedisService'
+    this.negativeCacheHits = 0
     this.logger = logger
     this.shortCodePoolKey = `${appConfig.redis.keyPrefix}short_codes`
     this.urlCachePrefix = `${appConfig.redis.keyPrefix}cache:`
+    this.missingUrlPrefix = `${appConfig.redis.keyPrefix}missing:`
+    this.clickCounterPrefix = `${appConfig.redis.keyPrefix}clicks:`
+    this.pendingClicksKey = `${appConfig.redis.keyPrefix}clicks_pending`
+    this.clickEventsKey = `${appConfig.redis.keyPrefix}click_events`
+    this.rateLimitPrefix = `${appConfig.redis.keyPrefix}ratelimit:`
+    this.qrCachePrefix = `${appConfig.redis.keyPrefix}qr:`
   }
 
   async connect() {
@@ -251,7 +258,8 @@ class RedisService {
     return result
   }
 
-  async cacheUrl(shortCode, originalUrl, ttlSeconds = 3600) {
+  // Cache the redirect data for a short code as JSON
+  async cacheUrl(shortCode, urlData, ttlSeconds = 3600) {
     if (!this.isConnected || !this.client) {
       this.logger.debug(this.logPrefix, 'Redis not connected, skipping cache operation')
       return
@@ -260,7 +268,7 @@ class RedisService {
     const [error] = await __(this.client.setEx(
       `${this.urlCachePrefix}${shortCode}`,
       ttlSeconds,
-      originalUrl
+      JSON.stringify(urlData)
     ))
     
     if (error) {
@@ -284,11 +292,26 @@ class RedisService {
       return null
     }
     
-    if (cachedUrl) {
-      this.logger.debug(this.logPrefix, 'URL found in cache', { shortCode })
+    if (!cachedUrl) {
+      return null
     }
-    
-    return cachedUrl
+
+    // Entries written before the cache held JSON are bare URL strings without
+    // expiry data; treat them as misses so they get rewritten
+    let urlData
+    try {
+      urlData = JSON.parse(cachedUrl)
+    } catch {
+      urlData = null
+    }
+
+    if (!urlData || typeof urlData !== 'object' || !urlData.originalUrl) {
+      this.logger.debug(this.logPrefix, 'Ignoring legacy cache entry', { shortCode })
+      return null
+    }
+
+    this.logger.debug(this.logPrefix, 'URL found in cache', { shortCode })
+    return urlData
   }
 
   async removeCachedUrl(shortCode) {
@@ -302,6 +325,311 @@ class RedisService {
     this.logger.debug(this.logPrefix, 'URL removed from cache', { shortCode })
   }
 
+  // Remember that a short code has no redirect target. The marker records why
+  // ({ reason: 'not_found' } or { reason: 'expired', url }) so callers can respond
+  // the same way they would after a database lookup.
+  async cacheMissingUrl(shortCode, marker, ttlSeconds = 60) {
+    if (!this.isConnected || !this.client) {
+      return
+    }
+
+    const [error] = await __(this.client.setEx(
+      `${this.missingUrlPrefix}${shortCode}`,
+      ttlSeconds,
+      JSON.stringify(marker)
+    ))
+    
+    if (error) {
+      this.logger.warn(this.logPrefix, 'Failed to cache missing URL marker', { shortCode, error: error.message })
+      return
+    }
+    
+    this.logger.debug(this.logPrefix, 'Missing URL marker cached', { shortCode, reason: marker.reason })
+  }
+
+  async getMissingUrl(shortCode) {
+    if (!this.isConnected || !this.client) {
+      return null
+    }
+
+    const [error, marker] = await __(this.client.get(`${this.missingUrlPrefix}${shortCode}`))
+    
+    if (error) {
+      this.logger.warn(this.logPrefix, 'Failed to get missing URL marker', { shortCode, error: error.message })
+      return null
+    }
+    
+    if (!marker) {
+      return null
+    }
+
+    this.negativeCacheHits++
+    this.logger.debug(this.logPrefix, 'Negative cache hit', { shortCode })
+    return JSON.parse(marker)
+  }
+
+  async removeMissingUrl(shortCode) {
+    const [error] = await __(this.client.del(`${this.missingUrlPrefix}${shortCode}`))
+    
+    if (error) {
+      this.logger.error(this.logPrefix, 'Failed to remove missing URL marker', { shortCode, error })
+      throw error
+    }
+  }
+
+  // Cache a rendered QR code. Keys describe the content and rendering options,
+  // so entries never go stale and simply expire.
+  async cacheQrCode(key, content, ttlSeconds = 86400) {
+    if (!this.isConnected || !this.client) {
+      return
+    }
+
+    const [error] = await __(this.client.setEx(`${this.qrCachePrefix}${key}`, ttlSeconds, content))
+
+    if (error) {
+      this.logger.warn(this.logPrefix, 'Failed to cache QR code, continuing without cache', { key, error: error.message })
+    }
+  }
+
+  async getCachedQrCode(key) {
+    if (!this.isConnected || !this.client) {
+      return null
+    }
+
+    const [error, content] = await __(this.client.get(`${this.qrCachePrefix}${key}`))
+
+    if (error) {
+      this.logger.warn(this.logPrefix, 'Failed to get cached QR code, continuing without cache', { key, error: error.message })
+      return null
+    }
+
+    return content
+  }
+
+  // Buffer a click: bump the per-code counter and mark the code as pending a flush
+  async bufferClick(shortCode) {
+    if (!this.isConnected || !this.client) {
+      throw new Error('Redis client not connected')
+    }
+
+    const [error] = await __(this.client.multi()
+      .incr(`${this.clickCounterPrefix}${shortCode}`)
+      .sAdd(this.pendingClicksKey, shortCode)
+      .exec())
+    
+    if (error) {
+      this.logger.warn(this.logPrefix, 'Failed to buffer click', { shortCode, error: error.message })
+      throw error
+    }
+  }
+
+  // Take up to `count` short codes with buffered clicks off the pending set
+  async popPendingClickCodes(count) {
+    if (!this.isConnected || !this.client) {
+      return []
+    }
+
+    const [error, codes] = await __(this.client.sPop(this.pendingClicksKey, count))
+    
+    if (error) {
+      this.logger.error(this.logPrefix, 'Failed to pop pending click codes', { error: error.message })
+      throw error
+    }
+    
+    return codes || []
+  }
+
+  // Put short codes back on the pending set, e.g. after a failed flush
+  async requeuePendingClickCodes(codes) {
+    if (!codes || codes.length === 0) {
+      return
+    }
+
+    const [error] = await __(this.client.sAdd(this.pendingClicksKey, codes))
+    
+    if (error) {
+      this.logger.error(this.logPrefix, 'Failed to requeue pending click codes', { 
+        codeCount: codes.length, 
+        error: error.message 
+      })
+      throw error
+    }
+  }
+
+  // Read buffered click counts for a list of short codes (0 when nothing is buffered)
+  async getBufferedClickCounts(codes) {
+    if (!codes || codes.length === 0) {
+      return []
+    }
+
+    const [error, counts] = await __(this.client.mGet(codes.map(code => `${this.clickCounterPrefix}${code}`)))
+    
+    if (error) {
+      this.logger.error(this.logPrefix, 'Failed to read buffered click counts', { error: error.message })
+      throw error
+    }
+    
+    return counts.map(count => parseInt(count) || 0)
+  }
+
+  // Subtract clicks that were written to the database. Clicks that arrived during
+  // the flush stay buffered and the code goes back on the pending set; a drained
+  // counter is deleted. Runs as a script so no concurrent INCR can be lost.
+  async settleBufferedClicks(shortCode, appliedCount) {
+    const script = `
+      local remaining = redis.call('DECRBY', KEYS[1], ARGV[1])
+      if remaining <= 0 then
+        redis.call('DEL', KEYS[1])
+      else
+        redis.call('SADD', KEYS[2], ARGV[2])
+      end
+      return remaining
+    `
+
+    const [error, remaining] = await __(this.client.eval(script, {
+      keys: [`${this.clickCounterPrefix}${shortCode}`, this.pendingClicksKey],
+      arguments: [String(appliedCount), shortCode]
+    }))
+    
+    if (error) {
+      this.logger.error(this.logPrefix, 'Failed to settle buffered clicks', { 
+        shortCode, 
+        appliedCount, 
+        error: error.message 
+      })
+      throw error
+    }
+    
+    return Math.max(remaining, 0)
+  }
+
+  // Buffer a click event (see AnalyticsService.recordClick) for a batched insert
+  async bufferClickEvent(event) {
+    if (!this.isConnected || !this.client) {
+      throw new Error('Redis client not connected')
+    }
+
+    const [error] = await __(this.client.rPush(this.clickEventsKey, JSON.stringify(event)))
+
+    if (error) {
+      this.logger.warn(this.logPrefix, 'Failed to buffer click event', { urlId: event.urlId, error: error.message })
+      throw error
+    }
+  }
+
+  // Take up to `count` buffered click events off the list, oldest first
+  async popClickEvents(count) {
+    if (!this.isConnected || !this.client) {
+      return []
+    }
+
+    const [error, events] = await __(this.client.lPopCount(this.clickEventsKey, count))
+
+    if (error) {
+      this.logger.error(this.logPrefix, 'Failed to pop buffered click events', { error: error.message })
+      throw error
+    }
+
+    return (events || []).map(event => JSON.parse(event))
+  }
+
+  // Put click events back at the head of the list, in order, e.g. after a failed insert
+  async requeueClickEvents(events) {
+    if (!events || events.length === 0) {
+      return
+    }
+
+    const [error] = await __(this.client.lPush(this.clickEventsKey, events.map(event => JSON.stringify(event)).reverse()))
+
+    if (error) {
+      this.logger.error(this.logPrefix, 'Failed to requeue click events', {
+        eventCount: events.length,
+        error: error.message
+      })
+      throw error
+    }
+  }
+
+  // Sliding-window rate limit check. Each admitted request is a sorted set member
+  // scored by its timestamp and suffixed with its cost, so weighted requests (bulk
+  // creates) cost one member rather than one per URL. Runs as a script so
+  // concurrent requests can't both spend the last of a budget.
+  // Returns { allowed, used, resetMs, member }: resetMs is when the oldest admitted request
+  // leaves the window, or for a rejected request how long until it would fit, and
+  // member identifies an admitted request for releaseRateLimit.
+  async consumeRateLimit(key, cost, limit, windowMs, now = Date.now()) {
+    if (!this.isConnected || !this.client) {
+      throw new Error('Redis client not connected')
+    }
+
+    const script = `
+      local now = tonumber(ARGV[1])
+      local window = tonumber(ARGV[2])
+      local limit = tonumber(ARGV[3])
+      local cost = tonumber(ARGV[4])
+
+      redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+      local entries = redis.call('ZRANGE', KEYS[1], 0, -1, 'WITHSCORES')
+
+      local used = 0
+      for i = 1, #entries, 2 do
+        used = used + tonumber(string.match(entries[i], ':(%d+)$'))
+      end
+
+      if used + cost <= limit then
+        redis.call('ZADD', KEYS[1], now, ARGV[5] .. ':' .. cost)
+        redis.call('PEXPIRE', KEYS[1], window)
+        local oldest = now
+        if #entries > 0 then
+          oldest = tonumber(entries[2])
+        end
+        return { 1, used + cost, oldest + window - now }
+      end
+
+      local freed = 0
+      for i = 1, #entries, 2 do
+        freed = freed + tonumber(string.match(entries[i], ':(%d+)$'))
+        if used - freed + cost <= limit then
+          return { 0, used, tonumber(entries[i + 1]) + window - now }
+        end
+      end
+      return { 0, used, window }
+    `
+
+    const id = `${now}-${Math.random().toString(36).substring(2, 10)}`
+    const [error, result] = await __(this.client.eval(script, {
+      keys: [`${this.rateLimitPrefix}${key}`],
+      arguments: [
+        String(now),
+        String(windowMs),
+        String(limit),
+        String(cost),
+        id
+      ]
+    }))
+    
+    if (error) {
+      this.logger.warn(this.logPrefix, 'Failed to check rate limit', { key, error: error.message })
+      throw error
+    }
+    
+    const [allowed, used, resetMs] = result
+    return { allowed: allowed === 1, used, resetMs, member: allowed === 1 ? `${id}:${cost}` : null }
+  }
+
+  // Give an admitted request's cost back to its budget (see consumeRateLimit)
+  async releaseRateLimit(key, member) {
+    if (!this.isConnected || !this.client) {
+      throw new Error('Redis client not connected')
+    }
+
+    const [error] = await __(this.client.zRem(`${this.rateLimitPrefix}${key}`, member))
+    if (error) {
+      this.logger.warn(this.logPrefix, 'Failed to release rate limit', { key, error: error.message })
+      throw error
+    }
+  }
+
   async healthCheck() {
     if (!this.isConnected || !this.client) {
       throw new Error('Redis client not connected')
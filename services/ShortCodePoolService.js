@@ -76,16 +76,21 @@ class ShortCodePoolService {
       return []
     }
 
-    const [error, urls] = await __(this.database.getClient().url.findMany({
-      select: { shortCode: true }
-    }))
+    const prisma = this.database.getClient()
+
+    // Codes of purged links count as used until their quarantine ends (see UrlPurgeService)
+    const [error, results] = await __(Promise.all([
+      prisma.url.findMany({ select: { shortCode: true } }),
+      prisma.shortCodeQuarantine.findMany({ select: { shortCode: true } })
+    ]))
 
     if (error) {
       this.logger.error(this.logPrefix, 'Failed to retrieve used short codes from database', error)
       throw error
     }
 
-    return urls.map(url => url.shortCode)
+    const [urls, quarantined] = results
+    return [...urls, ...quarantined].map(entry => entry.shortCode)
   }
 
   async reconcilePool() {
@@ -0,0 +1,294 @@
+import __ from '../libs/attempt.mjs'
+import { appConfig } from '../config/app.js'
+import { validateShortCode } from '../utils/validators.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * UrlPurgeService - Removes links that expired more than a grace period ago
+ *
+ * Expired links keep serving the expired page for appConfig.cleanup.graceDays,
+ * then are copied to archived_urls (unless archiving is off) and deleted. Their
+ * click events are deleted with them; the archive keeps only the click count.
+ * Their codes go to short_code_quarantine, which keeps them out of the pool, out
+ * of alias claims and out of locally generated codes. With recycling on, generated codes return to the Redis pool once
+ * their quarantine ends; otherwise they are held forever, as before purging existed.
+ *
+ * Only active links are purged: disabled and taken-down links stay in urls,
+ * status and reason included, as the record of the moderation decision.
+ */
+class UrlPurgeService {
+  /**
+   * Create a new UrlPurgeService instance
+   *
+   * @param {Object} database - DatabaseService instance for Prisma operations
+   * @param {Object} redis - RedisService instance for cache eviction and the short code pool
+   * @param {Object} logger - Winston logger instance for operational logging
+   */
+  constructor(database, redis, logger) {
+    this.database = database
+    this.redis = redis
+    this.logger = logger
+    this.logPrefix = 'UrlPurgeService'
+
+    // Validate required dependencies
+    if (!database) {
+      throw new Error('UrlPurgeService requires a database service instance')
+    }
+    if (!logger) {
+      throw new Error('UrlPurgeService requires a logger instance')
+    }
+
+    // Configuration from centralized config
+    this.batchSize = appConfig.cleanup.batchSize
+    this.maxBatchesPerRun = appConfig.cleanup.maxBatchesPerRun
+    this.graceDays = appConfig.cleanup.graceDays
+    this.archive = appConfig.cleanup.archive
+    this.recycleCodes = appConfig.cleanup.recycleCodes
+    this.quarantineDays = appConfig.cleanup.quarantineDays
+  }
+
+  /**
+   * Purge links whose expiration is older than the grace period, one batch at a
+   * time, until none are left or maxBatchesPerRun is reached
+   *
+   * @param {Date} now - Current time
+   * @returns {Object} Number of links purged and archived, and the cutoff used
+   * @throws {Error} If the database is unavailable or a batch fails
+   */
+  async purgeExpired(now = new Date()) {
+    if (!this.database.isConnected) {
+      throw new Error('Database service unavailable')
+    }
+
+    const cutoff = new Date(now.getTime() - this.graceDays * DAY_MS)
+    const result = { purgedCount: 0, archivedCount: 0, cutoff }
+
+    let batch
+    let batchCount = 0
+    do {
+      batch = await this._purgeBatch(cutoff, now)
+      batchCount++
+      result.purgedCount += batch.purgedCount
+      result.archivedCount += batch.archivedCount
+    } while (batch.foundCount === this.batchSize && batchCount < this.maxBatchesPerRun)
+
+    if (result.purgedCount > 0) {
+      this.logger.info(this.logPrefix, 'Purged expired URLs', {
+        purgedCount: result.purgedCount,
+        archivedCount: result.archivedCount,
+        cutoff: cutoff.toISOString()
+      })
+    }
+
+    return result
+  }
+
+  async _purgeBatch(cutoff, now) {
+    const prisma = this.database.getClient()
+    const releaseAt = this.recycleCodes ? new Date(now.getTime() + this.quarantineDays * DAY_MS) : null
+
+    const [purgeError, batch] = await __(prisma.$transaction(async (tx) => {
+      const candidates = await tx.url.findMany({
+        where: { expiresAt: { lt: cutoff }, status: 'active' },
+        orderBy: { expiresAt: 'asc' },
+        take: this.batchSize
+      })
+
+      if (candidates.length === 0) {
+        return { foundCount: 0, purged: [] }
+      }
+
+      const ids = candidates.map(url => url.id)
+
+      // The cutoff and status are checked again so a link extended or disabled since
+      // it was read is kept; only rows actually deleted are archived and quarantined
+      await tx.url.deleteMany({
+        where: { id: { in: ids }, expiresAt: { lt: cutoff }, status: 'active' }
+      })
+      const kept = await tx.url.findMany({
+        where: { id: { in: ids } },
+        select: { id: true }
+      })
+      const keptIds = new Set(kept.map(url => url.id))
+      const purged = candidates.filter(url => !keptIds.has(url.id))
+
+      if (purged.length > 0) {
+        if (this.archive) {
+          await tx.archivedUrl.createMany({
+            data: purged.map(url => ({
+              id: url.id,
+              originalUrl: url.originalUrl,
+              shortCode: url.shortCode,
+              createdAt: url.createdAt,
+              expiresAt: url.expiresAt,
+              clickCount: url.clickCount,
+              isCustomAlias: url.isCustomAlias,
+              ownerId: url.ownerId,
+              status: url.status,
+              statusReason: url.statusReason,
+              statusChangedAt: url.statusChangedAt,
+              statusChangedBy: url.statusChangedBy,
+              maxClicks: url.maxClicks,
+              activatesAt: url.activatesAt,
+              utmSource: url.utmSource,
+              utmMedium: url.utmMedium,
+              utmCampaign: url.utmCampaign,
+              utmTerm: url.utmTerm,
+              utmContent: url.utmContent,
+              forwardQuery: url.forwardQuery,
+              forwardPath: url.forwardPath,
+              redirectType: url.redirectType
+            })),
+            skipDuplicates: true
+          })
+        }
+
+        await tx.shortCodeQuarantine.createMany({
+          data: purged.map(url => ({
+            shortCode: url.shortCode,
+            isCustomAlias: url.isCustomAlias,
+            releaseAt
+          })),
+          skipDuplicates: true
+        })
+      }
+
+      return { foundCount: candidates.length, purged }
+    }))
+
+    if (purgeError) {
+      this.logger.error(this.logPrefix, 'Failed to purge expired URLs', {
+        cutoff: cutoff.toISOString(),
+        error: purgeError.message
+      })
+      throw purgeError
+    }
+
+    for (const url of batch.purged) {
+      await this._evictGracefully(url.shortCode)
+    }
+
+    return {
+      foundCount: batch.foundCount,
+      purgedCount: batch.purged.length,
+      archivedCount: this.archive ? batch.purged.length : 0
+    }
+  }
+
+  /**
+   * Remove a purged code's cache entry and expired marker, so nothing keeps
+   * answering for it from Redis
+   *
+   * @param {string} shortCode - Purged short code
+   */
+  async _evictGracefully(shortCode) {
+    if (!this.redis || !this.redis.isConnected) {
+      return
+    }
+
+    const [cacheError] = await __(this.redis.removeCachedUrl(shortCode))
+    const [missingError] = await __(this.redis.removeMissingUrl(shortCode))
+
+    if (cacheError || missingError) {
+      this.logger.warn(this.logPrefix, 'Failed to evict purged URL from cache, continuing', {
+        shortCode,
+        error: (cacheError || missingError).message
+      })
+    }
+  }
+
+  /**
+   * End the quarantine of codes whose release time has passed. Generated codes
+   * go back to the Redis pool; custom aliases simply become claimable again.
+   *
+   * Skipped while Redis is down so released codes aren't dropped before they
+   * reach the pool.
+   *
+   * @param {Date} now - Current time
+   * @returns {Object} Number of codes released, and how many of them went back to the pool
+   * @throws {Error} If the database is unavailable or the release fails
+   */
+  async releaseQuarantinedCodes(now = new Date()) {
+    const result = { releasedCount: 0, recycledCount: 0 }
+
+    if (!this.recycleCodes) {
+      return result
+    }
+
+    if (!this.database.isConnected) {
+      throw new Error('Database service unavailable')
+    }
+
+    if (!this.redis || !this.redis.isConnected) {
+      this.logger.debug(this.logPrefix, 'Redis not available, skipping quarantine release')
+      return result
+    }
+
+    const prisma = this.database.getClient()
+
+    const [findError, due] = await __(prisma.shortCodeQuarantine.findMany({
+      where: { releaseAt: { lte: now } },
+      orderBy: { releaseAt: 'asc' },
+      take: this.batchSize
+    }))
+
+    if (findError) {
+      this.logger.error(this.logPrefix, 'Failed to read quarantined short codes', findError)
+      throw findError
+    }
+
+    if (due.length === 0) {
+      return result
+    }
+
+    const codes = due.map(entry => entry.shortCode)
+
+    // A code may have been taken again by the fallback generator while quarantined
+    const [inUseError, inUse] = await __(prisma.url.findMany({
+      where: { shortCode: { in: codes } },
+      select: { shortCode: true }
+    }))
+
+    if (inUseError) {
+      this.logger.error(this.logPrefix, 'Failed to check quarantined short codes', inUseError)
+      throw inUseError
+    }
+
+    const inUseCodes = new Set(inUse.map(url => url.shortCode))
+    const poolCodes = due
+      .filter(entry => !entry.isCustomAlias && !inUseCodes.has(entry.shortCode) && validateShortCode(entry.shortCode).isValid)
+      .map(entry => entry.shortCode)
+
+    // Release first: a code left in quarantine after reaching the pool would be
+    // removed from the pool again by the next reconciliation
+    const [deleteError] = await __(prisma.shortCodeQuarantine.deleteMany({
+      where: { shortCode: { in: codes }, releaseAt: { lte: now } }
+    }))
+
+    if (deleteError) {
+      this.logger.error(this.logPrefix, 'Failed to release quarantined short codes', deleteError)
+      throw deleteError
+    }
+
+    result.releasedCount = codes.length
+
+    if (poolCodes.length > 0) {
+      const [poolError, added] = await __(this.redis.addCodesToPool(poolCodes))
+      if (poolError || !added) {
+        this.logger.warn(this.logPrefix, 'Failed to return released codes to the pool, continuing', {
+          codeCount: poolCodes.length,
+          error: poolError?.message
+        })
+      } else {
+        result.recycledCount = poolCodes.length
+      }
+    }
+
+    this.logger.info(this.logPrefix, 'Released quarantined short codes', result)
+
+    return result
+  }
+}
+
+export default UrlPurgeService
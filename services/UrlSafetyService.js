@@ -0,0 +1,417 @@
+import dns from 'dns'
+import net from 'net'
+import fs from 'fs/promises'
+import __ from '../libs/attempt.mjs'
+import { appConfig } from '../config/app.js'
+
+/**
+ * Address ranges a public link must never point into: loopback, private,
+ * link-local, carrier-grade NAT, multicast, documentation and other reserved
+ * ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 rules.
+ */
+const RESERVED_ADDRESSES = new net.BlockList()
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  RESERVED_ADDRESSES.addSubnet(network, prefix, 'ipv4')
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  RESERVED_ADDRESSES.addSubnet(network, prefix, 'ipv6')
+}
+
+/**
+ * Normalize a blocklist entry: lowercase, punycode, no trailing dot
+ *
+ * `example.com` blocks exactly that host; `*.example.com` blocks example.com
+ * and every subdomain of it.
+ *
+ * @param {string} pattern - Blocklist entry
+ * @returns {string|null} Normalized entry, or null if it isn't a valid host pattern
+ */
+export const normalizeBlocklistPattern = (pattern) => {
+  if (!pattern || typeof pattern !== 'string') {
+    return null
+  }
+
+  const trimmed = pattern.trim().toLowerCase().replace(/\.$/, '')
+  const wildcard = trimmed.startsWith('*.')
+  const host = wildcard ? trimmed.slice(2) : trimmed
+
+  // A bare host only: the URL parser would quietly drop a path, port or credentials
+  if (/[/?#@:\s]/.test(host)) {
+    return null
+  }
+
+  let hostname
+  try {
+    hostname = new URL(`http://${host}`).hostname
+  } catch (error) {
+    return null
+  }
+
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(hostname)) {
+    return null
+  }
+
+  return wildcard ? `*.${hostname}` : hostname
+}
+
+/**
+ * Blocklist source reading one pattern per line from a file; `#` starts a comment
+ *
+ * @param {string} path - Blocklist file path
+ * @returns {Object} Source with name and load()
+ */
+export const createFileBlocklistSource = (path) => ({
+  name: `file:${path}`,
+  load: async () => {
+    const content = await fs.readFile(path, 'utf8')
+    return content.split('\n')
+      .map(line => line.replace(/#.*/, '').trim())
+      .filter(Boolean)
+  }
+})
+
+/**
+ * Blocklist source reading the blocked_domains table
+ *
+ * @param {Object} database - DatabaseService instance
+ * @returns {Object} Source with name and load()
+ */
+export const createDatabaseBlocklistSource = (database) => ({
+  name: 'database',
+  load: async () => {
+    const rows = await database.getClient().blockedDomain.findMany({ select: { pattern: true } })
+    return rows.map(row => row.pattern)
+  }
+})
+
+/**
+ * UrlSafetyService - Screens link destinations before they are shortened
+ *
+ * Rejects destinations on the domain blocklist, IP literals (IPv4 in any
+ * encoding the URL parser accepts, and IPv6), localhost and *.localhost, hosts
+ * that resolve to private or reserved addresses, and this service's own host
+ * (short links to short links make redirect loops).
+ *
+ * The blocklist is merged from pluggable sources, by default the blocked_domains
+ * table plus appConfig.url.safety.blocklistFile, and reloaded every
+ * blocklistRefreshMs. DNS failures don't block a link: a host that doesn't
+ * resolve yet can't point anywhere private either.
+ */
+class UrlSafetyService {
+  /**
+   * Create a new UrlSafetyService instance
+   *
+   * @param {Object} database - DatabaseService instance for the blocked_domains table
+   * @param {Object} logger - Winston logger instance for operational logging
+   * @param {Object} options - Overrides, mainly for tests
+   * @param {Array<Object>} options.sources - Blocklist sources ({ name, load() })
+   * @param {Function} options.resolver - (hostname) => Promise of [{ address, family }]
+   */
+  constructor(database, logger, options = {}) {
+    this.database = database
+    this.logger = logger
+    this.logPrefix = 'UrlSafetyService'
+
+    // Validate required dependencies
+    if (!database) {
+      throw new Error('UrlSafetyService requires a database service instance')
+    }
+    if (!logger) {
+      throw new Error('UrlSafetyService requires a logger instance')
+    }
+
+    const blocklistFile = appConfig.url?.safety?.blocklistFile
+    this.sources = options.sources || [
+      createDatabaseBlocklistSource(database),
+      ...(blocklistFile ? [createFileBlocklistSource(blocklistFile)] : [])
+    ]
+    this.resolver = options.resolver || ((hostname) => dns.promises.lookup(hostname, { all: true, verbatim: true }))
+
+    // Last successfully loaded entries per source, kept when a reload fails
+    this.sourceEntries = new Map()
+    this.blocklist = { exact: new Set(), wildcard: new Set() }
+    this.blocklistLoadedAt = 0
+    this.blocklistLoading = null
+  }
+
+  /**
+   * Check whether a URL may be shortened
+   *
+   * @param {string} url - URL that has already passed validateUrl
+   * @returns {Object} Validation result: { isValid } or { isValid: false, error, details, reason }
+   */
+  async checkUrl(url) {
+    const safety = appConfig.url?.safety || {}
+    const allowLocalhost = appConfig.url?.allowLocalhost || false
+    const allowIpAddresses = appConfig.url?.allowIpAddresses || false
+
+    let parsed
+    try {
+      parsed = new URL(url)
+    } catch (error) {
+      return this._reject('invalid', 'Invalid URL format', [`URL parsing failed: ${error.message}`])
+    }
+
+    // The URL parser already turns decimal, hex and octal IPv4 hosts into dotted form
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '')
+    const ipVersion = net.isIP(hostname)
+
+    if (this._isOwnHost(parsed)) {
+      return this._reject('self_referential', 'URLs pointing to this service are not allowed', [
+        `Host '${parsed.host}' is this service's own host; shortening it would create redirect loops`
+      ])
+    }
+
+    if (!allowLocalhost && (hostname === 'localhost' || hostname.endsWith('.localhost'))) {
+      return this._reject('localhost', 'URLs pointing to localhost are not allowed', [
+        `Hostname '${hostname}' is not allowed`
+      ])
+    }
+
+    if (ipVersion) {
+      if (!allowIpAddresses) {
+        return this._reject('ip_address', 'URLs pointing to IP addresses are not allowed', [
+          `IPv${ipVersion} address '${hostname}' is not allowed`
+        ])
+      }
+      if (!allowLocalhost && this._isReservedAddress(hostname)) {
+        return this._reject('private_address', 'URL destination is a private or reserved address', [
+          `Address '${hostname}' is in a private or reserved range`
+        ])
+      }
+      return { isValid: true }
+    }
+
+    const blockedBy = await this._findBlocklistMatch(hostname)
+    if (blockedBy) {
+      return this._reject('blocklisted', 'URL destination is blocked', [
+        `Host '${hostname}' matches blocklist entry '${blockedBy}'`
+      ])
+    }
+
+    if (safety.resolveDns !== false && !allowLocalhost) {
+      const addresses = await this._resolve(hostname, safety.dnsTimeoutMs || 2000)
+      const reserved = addresses.find(({ address }) => this._isReservedAddress(address))
+      if (reserved) {
+        return this._reject('private_address', 'URL destination resolves to a private or reserved address', [
+          `Host '${hostname}' resolves to ${reserved.address}`
+        ])
+      }
+    }
+
+    return { isValid: true }
+  }
+
+  /**
+   * Add a domain pattern to the blocked_domains table
+   *
+   * @param {string} pattern - Host or *.host pattern
+   * @param {string} reason - Why the domain is blocked
+   * @returns {Object} Stored entry
+   */
+  async addBlockedDomain(pattern, reason = null) {
+    const normalized = normalizeBlocklistPattern(pattern)
+    if (!normalized) {
+      throw new Error(`Invalid blocklist pattern: ${pattern}`)
+    }
+
+    const entry = await this.database.getClient().blockedDomain.upsert({
+      where: { pattern: normalized },
+      create: { pattern: normalized, reason },
+      update: { reason }
+    })
+
+    this.blocklistLoadedAt = 0
+    this.logger.info(this.logPrefix, 'Blocklist entry added', { pattern: normalized, reason })
+    return entry
+  }
+
+  /**
+   * Remove a domain pattern from the blocked_domains table
+   *
+   * @param {string} pattern - Host or *.host pattern
+   * @returns {boolean} True if an entry was removed
+   */
+  async removeBlockedDomain(pattern) {
+    const normalized = normalizeBlocklistPattern(pattern)
+    if (!normalized) {
+      throw new Error(`Invalid blocklist pattern: ${pattern}`)
+    }
+
+    const { count } = await this.database.getClient().blockedDomain.deleteMany({ where: { pattern: normalized } })
+
+    this.blocklistLoadedAt = 0
+    this.logger.info(this.logPrefix, 'Blocklist entry removed', { pattern: normalized, removed: count > 0 })
+    return count > 0
+  }
+
+  /**
+   * List the blocked_domains table
+   *
+   * @returns {Array<Object>} Entries, sorted by pattern
+   */
+  async listBlockedDomains() {
+    return this.database.getClient().blockedDomain.findMany({ orderBy: { pattern: 'asc' } })
+  }
+
+  /**
+   * Build a failed validation result and log the rejection
+   *
+   * @param {string} reason - Machine-readable rejection reason
+   * @param {string} error - Error message
+   * @param {Array<string>} details - Error details
+   * @returns {Object} Validation result
+   */
+  _reject(reason, error, details) {
+    this.logger.warn(this.logPrefix, 'Unsafe URL destination rejected', { reason, details })
+    return { isValid: false, error, details, reason }
+  }
+
+  /**
+   * Check whether a URL points at this service's own host (any port)
+   *
+   * @param {URL} parsed - Parsed destination URL
+   * @returns {boolean} True if the hostname matches BASE_URL's
+   */
+  _isOwnHost(parsed) {
+    let base
+    try {
+      base = new URL(appConfig.server?.baseUrl)
+    } catch (error) {
+      return false
+    }
+
+    const stripDot = (hostname) => hostname.toLowerCase().replace(/\.$/, '')
+    return stripDot(base.hostname) === stripDot(parsed.hostname)
+  }
+
+  /**
+   * Check whether an IP address is in a private or reserved range
+   *
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean} True if the address must not be linked to
+   */
+  _isReservedAddress(address) {
+    const version = net.isIP(address)
+    return version !== 0 && RESERVED_ADDRESSES.check(address, version === 6 ? 'ipv6' : 'ipv4')
+  }
+
+  /**
+   * Resolve a hostname with a timeout
+   *
+   * @param {string} hostname - Hostname to resolve
+   * @param {number} timeoutMs - Lookup timeout
+   * @returns {Array<Object>} Resolved addresses; empty when the lookup fails
+   */
+  async _resolve(hostname, timeoutMs) {
+    let timer
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('DNS lookup timeout')), timeoutMs)
+    })
+
+    const [error, addresses] = await __(Promise.race([this.resolver(hostname), timeout]))
+    clearTimeout(timer)
+
+    if (error) {
+      this.logger.debug(this.logPrefix, 'DNS lookup failed, skipping address check', { hostname, error: error.message })
+      return []
+    }
+
+    return addresses
+  }
+
+  /**
+   * Find the blocklist entry matching a hostname, checking the host and each parent domain
+   *
+   * @param {string} hostname - Lowercased hostname
+   * @returns {string|null} Matching entry, or null
+   */
+  async _findBlocklistMatch(hostname) {
+    const { exact, wildcard } = await this._getBlocklist()
+
+    if (exact.has(hostname)) {
+      return hostname
+    }
+
+    const labels = hostname.split('.')
+    for (let i = 0; i < labels.length; i++) {
+      const domain = labels.slice(i).join('.')
+      if (wildcard.has(domain)) {
+        return `*.${domain}`
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Get the merged blocklist, reloading it from the sources when it is stale
+   *
+   * @returns {Object} { exact, wildcard } sets of hostnames
+   */
+  async _getBlocklist() {
+    const refreshMs = appConfig.url?.safety?.blocklistRefreshMs || 60 * 1000
+    if (Date.now() - this.blocklistLoadedAt < refreshMs) {
+      return this.blocklist
+    }
+
+    // Concurrent checks share one reload
+    if (!this.blocklistLoading) {
+      this.blocklistLoading = this._loadBlocklist().finally(() => {
+        this.blocklistLoading = null
+      })
+    }
+
+    await this.blocklistLoading
+    return this.blocklist
+  }
+
+  /**
+   * Reload every source and rebuild the merged blocklist. A source that fails
+   * keeps contributing its last loaded entries.
+   */
+  async _loadBlocklist() {
+    for (const source of this.sources) {
+      const [loadError, entries] = await __(source.load())
+      if (loadError) {
+        this.logger.warn(this.logPrefix, 'Failed to load blocklist source, keeping previous entries', {
+          source: source.name,
+          error: loadError.message
+        })
+        continue
+      }
+      this.sourceEntries.set(source.name, entries)
+    }
+
+    const exact = new Set()
+    const wildcard = new Set()
+    for (const entries of this.sourceEntries.values()) {
+      for (const entry of entries) {
+        const pattern = normalizeBlocklistPattern(entry)
+        if (!pattern) {
+          continue
+        }
+        if (pattern.startsWith('*.')) {
+          wildcard.add(pattern.slice(2))
+        } else {
+          exact.add(pattern)
+        }
+      }
+    }
+
+    this.blocklist = { exact, wildcard }
+    this.blocklistLoadedAt = Date.now()
+
+    this.logger.debug(this.logPrefix, 'Blocklist loaded', { exact: exact.size, wildcard: wildcard.size })
+  }
+}
+
+export default UrlSafetyService
\ No newline at end of file
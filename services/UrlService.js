@@ -1,6 +1,11 @@
 import __ from '../libs/attempt.mjs'
 import { appConfig } from '../config/app.js'
-import { validateUrl, validateBulkUrls } from '../utils/validators.js'
+import { isDatabaseConnectionError } from '../libs/database.js'
+import { validateUrl, validateBulkUrls, validateAlias, validateShortCode, validateExpiration, validateStatusChange, validatePassword, validateMaxClicks, validateActivation, validateUtm, validateForwarding, validateRedirectType } from '../utils/validators.js'
+import { applyUtmParams, toUtmColumns, fromUtmColumns } from '../utils/utm.js'
+import { hashNormalizedUrl } from '../utils/urlNormalizer.js'
+import { hashPassword, verifyPassword } from '../utils/linkPassword.js'
+import UrlSafetyService from './UrlSafetyService.js'
 import moment from 'moment'
 
 /**
@@ -34,6 +39,8 @@ class UrlService {
     if (!logger) {
       throw new Error('UrlService requires a logger instance')
     }
+
+    this.safetyService = new UrlSafetyService(database, logger)
     
     this.logger.info(this.logPrefix, 'UrlService initialized with dependencies', {
       database: !!database,
@@ -52,14 +59,165 @@ class UrlService {
     return moment().add(monthsFromNow, 'months').toDate()
   }
 
+  /**
+   * Resolve per-link expiration options to the expiration date to store
+   * 
+   * @param {Object} options - Expiration options (expiresAt, expiresIn, neverExpires)
+   * @param {boolean} useDefault - Fall back to the default lifetime when no option is given
+   * @returns {Date|null|undefined} Expiration date, null for never-expiring links,
+   *   or undefined when no option is given and useDefault is false
+   * @throws {Error} If the expiration options are invalid
+   */
+  _resolveExpiration(options = {}, useDefault = true) {
+    const validation = validateExpiration(options)
+    if (!validation.isValid) {
+      this.logger.warn(this.logPrefix, 'Expiration validation failed', { 
+        expiresAt: options.expiresAt,
+        expiresIn: options.expiresIn,
+        neverExpires: options.neverExpires,
+        error: validation.error 
+      })
+      throw new Error(validation.error)
+    }
+
+    if (validation.expiresAt === undefined && useDefault) {
+      return this._calculateExpirationDate(
+        appConfig.url?.defaultExpirationMonths || 6
+      )
+    }
+
+    return validation.expiresAt
+  }
+
+  /**
+   * Check whether a request asks for a specific expiration rather than the default lifetime
+   * 
+   * @param {Object} options - Expiration options (expiresAt, expiresIn, neverExpires)
+   * @returns {boolean} True if any expiration option is given
+   */
+  _hasExpirationOption(options = {}) {
+    return validateExpiration(options).expiresAt !== undefined
+  }
+
+  /**
+   * Check whether a URL record has passed its expiration date
+   * 
+   * @param {Object} url - URL record
+   * @returns {boolean} True if expired; never-expiring URLs are never expired
+   */
+  _isExpired(url) {
+    return !!url.expiresAt && moment().isAfter(url.expiresAt)
+  }
+
+  /**
+   * Check whether a URL record is scheduled and not yet active
+   * 
+   * @param {Object} url - URL record
+   * @returns {boolean} True until the URL's activation time has passed
+   */
+  _isPending(url) {
+    return !!url.activatesAt && moment().isBefore(url.activatesAt)
+  }
+
+  /**
+   * Resolve a scheduled activation time, which must fall before the link expires
+   * 
+   * @param {string|Date|null|undefined} activatesAt - Activation option from the request
+   * @param {Date|null|undefined} expiresAt - Resolved expiration (null for never-expiring links)
+   * @returns {Date|null|undefined} Activation date, null for no schedule, undefined when not given
+   * @throws {Error} If the activation time is invalid
+   */
+  _resolveActivation(activatesAt, expiresAt) {
+    const validation = validateActivation(activatesAt)
+    if (!validation.isValid) {
+      this.logger.warn(this.logPrefix, 'Activation validation failed', { activatesAt, error: validation.error })
+      throw new Error(validation.error)
+    }
+
+    this._ensureActivationBeforeExpiration(validation.activatesAt, expiresAt)
+
+    return validation.activatesAt
+  }
+
+  /**
+   * Check that a scheduled link becomes active before it expires
+   * 
+   * @param {Date|null|undefined} activatesAt - Activation date, if any
+   * @param {Date|null|undefined} expiresAt - Expiration date (null for never-expiring links)
+   * @throws {Error} If the link would expire before or when it activates
+   */
+  _ensureActivationBeforeExpiration(activatesAt, expiresAt) {
+    if (activatesAt && expiresAt && !moment(activatesAt).isBefore(expiresAt)) {
+      this.logger.warn(this.logPrefix, 'Activation is not before expiration', { activatesAt, expiresAt })
+      throw new Error('Invalid activation: activatesAt must be before the expiration date')
+    }
+  }
+
+  /**
+   * Validate an optional redirect type
+   * 
+   * @param {string|number} redirectType - Requested redirect type, or undefined to leave it unset
+   * @returns {string|undefined} Redirect type as stored (see validateRedirectType)
+   * @throws {Error} If the redirect type is invalid
+   */
+  _resolveRedirectType(redirectType) {
+    if (redirectType === undefined) {
+      return undefined
+    }
+
+    const validation = validateRedirectType(redirectType)
+    if (!validation.isValid) {
+      this.logger.warn(this.logPrefix, 'Redirect type validation failed', { redirectType, error: validation.error })
+      throw new Error(validation.error)
+    }
+
+    return validation.redirectType
+  }
+
   /**
    * Create a single shortened URL
    * 
    * @param {string} originalUrl - The original URL to shorten
-   * @returns {Object} Created URL object with short code and metadata
+   * @param {Object} options - Creation options
+   * @param {string} options.alias - Custom vanity alias to use instead of a pooled short code
+   * @param {string} options.expiresAt - ISO 8601 expiration date
+   * @param {string} options.expiresIn - ISO 8601 duration until expiration
+   * @param {boolean} options.neverExpires - Create a link that never expires
+   * @param {string} options.ownerId - Owner of the link (API key owner), null for anonymous links
+   * @param {string} options.password - Password visitors must enter before being redirected
+   * @param {number} options.maxClicks - Number of redirects allowed before the link stops working
+   * @param {string} options.activatesAt - ISO 8601 date before which the link doesn't redirect
+   * @param {Object} options.utm - UTM campaign set merged into the destination's query string
+   *   and stored on the link (see validateUtm)
+   * @param {string} options.forwardQuery - How redirects forward the visitor's query string
+   *   (ignore, merge or override; defaults to ignore)
+   * @param {boolean} options.forwardPath - Append path suffixes after the short code to the destination
+   * @param {string|number} options.redirectType - 301, 302, 307, 308 or interstitial (defaults to 302)
+   * @param {boolean} options.dedupe - Return the owner's existing active link for the same
+   *   normalized destination instead of creating one (defaults to appConfig.url.dedupe;
+   *   ignored with an alias, password, expiration option, click limit, activation time, UTM set,
+   *   forwarding or redirect type other than 302)
+   * @returns {Object} Created URL object with short code and metadata; `deduplicated` is true
+   *   when an existing link was returned
    */
-  async createShortUrl(originalUrl) {
-    this.logger.info(this.logPrefix, 'Creating short URL', { originalUrl })
+  async createShortUrl(originalUrl, options = {}) {
+    const { alias, password } = options
+    const maxClicks = options.maxClicks ?? null
+    const dedupe = options.dedupe ?? appConfig.url?.dedupe ?? false
+    this.logger.info(this.logPrefix, 'Creating short URL', { originalUrl, alias, dedupe })
+
+    // Validate optional UTM set; it is merged into the destination before the URL checks,
+    // so the tagged URL is what gets length-checked and stored
+    let utm = null
+    if (options.utm !== undefined && options.utm !== null) {
+      const utmValidation = validateUtm(options.utm)
+      if (!utmValidation.isValid) {
+        this.logger.warn(this.logPrefix, 'UTM validation failed', { utm: options.utm, error: utmValidation.error })
+        throw new Error(utmValidation.error)
+      }
+      utm = utmValidation.utm
+      originalUrl = applyUtmParams(originalUrl, utm)
+    }
 
     // Validate URL using the validators utility
     const validation = validateUrl(originalUrl)
@@ -72,6 +230,53 @@ class UrlService {
       throw new Error(validation.error)
     }
 
+    // Validate custom alias if one was requested
+    if (alias !== undefined && alias !== null) {
+      const aliasValidation = validateAlias(alias)
+      if (!aliasValidation.isValid) {
+        this.logger.warn(this.logPrefix, 'Alias validation failed', { 
+          alias, 
+          error: aliasValidation.error 
+        })
+        throw new Error(aliasValidation.error)
+      }
+    }
+
+    // Validate optional link password
+    if (password !== undefined && password !== null) {
+      const passwordValidation = validatePassword(password)
+      if (!passwordValidation.isValid) {
+        this.logger.warn(this.logPrefix, 'Password validation failed', { error: passwordValidation.error })
+        throw new Error(passwordValidation.error)
+      }
+    }
+
+    // Validate optional click limit
+    if (maxClicks !== null) {
+      const maxClicksValidation = validateMaxClicks(maxClicks)
+      if (!maxClicksValidation.isValid) {
+        this.logger.warn(this.logPrefix, 'Click limit validation failed', { maxClicks, error: maxClicksValidation.error })
+        throw new Error(maxClicksValidation.error)
+      }
+    }
+
+    // Validate optional redirect forwarding
+    const forwardingValidation = validateForwarding(options)
+    if (!forwardingValidation.isValid) {
+      this.logger.warn(this.logPrefix, 'Forwarding validation failed', { error: forwardingValidation.error })
+      throw new Error(forwardingValidation.error)
+    }
+    const forwardQuery = options.forwardQuery ?? 'ignore'
+    const forwardPath = options.forwardPath ?? false
+
+    const redirectType = this._resolveRedirectType(options.redirectType) ?? '302'
+
+    // Resolve expiration and activation before any database work
+    const expiresAt = this._resolveExpiration(options)
+    const activatesAt = this._resolveActivation(options.activatesAt, expiresAt) ?? null
+
+    await this._ensureSafeDestination(originalUrl)
+
     // Check database connectivity before proceeding
     const [dbHealthError] = await __(this._checkDatabaseHealth())
     if (dbHealthError) {
@@ -79,48 +284,180 @@ class UrlService {
       throw new Error('Database service unavailable')
     }
 
-    // Get short code from pool with Redis failure handling
-    const [shortCodeError, shortCodeResult] = await __(this._getShortCodeWithFallback())
-    if (shortCodeError) {
-      this.logger.error(this.logPrefix, 'Failed to get short code with fallback', shortCodeError)
-      throw new Error('Failed to generate short code')
+    const normalizedUrlHash = hashNormalizedUrl(originalUrl)
+    const ownerId = options.ownerId ?? null
+
+    // An alias is an explicit request for a new name, and password-protected, click-limited,
+    // scheduled, campaign-tagged, forwarding or non-default redirect links must not be shared
+    // with other requests, so none is deduplicated. Nor is a link with its own expiration,
+    // which an existing link with another lifetime would silently ignore.
+    const isShareable = !alias && !password && !this._hasExpirationOption(options) &&
+      maxClicks === null && activatesAt === null && !utm &&
+      forwardQuery === 'ignore' && !forwardPath && redirectType === '302'
+    if (dedupe && isShareable) {
+      const existingUrl = await this._findDuplicateUrl(normalizedUrlHash, ownerId)
+      if (existingUrl) {
+        this.logger.info(this.logPrefix, 'Returning existing short URL for duplicate destination', {
+          shortCode: existingUrl.shortCode,
+          originalUrl
+        })
+        return { ...this._formatUrl(existingUrl), deduplicated: true }
+      }
+    }
+
+    let shortCode
+
+    if (alias) {
+      // Custom aliases bypass the pool, but must not already be taken
+      await this._ensureAliasAvailable(alias)
+      shortCode = alias
+    } else {
+      // Get short code from pool with Redis failure handling
+      const [shortCodeError, shortCodeResult] = await __(this._getShortCodeWithFallback())
+      if (shortCodeError) {
+        this.logger.error(this.logPrefix, 'Failed to get short code with fallback', shortCodeError)
+        throw new Error('Failed to generate short code')
+      }
+
+      shortCode = shortCodeResult.code
+      this.logger.debug(this.logPrefix, 'Retrieved short code', { 
+        shortCode, 
+        source: shortCodeResult.source,
+        redisAvailable: shortCodeResult.source !== 'fallback'
+      })
     }
 
-    let shortCode = shortCodeResult.code
-    this.logger.debug(this.logPrefix, 'Retrieved short code', { 
-      shortCode, 
-      source: shortCodeResult.source,
-      redisAvailable: shortCodeResult.source !== 'fallback'
+    // Create URL in database with retry logic for unique constraint violations
+    const createdUrl = await this._insertUrlWithRetry({
+      originalUrl,
+      shortCode,
+      expiresAt,
+      isCustomAlias: !!alias,
+      ownerId,
+      normalizedUrlHash,
+      passwordHash: password ? await hashPassword(password) : null,
+      maxClicks,
+      activatesAt,
+      ...toUtmColumns(utm),
+      forwardQuery,
+      forwardPath,
+      redirectType
     })
 
-    // Calculate expiration date
-    const expiresAt = this._calculateExpirationDate(
-      appConfig.url?.defaultExpirationMonths || 6
-    )
+    // An alias that happens to look like a generated code must never be handed out by the pool
+    if (alias) {
+      await this._removeAliasFromPoolGracefully(alias)
+    }
 
-    // Create URL in database with retry logic for unique constraint violations
+    // The code may have been probed (and negatively cached) before it existed
+    await this._clearMissingUrlGracefully(createdUrl.shortCode)
+
+    // Cache the URL mapping (graceful degradation if Redis fails)
+    await this._cacheUrlGracefully(createdUrl)
+
+    this.logger.info(this.logPrefix, 'Successfully created short URL', {
+      id: createdUrl.id,
+      shortCode: createdUrl.shortCode,
+      originalUrl: createdUrl.originalUrl,
+      expiresAt: createdUrl.expiresAt,
+      isCustomAlias: !!alias,
+      passwordProtected: !!password,
+      maxClicks,
+      activatesAt
+    })
+
+    return { ...this._formatUrl(createdUrl), deduplicated: false }
+  }
+
+  /**
+   * Screen a destination with UrlSafetyService
+   * 
+   * @param {string} originalUrl - URL that has passed validateUrl
+   * @throws {Error} If the destination is unsafe; error.validation holds the structured result
+   */
+  async _ensureSafeDestination(originalUrl) {
+    const safety = await this.safetyService.checkUrl(originalUrl)
+    if (!safety.isValid) {
+      throw Object.assign(new Error(safety.error), { validation: safety })
+    }
+  }
+
+  /**
+   * Find the owner's oldest active link with the same normalized destination
+   * 
+   * @param {string} normalizedUrlHash - Hash from hashNormalizedUrl
+   * @param {string|null} ownerId - Owner whose links to search; null for anonymous links
+   * @returns {Object|null} Matching URL record, or null if there is none
+   * @throws {Error} If the database is unavailable
+   */
+  async _findDuplicateUrl(normalizedUrlHash, ownerId) {
+    const [error, url] = await __(this.database.getClient().url.findFirst({
+      where: {
+        normalizedUrlHash,
+        ownerId,
+        status: 'active',
+        passwordHash: null,
+        maxClicks: null,
+        activatesAt: null,
+        // Every UTM set has a source (see validateUtm)
+        utmSource: null,
+        forwardQuery: 'ignore',
+        forwardPath: false,
+        redirectType: '302',
+        OR: [
+          { expiresAt: null },
+          { expiresAt: { gt: new Date() } }
+        ]
+      },
+      orderBy: { createdAt: 'asc' }
+    }))
+
+    if (error) {
+      if (this._isDatabaseConnectionError(error)) {
+        this.logger.error(this.logPrefix, 'Database connection error during duplicate lookup', error)
+        throw new Error('Database service unavailable')
+      }
+
+      // Not being able to dedupe is no reason to refuse the link
+      this.logger.warn(this.logPrefix, 'Duplicate URL lookup failed, creating a new link', { error: error.message })
+      return null
+    }
+
+    return url
+  }
+
+  /**
+   * Insert a URL record, drawing a fresh pooled code and retrying when the short
+   * code collides. Custom aliases are never retried.
+   * 
+   * @param {Object} data - URL record data, including the initial short code
+   * @returns {Object} Created URL record
+   * @throws {Error} If the insert fails or every attempt collides
+   */
+  async _insertUrlWithRetry(data) {
     let attempts = 0
     const maxAttempts = 3
-    let createdUrl
+    let { shortCode } = data
 
     while (attempts < maxAttempts) {
       attempts++
       
       const [createError, result] = await __(this.database.getClient().url.create({
-        data: {
-          originalUrl,
-          shortCode,
-          expiresAt
-        }
+        data: { ...data, shortCode }
       }))
 
       if (!createError) {
-        createdUrl = result
-        break
+        return result
       }
 
       // Handle unique constraint violation (short code already exists)
       if (createError.code === 'P2002' && createError.meta?.target?.includes('shortCode')) {
+        // An alias taken between the availability check and the insert cannot be retried
+        if (data.isCustomAlias) {
+          this.logger.warn(this.logPrefix, 'Alias claimed concurrently', { alias: shortCode })
+          throw new Error('Alias is already in use')
+        }
+
         this.logger.warn(this.logPrefix, 'Short code collision, retrying', { 
           shortCode, 
           attempt: attempts 
@@ -136,6 +473,9 @@ class UrlService {
           shortCode = retryShortCodeResult.code
           continue
         }
+
+        // The last attempt collided too
+        break
       }
 
       // Handle database connection errors
@@ -148,34 +488,186 @@ class UrlService {
       throw new Error('Failed to create shortened URL')
     }
 
-    if (!createdUrl) {
-      this.logger.error(this.logPrefix, 'Failed to create URL after all attempts', { 
-        attempts: maxAttempts 
-      })
-      throw new Error('Failed to create shortened URL after multiple attempts')
-    }
+    this.logger.error(this.logPrefix, 'Failed to create URL after all attempts', { 
+      attempts: maxAttempts 
+    })
+    throw new Error('Failed to create shortened URL after multiple attempts')
+  }
 
-    // Cache the URL mapping (graceful degradation if Redis fails)
-    await this._cacheUrlGracefully(shortCode, originalUrl)
+  /**
+   * Ensure a custom alias is not already used by another URL or held in quarantine
+   * 
+   * @param {string} alias - The requested alias
+   * @throws {Error} If the alias is taken or the lookup fails
+   */
+  async _ensureAliasAvailable(alias) {
+    const prisma = this.database.getClient()
 
-    this.logger.info(this.logPrefix, 'Successfully created short URL', {
-      id: createdUrl.id,
-      shortCode: createdUrl.shortCode,
-      originalUrl: createdUrl.originalUrl,
-      expiresAt: createdUrl.expiresAt
-    })
+    // A purged link's code stays taken while quarantined, so old printed links can't be hijacked
+    const [findError, [existingUrl, quarantined] = []] = await __(Promise.all([
+      prisma.url.findUnique({ where: { shortCode: alias } }),
+      prisma.shortCodeQuarantine.findUnique({ where: { shortCode: alias } })
+    ]))
 
+    if (findError) {
+      if (this._isDatabaseConnectionError(findError)) {
+        this.logger.error(this.logPrefix, 'Database connection error while checking alias availability', findError)
+        throw new Error('Database service unavailable')
+      }
+
+      this.logger.error(this.logPrefix, 'Database error while checking alias availability', findError)
+      throw new Error('Failed to create shortened URL')
+    }
+
+    if (existingUrl || quarantined) {
+      this.logger.warn(this.logPrefix, 'Requested alias is already in use', { alias, quarantined: !!quarantined })
+      throw new Error('Alias is already in use')
+    }
+  }
+
+  /**
+   * Format a URL database record for API responses
+   * 
+   * @param {Object} url - URL record from the database
+   * @returns {Object} Formatted URL object
+   */
+  _formatUrl(url) {
     return {
-      id: createdUrl.id,
-      originalUrl: createdUrl.originalUrl,
-      shortCode: createdUrl.shortCode,
-      shortUrl: this._buildShortUrl(createdUrl.shortCode),
-      createdAt: createdUrl.createdAt,
-      expiresAt: createdUrl.expiresAt,
-      clickCount: createdUrl.clickCount
+      id: url.id,
+      originalUrl: url.originalUrl,
+      shortCode: url.shortCode,
+      shortUrl: this._buildShortUrl(url.shortCode),
+      createdAt: url.createdAt,
+      expiresAt: url.expiresAt,
+      clickCount: url.clickCount,
+      isCustomAlias: !!url.isCustomAlias,
+      ownerId: url.ownerId ?? null,
+      status: url.status || 'active',
+      statusReason: url.statusReason ?? null,
+      passwordProtected: !!url.passwordHash,
+      maxClicks: url.maxClicks ?? null,
+      remainingClicks: url.maxClicks == null ? null : Math.max(url.maxClicks - url.clickCount, 0),
+      activatesAt: url.activatesAt ?? null,
+      pending: this._isPending(url),
+      utm: fromUtmColumns(url),
+      forwardQuery: url.forwardQuery || 'ignore',
+      forwardPath: !!url.forwardPath,
+      redirectType: url.redirectType || '302'
     }
   }
 
+  /**
+   * Check whether a URL falls within an ownership scope.
+   * `scope.ownerId` undefined means unscoped (auth disabled), null means anonymous
+   * links only (web UI), and a string means that API key owner's links only.
+   * 
+   * @param {Object} url - URL record
+   * @param {Object} scope - Ownership scope
+   * @param {string|null} scope.ownerId - Owner to restrict to
+   * @returns {boolean} True if the URL is visible in the scope
+   */
+  _isInScope(url, scope = {}) {
+    return scope.ownerId === undefined || (url.ownerId ?? null) === scope.ownerId
+  }
+
+  /**
+   * Prisma where-clause fragment for an ownership scope (see _isInScope)
+   * 
+   * @param {Object} scope - Ownership scope
+   * @returns {Object} Where-clause fragment
+   */
+  _scopeFilter(scope = {}) {
+    return scope.ownerId === undefined ? {} : { ownerId: scope.ownerId }
+  }
+
+  /**
+   * Encode the position after a row as an opaque listing cursor
+   * 
+   * @param {Object} url - Last URL record on the page
+   * @param {string} sort - Sort field the page was listed by
+   * @param {string} order - Sort order the page was listed in
+   * @returns {string} Base64url-encoded cursor
+   */
+  _encodeListCursor(url, sort, order) {
+    const value = url[sort] instanceof Date ? url[sort].toISOString() : url[sort]
+    return Buffer.from(JSON.stringify({ sort, order, value, id: url.id })).toString('base64url')
+  }
+
+  /**
+   * Decode a listing cursor, checking it was issued for the same sort and order
+   * 
+   * @param {string} cursor - Cursor from a previous page
+   * @param {string} sort - Sort field of the current request
+   * @param {string} order - Sort order of the current request
+   * @returns {Object} { value, id } position to continue after
+   */
+  _decodeListCursor(cursor, sort, order) {
+    let decoded
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+    } catch {
+      throw new Error('Invalid cursor')
+    }
+
+    if (!decoded || decoded.sort !== sort || decoded.order !== order || typeof decoded.id !== 'string') {
+      throw new Error('Invalid cursor: it does not match the requested sort and order')
+    }
+
+    switch (sort) {
+      case 'clickCount':
+        if (!Number.isInteger(decoded.value)) {
+          throw new Error('Invalid cursor')
+        }
+        return { value: decoded.value, id: decoded.id }
+      case 'shortCode':
+        if (typeof decoded.value !== 'string') {
+          throw new Error('Invalid cursor')
+        }
+        return { value: decoded.value, id: decoded.id }
+      default: {
+        // Date fields; only expiresAt can be null (never-expiring links)
+        if (sort === 'expiresAt' && decoded.value === null) {
+          return { value: null, id: decoded.id }
+        }
+
+        const value = typeof decoded.value === 'string' ? new Date(decoded.value) : null
+        if (!value || Number.isNaN(value.getTime())) {
+          throw new Error('Invalid cursor')
+        }
+        return { value, id: decoded.id }
+      }
+    }
+  }
+
+  /**
+   * Build the where condition for rows that come after a cursor position.
+   * The id breaks ties between rows with the same sort value.
+   * 
+   * @param {string} sort - Sort field
+   * @param {string} order - Sort order
+   * @param {Object} after - Decoded cursor position { value, id }
+   * @returns {Object} Prisma where condition
+   */
+  _listCursorCondition(sort, order, { value, id }) {
+    const op = order === 'asc' ? 'gt' : 'lt'
+
+    // Never-expiring links come last, so past a null there are only more nulls
+    if (value === null) {
+      return { [sort]: null, id: { [op]: id } }
+    }
+
+    const conditions = [
+      { [sort]: { [op]: value } },
+      { [sort]: value, id: { [op]: id } }
+    ]
+
+    if (sort === 'expiresAt') {
+      conditions.push({ expiresAt: null })
+    }
+
+    return { OR: conditions }
+  }
+
   /**
    * Build complete short URL from short code
    * 
@@ -188,26 +680,40 @@ class UrlService {
   }
 
   /**
-   * Create multiple shortened URLs in a single transaction
+   * Create multiple shortened URLs, each validated and inserted on its own so one
+   * bad URL or failed insert doesn't sink the rest of the batch
    * 
    * @param {Array<string>} urls - Array of URLs to shorten
-   * @returns {Object} Result object with successful and failed URLs
+   * @param {Object} options - Creation options applied to every URL
+   * @param {string} options.expiresAt - ISO 8601 expiration date
+   * @param {string} options.expiresIn - ISO 8601 duration until expiration
+   * @param {boolean} options.neverExpires - Create links that never expire
+   * @param {string} options.ownerId - Owner of the links (API key owner), null for anonymous links
+   * @param {boolean} options.dedupe - Reuse existing links for duplicate destinations (see createShortUrl);
+   *   ignored with an expiration option
+   * @returns {Object} Result object with successful and failed URLs, each carrying its input index.
+   *   Failed items carry a stable `code`: INVALID_URL and UNSAFE_URL reject the input, while
+   *   SHORT_CODE_UNAVAILABLE and DATABASE_UNAVAILABLE are transient and can be retried as is.
    */
-  async createBulkShortUrls(urls) {
-    this.logger.info(this.logPrefix, 'Creating bulk short URLs', { count: urls?.length })
+  async createBulkShortUrls(urls, options = {}) {
+    const dedupe = options.dedupe ?? appConfig.url?.dedupe ?? false
+    this.logger.info(this.logPrefix, 'Creating bulk short URLs', { count: urls?.length, dedupe })
 
-    // Validate bulk URLs using the validators utility
+    // Validate bulk URLs using the validators utility. Only a malformed batch
+    // (not an array, empty, too large) fails outright; invalid URLs fail per item.
     const validation = validateBulkUrls(urls)
-    if (!validation.isValid) {
+    if (!validation.isValid && validation.failedUrls.length === 0) {
       this.logger.warn(this.logPrefix, 'Bulk URL validation failed', { 
         error: validation.error,
-        details: validation.details,
-        failedCount: validation.failedUrls?.length,
-        totalCount: validation.totalCount
+        details: validation.details
       })
       throw new Error(validation.error)
     }
 
+    // Resolve expiration (same for all URLs in bulk)
+    const expiresAt = this._resolveExpiration(options)
+    const dedupeItems = dedupe && !this._hasExpirationOption(options)
+
     // Check database connectivity before proceeding
     const [dbHealthError] = await __(this._checkDatabaseHealth())
     if (dbHealthError) {
@@ -215,108 +721,139 @@ class UrlService {
       throw new Error('Database service unavailable')
     }
 
-    // Get all needed short codes upfront with fallback handling
-    const shortCodes = []
-    for (let i = 0; i < urls.length; i++) {
-      const [shortCodeError, shortCodeResult] = await __(this._getShortCodeWithFallback())
-      if (shortCodeError) {
-        this.logger.error(this.logPrefix, 'Failed to get short code for bulk operation', shortCodeError)
-        throw new Error(`Failed to generate short code for URL at index ${i}`)
+    const invalidByIndex = new Map(validation.failedUrls.map(failure => [failure.index, failure]))
+    const successful = []
+    const failed = []
+    let databaseUnavailable = false
+
+    for (const [index, originalUrl] of urls.entries()) {
+      const invalid = invalidByIndex.get(index)
+      if (invalid) {
+        failed.push({ index, url: originalUrl, code: 'INVALID_URL', error: invalid.error })
+        continue
       }
-      shortCodes.push(shortCodeResult.code)
-    }
 
-    this.logger.debug(this.logPrefix, 'Retrieved short codes for bulk operation', { 
-      count: shortCodes.length 
-    })
+      // Once the database is gone, don't spend a timeout on every remaining URL
+      if (databaseUnavailable) {
+        failed.push({ index, url: originalUrl, code: 'DATABASE_UNAVAILABLE', error: 'Database service unavailable' })
+        continue
+      }
 
-    // Calculate expiration date (same for all URLs in bulk)
-    const expiresAt = this._calculateExpirationDate(
-      appConfig.url?.defaultExpirationMonths || 6
-    )
+      const safety = await this.safetyService.checkUrl(originalUrl)
+      if (!safety.isValid) {
+        failed.push({ index, url: originalUrl, code: 'UNSAFE_URL', error: safety.error, reason: safety.reason })
+        continue
+      }
 
-    // Prepare data for bulk creation
-    const urlData = urls.map((originalUrl, index) => ({
-      originalUrl,
-      shortCode: shortCodes[index],
-      expiresAt
-    }))
+      const normalizedUrlHash = hashNormalizedUrl(originalUrl)
 
-    // Create all URLs in a single transaction with enhanced error handling
-    const [transactionError, createdUrls] = await __(
-      this.database.getClient().$transaction(async (prisma) => {
-        const results = []
-        
-        for (const data of urlData) {
-          const result = await prisma.url.create({ data })
-          results.push(result)
+      // Earlier items of the same batch are already inserted, so duplicates within it are caught too
+      if (dedupeItems) {
+        const [duplicateError, existingUrl] = await __(this._findDuplicateUrl(normalizedUrlHash, options.ownerId ?? null))
+        if (duplicateError) {
+          databaseUnavailable = true
+          failed.push({ index, url: originalUrl, code: 'DATABASE_UNAVAILABLE', error: duplicateError.message })
+          continue
         }
-        
-        return results
-      })
-    )
+        if (existingUrl) {
+          successful.push({ index, ...this._formatUrl(existingUrl), deduplicated: true })
+          continue
+        }
+      }
 
-    if (transactionError) {
-      this.logger.error(this.logPrefix, 'Bulk URL creation transaction failed', transactionError)
-      
-      // Handle database connection errors
-      if (this._isDatabaseConnectionError(transactionError)) {
-        throw new Error('Database service unavailable during bulk operation')
+      const [shortCodeError, shortCodeResult] = await __(this._getShortCodeWithFallback())
+      if (shortCodeError) {
+        this.logger.error(this.logPrefix, 'Failed to get short code for bulk operation', { index, error: shortCodeError.message })
+        failed.push({ index, url: originalUrl, code: 'SHORT_CODE_UNAVAILABLE', error: 'Failed to generate short code' })
+        continue
       }
-      
-      // Handle unique constraint violations specifically
-      if (transactionError.code === 'P2002' && transactionError.meta?.target?.includes('shortCode')) {
-        throw new Error('Short code collision occurred during bulk operation')
+
+      const [insertError, createdUrl] = await __(this._insertUrlWithRetry({
+        originalUrl,
+        shortCode: shortCodeResult.code,
+        expiresAt,
+        isCustomAlias: false,
+        ownerId: options.ownerId ?? null,
+        normalizedUrlHash
+      }))
+
+      if (insertError) {
+        const code = this._getBulkFailureCode(insertError)
+        databaseUnavailable = code === 'DATABASE_UNAVAILABLE'
+        failed.push({ index, url: originalUrl, code, error: insertError.message })
+        continue
       }
-      
-      throw new Error('Failed to create bulk URLs: ' + transactionError.message)
-    }
 
-    // Cache all URLs (best effort - don't fail if caching fails)
-    const cachePromises = createdUrls.map(async (url) => {
-      await this._cacheUrlGracefully(url.shortCode, url.originalUrl)
-    })
+      // An insert that reports no record fails its item, not the batch
+      if (!createdUrl) {
+        this.logger.error(this.logPrefix, 'URL insert returned no record for bulk operation', { index })
+        failed.push({ index, url: originalUrl, code: 'CREATE_FAILED', error: 'Failed to create shortened URL' })
+        continue
+      }
 
-    // Wait for all cache operations to complete (but don't fail on cache errors)
-    await Promise.allSettled(cachePromises)
+      // Cache best effort - don't fail the item if caching fails
+      await this._clearMissingUrlGracefully(createdUrl.shortCode)
+      await this._cacheUrlGracefully(createdUrl)
 
-    this.logger.info(this.logPrefix, 'Successfully created bulk short URLs', {
-      count: createdUrls.length,
-      shortCodes: createdUrls.map(url => url.shortCode)
-    })
+      successful.push({ index, ...this._formatUrl(createdUrl), deduplicated: false })
+    }
 
-    // Format response with success/failure structure
-    const successful = createdUrls.map(url => ({
-      id: url.id,
-      originalUrl: url.originalUrl,
-      shortCode: url.shortCode,
-      shortUrl: this._buildShortUrl(url.shortCode),
-      createdAt: url.createdAt,
-      expiresAt: url.expiresAt,
-      clickCount: url.clickCount
-    }))
+    // Nothing was written because the database went away: report it as an outage, not per-item failures
+    if (successful.length === 0 && databaseUnavailable) {
+      throw new Error('Database service unavailable during bulk operation')
+    }
+
+    this.logger.info(this.logPrefix, 'Finished bulk short URL creation', {
+      successCount: successful.length,
+      failureCount: failed.length,
+      failureCodes: [...new Set(failed.map(failure => failure.code))]
+    })
 
     return {
       successCount: successful.length,
-      failureCount: 0,
+      failureCount: failed.length,
       successful,
-      failed: []
+      failed
     }
   }
 
   /**
-   * Retrieve URL details by short code with cache-first lookup
+   * Map an insert error from _insertUrlWithRetry to a bulk item error code
+   * 
+   * @param {Error} error - Error thrown while creating the URL
+   * @returns {string} Error code for the failed item
+   */
+  _getBulkFailureCode(error) {
+    if (error.message.includes('Database service unavailable')) {
+      return 'DATABASE_UNAVAILABLE'
+    }
+    // Collisions on every attempt and a failed code generator are both worth retrying
+    if (error.message.includes('after multiple attempts') || error.message.includes('short code')) {
+      return 'SHORT_CODE_UNAVAILABLE'
+    }
+    return 'CREATE_FAILED'
+  }
+
+  /**
+   * Retrieve URL details by short code from the database
    * 
    * @param {string} shortCode - The short code to look up
-   * @returns {Object|null} URL object if found, null if not found
+   * @param {Object} scope - Ownership scope (see _isInScope)
+   * @returns {Object|null} URL object if found, null if not found, expired or out of scope.
+   *   Scheduled links that are not active yet are returned with `pending: true`.
    */
-  async getUrlByShortCode(shortCode) {
+  async getUrlByShortCode(shortCode, scope = {}) {
     this.logger.debug(this.logPrefix, 'Getting URL by short code', { shortCode })
 
     if (!shortCode || typeof shortCode !== 'string') {
       throw new Error('Short code is required and must be a string')
     }
 
+    // Known-missing codes (unknown or expired) skip the database entirely
+    if (await this._getMissingUrlGracefully(shortCode)) {
+      return null
+    }
+
     // Check database connectivity before proceeding
     const [dbHealthError] = await __(this._checkDatabaseHealth())
     if (dbHealthError) {
@@ -324,25 +861,8 @@ class UrlService {
       throw new Error('Database service unavailable')
     }
 
-    // First try to get from cache (graceful degradation if Redis fails)
-    let cachedUrl = null
-    if (this.redis && this.redis.isConnected) {
-      const [cacheError, cachedResult] = await __(this.redis.getCachedUrl(shortCode))
-      
-      if (!cacheError && cachedResult) {
-        cachedUrl = cachedResult
-        this.logger.debug(this.logPrefix, 'URL found in cache', { shortCode })
-      } else if (cacheError) {
-        this.logger.warn(this.logPrefix, 'Cache lookup failed, falling back to database', { 
-          shortCode, 
-          error: cacheError.message 
-        })
-      }
-    } else {
-      this.logger.debug(this.logPrefix, 'Redis not available, checking database directly', { shortCode })
-    }
-
-    // Get full details from database (either for cache validation or direct lookup)
+    // Details always come from the database so click counts are current;
+    // the cache only serves the redirect path (see getRedirectTarget)
     const [dbError, urlFromDb] = await __(this.database.getClient().url.findUnique({
       where: { shortCode }
     }))
@@ -360,47 +880,160 @@ class UrlService {
 
     if (!urlFromDb) {
       this.logger.debug(this.logPrefix, 'URL not found', { shortCode })
+      await this._cacheMissingUrlGracefully(shortCode, { reason: 'not_found' })
+      return null
+    }
+
+    if (!this._isInScope(urlFromDb, scope)) {
+      this.logger.debug(this.logPrefix, 'URL is outside the caller\'s ownership scope', { shortCode })
       return null
     }
 
     // Check if URL has expired
-    if (moment().isAfter(urlFromDb.expiresAt)) {
+    if (this._isExpired(urlFromDb)) {
       this.logger.debug(this.logPrefix, 'URL has expired', { 
         shortCode, 
         expiresAt: urlFromDb.expiresAt 
       })
+      await this._cacheMissingUrlGracefully(shortCode, { reason: 'expired', url: this._toCachePayload(urlFromDb) })
       return null
     }
 
-    // Cache the URL for future requests (graceful degradation if Redis fails)
-    if (!cachedUrl) {
-      await this._cacheUrlGracefully(shortCode, urlFromDb.originalUrl)
+    if (this._isPending(urlFromDb)) {
+      this.logger.debug(this.logPrefix, 'URL is scheduled and not active yet', {
+        shortCode,
+        activatesAt: urlFromDb.activatesAt
+      })
     }
 
     this.logger.debug(this.logPrefix, 'URL found and retrieved', { 
       shortCode, 
-      originalUrl: urlFromDb.originalUrl,
-      cacheHit: !!cachedUrl
+      originalUrl: urlFromDb.originalUrl
     })
 
-    return {
-      id: urlFromDb.id,
-      originalUrl: urlFromDb.originalUrl,
-      shortCode: urlFromDb.shortCode,
-      shortUrl: this._buildShortUrl(urlFromDb.shortCode),
-      createdAt: urlFromDb.createdAt,
-      expiresAt: urlFromDb.expiresAt,
-      clickCount: urlFromDb.clickCount
+    return this._formatUrl(urlFromDb)
+  }
+
+  /**
+   * Resolve a short code for the redirect hot path.
+   * 
+   * Served from the Redis cache when possible, so a cache hit costs no database
+   * round-trip. On a miss the URL is loaded from the database and cached.
+   * 
+   * @param {string} shortCode - The short code to resolve
+   * @returns {Object|null} Cached redirect data (see _toCachePayload), or null if
+   *   the URL does not exist. Expired, disabled and scheduled URLs are returned as-is so callers
+   *   can tell them apart from unknown codes; check status, activatesAt and expiresAt before
+   *   redirecting. The cached entry carries activatesAt, so it starts redirecting on time.
+   */
+  async getRedirectTarget(shortCode) {
+    if (!shortCode || typeof shortCode !== 'string') {
+      throw new Error('Short code is required and must be a string')
+    }
+
+    if (this.redis && this.redis.isConnected) {
+      const [cacheError, cachedUrl] = await __(this.redis.getCachedUrl(shortCode))
+
+      if (cacheError) {
+        this.logger.warn(this.logPrefix, 'Cache lookup failed, falling back to database', { 
+          shortCode, 
+          error: cacheError.message 
+        })
+      } else if (cachedUrl) {
+        this.logger.debug(this.logPrefix, 'Redirect target served from cache', { shortCode })
+        return cachedUrl
+      }
+
+      const missingUrl = await this._getMissingUrlGracefully(shortCode)
+      if (missingUrl) {
+        return missingUrl.reason === 'expired' ? missingUrl.url : null
+      }
+    }
+
+    const [dbError, urlFromDb] = await __(this.database.getClient().url.findUnique({
+      where: { shortCode }
+    }))
+
+    if (dbError) {
+      if (this._isDatabaseConnectionError(dbError)) {
+        this.logger.error(this.logPrefix, 'Database connection error while resolving redirect', dbError)
+        throw new Error('Database service unavailable')
+      }
+
+      this.logger.error(this.logPrefix, 'Database error while resolving redirect', dbError)
+      throw new Error('Failed to retrieve URL')
+    }
+
+    if (!urlFromDb) {
+      this.logger.debug(this.logPrefix, 'Redirect target not found', { shortCode })
+      await this._cacheMissingUrlGracefully(shortCode, { reason: 'not_found' })
+      return null
     }
+
+    if (this._isExpired(urlFromDb)) {
+      this.logger.debug(this.logPrefix, 'Redirect target has expired', { shortCode })
+      const expiredUrl = this._toCachePayload(urlFromDb)
+      await this._cacheMissingUrlGracefully(shortCode, { reason: 'expired', url: expiredUrl })
+      return expiredUrl
+    }
+
+    await this._cacheUrlGracefully(urlFromDb)
+
+    this.logger.debug(this.logPrefix, 'Redirect target loaded from database', { shortCode })
+    return this._toCachePayload(urlFromDb)
+  }
+
+  /**
+   * Check the password entered for a password-protected link.
+   * Always reads the database: the hash is never cached.
+   *
+   * @param {string} shortCode - The short code being unlocked
+   * @param {string} password - Password entered by the visitor
+   * @returns {boolean|null} Whether the password matches (links without a password
+   *   always match), or null if the URL does not exist
+   */
+  async verifyUrlPassword(shortCode, password) {
+    if (!shortCode || typeof shortCode !== 'string') {
+      throw new Error('Short code is required and must be a string')
+    }
+
+    const [dbError, urlFromDb] = await __(this.database.getClient().url.findUnique({
+      where: { shortCode },
+      select: { passwordHash: true }
+    }))
+
+    if (dbError) {
+      if (this._isDatabaseConnectionError(dbError)) {
+        this.logger.error(this.logPrefix, 'Database connection error while verifying URL password', dbError)
+        throw new Error('Database service unavailable')
+      }
+
+      this.logger.error(this.logPrefix, 'Database error while verifying URL password', dbError)
+      throw new Error('Failed to verify URL password')
+    }
+
+    if (!urlFromDb) {
+      this.logger.debug(this.logPrefix, 'URL not found for password check', { shortCode })
+      return null
+    }
+
+    if (!urlFromDb.passwordHash) {
+      return true
+    }
+
+    const verified = await verifyPassword(password, urlFromDb.passwordHash)
+    this.logger.info(this.logPrefix, 'URL password checked', { shortCode, verified })
+    return verified
   }
 
   /**
    * Delete a URL by short code
    * 
    * @param {string} shortCode - The short code of the URL to delete
-   * @returns {boolean} True if deleted, false if not found
+   * @param {Object} scope - Ownership scope (see _isInScope)
+   * @returns {boolean} True if deleted, false if not found (or owned by someone else)
    */
-  async deleteUrl(shortCode) {
+  async deleteUrl(shortCode, scope = {}) {
     this.logger.info(this.logPrefix, 'Deleting URL', { shortCode })
 
     if (!shortCode || typeof shortCode !== 'string') {
@@ -430,44 +1063,307 @@ class UrlService {
       throw new Error('Failed to delete URL')
     }
 
-    if (!existingUrl) {
-      this.logger.debug(this.logPrefix, 'URL not found for deletion', { shortCode })
-      return false
+    if (!existingUrl || !this._isInScope(existingUrl, scope)) {
+      this.logger.debug(this.logPrefix, 'URL not found for deletion', { shortCode })
+      return false
+    }
+
+    // Delete from database
+    const [deleteError] = await __(this.database.getClient().url.delete({
+      where: { shortCode }
+    }))
+
+    if (deleteError) {
+      // Handle database connection errors
+      if (this._isDatabaseConnectionError(deleteError)) {
+        this.logger.error(this.logPrefix, 'Database connection error during deletion', deleteError)
+        throw new Error('Database service unavailable')
+      }
+      
+      this.logger.error(this.logPrefix, 'Failed to delete URL from database', deleteError)
+      throw new Error('Failed to delete URL')
+    }
+
+    // Remove from cache (graceful degradation - don't fail if cache removal fails)
+    await this._removeCachedUrlGracefully(shortCode)
+
+    this.logger.info(this.logPrefix, 'Successfully deleted URL', { 
+      shortCode, 
+      originalUrl: existingUrl.originalUrl 
+    })
+
+    return true
+  }
+
+  /**
+   * Update the destination and/or expiration of an existing URL.
+   * The short code itself never changes, so links already shared keep working.
+   * 
+   * @param {string} shortCode - The short code of the URL to update
+   * @param {Object} updates - Fields to change
+   * @param {string} updates.originalUrl - New destination URL
+   * @param {string} updates.expiresAt - New ISO 8601 expiration date
+   * @param {string} updates.expiresIn - New ISO 8601 duration until expiration
+   * @param {boolean} updates.neverExpires - Make the link never expire
+   * @param {string|null} updates.activatesAt - New ISO 8601 activation date, or null to activate now
+   * @param {Object|null} updates.utm - New UTM set replacing the stored one, or null to remove it.
+   *   The link's set is re-applied when only the destination changes.
+   * @param {string} updates.forwardQuery - New query string forwarding mode
+   * @param {boolean} updates.forwardPath - Whether to append path suffixes to the destination
+   * @param {string|number} updates.redirectType - New redirect type
+   * @param {Object} scope - Ownership scope (see _isInScope)
+   * @returns {Object|null} Updated URL object, or null if not found (or owned by someone else)
+   */
+  async updateUrl(shortCode, updates = {}, scope = {}) {
+    let { originalUrl } = updates
+    this.logger.info(this.logPrefix, 'Updating URL', { shortCode, originalUrl, utm: updates.utm })
+
+    if (!shortCode || typeof shortCode !== 'string') {
+      throw new Error('Short code is required and must be a string')
+    }
+
+    const data = {}
+
+    let utm
+    if (updates.utm !== undefined && updates.utm !== null) {
+      const utmValidation = validateUtm(updates.utm)
+      if (!utmValidation.isValid) {
+        this.logger.warn(this.logPrefix, 'UTM validation failed for update', { shortCode, error: utmValidation.error })
+        throw new Error(utmValidation.error)
+      }
+      utm = utmValidation.utm
+    } else if (updates.utm === null) {
+      utm = null
+    }
+
+    // Loaded at most once, for changes that depend on what the link already has
+    let existingUrl
+    const loadExistingUrl = async () => {
+      if (existingUrl === undefined) {
+        existingUrl = await this._findUrlForUpdate(shortCode, scope)
+      }
+      return existingUrl
+    }
+
+    // Tags live in the destination's query string, so either change needs the stored set
+    if (originalUrl !== undefined || utm !== undefined) {
+      if (!await loadExistingUrl()) {
+        this.logger.debug(this.logPrefix, 'URL not found for update', { shortCode })
+        return null
+      }
+
+      const previousUtm = fromUtmColumns(existingUrl)
+      originalUrl = applyUtmParams(originalUrl ?? existingUrl.originalUrl, utm === undefined ? previousUtm : utm, previousUtm)
+      if (utm !== undefined) {
+        Object.assign(data, toUtmColumns(utm))
+      }
+    }
+
+    if (originalUrl !== undefined) {
+      const validation = validateUrl(originalUrl)
+      if (!validation.isValid) {
+        this.logger.warn(this.logPrefix, 'URL validation failed for update', { 
+          shortCode,
+          originalUrl, 
+          error: validation.error 
+        })
+        throw new Error(validation.error)
+      }
+      await this._ensureSafeDestination(originalUrl)
+      data.originalUrl = originalUrl
+      data.normalizedUrlHash = hashNormalizedUrl(originalUrl)
+    }
+
+    const expiresAt = this._resolveExpiration(updates, false)
+    if (expiresAt !== undefined) {
+      data.expiresAt = expiresAt
+    }
+
+    const activatesAt = this._resolveActivation(updates.activatesAt, expiresAt)
+    if (activatesAt !== undefined) {
+      data.activatesAt = activatesAt
+    }
+
+    // When only one of the two changes, it must still fit the other one as stored
+    if ((activatesAt && expiresAt === undefined) || (expiresAt && activatesAt === undefined)) {
+      if (!await loadExistingUrl()) {
+        this.logger.debug(this.logPrefix, 'URL not found for update', { shortCode })
+        return null
+      }
+
+      this._ensureActivationBeforeExpiration(activatesAt ?? existingUrl.activatesAt, expiresAt ?? existingUrl.expiresAt)
+    }
+
+    const forwardingValidation = validateForwarding(updates)
+    if (!forwardingValidation.isValid) {
+      this.logger.warn(this.logPrefix, 'Forwarding validation failed for update', { shortCode, error: forwardingValidation.error })
+      throw new Error(forwardingValidation.error)
+    }
+    if (updates.forwardQuery !== undefined) {
+      data.forwardQuery = updates.forwardQuery
+    }
+    if (updates.forwardPath !== undefined) {
+      data.forwardPath = updates.forwardPath
+    }
+
+    const redirectType = this._resolveRedirectType(updates.redirectType)
+    if (redirectType !== undefined) {
+      data.redirectType = redirectType
+    }
+
+    if (Object.keys(data).length === 0) {
+      throw new Error('Invalid update: at least one of originalUrl, expiresAt, expiresIn, neverExpires, activatesAt, utm, forwardQuery, forwardPath or redirectType is required')
+    }
+
+    // Check database connectivity before proceeding
+    const [dbHealthError] = await __(this._checkDatabaseHealth())
+    if (dbHealthError) {
+      this.logger.error(this.logPrefix, 'Database health check failed for update', dbHealthError)
+      throw new Error('Database service unavailable')
+    }
+
+    const [updateError, updatedUrl] = await __(this.database.getClient().url.update({
+      where: { shortCode, ...this._scopeFilter(scope) },
+      data
+    }))
+
+    if (updateError) {
+      // Prisma raises P2025 when the record to update does not exist
+      if (updateError.code === 'P2025') {
+        this.logger.debug(this.logPrefix, 'URL not found for update', { shortCode })
+        return null
+      }
+
+      // Handle database connection errors
+      if (this._isDatabaseConnectionError(updateError)) {
+        this.logger.error(this.logPrefix, 'Database connection error during update', updateError)
+        throw new Error('Database service unavailable')
+      }
+      
+      this.logger.error(this.logPrefix, 'Failed to update URL in database', updateError)
+      throw new Error('Failed to update URL')
+    }
+
+    // Drop the stale cache entries first so a failed re-prime can't leave the old destination
+    // (or an expired marker for a link whose expiry was extended) behind
+    await this._removeCachedUrlGracefully(shortCode)
+    await this._clearMissingUrlGracefully(shortCode)
+    await this._cacheUrlGracefully(updatedUrl)
+
+    this.logger.info(this.logPrefix, 'Successfully updated URL', { 
+      shortCode, 
+      updatedFields: Object.keys(data)
+    })
+
+    return this._formatUrl(updatedUrl)
+  }
+
+  /**
+   * Load a link that is about to be updated
+   * 
+   * @param {string} shortCode - The short code of the URL
+   * @param {Object} scope - Ownership scope (see _isInScope)
+   * @returns {Object|null} URL record, or null if not found (or owned by someone else)
+   * @throws {Error} If the lookup fails
+   */
+  async _findUrlForUpdate(shortCode, scope) {
+    const [findError, existingUrl] = await __(this.database.getClient().url.findUnique({
+      where: { shortCode }
+    }))
+
+    if (findError) {
+      if (this._isDatabaseConnectionError(findError)) {
+        this.logger.error(this.logPrefix, 'Database connection error while loading URL for update', findError)
+        throw new Error('Database service unavailable')
+      }
+
+      this.logger.error(this.logPrefix, 'Database error while loading URL for update', findError)
+      throw new Error('Failed to update URL')
+    }
+
+    return existingUrl && this._isInScope(existingUrl, scope) ? existingUrl : null
+  }
+
+  /**
+   * Change a link's status (admin takedown). The record is kept for audit;
+   * disabled and taken-down links stop redirecting as soon as the cache is updated.
+   * 
+   * @param {string} shortCode - The short code of the URL
+   * @param {Object} change - Status change
+   * @param {string} change.status - active, disabled or taken_down
+   * @param {string} change.reason - Why the link was disabled (cleared on re-activation)
+   * @param {string|null} changedBy - Who made the change (admin API key owner), for the audit trail
+   * @returns {Object|null} Updated URL object, or null if not found
+   */
+  async setUrlStatus(shortCode, change = {}, changedBy = null) {
+    const { status, reason } = change
+    this.logger.info(this.logPrefix, 'Changing URL status', { shortCode, status, reason, changedBy })
+
+    if (!shortCode || typeof shortCode !== 'string') {
+      throw new Error('Short code is required and must be a string')
+    }
+
+    const validation = validateStatusChange(change)
+    if (!validation.isValid) {
+      this.logger.warn(this.logPrefix, 'Status change validation failed', { shortCode, error: validation.error })
+      throw new Error(validation.error)
+    }
+
+    // Check database connectivity before proceeding
+    const [dbHealthError] = await __(this._checkDatabaseHealth())
+    if (dbHealthError) {
+      this.logger.error(this.logPrefix, 'Database health check failed for status change', dbHealthError)
+      throw new Error('Database service unavailable')
     }
 
-    // Delete from database
-    const [deleteError] = await __(this.database.getClient().url.delete({
-      where: { shortCode }
+    const [updateError, updatedUrl] = await __(this.database.getClient().url.update({
+      where: { shortCode },
+      data: {
+        status,
+        statusReason: status === 'active' ? null : reason.trim(),
+        statusChangedAt: new Date(),
+        statusChangedBy: changedBy
+      }
     }))
 
-    if (deleteError) {
-      // Handle database connection errors
-      if (this._isDatabaseConnectionError(deleteError)) {
-        this.logger.error(this.logPrefix, 'Database connection error during deletion', deleteError)
+    if (updateError) {
+      // Prisma raises P2025 when the record to update does not exist
+      if (updateError.code === 'P2025') {
+        this.logger.debug(this.logPrefix, 'URL not found for status change', { shortCode })
+        return null
+      }
+
+      if (this._isDatabaseConnectionError(updateError)) {
+        this.logger.error(this.logPrefix, 'Database connection error during status change', updateError)
         throw new Error('Database service unavailable')
       }
-      
-      this.logger.error(this.logPrefix, 'Failed to delete URL from database', deleteError)
-      throw new Error('Failed to delete URL')
+
+      this.logger.error(this.logPrefix, 'Failed to update URL status in database', updateError)
+      throw new Error('Failed to update URL status')
     }
 
-    // Remove from cache (graceful degradation - don't fail if cache removal fails)
+    // Same order as updateUrl: the redirect path trusts the cache, so the old
+    // entry must go even if re-priming it with the new status fails
     await this._removeCachedUrlGracefully(shortCode)
+    await this._clearMissingUrlGracefully(shortCode)
+    await this._cacheUrlGracefully(updatedUrl)
 
-    this.logger.info(this.logPrefix, 'Successfully deleted URL', { 
-      shortCode, 
-      originalUrl: existingUrl.originalUrl 
+    this.logger.info(this.logPrefix, 'Successfully changed URL status', {
+      shortCode,
+      status,
+      changedBy
     })
 
-    return true
+    return this._formatUrl(updatedUrl)
   }
 
   /**
    * Retrieve all URLs from the database
    * 
+   * @param {Object} scope - Ownership scope (see _isInScope)
    * @returns {Array<Object>} Array of all URL objects
    */
-  async getAllUrls() {
+  async getAllUrls(scope = {}) {
     this.logger.debug(this.logPrefix, 'Getting all URLs')
 
     // Check database connectivity before proceeding
@@ -478,6 +1374,7 @@ class UrlService {
     }
 
     const [error, urls] = await __(this.database.getClient().url.findMany({
+      where: this._scopeFilter(scope),
       orderBy: { createdAt: 'desc' }
     }))
 
@@ -495,18 +1392,9 @@ class UrlService {
     this.logger.debug(this.logPrefix, 'Retrieved all URLs', { count: urls.length })
 
     // Format response and filter out expired URLs
-    const now = moment()
     const activeUrls = urls
-      .filter(url => now.isBefore(url.expiresAt))
-      .map(url => ({
-        id: url.id,
-        originalUrl: url.originalUrl,
-        shortCode: url.shortCode,
-        shortUrl: this._buildShortUrl(url.shortCode),
-        createdAt: url.createdAt,
-        expiresAt: url.expiresAt,
-        clickCount: url.clickCount
-      }))
+      .filter(url => !this._isExpired(url))
+      .map(url => this._formatUrl(url))
 
     this.logger.debug(this.logPrefix, 'Filtered active URLs', { 
       total: urls.length, 
@@ -517,7 +1405,251 @@ class UrlService {
   }
 
   /**
-   * Increment click count for a URL
+   * List URLs one page at a time, with filtering and sorting done by the database
+   * 
+   * Pages are keyset-based: the cursor carries the sort value and id of the last
+   * row returned, so rows created or deleted between requests don't shift pages.
+   * 
+   * @param {Object} options - Listing options, as resolved by validateListQuery
+   * @param {string} options.cursor - nextCursor from the previous page
+   * @param {number} options.limit - Page size
+   * @param {string} options.sort - Sort field: createdAt, clickCount, expiresAt or shortCode
+   * @param {string} options.order - Sort order: asc or desc
+   * @param {string} options.search - Case-insensitive substring of the original URL, or substring of the short code
+   * @param {string} options.status - active, scheduled (not active yet), expired, disabled
+   *   (disabled or taken down) or all
+   * @param {Object} scope - Ownership scope (see _isInScope)
+   * @returns {Object} { urls, nextCursor } where nextCursor is null on the last page
+   */
+  async listUrls(options = {}, scope = {}) {
+    const { cursor, limit = 20, sort = 'createdAt', order = 'desc', search, status = 'active' } = options
+
+    this.logger.debug(this.logPrefix, 'Listing URLs', { limit, sort, order, status, hasCursor: !!cursor })
+
+    const after = cursor ? this._decodeListCursor(cursor, sort, order) : null
+
+    // Check database connectivity before proceeding
+    const [dbHealthError] = await __(this._checkDatabaseHealth())
+    if (dbHealthError) {
+      this.logger.error(this.logPrefix, 'Database health check failed for listUrls', dbHealthError)
+      throw new Error('Database service unavailable')
+    }
+
+    const now = new Date()
+    const conditions = [this._scopeFilter(scope)]
+
+    if (status === 'active') {
+      conditions.push({
+        status: 'active',
+        OR: [{ expiresAt: null }, { expiresAt: { gt: now } }],
+        AND: [{ OR: [{ activatesAt: null }, { activatesAt: { lte: now } }] }]
+      })
+    } else if (status === 'scheduled') {
+      conditions.push({ activatesAt: { gt: now } })
+    } else if (status === 'expired') {
+      conditions.push({ expiresAt: { lte: now } })
+    } else if (status === 'disabled') {
+      conditions.push({ status: { not: 'active' } })
+    }
+
+    if (search) {
+      conditions.push({
+        OR: [
+          { originalUrl: { contains: search, mode: 'insensitive' } },
+          { shortCode: { contains: search } }
+        ]
+      })
+    }
+
+    if (after) {
+      conditions.push(this._listCursorCondition(sort, order, after))
+    }
+
+    // Never-expiring links sort after dated ones in both directions, matching the cursor condition
+    const sortOrder = sort === 'expiresAt' ? { sort: order, nulls: 'last' } : order
+
+    // Fetch one extra row to find out whether there is another page
+    const [error, rows] = await __(this.database.getClient().url.findMany({
+      where: { AND: conditions },
+      orderBy: [{ [sort]: sortOrder }, { id: order }],
+      take: limit + 1
+    }))
+
+    if (error) {
+      // Handle database connection errors
+      if (this._isDatabaseConnectionError(error)) {
+        this.logger.error(this.logPrefix, 'Database connection error while listing URLs', error)
+        throw new Error('Database service unavailable')
+      }
+      
+      this.logger.error(this.logPrefix, 'Failed to list URLs', error)
+      throw new Error('Failed to retrieve URLs')
+    }
+
+    const hasMore = rows.length > limit
+    const page = hasMore ? rows.slice(0, limit) : rows
+
+    this.logger.debug(this.logPrefix, 'Listed URLs', { count: page.length, hasMore })
+
+    return {
+      urls: page.map(url => this._formatUrl(url)),
+      nextCursor: hasMore ? this._encodeListCursor(page[page.length - 1], sort, order) : null
+    }
+  }
+
+  /**
+   * Iterate over every URL in a scope, one batch at a time, for exports
+   * 
+   * Walks the table with a Prisma cursor on id, so memory use stays at one batch
+   * however many links the scope holds. Expired links are included.
+   * 
+   * @param {Object} scope - Ownership scope (see _isInScope)
+   * @param {Object} options - Iteration options
+   * @param {number} options.batchSize - Rows fetched per query
+   * @yields {Array<Object>} Formatted URLs, in id order
+   */
+  async * iterateUrls(scope = {}, { batchSize = appConfig.url?.exportBatchSize || 500 } = {}) {
+    // Checked before the first batch, while the export can still fail with an error response
+    const [dbHealthError] = await __(this._checkDatabaseHealth())
+    if (dbHealthError) {
+      this.logger.error(this.logPrefix, 'Database health check failed for iterateUrls', dbHealthError)
+      throw new Error('Database service unavailable')
+    }
+
+    const prisma = this.database.getClient()
+    let cursor = null
+
+    while (true) {
+      const [error, rows] = await __(prisma.url.findMany({
+        where: this._scopeFilter(scope),
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+      }))
+
+      if (error) {
+        if (this._isDatabaseConnectionError(error)) {
+          this.logger.error(this.logPrefix, 'Database connection error while exporting URLs', error)
+          throw new Error('Database service unavailable')
+        }
+
+        this.logger.error(this.logPrefix, 'Failed to export URLs', error)
+        throw new Error('Failed to retrieve URLs')
+      }
+
+      if (rows.length > 0) {
+        yield rows.map(url => this._formatUrl(url))
+      }
+
+      if (rows.length < batchSize) {
+        return
+      }
+
+      cursor = rows[rows.length - 1].id
+    }
+  }
+
+  /**
+   * Track a redirect click.
+   * 
+   * Clicks are buffered as a Redis counter and applied to the database in batches by
+   * ClickCountFlusher, so a redirect costs one Redis round-trip instead of database
+   * writes. When Redis is unavailable the click is written to the database directly.
+   * 
+   * @param {string} shortCode - The short code that was clicked
+   * @returns {Object} Where the click was recorded: { source: 'redis' } or
+   *   { source: 'database', clickCount }
+   */
+  async trackClick(shortCode) {
+    if (!shortCode || typeof shortCode !== 'string') {
+      throw new Error('Short code is required and must be a string')
+    }
+
+    if (this.redis && this.redis.isConnected) {
+      const [bufferError] = await __(this.redis.bufferClick(shortCode))
+      if (!bufferError) {
+        this.logger.debug(this.logPrefix, 'Click buffered in Redis', { shortCode })
+        return { source: 'redis' }
+      }
+
+      this.logger.warn(this.logPrefix, 'Failed to buffer click, writing to database directly', { 
+        shortCode, 
+        error: bufferError.message 
+      })
+    }
+
+    const clickCount = await this.incrementClickCount(shortCode)
+    return { source: 'database', clickCount }
+  }
+
+  /**
+   * Count a link's clicks still buffered in Redis, which the database count
+   * doesn't include until ClickCountFlusher applies them
+   * 
+   * @param {string} shortCode - The short code
+   * @returns {number} Buffered clicks, or 0 when Redis is unavailable
+   */
+  async getBufferedClickCount(shortCode) {
+    if (!this.redis || !this.redis.isConnected) {
+      return 0
+    }
+
+    const [error, counts] = await __(this.redis.getBufferedClickCounts([shortCode]))
+    if (error) {
+      this.logger.warn(this.logPrefix, 'Failed to read buffered clicks, using the stored count', {
+        shortCode,
+        error: error.message
+      })
+      return 0
+    }
+
+    return counts[0] || 0
+  }
+
+  /**
+   * Claim one click of a click-limited link.
+   * 
+   * The check and the increment are a single conditional UPDATE, so concurrent
+   * redirects can never go past the limit. Claimed clicks are already counted:
+   * don't also pass them to trackClick.
+   * 
+   * @param {string} shortCode - The short code being redirected
+   * @param {number} maxClicks - The link's click limit (fixed at creation, so safe to take from the cache)
+   * @returns {boolean} True if the redirect may proceed, false once the limit is reached
+   *   (or the URL no longer exists)
+   */
+  async claimLimitedClick(shortCode, maxClicks) {
+    if (!shortCode || typeof shortCode !== 'string') {
+      throw new Error('Short code is required and must be a string')
+    }
+
+    const [error, result] = await __(this.database.getClient().url.updateMany({
+      where: {
+        shortCode,
+        clickCount: { lt: maxClicks }
+      },
+      data: {
+        clickCount: { increment: 1 }
+      }
+    }))
+
+    if (error) {
+      if (this._isDatabaseConnectionError(error)) {
+        this.logger.error(this.logPrefix, 'Database connection error while claiming a limited click', error)
+        throw new Error('Database service unavailable')
+      }
+
+      this.logger.error(this.logPrefix, 'Failed to claim a limited click', error)
+      throw new Error('Failed to increment click count')
+    }
+
+    const claimed = result.count > 0
+    this.logger.debug(this.logPrefix, 'Limited click claim', { shortCode, maxClicks, claimed })
+    return claimed
+  }
+
+  /**
+   * Increment click count for a URL directly in the database
    * 
    * @param {string} shortCode - The short code of the URL to increment
    * @returns {number} New click count, or null if URL not found
@@ -529,13 +1661,7 @@ class UrlService {
       throw new Error('Short code is required and must be a string')
     }
 
-    // Check database connectivity before proceeding
-    const [dbHealthError] = await __(this._checkDatabaseHealth())
-    if (dbHealthError) {
-      this.logger.error(this.logPrefix, 'Database health check failed for click increment', dbHealthError)
-      throw new Error('Database service unavailable')
-    }
-
+    // No separate health check here: the UPDATE itself surfaces connection errors
     const [error, updatedUrl] = await __(this.database.getClient().url.update({
       where: { shortCode },
       data: {
@@ -597,7 +1723,7 @@ class UrlService {
     }
 
     // Fallback to local generation
-    const fallbackCode = this._generateFallbackShortCode()
+    const fallbackCode = await this._generateUnquarantinedFallbackShortCode()
     return {
       code: fallbackCode,
       source: 'local_fallback',
@@ -606,6 +1732,43 @@ class UrlService {
     }
   }
 
+  /**
+   * Generate a fallback short code that isn't held in quarantine. The pool never
+   * contains quarantined codes, but locally generated ones have to be checked.
+   * 
+   * @returns {string} Generated short code
+   * @throws {Error} If the quarantine lookup fails or every attempt is quarantined
+   */
+  async _generateUnquarantinedFallbackShortCode() {
+    const maxAttempts = 3
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const shortCode = this._generateFallbackShortCode()
+
+      const [findError, quarantined] = await __(this.database.getClient().shortCodeQuarantine.findUnique({
+        where: { shortCode }
+      }))
+
+      if (findError) {
+        if (this._isDatabaseConnectionError(findError)) {
+          this.logger.error(this.logPrefix, 'Database connection error while checking short code quarantine', findError)
+          throw new Error('Database service unavailable')
+        }
+
+        this.logger.error(this.logPrefix, 'Database error while checking short code quarantine', findError)
+        throw new Error('Failed to check short code quarantine')
+      }
+
+      if (!quarantined) {
+        return shortCode
+      }
+
+      this.logger.warn(this.logPrefix, 'Fallback short code is quarantined, retrying', { shortCode, attempt })
+    }
+
+    throw new Error('Failed to generate a short code outside quarantine')
+  }
+
   /**
    * Generate a fallback short code when Redis is unavailable
    * 
@@ -623,22 +1786,70 @@ class UrlService {
     return result
   }
 
+  /**
+   * Build the value cached for a URL: everything the redirect path needs,
+   * so a cache hit never has to consult the database
+   * 
+   * @param {Object} url - URL record from the database
+   * @returns {Object} Cacheable redirect data
+   */
+  _toCachePayload(url) {
+    return {
+      id: url.id,
+      originalUrl: url.originalUrl,
+      shortCode: url.shortCode,
+      expiresAt: url.expiresAt ?? null,
+      status: url.status || 'active',
+      passwordProtected: !!url.passwordHash,
+      maxClicks: url.maxClicks ?? null,
+      activatesAt: url.activatesAt ?? null,
+      forwardQuery: url.forwardQuery || 'ignore',
+      forwardPath: !!url.forwardPath,
+      redirectType: url.redirectType || '302'
+    }
+  }
+
+  /**
+   * Cache TTL for a URL: the configured TTL, shortened so the entry never
+   * outlives the URL's expiration
+   * 
+   * @param {Object} url - URL record
+   * @returns {number} TTL in seconds, or 0 if the URL has already expired
+   */
+  _getCacheTtlSeconds(url) {
+    const cacheTtl = appConfig.url?.cacheTtlSeconds || 3600
+
+    if (!url.expiresAt) {
+      return cacheTtl
+    }
+
+    const secondsUntilExpiry = moment(url.expiresAt).diff(moment(), 'seconds')
+    return Math.max(Math.min(cacheTtl, secondsUntilExpiry), 0)
+  }
+
   /**
    * Cache URL with graceful degradation - doesn't fail if Redis is unavailable
    * 
-   * @param {string} shortCode - Short code to cache
-   * @param {string} originalUrl - Original URL to cache
+   * @param {Object} url - URL record to cache
    */
-  async _cacheUrlGracefully(shortCode, originalUrl) {
+  async _cacheUrlGracefully(url) {
+    const { shortCode } = url
+
     if (!this.redis || !this.redis.isConnected) {
       this.logger.debug(this.logPrefix, 'Redis not available, skipping URL caching', { shortCode })
       return
     }
 
+    const ttlSeconds = this._getCacheTtlSeconds(url)
+    if (ttlSeconds <= 0) {
+      this.logger.debug(this.logPrefix, 'URL expires too soon to cache', { shortCode })
+      return
+    }
+
     const [cacheError] = await __(this.redis.cacheUrl(
       shortCode, 
-      originalUrl, 
-      appConfig.url?.cacheTtlSeconds || 3600
+      this._toCachePayload(url), 
+      ttlSeconds
     ))
     
     if (cacheError) {
@@ -651,6 +1862,104 @@ class UrlService {
     }
   }
 
+  /**
+   * Look up the negative cache entry for a short code with graceful degradation
+   * 
+   * @param {string} shortCode - Short code to look up
+   * @returns {Object|null} Missing URL marker, or null on a miss or if Redis is unavailable
+   */
+  async _getMissingUrlGracefully(shortCode) {
+    if (!this.redis || !this.redis.isConnected) {
+      return null
+    }
+
+    const [lookupError, marker] = await __(this.redis.getMissingUrl(shortCode))
+
+    if (lookupError) {
+      this.logger.warn(this.logPrefix, 'Negative cache lookup failed, continuing', { 
+        shortCode, 
+        error: lookupError.message 
+      })
+      return null
+    }
+
+    return marker
+  }
+
+  /**
+   * Record that a short code has no redirect target, with graceful degradation
+   * 
+   * @param {string} shortCode - Short code that was not found or has expired
+   * @param {Object} marker - { reason: 'not_found' } or { reason: 'expired', url }
+   */
+  async _cacheMissingUrlGracefully(shortCode, marker) {
+    if (!this.redis || !this.redis.isConnected) {
+      return
+    }
+
+    const [cacheError] = await __(this.redis.cacheMissingUrl(
+      shortCode, 
+      marker, 
+      appConfig.url?.negativeCacheTtlSeconds || 60
+    ))
+
+    if (cacheError) {
+      this.logger.warn(this.logPrefix, 'Failed to cache missing URL marker, continuing', { 
+        shortCode, 
+        error: cacheError.message 
+      })
+    }
+  }
+
+  /**
+   * Clear the negative cache entry for a short code with graceful degradation
+   * 
+   * @param {string} shortCode - Short code that now has a redirect target
+   */
+  async _clearMissingUrlGracefully(shortCode) {
+    if (!this.redis || !this.redis.isConnected) {
+      return
+    }
+
+    const [removeError] = await __(this.redis.removeMissingUrl(shortCode))
+
+    if (removeError) {
+      this.logger.warn(this.logPrefix, 'Failed to clear missing URL marker, continuing', { 
+        shortCode, 
+        error: removeError.message 
+      })
+    }
+  }
+
+  /**
+   * Remove a custom alias from the short code pool with graceful degradation.
+   * Only aliases shaped like generated codes can be in the pool, so others are skipped
+   * rather than paying for a full scan of the pool list.
+   * 
+   * @param {string} alias - Alias to remove from the pool
+   */
+  async _removeAliasFromPoolGracefully(alias) {
+    if (!validateShortCode(alias).isValid) {
+      return
+    }
+
+    if (!this.redis || !this.redis.isConnected) {
+      this.logger.debug(this.logPrefix, 'Redis not available, skipping pool removal for alias', { alias })
+      return
+    }
+
+    const [removeError, removedCount] = await __(this.redis.removeCodesFromPool([alias]))
+
+    if (removeError) {
+      this.logger.warn(this.logPrefix, 'Failed to remove alias from short code pool, continuing', { 
+        alias, 
+        error: removeError.message 
+      })
+    } else if (removedCount > 0) {
+      this.logger.info(this.logPrefix, 'Removed alias from short code pool', { alias })
+    }
+  }
+
   /**
    * Remove URL from cache with graceful degradation
    * 
@@ -702,26 +2011,7 @@ class UrlService {
    * @returns {boolean} True if it's a connection error
    */
   _isDatabaseConnectionError(error) {
-    const connectionErrorCodes = [
-      'P1001', // Can't reach database server
-      'P1002', // Database server unreachable  
-      'P1003', // Database file doesn't exist
-      'P1008', // Operations timed out
-      'P1017'  // Server closed connection
-    ]
-    
-    const connectionErrorMessages = [
-      'connection',
-      'timeout',
-      'unreachable',
-      'refused',
-      'closed'
-    ]
-
-    return connectionErrorCodes.includes(error.code) ||
-           connectionErrorMessages.some(msg => 
-             error.message?.toLowerCase().includes(msg)
-           )
+    return isDatabaseConnectionError(error)
   }
 }
 
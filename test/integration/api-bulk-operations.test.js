@@ -4,6 +4,7 @@ import request from 'supertest'
 import express from 'express'
 import sinon from 'sinon'
 import createApiRoutes from '../../routes/api.js'
+import { appConfig } from '../../config/app.js'
 
 /**
  * Integration tests for bulk API operations
@@ -15,9 +16,22 @@ describe('API Bulk Operations Integration Tests', () => {
   let mockRedisService
   let mockLogger
   let sandbox
+  let authRequired
+  let rateLimitEnabled
+  let urlSafety
 
   before(() => {
     sandbox = sinon.createSandbox()
+
+    // These suites exercise the handlers, not authentication or rate limiting
+    authRequired = appConfig.auth.required
+    rateLimitEnabled = appConfig.rateLimit.enabled
+    appConfig.auth.required = false
+    appConfig.rateLimit.enabled = false
+
+    // Keep destination screening off the network
+    urlSafety = appConfig.url.safety
+    appConfig.url.safety = { ...urlSafety, resolveDns: false }
     
     // Create Express app
     app = express()
@@ -43,6 +57,9 @@ describe('API Bulk Operations Integration Tests', () => {
       cacheUrl: sandbox.stub(),
       getCachedUrl: sandbox.stub(),
       removeCachedUrl: sandbox.stub(),
+      getMissingUrl: sandbox.stub().resolves(null),
+      cacheMissingUrl: sandbox.stub().resolves(),
+      removeMissingUrl: sandbox.stub().resolves(),
       isHealthy: sandbox.stub().returns(true)
     }
 
@@ -74,6 +91,9 @@ describe('API Bulk Operations Integration Tests', () => {
 
   after(() => {
     sandbox.restore()
+    appConfig.auth.required = authRequired
+    appConfig.rateLimit.enabled = rateLimitEnabled
+    appConfig.url.safety = urlSafety
   })
 
   describe('POST /api/shorten/bulk - Payload Size Tests', () => {
@@ -206,15 +226,22 @@ describe('API Bulk Operations Integration Tests', () => {
       const invalidUrls = Array(500).fill().map((_, i) => `invalid-url-${i}`)
       const urls = [...validUrls, ...invalidUrls]
 
+      mockDatabaseService.getClient().url.create.callsFake(({ data }) => Promise.resolve({
+        id: `id-${data.originalUrl}`,
+        createdAt: new Date(),
+        clickCount: 0,
+        ...data
+      }))
+
       const response = await request(app)
         .post('/api/shorten/bulk')
         .send({ urls })
-        .expect(400)
+        .expect(207)
 
-      expect(response.body.error.message).to.include('Invalid URL')
-      expect(response.body.error.details).to.be.an('array')
-      expect(response.body.error.details).to.have.lengthOf(500) // All invalid URLs should be reported
-      expect(mockDatabaseService.getClient().$transaction).to.not.have.been.called
+      expect(response.body.data.successCount).to.equal(500)
+      expect(response.body.data.failed).to.have.lengthOf(500) // All invalid URLs should be reported
+      expect(response.body.data.failed[0]).to.include({ index: 500, url: 'invalid-url-0', code: 'INVALID_URL' })
+      expect(mockDatabaseService.getClient().url.create).to.have.callCount(500)
     })
   })
 
@@ -4,6 +4,7 @@ import request from 'supertest'
 import express from 'express'
 import sinon from 'sinon'
 import createApiRoutes from '../../routes/api.js'
+import { appConfig } from '../../config/app.js'
 
 /**
  * Integration tests for API resilience and error handling
@@ -15,9 +16,22 @@ describe('API Resilience Integration Tests', () => {
   let mockRedisService
   let mockLogger
   let sandbox
+  let authRequired
+  let rateLimitEnabled
+  let urlSafety
 
   before(() => {
     sandbox = sinon.createSandbox()
+
+    // These suites exercise the handlers, not authentication or rate limiting
+    authRequired = appConfig.auth.required
+    rateLimitEnabled = appConfig.rateLimit.enabled
+    appConfig.auth.required = false
+    appConfig.rateLimit.enabled = false
+
+    // Keep destination screening off the network
+    urlSafety = appConfig.url.safety
+    appConfig.url.safety = { ...urlSafety, resolveDns: false }
     
     // Create Express app
     app = express()
@@ -43,6 +57,9 @@ describe('API Resilience Integration Tests', () => {
       cacheUrl: sandbox.stub(),
       getCachedUrl: sandbox.stub(),
       removeCachedUrl: sandbox.stub(),
+      getMissingUrl: sandbox.stub().resolves(null),
+      cacheMissingUrl: sandbox.stub().resolves(),
+      removeMissingUrl: sandbox.stub().resolves(),
       isHealthy: sandbox.stub().returns(true)
     }
 
@@ -70,6 +87,9 @@ describe('API Resilience Integration Tests', () => {
 
   after(() => {
     sandbox.restore()
+    appConfig.auth.required = authRequired
+    appConfig.rateLimit.enabled = rateLimitEnabled
+    appConfig.url.safety = urlSafety
   })
 
   describe('Redis Failure Scenarios', () => {
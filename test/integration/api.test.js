@@ -4,6 +4,7 @@ import request from 'supertest'
 import express from 'express'
 import sinon from 'sinon'
 import createApiRoutes from '../../routes/api.js'
+import { appConfig } from '../../config/app.js'
 import { DatabaseService } from '../../libs/database.js'
 import { RedisService } from '../../libs/redis.js'
 import createLogger from '../../libs/logger.js'
@@ -18,9 +19,22 @@ describe('API Endpoints Integration Tests', () => {
   let mockRedisService
   let mockLogger
   let sandbox
+  let authRequired
+  let rateLimitEnabled
+  let urlSafety
 
   before(() => {
     sandbox = sinon.createSandbox()
+
+    // These suites exercise the handlers, not authentication or rate limiting
+    authRequired = appConfig.auth.required
+    rateLimitEnabled = appConfig.rateLimit.enabled
+    appConfig.auth.required = false
+    appConfig.rateLimit.enabled = false
+
+    // Keep destination screening off the network
+    urlSafety = appConfig.url.safety
+    appConfig.url.safety = { ...urlSafety, resolveDns: false }
     
     // Create Express app
     app = express()
@@ -36,9 +50,13 @@ describe('API Endpoints Integration Tests', () => {
           delete: sandbox.stub(),
           update: sandbox.stub()
         },
+        shortCodeQuarantine: {
+          findUnique: sandbox.stub().resolves(null)
+        },
         $transaction: sandbox.stub()
       }),
-      healthCheck: sandbox.stub().resolves(true)
+      healthCheck: sandbox.stub().resolves(true),
+      isConnected: true
     }
 
     mockRedisService = {
@@ -46,6 +64,9 @@ describe('API Endpoints Integration Tests', () => {
       cacheUrl: sandbox.stub(),
       getCachedUrl: sandbox.stub(),
       removeCachedUrl: sandbox.stub(),
+      getMissingUrl: sandbox.stub().resolves(null),
+      cacheMissingUrl: sandbox.stub().resolves(),
+      removeMissingUrl: sandbox.stub().resolves(),
       isHealthy: sandbox.stub().returns(true)
     }
 
@@ -76,6 +97,9 @@ describe('API Endpoints Integration Tests', () => {
 
   after(() => {
     sandbox.restore()
+    appConfig.auth.required = authRequired
+    appConfig.rateLimit.enabled = rateLimitEnabled
+    appConfig.url.safety = urlSafety
   })
 
   describe('POST /api/shorten', () => {
@@ -258,21 +282,30 @@ describe('API Endpoints Integration Tests', () => {
       expect(mockDatabaseService.getClient().$transaction).to.not.have.been.called
     })
 
-    it('should return 400 for invalid URLs in array', async () => {
+    it('should return 207 with per-item results for invalid URLs in array', async () => {
       const mixedUrls = [
         'https://example.com/valid',
         'invalid-url',
         'https://example.com/also-valid'
       ]
 
+      mockDatabaseService.getClient().url.create.callsFake(({ data }) => Promise.resolve({
+        id: `id-${data.originalUrl}`,
+        createdAt: new Date(),
+        clickCount: 0,
+        ...data
+      }))
+
       const response = await request(app)
         .post('/api/shorten/bulk')
         .send({ urls: mixedUrls })
-        .expect(400)
+        .expect(207)
 
-      expect(response.body.error.message).to.include('Invalid URL')
-      expect(response.body.error.details).to.be.an('array')
-      expect(response.body.error.details.some(detail => detail.includes('invalid-url'))).to.be.true
+      expect(response.body.data.successCount).to.equal(2)
+      expect(response.body.data.failureCount).to.equal(1)
+      expect(response.body.data.successful.map(item => item.index)).to.deep.equal([0, 2])
+      expect(response.body.data.failed).to.have.lengthOf(1)
+      expect(response.body.data.failed[0]).to.include({ index: 1, url: 'invalid-url', code: 'INVALID_URL' })
     })
 
     it('should return 500 for database transaction failure', async () => {
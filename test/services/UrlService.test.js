@@ -3,6 +3,7 @@ import { expect } from 'chai'
 import sinon from 'sinon'
 import UrlService from '../../services/UrlService.js'
 import { validateUrl } from '../../utils/validators.js'
+import { appConfig } from '../../config/app.js'
 
 /**
  * Unit tests for UrlService
@@ -14,9 +15,14 @@ describe('UrlService Unit Tests', () => {
   let mockRedis
   let mockLogger
   let sandbox
+  let urlSafety
 
   beforeEach(() => {
     sandbox = sinon.createSandbox()
+
+    // Keep destination screening off the network
+    urlSafety = appConfig.url.safety
+    appConfig.url.safety = { ...urlSafety, resolveDns: false }
     
     // Mock Database (Prisma client structure)
     const mockPrismaClient = {
@@ -43,6 +49,9 @@ describe('UrlService Unit Tests', () => {
       cacheUrl: sandbox.stub(),
       getCachedUrl: sandbox.stub(),
       removeCachedUrl: sandbox.stub(),
+      getMissingUrl: sandbox.stub().resolves(null),
+      cacheMissingUrl: sandbox.stub().resolves(),
+      removeMissingUrl: sandbox.stub().resolves(),
       isHealthy: sandbox.stub().returns(true),
       healthCheck: sandbox.stub().resolves(true),
       isConnected: true
@@ -62,6 +71,7 @@ describe('UrlService Unit Tests', () => {
 
   afterEach(() => {
     sandbox.restore()
+    appConfig.url.safety = urlSafety
   })
 
   describe('createShortUrl()', () => {
@@ -361,20 +371,34 @@ describe('UrlService Unit Tests', () => {
       }
     })
 
-    it('should fail entire operation if any URL is invalid', async () => {
+    it('should report invalid URLs per item without failing the batch', async () => {
       const mixedUrls = [
         'https://example.com/valid',
         'invalid-url',
         'https://example.com/also-valid'
       ]
 
-      try {
-        await urlService.createBulkShortUrls(mixedUrls, baseUrl)
-        expect.fail('Should have thrown validation error')
-      } catch (error) {
-        expect(error.message).to.include('Invalid URL')
-        expect(mockDatabase.getClient().$transaction).to.not.have.been.called
-      }
+      mockRedis.getShortCode.reset()
+      mockRedis.getShortCode
+        .onFirstCall().resolves({ code: shortCodes[0], source: 'redis_pool' })
+        .onSecondCall().resolves({ code: shortCodes[1], source: 'redis_pool' })
+      mockDatabase.getClient().url.create.callsFake(({ data }) => Promise.resolve({
+        id: `id-${data.shortCode}`,
+        createdAt: new Date('2024-01-15T10:30:00Z'),
+        clickCount: 0,
+        ...data
+      }))
+
+      const result = await urlService.createBulkShortUrls(mixedUrls, baseUrl)
+
+      expect(result.successCount).to.equal(2)
+      expect(result.successful.map(item => [item.index, item.shortCode])).to.deep.equal([
+        [0, shortCodes[0]],
+        [2, shortCodes[1]]
+      ])
+      expect(result.failed).to.have.lengthOf(1)
+      expect(result.failed[0]).to.include({ index: 1, url: 'invalid-url', code: 'INVALID_URL' })
+      expect(mockDatabase.getClient().url.create.callCount).to.equal(2)
     })
 
     it('should handle Redis failure gracefully and continue with database operation', async () => {
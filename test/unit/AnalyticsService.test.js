@@ -0,0 +1,252 @@
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+import AnalyticsService from '../../services/AnalyticsService.js'
+import createLogger from '../../libs/logger.js'
+import { appConfig } from '../../config/app.js'
+
+/**
+ * Unit tests for AnalyticsService click recording and statistics aggregation
+ */
+describe('AnalyticsService Tests', () => {
+  let analyticsService
+  let logger
+  let mockDatabase
+  let createdClicks
+  let analyticsConfig
+
+  beforeEach(() => {
+    logger = createLogger()
+    createdClicks = []
+
+    analyticsConfig = appConfig.analytics
+    appConfig.analytics = { ...analyticsConfig, enabled: true, ipHashSalt: 'test-salt' }
+
+    mockDatabase = {
+      isConnected: true,
+      getClient: () => ({
+        click: {
+          create: ({ data }) => {
+            createdClicks.push(data)
+            return Promise.resolve({ id: 'click-id', clickedAt: new Date(), ...data })
+          },
+          groupBy: () => Promise.resolve([
+            { referrerHost: 'news.ycombinator.com', _count: { _all: 5 } },
+            { referrerHost: null, _count: { _all: 2 } }
+          ])
+        },
+        url: {
+          findUnique: ({ where }) => Promise.resolve(where.shortCode === 'abc12'
+            ? { id: 'url-id', shortCode: 'abc12', clickCount: 9 }
+            : null)
+        },
+        $queryRaw: () => Promise.resolve([
+          { bucket: new Date('2024-05-01T00:00:00Z'), count: 4 },
+          { bucket: new Date('2024-05-03T00:00:00Z'), count: 3 }
+        ])
+      })
+    }
+
+    analyticsService = new AnalyticsService(mockDatabase, null, logger)
+  })
+
+  afterEach(() => {
+    appConfig.analytics = analyticsConfig
+  })
+
+  describe('Constructor', () => {
+    it('should throw error when database service is missing', () => {
+      expect(() => new AnalyticsService(null, null, logger)).to.throw('AnalyticsService requires a database service instance')
+    })
+
+    it('should throw error when logger is missing', () => {
+      expect(() => new AnalyticsService(mockDatabase, null, null)).to.throw('AnalyticsService requires a logger instance')
+    })
+  })
+
+  describe('recordClick()', () => {
+    it('should store referrer host, user agent family and hashed IP', async () => {
+      await analyticsService.recordClick('url-id', {
+        referrer: 'https://News.YCombinator.com/item?id=1',
+        userAgent: 'Mozilla/5.0 (Macintosh) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+        ip: '203.0.113.7'
+      })
+
+      expect(createdClicks).to.have.length(1)
+      const [click] = createdClicks
+      expect(click.urlId).to.equal('url-id')
+      expect(click.referrerHost).to.equal('news.ycombinator.com')
+      expect(click.userAgentFamily).to.equal('Chrome')
+      expect(click.country).to.be.null
+      expect(click.ipHash).to.match(/^[a-f0-9]{64}$/)
+      expect(click.ipHash).to.not.include('203.0.113.7')
+    })
+
+    it('should record direct traffic without referrer or IP', async () => {
+      await analyticsService.recordClick('url-id', {})
+
+      const [click] = createdClicks
+      expect(click.referrerHost).to.be.null
+      expect(click.userAgentFamily).to.equal('Unknown')
+      expect(click.ipHash).to.be.null
+    })
+
+    it('should buffer the event in Redis instead of writing to the database', async () => {
+      const buffered = []
+      const mockRedis = {
+        isConnected: true,
+        bufferClickEvent: (event) => {
+          buffered.push(event)
+          return Promise.resolve()
+        }
+      }
+      analyticsService = new AnalyticsService(mockDatabase, mockRedis, logger)
+
+      const result = await analyticsService.recordClick('url-id', { userAgent: 'curl/8.0', ip: '203.0.113.7' })
+
+      expect(result).to.deep.equal({ source: 'redis' })
+      expect(createdClicks).to.be.empty
+      expect(buffered).to.have.length(1)
+      expect(buffered[0]).to.include({ urlId: 'url-id', userAgentFamily: 'Bot' })
+      expect(buffered[0].clickedAt).to.be.an.instanceof(Date)
+    })
+
+    it('should write to the database when buffering in Redis fails', async () => {
+      const mockRedis = {
+        isConnected: true,
+        bufferClickEvent: () => Promise.reject(new Error('Connection lost'))
+      }
+      analyticsService = new AnalyticsService(mockDatabase, mockRedis, logger)
+
+      const result = await analyticsService.recordClick('url-id', {})
+
+      expect(result.source).to.equal('database')
+      expect(createdClicks).to.have.length(1)
+    })
+
+    it('should not store an IP hash when no salt is configured', async () => {
+      appConfig.analytics.ipHashSalt = null
+
+      await analyticsService.recordClick('url-id', { ip: '203.0.113.7' })
+
+      expect(createdClicks[0].ipHash).to.be.null
+    })
+
+    it('should not record clicks when analytics is disabled', async () => {
+      appConfig.analytics.enabled = false
+
+      const click = await analyticsService.recordClick('url-id', { ip: '203.0.113.7' })
+
+      expect(click).to.be.null
+      expect(createdClicks).to.be.empty
+    })
+
+    it('should throw when the database write fails', async () => {
+      mockDatabase.getClient = () => ({
+        click: { create: () => Promise.reject(new Error('connection refused')) }
+      })
+
+      try {
+        await analyticsService.recordClick('url-id', {})
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.equal('Failed to record click')
+      }
+    })
+  })
+
+  describe('parseUserAgentFamily()', () => {
+    it('should classify common browsers', () => {
+      expect(analyticsService.parseUserAgentFamily('Mozilla/5.0 (Windows NT 10.0) AppleWebKit/537.36 Chrome/124.0 Safari/537.36 Edg/124.0')).to.equal('Edge')
+      expect(analyticsService.parseUserAgentFamily('Mozilla/5.0 (X11; Linux x86_64; rv:125.0) Gecko/20100101 Firefox/125.0')).to.equal('Firefox')
+      expect(analyticsService.parseUserAgentFamily('Mozilla/5.0 (iPhone) AppleWebKit/605.1.15 Version/17.4 Mobile/15E148 Safari/604.1')).to.equal('Safari')
+      expect(analyticsService.parseUserAgentFamily('Googlebot/2.1 (+http://www.google.com/bot.html)')).to.equal('Bot')
+      expect(analyticsService.parseUserAgentFamily('SomethingElse/1.0')).to.equal('Other')
+    })
+  })
+
+  describe('getClickStats()', () => {
+    it('should return zero-filled buckets and top referrers', async () => {
+      const stats = await analyticsService.getClickStats('abc12', {
+        interval: 'day',
+        from: new Date('2024-05-01T00:00:00Z'),
+        to: new Date('2024-05-04T00:00:00Z')
+      })
+
+      expect(stats.totalClicks).to.equal(9)
+      expect(stats.windowClicks).to.equal(7)
+      expect(stats.buckets).to.deep.equal([
+        { start: '2024-05-01T00:00:00.000Z', count: 4 },
+        { start: '2024-05-02T00:00:00.000Z', count: 0 },
+        { start: '2024-05-03T00:00:00.000Z', count: 3 }
+      ])
+      expect(stats.topReferrers).to.deep.equal([
+        { referrerHost: 'news.ycombinator.com', count: 5 },
+        { referrerHost: null, count: 2 }
+      ])
+    })
+
+    it('should align weekly buckets to ISO weeks like date_trunc', async () => {
+      const stats = await analyticsService.getClickStats('abc12', {
+        interval: 'week',
+        from: new Date('2024-05-01T12:00:00Z'),
+        to: new Date('2024-05-10T00:00:00Z')
+      })
+
+      expect(stats.buckets.map(bucket => bucket.start)).to.deep.equal([
+        '2024-04-29T00:00:00.000Z',
+        '2024-05-06T00:00:00.000Z'
+      ])
+    })
+
+    it('should return null for unknown short codes', async () => {
+      const stats = await analyticsService.getClickStats('zzzzz', {
+        interval: 'day',
+        from: new Date('2024-05-01T00:00:00Z'),
+        to: new Date('2024-05-04T00:00:00Z')
+      })
+
+      expect(stats).to.be.null
+    })
+
+    it('should report an unreachable database as unavailable', async () => {
+      const client = mockDatabase.getClient()
+      mockDatabase.getClient = () => ({
+        ...client,
+        $queryRaw: () => Promise.reject(Object.assign(new Error('Can\'t reach database server'), { code: 'P1001' }))
+      })
+
+      try {
+        await analyticsService.getClickStats('abc12', { interval: 'day', from: new Date('2024-05-01T00:00:00Z'), to: new Date('2024-05-04T00:00:00Z') })
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.equal('Database service unavailable')
+      }
+    })
+
+    it('should report an unavailable database without querying when disconnected', async () => {
+      mockDatabase.isConnected = false
+
+      try {
+        await analyticsService.getClickStats('abc12', { interval: 'day', from: new Date('2024-05-01T00:00:00Z'), to: new Date('2024-05-04T00:00:00Z') })
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.equal('Database service unavailable')
+      }
+    })
+
+    it('should report other query failures as a statistics failure', async () => {
+      const client = mockDatabase.getClient()
+      mockDatabase.getClient = () => ({
+        ...client,
+        $queryRaw: () => Promise.reject(new Error('syntax error at or near "GROUP"'))
+      })
+
+      try {
+        await analyticsService.getClickStats('abc12', { interval: 'day', from: new Date('2024-05-01T00:00:00Z'), to: new Date('2024-05-04T00:00:00Z') })
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.equal('Failed to retrieve click statistics')
+      }
+    })
+  })
+})
\ No newline at end of file
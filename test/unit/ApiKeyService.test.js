@@ -0,0 +1,175 @@
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+import express from 'express'
+import request from 'supertest'
+import ApiKeyService from '../../services/ApiKeyService.js'
+import createAuthMiddleware from '../../middleware/auth.js'
+import createAdminMiddleware from '../../middleware/admin.js'
+import createLogger from '../../libs/logger.js'
+import { appConfig } from '../../config/app.js'
+
+/**
+ * Unit tests for ApiKeyService and the API key auth middleware
+ */
+describe('ApiKeyService Tests', () => {
+  let apiKeyService
+  let logger
+  let mockDatabase
+  let keys
+
+  beforeEach(() => {
+    logger = createLogger()
+    keys = new Map()
+
+    mockDatabase = {
+      isConnected: true,
+      getClient: () => ({
+        apiKey: {
+          create: ({ data }) => {
+            const record = { id: `key-${keys.size + 1}`, createdAt: new Date(), lastUsedAt: null, revokedAt: null, ...data }
+            keys.set(record.id, record)
+            return Promise.resolve(record)
+          },
+          findUnique: ({ where }) => Promise.resolve([...keys.values()].find(key => key.keyHash === where.keyHash) || null),
+          update: ({ where, data }) => {
+            const record = keys.get(where.id)
+            if (!record) {
+              return Promise.reject(Object.assign(new Error('Record not found'), { code: 'P2025' }))
+            }
+            Object.assign(record, data)
+            return Promise.resolve(record)
+          }
+        }
+      })
+    }
+
+    apiKeyService = new ApiKeyService(mockDatabase, logger)
+  })
+
+  it('should issue a prefixed key and store only its hash', async () => {
+    const { apiKey, key } = await apiKeyService.createKey('owner-1', 'ci')
+
+    expect(apiKey).to.match(/^usk_[A-Za-z0-9_-]{32}$/)
+    expect(key).to.include({ ownerId: 'owner-1', name: 'ci', keyPrefix: apiKey.slice(0, 12) })
+    expect(key).to.not.have.property('keyHash')
+
+    const stored = keys.get(key.id)
+    expect(stored.keyHash).to.equal(apiKeyService.hashKey(apiKey))
+    expect(Object.values(stored)).to.not.include(apiKey)
+  })
+
+  it('should authenticate a valid key', async () => {
+    const { apiKey, key } = await apiKeyService.createKey('owner-1')
+
+    const result = await apiKeyService.authenticate(apiKey)
+
+    expect(result).to.include({ id: key.id, ownerId: 'owner-1' })
+  })
+
+  it('should reject unknown, malformed and revoked keys', async () => {
+    const { apiKey, key } = await apiKeyService.createKey('owner-1')
+
+    expect(await apiKeyService.authenticate('usk_unknown')).to.be.null
+    expect(await apiKeyService.authenticate('not-a-key')).to.be.null
+
+    const revoked = await apiKeyService.revokeKey(key.id)
+    expect(revoked.revokedAt).to.be.instanceOf(Date)
+    expect(await apiKeyService.authenticate(apiKey)).to.be.null
+  })
+
+  it('should return null when revoking an unknown key', async () => {
+    expect(await apiKeyService.revokeKey('missing')).to.be.null
+  })
+
+  describe('Auth Middleware', () => {
+    let app
+    let authRequired
+
+    beforeEach(() => {
+      authRequired = appConfig.auth.required
+      appConfig.auth.required = true
+
+      app = express()
+      app.get('/protected', createAuthMiddleware(apiKeyService, logger), (req, res) => {
+        res.json({ auth: req.auth })
+      })
+    })
+
+    afterEach(() => {
+      appConfig.auth.required = authRequired
+    })
+
+    it('should return 401 when no key is provided', async () => {
+      const response = await request(app).get('/protected').expect(401)
+
+      expect(response.headers['www-authenticate']).to.equal('Bearer')
+      expect(response.body.error.code).to.equal('API_KEY_REQUIRED')
+    })
+
+    it('should accept a key as a Bearer token or X-API-Key header', async () => {
+      const { apiKey, key } = await apiKeyService.createKey('owner-1')
+
+      const bearer = await request(app).get('/protected').set('Authorization', `Bearer ${apiKey}`).expect(200)
+      const header = await request(app).get('/protected').set('X-API-Key', apiKey).expect(200)
+
+      expect(bearer.body.auth).to.deep.equal({ keyId: key.id, ownerId: 'owner-1' })
+      expect(header.body.auth).to.deep.equal({ keyId: key.id, ownerId: 'owner-1' })
+    })
+
+    it('should return 401 for an invalid key', async () => {
+      const response = await request(app).get('/protected').set('X-API-Key', 'usk_invalid').expect(401)
+
+      expect(response.body.error.code).to.equal('INVALID_API_KEY')
+    })
+
+    it('should allow anonymous requests when auth is not required', async () => {
+      appConfig.auth.required = false
+
+      const response = await request(app).get('/protected').expect(200)
+
+      expect(response.body.auth).to.be.null
+    })
+  })
+
+  describe('Admin Middleware', () => {
+    let app
+    let authConfig
+
+    beforeEach(() => {
+      authConfig = appConfig.auth
+      appConfig.auth = { ...authConfig, required: false, adminOwnerIds: ['admin-1'] }
+
+      app = express()
+      app.put('/admin', createAuthMiddleware(apiKeyService, logger), createAdminMiddleware(logger), (req, res) => {
+        res.json({ auth: req.auth })
+      })
+    })
+
+    afterEach(() => {
+      appConfig.auth = authConfig
+    })
+
+    it('should return 401 for anonymous requests even when auth is not required', async () => {
+      const response = await request(app).put('/admin').expect(401)
+
+      expect(response.headers['www-authenticate']).to.equal('Bearer')
+      expect(response.body.error.code).to.equal('API_KEY_REQUIRED')
+    })
+
+    it('should return 403 for keys whose owner is not an admin', async () => {
+      const { apiKey } = await apiKeyService.createKey('owner-1')
+
+      const response = await request(app).put('/admin').set('X-API-Key', apiKey).expect(403)
+
+      expect(response.body.error.code).to.equal('ADMIN_REQUIRED')
+    })
+
+    it('should allow keys whose owner is an admin', async () => {
+      const { apiKey, key } = await apiKeyService.createKey('admin-1')
+
+      const response = await request(app).put('/admin').set('X-API-Key', apiKey).expect(200)
+
+      expect(response.body.auth).to.deep.equal({ keyId: key.id, ownerId: 'admin-1' })
+    })
+  })
+})
\ No newline at end of file
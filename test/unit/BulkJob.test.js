@@ -0,0 +1,316 @@
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+import express from 'express'
+import request from 'supertest'
+import BulkJobService from '../../services/BulkJobService.js'
+import BulkJobWorker from '../../utils/BulkJobWorker.js'
+import createApiRoutes from '../../routes/api.js'
+import createLogger from '../../libs/logger.js'
+import { appConfig } from '../../config/app.js'
+
+/**
+ * In-memory stand-in for the bulk_jobs and bulk_job_items tables
+ */
+const createJobTables = () => {
+  const jobs = new Map()
+  const items = []
+
+  const matches = (record, where = {}) => Object.entries(where).every(([field, condition]) => {
+    if (field === 'OR') {
+      return condition.some(branch => matches(record, branch))
+    }
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      return (condition.lt === undefined || (record[field] !== null && record[field] < condition.lt)) &&
+        (condition.gt === undefined || record[field] > condition.gt)
+    }
+    return (record[field] ?? null) === (condition ?? null) ||
+      (record[field] instanceof Date && condition instanceof Date && record[field].getTime() === condition.getTime())
+  })
+
+  const applyData = (record, data) => {
+    for (const [field, value] of Object.entries(data)) {
+      record[field] = value && typeof value === 'object' && 'increment' in value ? record[field] + value.increment : value
+    }
+    return record
+  }
+
+  const client = {
+    bulkJob: {
+      create: ({ data }) => {
+        const job = {
+          id: `job-${jobs.size + 1}`,
+          status: 'queued',
+          processedCount: 0,
+          successCount: 0,
+          failureCount: 0,
+          error: null,
+          createdAt: new Date(Date.now() + jobs.size),
+          startedAt: null,
+          heartbeatAt: null,
+          finishedAt: null,
+          ...data
+        }
+        jobs.set(job.id, job)
+        return Promise.resolve({ ...job })
+      },
+      findUnique: ({ where }) => Promise.resolve(jobs.has(where.id) ? { ...jobs.get(where.id) } : null),
+      findFirst: ({ where }) => {
+        const found = [...jobs.values()].filter(job => matches(job, where)).sort((a, b) => a.createdAt - b.createdAt)[0]
+        return Promise.resolve(found ? { ...found } : null)
+      },
+      update: ({ where, data }) => Promise.resolve({ ...applyData(jobs.get(where.id), data) }),
+      updateMany: ({ where, data }) => {
+        const matched = [...jobs.values()].filter(job => matches(job, where))
+        matched.forEach(job => applyData(job, data))
+        return Promise.resolve({ count: matched.length })
+      }
+    },
+    bulkJobItem: {
+      createMany: ({ data }) => {
+        data.forEach(item => items.push({ id: `item-${items.length + 1}`, shortCode: null, ...item }))
+        return Promise.resolve({ count: data.length })
+      },
+      findMany: ({ where, take }) => Promise.resolve(items
+        .filter(item => matches(item, where))
+        .sort((a, b) => a.position - b.position)
+        .slice(0, take)
+        .map(item => ({ ...item }))),
+      update: ({ where, data }) => Promise.resolve({ ...applyData(items.find(item => item.id === where.id), data) })
+    },
+    $transaction: (operations) => typeof operations === 'function'
+      ? operations(client)
+      : Promise.all(operations)
+  }
+
+  return { jobs, items, client }
+}
+
+/**
+ * Unit tests for bulk import jobs: persistence, the background worker and the API
+ */
+describe('Bulk Job Tests', () => {
+  let logger
+  let tables
+  let mockDatabase
+  let mockRedis
+  let jobService
+  let urlSafety
+
+  beforeEach(() => {
+    logger = createLogger()
+    tables = createJobTables()
+
+    // Keep destination screening off the network
+    urlSafety = appConfig.url.safety
+    appConfig.url.safety = { ...urlSafety, resolveDns: false }
+    mockDatabase = {
+      isConnected: true,
+      getClient: () => tables.client,
+      healthCheck: () => Promise.resolve(true)
+    }
+    mockRedis = { isConnected: false }
+    jobService = new BulkJobService(mockDatabase, logger)
+  })
+
+  afterEach(() => {
+    appConfig.url.safety = urlSafety
+  })
+
+  describe('BulkJobService', () => {
+    it('should store one pending item per URL and fail invalid URLs up front', async () => {
+      const job = await jobService.createJob(['https://example.com', 'not-a-url', 'https://example.org'], { ownerId: 'owner-1' })
+
+      expect(job).to.include({ status: 'queued', totalCount: 3, processedCount: 1, failureCount: 1, ownerId: 'owner-1' })
+      expect(job.statusUrl).to.match(/\/api\/jobs\/job-1$/)
+      expect(tables.items.map(item => item.status)).to.deep.equal(['pending', 'failed', 'pending'])
+      expect(tables.items[1]).to.include({ errorCode: 'INVALID_URL', originalUrl: 'not-a-url' })
+    })
+
+    it('should resolve a relative expiration when the job is queued', async () => {
+      await jobService.createJob(['https://example.com'], { expiresIn: 'P1D' })
+
+      const { options } = tables.jobs.get('job-1')
+      expect(new Date(options.expiresAt).getTime()).to.be.closeTo(Date.now() + 24 * 60 * 60 * 1000, 5000)
+    })
+
+    it('should reject malformed URL lists', async () => {
+      try {
+        await jobService.createJob([])
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.equal('URLs array cannot be empty')
+      }
+    })
+
+    it('should hide jobs outside the caller\'s scope', async () => {
+      const job = await jobService.createJob(['https://example.com'], { ownerId: 'owner-1' })
+
+      expect(await jobService.getJob(job.id, { ownerId: 'owner-1' })).to.include({ id: job.id })
+      expect(await jobService.getJob(job.id, { ownerId: 'owner-2' })).to.be.null
+      expect(await jobService.getJob(job.id)).to.include({ id: job.id })
+    })
+
+    it('should only reclaim running jobs whose heartbeat has gone stale', async () => {
+      const job = await jobService.createJob(['https://example.com'])
+
+      const claimed = await jobService.claimNextJob()
+      expect(claimed).to.include({ id: job.id, status: 'running' })
+      expect(await jobService.claimNextJob()).to.be.null
+
+      const later = new Date(Date.now() + appConfig.jobs.staleAfterMs + 1000)
+      expect(await jobService.claimNextJob(later)).to.include({ id: job.id })
+    })
+  })
+
+  describe('BulkJobWorker', () => {
+    let worker
+    let bulkCalls
+
+    beforeEach(async () => {
+      bulkCalls = []
+      worker = new BulkJobWorker(mockDatabase, mockRedis, logger)
+      worker.chunkSize = 2
+      worker.pollInterval = 60 * 60 * 1000
+      worker.urlService = {
+        createBulkShortUrls: (urls, options) => {
+          bulkCalls.push({ urls, options })
+          return Promise.resolve({
+            successCount: urls.length,
+            failureCount: 0,
+            successful: urls.map((url, index) => ({ index, originalUrl: url, shortCode: `code${bulkCalls.length}${index}` })),
+            failed: []
+          })
+        }
+      }
+      await worker.startProcessing()
+    })
+
+    afterEach(async () => {
+      await worker.stopProcessing()
+    })
+
+    it('should process a job in chunks and record each row', async () => {
+      const job = await jobService.createJob(
+        ['https://a.example.com', 'https://b.example.com', 'bad', 'https://c.example.com'],
+        { ownerId: 'owner-1', neverExpires: true }
+      )
+
+      const result = await worker.processNextJob()
+
+      expect(result).to.deep.equal({ jobId: job.id, status: 'completed' })
+      expect(bulkCalls.map(call => call.urls)).to.deep.equal([
+        ['https://a.example.com', 'https://b.example.com'],
+        ['https://c.example.com']
+      ])
+      expect(bulkCalls[0].options).to.deep.equal({ neverExpires: true, dedupe: false, ownerId: 'owner-1' })
+
+      const finished = await jobService.getJob(job.id)
+      expect(finished).to.include({ status: 'completed', processedCount: 4, successCount: 3, failureCount: 1, progress: 100 })
+      expect(tables.items.map(item => item.shortCode)).to.deep.equal(['code10', 'code11', null, 'code20'])
+    })
+
+    it('should leave rows pending and requeue the job when the database goes away mid-chunk', async () => {
+      const job = await jobService.createJob(['https://a.example.com', 'https://b.example.com'])
+      worker.urlService.createBulkShortUrls = (urls) => Promise.resolve({
+        successCount: 1,
+        failureCount: 1,
+        successful: [{ index: 0, originalUrl: urls[0], shortCode: 'first' }],
+        failed: [{ index: 1, url: urls[1], code: 'DATABASE_UNAVAILABLE', error: 'Database service unavailable' }]
+      })
+
+      const result = await worker.processNextJob()
+
+      expect(result.status).to.equal('released')
+      expect(tables.items.map(item => item.status)).to.deep.equal(['succeeded', 'pending'])
+      expect(await jobService.getJob(job.id)).to.include({ status: 'queued', processedCount: 1 })
+    })
+
+    it('should fail the job when a chunk is rejected for a non-transient reason', async () => {
+      const job = await jobService.createJob(['https://a.example.com'])
+      worker.urlService.createBulkShortUrls = () => Promise.reject(new Error('Expiration must be in the future'))
+
+      const result = await worker.processNextJob()
+
+      expect(result.status).to.equal('failed')
+      expect(await jobService.getJob(job.id)).to.include({ status: 'failed', error: 'Expiration must be in the future' })
+    })
+
+    it('should do nothing while the database is disconnected', async () => {
+      await jobService.createJob(['https://a.example.com'])
+      mockDatabase.isConnected = false
+
+      expect(await worker.processNextJob()).to.be.null
+      expect(bulkCalls).to.be.empty
+    })
+  })
+
+  describe('Job API', () => {
+    let app
+    let authRequired
+    let rateLimitEnabled
+
+    beforeEach(() => {
+      authRequired = appConfig.auth.required
+      rateLimitEnabled = appConfig.rateLimit.enabled
+      appConfig.auth.required = false
+      appConfig.rateLimit.enabled = false
+
+      app = express()
+      app.use(express.json())
+      app.use('/api', createApiRoutes(mockDatabase, mockRedis, logger))
+    })
+
+    afterEach(() => {
+      appConfig.auth.required = authRequired
+      appConfig.rateLimit.enabled = rateLimitEnabled
+    })
+
+    it('should queue a job from a CSV upload and return 202 with its status URL', async () => {
+      const response = await request(app)
+        .post('/api/jobs/shorten?expiresIn=P7D')
+        .set('Content-Type', 'text/csv')
+        .send('url\nhttps://example.com\nnot-a-url\n')
+        .expect(202)
+
+      expect(response.body.data).to.include({ status: 'queued', totalCount: 2, failureCount: 1 })
+      expect(response.headers.location).to.equal(response.body.data.statusUrl)
+      expect(tables.jobs.get(response.body.data.id).options).to.have.property('expiresAt')
+    })
+
+    it('should reject a JSON body without a URL list', async () => {
+      const response = await request(app).post('/api/jobs/shorten').send({ urls: 'https://example.com' }).expect(400)
+
+      expect(response.body.error.code).to.equal('BULK_URL_VALIDATION_FAILED')
+    })
+
+    it('should report progress with per-row failures', async () => {
+      const job = await jobService.createJob(['https://example.com', 'not-a-url'])
+
+      const response = await request(app).get(`/api/jobs/${job.id}`).expect(200)
+
+      expect(response.body.data).to.include({ status: 'queued', progress: 50, failuresTruncated: false })
+      expect(response.body.data.failures).to.deep.equal([
+        { index: 1, url: 'not-a-url', code: 'INVALID_URL', error: response.body.data.failures[0].error }
+      ])
+      await request(app).get('/api/jobs/missing').expect(404)
+    })
+
+    it('should download per-row results as CSV or JSON', async () => {
+      const job = await jobService.createJob(['https://example.com', 'not-a-url'])
+      await jobService.recordResults(job.id, [{ id: tables.items[0].id, status: 'succeeded', shortCode: 'abc12' }])
+
+      const csv = await request(app).get(`/api/jobs/${job.id}/result`).expect(200)
+      const lines = csv.text.trim().split('\r\n')
+
+      expect(csv.headers['content-disposition']).to.include(`bulk-job-${job.id}.csv`)
+      expect(lines[0]).to.equal('index,original_url,status,short_code,short_url,error_code,error')
+      expect(lines[1]).to.match(/^0,https:\/\/example\.com,succeeded,abc12,http.*\/abc12,,$/)
+      expect(lines[2]).to.match(/^1,not-a-url,failed,,,INVALID_URL,/)
+
+      const json = await request(app).get(`/api/jobs/${job.id}/result?format=json`).expect(200)
+      expect(JSON.parse(json.text).map(item => item.status)).to.deep.equal(['succeeded', 'failed'])
+
+      await request(app).get(`/api/jobs/${job.id}/result?format=xml`).expect(400)
+    })
+  })
+})
\ No newline at end of file
@@ -0,0 +1,194 @@
+import { describe, it, beforeEach } from 'mocha'
+import { expect } from 'chai'
+import ClickCountFlusher from '../../utils/ClickCountFlusher.js'
+import createLogger from '../../libs/logger.js'
+
+/**
+ * Unit tests for ClickCountFlusher batching buffered Redis click counts and events into the database
+ */
+describe('ClickCountFlusher Tests', () => {
+  let flusher
+  let logger
+  let mockDatabase
+  let mockRedis
+  let counters
+  let pending
+  let appliedIncrements
+  let events
+  let insertedClicks
+
+  beforeEach(() => {
+    logger = createLogger()
+    counters = new Map([['abc12', 3], ['def34', 1]])
+    pending = new Set(['abc12', 'def34'])
+    appliedIncrements = []
+    events = []
+    insertedClicks = []
+
+    mockRedis = {
+      isConnected: true,
+      popPendingClickCodes: (count) => {
+        const codes = [...pending].slice(0, count)
+        codes.forEach(code => pending.delete(code))
+        return Promise.resolve(codes)
+      },
+      getBufferedClickCounts: (codes) => Promise.resolve(codes.map(code => counters.get(code) || 0)),
+      requeuePendingClickCodes: (codes) => {
+        codes.forEach(code => pending.add(code))
+        return Promise.resolve()
+      },
+      settleBufferedClicks: (code, count) => {
+        const remaining = (counters.get(code) || 0) - count
+        if (remaining > 0) {
+          counters.set(code, remaining)
+          pending.add(code)
+        } else {
+          counters.delete(code)
+        }
+        return Promise.resolve(Math.max(remaining, 0))
+      },
+      popClickEvents: (count) => Promise.resolve(events.splice(0, count)),
+      requeueClickEvents: (requeued) => {
+        events.unshift(...requeued)
+        return Promise.resolve()
+      }
+    }
+
+    const client = {
+      url: {
+        updateMany: (options) => ({ shortCode: options.where.shortCode, increment: options.data.clickCount.increment }),
+        findMany: ({ where }) => Promise.resolve(where.id.in.filter(id => id !== 'deleted-url').map(id => ({ id })))
+      },
+      click: {
+        createMany: ({ data }) => {
+          insertedClicks.push(...data)
+          return Promise.resolve({ count: data.length })
+        }
+      },
+      $transaction: (operations) => {
+        if (typeof operations === 'function') {
+          return operations(client)
+        }
+        appliedIncrements.push(...operations)
+        return Promise.resolve(operations.map(() => ({ count: 1 })))
+      }
+    }
+
+    mockDatabase = {
+      isConnected: true,
+      getClient: () => client
+    }
+
+    flusher = new ClickCountFlusher(mockDatabase, mockRedis, logger)
+  })
+
+  it('should apply buffered counts in one transaction and clear the buffer', async () => {
+    const result = await flusher.flush()
+
+    expect(result).to.deep.equal({ flushedCodes: 2, flushedClicks: 4, flushedEvents: 0 })
+    expect(appliedIncrements).to.deep.equal([
+      { shortCode: 'abc12', increment: 3 },
+      { shortCode: 'def34', increment: 1 }
+    ])
+    expect(counters.size).to.equal(0)
+    expect(pending.size).to.equal(0)
+  })
+
+  it('should keep clicks that arrive during a flush for the next flush', async () => {
+    const getCounts = mockRedis.getBufferedClickCounts
+    mockRedis.getBufferedClickCounts = async (codes) => {
+      const counts = await getCounts(codes)
+      // A click lands after the counts were read but before they are settled
+      counters.set('abc12', counters.get('abc12') + 1)
+      return counts
+    }
+
+    await flusher.flush()
+
+    expect(counters.get('abc12')).to.equal(1)
+    expect(pending.has('abc12')).to.be.true
+  })
+
+  it('should requeue codes without touching counters when the database write fails', async () => {
+    mockDatabase.getClient = () => ({
+      url: { updateMany: () => ({}) },
+      $transaction: () => Promise.reject(new Error('Database connection failed'))
+    })
+
+    try {
+      await flusher.flush()
+      expect.fail('Should have thrown an error')
+    } catch (error) {
+      expect(error.message).to.equal('Database connection failed')
+    }
+
+    expect(counters.get('abc12')).to.equal(3)
+    expect(pending.has('abc12')).to.be.true
+    expect(pending.has('def34')).to.be.true
+    expect(flusher.getMetrics().failedFlushes).to.equal(1)
+    expect(flusher.isFlushing).to.be.false
+  })
+
+  it('should insert buffered click events in one batch', async () => {
+    events = [
+      { urlId: 'url-1', clickedAt: '2024-05-01T10:00:00.000Z', referrerHost: null, userAgentFamily: 'Chrome', country: null, ipHash: null },
+      { urlId: 'url-2', clickedAt: '2024-05-01T10:00:01.000Z', referrerHost: 'example.com', userAgentFamily: 'Firefox', country: null, ipHash: null }
+    ]
+
+    const result = await flusher.flush()
+
+    expect(result.flushedEvents).to.equal(2)
+    expect(insertedClicks.map(click => click.urlId)).to.deep.equal(['url-1', 'url-2'])
+    expect(insertedClicks[0].clickedAt).to.be.an.instanceof(Date)
+    expect(insertedClicks[0].clickedAt.toISOString()).to.equal('2024-05-01T10:00:00.000Z')
+    expect(events).to.be.empty
+  })
+
+  it('should drop click events of deleted URLs', async () => {
+    events = [
+      { urlId: 'deleted-url', clickedAt: '2024-05-01T10:00:00.000Z', userAgentFamily: 'Chrome' },
+      { urlId: 'url-1', clickedAt: '2024-05-01T10:00:01.000Z', userAgentFamily: 'Chrome' }
+    ]
+
+    const result = await flusher.flush()
+
+    expect(result.flushedEvents).to.equal(1)
+    expect(insertedClicks.map(click => click.urlId)).to.deep.equal(['url-1'])
+  })
+
+  it('should requeue click events in order when the insert fails', async () => {
+    const queued = [
+      { urlId: 'url-1', clickedAt: '2024-05-01T10:00:00.000Z', userAgentFamily: 'Chrome' },
+      { urlId: 'url-2', clickedAt: '2024-05-01T10:00:01.000Z', userAgentFamily: 'Chrome' }
+    ]
+    events = [...queued]
+    mockDatabase.getClient().click.createMany = () => Promise.reject(new Error('Database connection failed'))
+
+    try {
+      await flusher.flush()
+      expect.fail('Should have thrown an error')
+    } catch (error) {
+      expect(error.message).to.equal('Database connection failed')
+    }
+
+    expect(events).to.deep.equal(queued)
+    expect(flusher.getMetrics().failedFlushes).to.equal(1)
+  })
+
+  it('should skip flushing while Redis is disconnected', async () => {
+    mockRedis.isConnected = false
+
+    const result = await flusher.flush()
+
+    expect(result).to.deep.equal({ flushedCodes: 0, flushedClicks: 0, flushedEvents: 0 })
+    expect(appliedIncrements).to.be.empty
+  })
+
+  it('should drain the buffer when stopped', async () => {
+    await flusher.startFlushing()
+    await flusher.stopFlushing()
+
+    expect(appliedIncrements).to.have.length(2)
+    expect(flusher.getMetrics().flushing.isActive).to.be.false
+  })
+})
\ No newline at end of file
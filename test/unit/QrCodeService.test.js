@@ -0,0 +1,74 @@
+import { describe, it, beforeEach } from 'mocha'
+import { expect } from 'chai'
+import QrCodeService from '../../services/QrCodeService.js'
+import createLogger from '../../libs/logger.js'
+
+/**
+ * Unit tests for QrCodeService rendering short URLs and caching the results in Redis
+ */
+describe('QrCodeService Tests', () => {
+  let qrCodeService
+  let mockRedis
+  let cache
+
+  const options = { format: 'svg', size: 256, margin: 4, ecc: 'M' }
+
+  beforeEach(() => {
+    cache = new Map()
+    mockRedis = {
+      isConnected: true,
+      getCachedQrCode: (key) => Promise.resolve(cache.get(key) || null),
+      cacheQrCode: (key, content) => {
+        cache.set(key, content)
+        return Promise.resolve()
+      }
+    }
+
+    qrCodeService = new QrCodeService(mockRedis, createLogger())
+  })
+
+  it('should render SVG and cache it by content and options', async () => {
+    const result = await qrCodeService.renderShortUrl('http://localhost:3000/abc12', options)
+
+    expect(result.cached).to.be.false
+    expect(result.contentType).to.equal('image/svg+xml')
+    expect(result.content).to.include('<svg')
+    expect([...cache.keys()]).to.deep.equal(['svg:256:4:M:http://localhost:3000/abc12'])
+
+    const again = await qrCodeService.renderShortUrl('http://localhost:3000/abc12', options)
+    expect(again.cached).to.be.true
+    expect(again.content).to.equal(result.content)
+  })
+
+  it('should round-trip PNGs through the cache as base64', async () => {
+    const pngOptions = { ...options, format: 'png' }
+
+    const result = await qrCodeService.renderShortUrl('http://localhost:3000/abc12', pngOptions)
+    const again = await qrCodeService.renderShortUrl('http://localhost:3000/abc12', pngOptions)
+
+    expect(result.contentType).to.equal('image/png')
+    expect(Buffer.isBuffer(again.content)).to.be.true
+    expect(again.cached).to.be.true
+    expect(again.content.equals(result.content)).to.be.true
+  })
+
+  it('should keep separate entries for different rendering options', async () => {
+    await qrCodeService.renderShortUrl('http://localhost:3000/abc12', options)
+    await qrCodeService.renderShortUrl('http://localhost:3000/abc12', { ...options, ecc: 'H' })
+
+    expect(cache.size).to.equal(2)
+  })
+
+  it('should render without the cache when Redis fails or is unavailable', async () => {
+    mockRedis.getCachedQrCode = () => Promise.reject(new Error('Redis connection lost'))
+    mockRedis.cacheQrCode = () => Promise.reject(new Error('Redis connection lost'))
+
+    const result = await qrCodeService.renderShortUrl('http://localhost:3000/abc12', options)
+    expect(result.cached).to.be.false
+    expect(result.content).to.include('<svg')
+
+    mockRedis.isConnected = false
+    const offline = await qrCodeService.renderShortUrl('http://localhost:3000/abc12', options)
+    expect(offline.cached).to.be.false
+  })
+})
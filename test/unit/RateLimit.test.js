@@ -0,0 +1,264 @@
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import express from 'express'
+import request from 'supertest'
+import createRateLimitMiddleware from '../../middleware/rateLimit.js'
+import createWebRoutes from '../../routes/web.js'
+import createLogger from '../../libs/logger.js'
+import { hashPassword } from '../../utils/linkPassword.js'
+import { appConfig } from '../../config/app.js'
+
+const viewsPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../views')
+
+/**
+ * Unit tests for the sliding-window rate limiting middleware
+ */
+describe('Rate Limit Middleware Tests', () => {
+  let logger
+  let mockRedis
+  let originalRateLimit
+
+  const createApp = (options) => {
+    const app = express()
+    app.use(express.json())
+    app.post('/limited', createRateLimitMiddleware(mockRedis, logger, options), (req, res) => {
+      res.json({ success: true })
+    })
+    return app
+  }
+
+  beforeEach(() => {
+    logger = createLogger()
+    originalRateLimit = appConfig.rateLimit
+    appConfig.rateLimit = {
+      enabled: true,
+      create: { limit: 2, windowMs: 60 * 1000 },
+      bulk: { limit: 10, windowMs: 60 * 1000 }
+    }
+
+    // Disconnected Redis: requests go through the in-memory limiter
+    mockRedis = { isConnected: false }
+  })
+
+  afterEach(() => {
+    appConfig.rateLimit = originalRateLimit
+  })
+
+  it('should allow requests within the budget and report the remaining allowance', async () => {
+    const app = createApp({ name: 'create' })
+
+    const first = await request(app).post('/limited').expect(200)
+    const second = await request(app).post('/limited').expect(200)
+
+    expect(first.headers['x-ratelimit-limit']).to.equal('2')
+    expect(first.headers['x-ratelimit-remaining']).to.equal('1')
+    expect(second.headers['x-ratelimit-remaining']).to.equal('0')
+    expect(Number(second.headers['x-ratelimit-reset'])).to.be.greaterThan(Date.now() / 1000)
+  })
+
+  it('should return 429 with Retry-After once the budget is spent', async () => {
+    const app = createApp({ name: 'create' })
+
+    await request(app).post('/limited').expect(200)
+    await request(app).post('/limited').expect(200)
+    const response = await request(app).post('/limited').expect(429)
+
+    expect(response.body.error.code).to.equal('RATE_LIMIT_EXCEEDED')
+    expect(Number(response.headers['retry-after'])).to.be.within(1, 60)
+  })
+
+  it('should weight requests by their cost', async () => {
+    const app = createApp({ name: 'bulk', cost: (req) => req.body.urls.length })
+
+    const first = await request(app).post('/limited').send({ urls: new Array(8).fill('https://example.com') }).expect(200)
+    expect(first.headers['x-ratelimit-remaining']).to.equal('2')
+
+    await request(app).post('/limited').send({ urls: new Array(3).fill('https://example.com') }).expect(429)
+    await request(app).post('/limited').send({ urls: new Array(2).fill('https://example.com') }).expect(200)
+  })
+
+  it('should keep separate budgets per API key owner', async () => {
+    const app = express()
+    app.use((req, res, next) => {
+      req.auth = req.get('X-Owner') ? { ownerId: req.get('X-Owner') } : null
+      next()
+    })
+    app.post('/limited', createRateLimitMiddleware(mockRedis, logger, { name: 'create' }), (req, res) => res.json({}))
+
+    await request(app).post('/limited').set('X-Owner', 'owner-a').expect(200)
+    await request(app).post('/limited').set('X-Owner', 'owner-a').expect(200)
+    await request(app).post('/limited').set('X-Owner', 'owner-a').expect(429)
+    await request(app).post('/limited').set('X-Owner', 'owner-b').expect(200)
+  })
+
+  it('should use the Redis limiter when connected', async () => {
+    const calls = []
+    mockRedis = {
+      isConnected: true,
+      consumeRateLimit: (key, cost, limit, windowMs) => {
+        calls.push({ key, cost, limit, windowMs })
+        return Promise.resolve({ allowed: false, used: 2, resetMs: 12500 })
+      }
+    }
+    const app = createApp({ name: 'create' })
+
+    const response = await request(app).post('/limited').expect(429)
+
+    expect(calls).to.have.length(1)
+    expect(calls[0]).to.include({ cost: 1, limit: 2, windowMs: 60 * 1000 })
+    expect(calls[0].key).to.match(/^create:ip:/)
+    expect(response.headers['retry-after']).to.equal('13')
+  })
+
+  it('should fall back to the in-memory limiter when Redis fails', async () => {
+    mockRedis = {
+      isConnected: true,
+      consumeRateLimit: () => Promise.reject(new Error('Connection lost'))
+    }
+    const app = createApp({ name: 'create' })
+
+    await request(app).post('/limited').expect(200)
+    await request(app).post('/limited').expect(200)
+    await request(app).post('/limited').expect(429)
+  })
+
+  it('should share the in-memory budget between middleware with the same name', async () => {
+    const app = express()
+    app.post('/api', createRateLimitMiddleware(mockRedis, logger, { name: 'create' }), (req, res) => res.json({ success: true }))
+    app.post('/web', createRateLimitMiddleware(mockRedis, logger, { name: 'create' }), (req, res) => res.json({ success: true }))
+    app.post('/bulk', createRateLimitMiddleware(mockRedis, logger, { name: 'bulk' }), (req, res) => res.json({ success: true }))
+
+    await request(app).post('/api').expect(200)
+    await request(app).post('/web').expect(200)
+    await request(app).post('/api').expect(429)
+    await request(app).post('/web').expect(429)
+    await request(app).post('/bulk').expect(200)
+  })
+
+  it('should use a custom response when one is given', async () => {
+    const app = createApp({
+      name: 'create',
+      onLimited: (req, res, retryAfterSeconds) => res.status(429).send(`wait ${retryAfterSeconds}`)
+    })
+
+    await request(app).post('/limited').expect(200)
+    await request(app).post('/limited').expect(200)
+    const response = await request(app).post('/limited').expect(429)
+
+    expect(response.text).to.match(/^wait \d+$/)
+  })
+
+  it('should count the budget per custom key when one is given', async () => {
+    const app = express()
+    app.post('/:code/limited', createRateLimitMiddleware(mockRedis, logger, {
+      name: 'create',
+      key: (req) => `code:${req.params.code}`
+    }), (req, res) => res.json({ success: true }))
+
+    await request(app).post('/abc12/limited').set('X-Forwarded-For', '10.0.0.1').expect(200)
+    await request(app).post('/abc12/limited').set('X-Forwarded-For', '10.0.0.2').expect(200)
+    await request(app).post('/abc12/limited').expect(429)
+    await request(app).post('/xyz98/limited').expect(200)
+  })
+
+  it('should refund requests that countIf says not to count', async () => {
+    const app = express()
+    app.post('/:outcome', createRateLimitMiddleware(mockRedis, logger, {
+      name: 'create',
+      countIf: (req, res) => res.statusCode === 401
+    }), (req, res) => res.sendStatus(req.params.outcome === 'fail' ? 401 : 200))
+
+    for (let i = 0; i < 3; i++) {
+      await request(app).post('/ok').expect(200)
+    }
+    await request(app).post('/fail').expect(401)
+    await request(app).post('/fail').expect(401)
+    await request(app).post('/ok').expect(429)
+  })
+
+  it('should release refunded requests from the Redis limiter', async () => {
+    const released = []
+    mockRedis = {
+      isConnected: true,
+      consumeRateLimit: () => Promise.resolve({ allowed: true, used: 1, resetMs: 60000, member: 'm-1:1' }),
+      releaseRateLimit: (key, member) => {
+        released.push({ key, member })
+        return Promise.resolve()
+      }
+    }
+    const app = createApp({ name: 'create', countIf: () => false })
+
+    await request(app).post('/limited').expect(200)
+    await new Promise(resolve => setImmediate(resolve))
+
+    expect(released).to.have.length(1)
+    expect(released[0].key).to.match(/^create:ip:/)
+    expect(released[0].member).to.equal('m-1:1')
+  })
+
+  it('should not limit anything when disabled', async () => {
+    appConfig.rateLimit.enabled = false
+    const app = createApp({ name: 'create' })
+
+    for (let i = 0; i < 5; i++) {
+      await request(app).post('/limited').expect(200)
+    }
+  })
+
+  describe('Unlock Rate Limit', () => {
+    let app
+
+    beforeEach(async () => {
+      appConfig.rateLimit.unlock = { limit: 2, windowMs: 60 * 1000 }
+      appConfig.rateLimit.unlockPerCode = { limit: 10, windowMs: 60 * 1000 }
+
+      const passwordHash = await hashPassword('correct-horse')
+      const mockDatabase = {
+        isConnected: true,
+        getClient: () => ({
+          url: { findUnique: () => Promise.resolve({ passwordHash }) }
+        })
+      }
+
+      app = express()
+      app.set('trust proxy', true)
+      app.set('view engine', 'ejs')
+      app.set('views', viewsPath)
+      app.use(express.urlencoded({ extended: true }))
+      app.use('/', createWebRoutes(mockDatabase, mockRedis, logger))
+    })
+
+    const unlock = (ip, password) => request(app)
+      .post('/abc12/unlock')
+      .set('X-Forwarded-For', ip)
+      .type('form')
+      .send({ password })
+
+    it('should not lock other clients out when one client runs out of attempts', async () => {
+      await unlock('10.0.0.1', 'guess-1').expect(401)
+      await unlock('10.0.0.1', 'guess-2').expect(401)
+      await unlock('10.0.0.1', 'correct-horse').expect(429)
+
+      const response = await unlock('10.0.0.2', 'correct-horse').expect(303)
+      expect(response.headers['set-cookie'][0]).to.match(/^unlock_abc12=/)
+    })
+
+    it('should only count wrong passwords', async () => {
+      await unlock('10.0.0.1', 'correct-horse').expect(303)
+      await unlock('10.0.0.1', 'correct-horse').expect(303)
+      await unlock('10.0.0.1', 'guess-1').expect(401)
+      await unlock('10.0.0.1', 'guess-2').expect(401)
+      await unlock('10.0.0.1', 'guess-3').expect(429)
+    })
+
+    it('should cap wrong passwords for a short code across all clients', async () => {
+      for (let i = 0; i < 10; i++) {
+        await unlock(`10.0.1.${i}`, 'guess').expect(401)
+      }
+
+      await unlock('10.0.2.1', 'correct-horse').expect(429)
+    })
+  })
+})
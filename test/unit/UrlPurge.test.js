@@ -0,0 +1,357 @@
+import { describe, it, beforeEach } from 'mocha'
+import { expect } from 'chai'
+import UrlPurgeService from '../../services/UrlPurgeService.js'
+import ExpiredUrlPurger from '../../utils/ExpiredUrlPurger.js'
+import createLogger from '../../libs/logger.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Unit tests for purging long-expired links and recycling their codes
+ */
+describe('URL Purge Tests', () => {
+  let logger
+  let mockDatabase
+  let mockRedis
+  let urls
+  let archived
+  let quarantine
+  let evicted
+  let pool
+  let now
+
+  const matches = (row, where) => {
+    if (where.id?.in && !where.id.in.includes(row.id)) return false
+    if (where.shortCode?.in && !where.shortCode.in.includes(row.shortCode)) return false
+    if (where.expiresAt?.lt && !(row.expiresAt && row.expiresAt < where.expiresAt.lt)) return false
+    if (where.status && row.status !== where.status) return false
+    if (where.releaseAt?.lte && !(row.releaseAt && row.releaseAt <= where.releaseAt.lte)) return false
+    return true
+  }
+
+  const daysAgo = (days) => new Date(now.getTime() - days * DAY_MS)
+
+  const createUrl = (shortCode, expiresAt, extra = {}) => ({
+    id: `id-${shortCode}`,
+    originalUrl: `https://example.com/${shortCode}`,
+    shortCode,
+    createdAt: daysAgo(400),
+    expiresAt,
+    clickCount: 7,
+    isCustomAlias: false,
+    ownerId: null,
+    status: 'active',
+    ...extra
+  })
+
+  beforeEach(() => {
+    logger = createLogger()
+    now = new Date('2026-06-01T00:00:00Z')
+    archived = []
+    quarantine = []
+    evicted = []
+    pool = []
+    urls = [
+      createUrl('old12', daysAgo(60)),
+      createUrl('fresh', daysAgo(5)),
+      createUrl('live1', new Date(now.getTime() + DAY_MS)),
+      createUrl('forever', null),
+      createUrl('promo', daysAgo(90), { isCustomAlias: true })
+    ]
+
+    const client = {
+      url: {
+        findMany: ({ where, take }) => Promise.resolve(urls.filter(row => matches(row, where)).slice(0, take)),
+        deleteMany: ({ where }) => {
+          const before = urls.length
+          urls = urls.filter(row => !matches(row, where))
+          return Promise.resolve({ count: before - urls.length })
+        }
+      },
+      archivedUrl: {
+        createMany: ({ data }) => {
+          archived.push(...data)
+          return Promise.resolve({ count: data.length })
+        }
+      },
+      shortCodeQuarantine: {
+        createMany: ({ data }) => {
+          quarantine.push(...data.map(entry => ({ quarantinedAt: now, ...entry })))
+          return Promise.resolve({ count: data.length })
+        },
+        findMany: ({ where, take }) => Promise.resolve(quarantine.filter(row => matches(row, where)).slice(0, take)),
+        deleteMany: ({ where }) => {
+          const before = quarantine.length
+          quarantine = quarantine.filter(row => !matches(row, where))
+          return Promise.resolve({ count: before - quarantine.length })
+        }
+      }
+    }
+    client.$transaction = (fn) => fn(client)
+
+    mockDatabase = {
+      isConnected: true,
+      getClient: () => client
+    }
+
+    mockRedis = {
+      isConnected: true,
+      removeCachedUrl: (shortCode) => {
+        evicted.push(`cache:${shortCode}`)
+        return Promise.resolve()
+      },
+      removeMissingUrl: (shortCode) => {
+        evicted.push(`missing:${shortCode}`)
+        return Promise.resolve()
+      },
+      addCodesToPool: (codes) => {
+        pool.push(...codes)
+        return Promise.resolve(true)
+      }
+    }
+  })
+
+  describe('UrlPurgeService', () => {
+    let purgeService
+
+    beforeEach(() => {
+      purgeService = new UrlPurgeService(mockDatabase, mockRedis, logger)
+      purgeService.graceDays = 30
+      purgeService.archive = true
+      purgeService.recycleCodes = false
+    })
+
+    it('should archive, delete and quarantine only links expired past the grace period', async () => {
+      const result = await purgeService.purgeExpired(now)
+
+      expect(result.purgedCount).to.equal(2)
+      expect(result.archivedCount).to.equal(2)
+      expect(urls.map(url => url.shortCode)).to.deep.equal(['fresh', 'live1', 'forever'])
+      expect(archived.map(url => url.shortCode)).to.have.members(['old12', 'promo'])
+      expect(archived.find(url => url.shortCode === 'old12')).to.include({ id: 'id-old12', clickCount: 7 })
+      expect(quarantine.map(entry => entry.shortCode)).to.have.members(['old12', 'promo'])
+      expect(quarantine.every(entry => entry.releaseAt === null)).to.be.true
+    })
+
+    it('should archive the link settings along with the link', async () => {
+      urls = [createUrl('tagged', daysAgo(60), {
+        maxClicks: 100,
+        activatesAt: daysAgo(120),
+        utmSource: 'news',
+        utmCampaign: 'spring',
+        forwardQuery: 'merge',
+        forwardPath: true,
+        redirectType: '301',
+        statusChangedAt: daysAgo(100),
+        statusChangedBy: 'admin'
+      })]
+
+      await purgeService.purgeExpired(now)
+
+      expect(archived[0]).to.include({
+        status: 'active',
+        maxClicks: 100,
+        utmSource: 'news',
+        utmCampaign: 'spring',
+        forwardQuery: 'merge',
+        forwardPath: true,
+        redirectType: '301',
+        statusChangedBy: 'admin'
+      })
+      expect(archived[0].activatesAt).to.deep.equal(daysAgo(120))
+      expect(archived[0]).to.not.have.property('passwordHash')
+    })
+
+    it('should keep disabled and taken-down links with their status', async () => {
+      urls.push(
+        createUrl('spam1', daysAgo(60), { status: 'taken_down', statusReason: 'Phishing', statusChangedBy: 'admin' }),
+        createUrl('paused', daysAgo(60), { status: 'disabled', statusReason: 'Paused by owner' })
+      )
+
+      const result = await purgeService.purgeExpired(now)
+
+      expect(result.purgedCount).to.equal(2)
+      expect(urls.find(url => url.shortCode === 'spam1')).to.include({ status: 'taken_down', statusReason: 'Phishing' })
+      expect(urls.find(url => url.shortCode === 'paused')).to.include({ status: 'disabled' })
+      expect(archived.map(url => url.shortCode)).to.not.include.members(['spam1', 'paused'])
+      expect(quarantine.map(entry => entry.shortCode)).to.not.include.members(['spam1', 'paused'])
+    })
+
+    it('should not purge a link taken down mid-purge', async () => {
+      const client = mockDatabase.getClient()
+      const deleteMany = client.url.deleteMany
+      client.url.deleteMany = (options) => {
+        urls.find(url => url.shortCode === 'old12').status = 'taken_down'
+        return deleteMany(options)
+      }
+
+      const result = await purgeService.purgeExpired(now)
+
+      expect(result.purgedCount).to.equal(1)
+      expect(urls.map(url => url.shortCode)).to.include('old12')
+      expect(archived.map(url => url.shortCode)).to.deep.equal(['promo'])
+    })
+
+    it('should evict cache entries and expired markers for purged codes', async () => {
+      await purgeService.purgeExpired(now)
+
+      expect(evicted).to.have.members(['cache:old12', 'missing:old12', 'cache:promo', 'missing:promo'])
+    })
+
+    it('should delete without archiving when archiving is off', async () => {
+      purgeService.archive = false
+
+      const result = await purgeService.purgeExpired(now)
+
+      expect(result).to.include({ purgedCount: 2, archivedCount: 0 })
+      expect(archived).to.be.empty
+      expect(quarantine).to.have.length(2)
+    })
+
+    it('should not archive or quarantine a link whose expiration was extended mid-purge', async () => {
+      const client = mockDatabase.getClient()
+      const deleteMany = client.url.deleteMany
+      client.url.deleteMany = (options) => {
+        urls.find(url => url.shortCode === 'old12').expiresAt = new Date(now.getTime() + DAY_MS)
+        return deleteMany(options)
+      }
+
+      const result = await purgeService.purgeExpired(now)
+
+      expect(result.purgedCount).to.equal(1)
+      expect(urls.map(url => url.shortCode)).to.include('old12')
+      expect(archived.map(url => url.shortCode)).to.deep.equal(['promo'])
+      expect(quarantine.map(entry => entry.shortCode)).to.deep.equal(['promo'])
+    })
+
+    it('should purge in batches until no expired links remain', async () => {
+      purgeService.batchSize = 1
+
+      const result = await purgeService.purgeExpired(now)
+
+      expect(result.purgedCount).to.equal(2)
+      expect(urls).to.have.length(3)
+    })
+
+    it('should set the quarantine release date when recycling is on', async () => {
+      purgeService.recycleCodes = true
+      purgeService.quarantineDays = 365
+
+      await purgeService.purgeExpired(now)
+
+      expect(quarantine[0].releaseAt.getTime()).to.equal(now.getTime() + 365 * DAY_MS)
+    })
+
+    it('should still purge when Redis is unavailable', async () => {
+      mockRedis.isConnected = false
+
+      const result = await purgeService.purgeExpired(now)
+
+      expect(result.purgedCount).to.equal(2)
+      expect(evicted).to.be.empty
+    })
+
+    it('should fail when the database is unavailable', async () => {
+      mockDatabase.isConnected = false
+
+      try {
+        await purgeService.purgeExpired(now)
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.equal('Database service unavailable')
+      }
+    })
+
+    it('should return due generated codes to the pool and release due aliases', async () => {
+      purgeService.recycleCodes = true
+      quarantine = [
+        { shortCode: 'gone1', isCustomAlias: false, releaseAt: daysAgo(1) },
+        { shortCode: 'gone2', isCustomAlias: true, releaseAt: daysAgo(1) },
+        { shortCode: 'later', isCustomAlias: false, releaseAt: new Date(now.getTime() + DAY_MS) },
+        { shortCode: 'kept1', isCustomAlias: false, releaseAt: null }
+      ]
+
+      const result = await purgeService.releaseQuarantinedCodes(now)
+
+      expect(result).to.deep.equal({ releasedCount: 2, recycledCount: 1 })
+      expect(pool).to.deep.equal(['gone1'])
+      expect(quarantine.map(entry => entry.shortCode)).to.deep.equal(['later', 'kept1'])
+    })
+
+    it('should not recycle a released code that is in use again', async () => {
+      purgeService.recycleCodes = true
+      quarantine = [{ shortCode: 'live1', isCustomAlias: false, releaseAt: daysAgo(1) }]
+
+      const result = await purgeService.releaseQuarantinedCodes(now)
+
+      expect(result).to.deep.equal({ releasedCount: 1, recycledCount: 0 })
+      expect(pool).to.be.empty
+    })
+
+    it('should keep codes quarantined when recycling is off or Redis is unavailable', async () => {
+      quarantine = [{ shortCode: 'old12', isCustomAlias: false, releaseAt: daysAgo(1) }]
+
+      expect(await purgeService.releaseQuarantinedCodes(now)).to.deep.equal({ releasedCount: 0, recycledCount: 0 })
+
+      purgeService.recycleCodes = true
+      mockRedis.isConnected = false
+
+      expect(await purgeService.releaseQuarantinedCodes(now)).to.deep.equal({ releasedCount: 0, recycledCount: 0 })
+      expect(quarantine).to.have.length(1)
+      expect(pool).to.be.empty
+    })
+  })
+
+  describe('ExpiredUrlPurger', () => {
+    let purger
+
+    beforeEach(() => {
+      purger = new ExpiredUrlPurger(mockDatabase, mockRedis, logger)
+      purger.purgeService.graceDays = 30
+      purger.purgeService.recycleCodes = false
+    })
+
+    it('should purge and record metrics on each run', async () => {
+      const result = await purger.runOnce(now)
+
+      expect(result).to.include({ purgedCount: 2, releasedCount: 0 })
+      expect(purger.getMetrics()).to.include({ runCount: 1, purgedUrls: 2 })
+      expect(purger.isPurging).to.be.false
+    })
+
+    it('should count failed runs and allow the next run', async () => {
+      mockDatabase.getClient = () => ({
+        $transaction: () => Promise.reject(new Error('Database connection failed'))
+      })
+
+      try {
+        await purger.runOnce(now)
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.equal('Database connection failed')
+      }
+
+      expect(purger.getMetrics().failedRuns).to.equal(1)
+      expect(purger.isPurging).to.be.false
+    })
+
+    it('should not start when disabled', async () => {
+      purger.enabled = false
+
+      await purger.startPurging()
+
+      expect(purger.getMetrics().purging.isActive).to.be.false
+    })
+
+    it('should stop its timer', async () => {
+      purger.enabled = true
+
+      await purger.startPurging()
+      expect(purger.getMetrics().purging.isActive).to.be.true
+
+      await purger.stopPurging()
+      expect(purger.getMetrics().purging.isActive).to.be.false
+      expect(purger.purgeTimer).to.be.null
+    })
+  })
+})
@@ -0,0 +1,219 @@
+import { describe, it, beforeEach, afterEach } from 'mocha'
+import { expect } from 'chai'
+import UrlSafetyService, { normalizeBlocklistPattern } from '../../services/UrlSafetyService.js'
+import createLogger from '../../libs/logger.js'
+import { appConfig } from '../../config/app.js'
+
+/**
+ * Unit tests for destination safety screening
+ */
+describe('UrlSafetyService Tests', () => {
+  let logger
+  let mockDatabase
+  let blocklist
+  let addresses
+  let originalBaseUrl
+  let originalSafety
+
+  const createService = (overrides = {}) => new UrlSafetyService(mockDatabase, logger, {
+    sources: [{ name: 'test', load: () => Promise.resolve(blocklist) }],
+    resolver: () => Promise.resolve(addresses),
+    ...overrides
+  })
+
+  beforeEach(() => {
+    logger = createLogger()
+    mockDatabase = { isConnected: true, getClient: () => ({}) }
+    blocklist = []
+    addresses = [{ address: '93.184.216.34', family: 4 }]
+
+    originalBaseUrl = appConfig.server.baseUrl
+    originalSafety = appConfig.url.safety
+    appConfig.server.baseUrl = 'https://sho.rt'
+    appConfig.url.safety = { ...originalSafety, resolveDns: true, blocklistRefreshMs: 60 * 1000 }
+  })
+
+  afterEach(() => {
+    appConfig.server.baseUrl = originalBaseUrl
+    appConfig.url.safety = originalSafety
+  })
+
+  describe('normalizeBlocklistPattern()', () => {
+    it('should normalize hosts and wildcard patterns', () => {
+      expect(normalizeBlocklistPattern(' Example.COM. ')).to.equal('example.com')
+      expect(normalizeBlocklistPattern('*.Example.com')).to.equal('*.example.com')
+      expect(normalizeBlocklistPattern('bücher.de')).to.equal('xn--bcher-kva.de')
+    })
+
+    it('should reject entries that are not host patterns', () => {
+      expect(normalizeBlocklistPattern('')).to.equal(null)
+      expect(normalizeBlocklistPattern('evil.com/path')).to.equal(null)
+      expect(normalizeBlocklistPattern('*evil.com')).to.equal(null)
+    })
+  })
+
+  describe('checkUrl()', () => {
+    it('should accept a public destination', async () => {
+      const result = await createService().checkUrl('https://example.com/page')
+
+      expect(result).to.deep.equal({ isValid: true })
+    })
+
+    it('should refuse links to this service, on any port', async () => {
+      const result = await createService().checkUrl('http://SHO.RT:8080/abc123')
+
+      expect(result).to.include({ isValid: false, reason: 'self_referential' })
+      expect(result.details).to.have.length(1)
+    })
+
+    it('should refuse *.localhost hosts', async () => {
+      const result = await createService().checkUrl('http://app.localhost/')
+
+      expect(result).to.include({ isValid: false, reason: 'localhost' })
+    })
+
+    it('should refuse IPv6 literals', async () => {
+      const result = await createService().checkUrl('http://[2606:4700::1111]/')
+
+      expect(result).to.include({ isValid: false, reason: 'ip_address' })
+    })
+
+    it('should refuse decimal and hex encoded IPv4 hosts', async () => {
+      const service = createService()
+
+      expect(await service.checkUrl('http://2130706433/')).to.include({ isValid: false, reason: 'ip_address' })
+      expect(await service.checkUrl('http://0x7f000001/')).to.include({ isValid: false, reason: 'ip_address' })
+    })
+
+    it('should refuse private addresses even when IP addresses are allowed', async () => {
+      const originalAllowIp = appConfig.url.allowIpAddresses
+      appConfig.url.allowIpAddresses = true
+
+      try {
+        const service = createService()
+        expect(await service.checkUrl('http://10.1.2.3/')).to.include({ isValid: false, reason: 'private_address' })
+        expect(await service.checkUrl('http://[::ffff:127.0.0.1]/')).to.include({ isValid: false, reason: 'private_address' })
+        expect(await service.checkUrl('http://8.8.8.8/')).to.deep.equal({ isValid: true })
+      } finally {
+        appConfig.url.allowIpAddresses = originalAllowIp
+      }
+    })
+
+    it('should block exact entries only for that host', async () => {
+      blocklist = ['evil.com']
+      const service = createService()
+
+      expect(await service.checkUrl('https://evil.com/x')).to.include({ isValid: false, reason: 'blocklisted' })
+      expect(await service.checkUrl('https://cdn.evil.com/x')).to.deep.equal({ isValid: true })
+    })
+
+    it('should block wildcard entries for the domain and all subdomains', async () => {
+      blocklist = ['# phishing', '*.evil.com']
+      const service = createService()
+
+      expect(await service.checkUrl('https://evil.com/')).to.include({ isValid: false, reason: 'blocklisted' })
+      const result = await service.checkUrl('https://a.b.EVIL.com./')
+      expect(result).to.include({ isValid: false, reason: 'blocklisted' })
+      expect(result.details[0]).to.include('*.evil.com')
+      expect(await service.checkUrl('https://notevil.com/')).to.deep.equal({ isValid: true })
+    })
+
+    it('should refuse hosts that resolve to a private address', async () => {
+      addresses = [{ address: '93.184.216.34', family: 4 }, { address: '192.168.1.10', family: 4 }]
+
+      const result = await createService().checkUrl('https://intranet.example.com/')
+
+      expect(result).to.include({ isValid: false, reason: 'private_address' })
+      expect(result.details[0]).to.include('192.168.1.10')
+    })
+
+    it('should accept the URL when DNS resolution fails', async () => {
+      const service = createService({ resolver: () => Promise.reject(new Error('ENOTFOUND')) })
+
+      expect(await service.checkUrl('https://not-yet-registered.example/')).to.deep.equal({ isValid: true })
+    })
+
+    it('should skip DNS resolution when disabled', async () => {
+      appConfig.url.safety = { ...appConfig.url.safety, resolveDns: false }
+      let lookups = 0
+
+      const service = createService({ resolver: () => { lookups++; return Promise.resolve(addresses) } })
+      await service.checkUrl('https://example.com/')
+
+      expect(lookups).to.equal(0)
+    })
+  })
+
+  describe('Blocklist Sources', () => {
+    it('should merge entries from every source', async () => {
+      const service = createService({
+        sources: [
+          { name: 'database', load: () => Promise.resolve(['one.com']) },
+          { name: 'file', load: () => Promise.resolve(['*.two.com']) }
+        ]
+      })
+
+      expect(await service.checkUrl('https://one.com/')).to.include({ reason: 'blocklisted' })
+      expect(await service.checkUrl('https://x.two.com/')).to.include({ reason: 'blocklisted' })
+    })
+
+    it('should keep the previous entries of a source that fails to reload', async () => {
+      let fail = false
+      const service = createService({
+        sources: [{ name: 'database', load: () => fail ? Promise.reject(new Error('connection lost')) : Promise.resolve(['evil.com']) }]
+      })
+
+      expect(await service.checkUrl('https://evil.com/')).to.include({ reason: 'blocklisted' })
+
+      fail = true
+      service.blocklistLoadedAt = 0
+
+      expect(await service.checkUrl('https://evil.com/')).to.include({ reason: 'blocklisted' })
+    })
+
+    it('should only reload the blocklist once per refresh interval', async () => {
+      let loads = 0
+      const service = createService({
+        sources: [{ name: 'database', load: () => { loads++; return Promise.resolve([]) } }]
+      })
+
+      await Promise.all([service.checkUrl('https://a.com/'), service.checkUrl('https://b.com/')])
+      await service.checkUrl('https://c.com/')
+
+      expect(loads).to.equal(1)
+    })
+  })
+
+  describe('Blocklist Management', () => {
+    it('should store normalized patterns and refresh the blocklist', async () => {
+      const rows = []
+      mockDatabase.getClient = () => ({
+        blockedDomain: {
+          upsert: ({ create }) => {
+            rows.push({ ...create, createdAt: new Date() })
+            return Promise.resolve(rows[rows.length - 1])
+          },
+          findMany: () => Promise.resolve(rows)
+        }
+      })
+      const service = new UrlSafetyService(mockDatabase, logger, { resolver: () => Promise.resolve(addresses) })
+
+      expect(await service.checkUrl('https://spam.example.org/')).to.deep.equal({ isValid: true })
+
+      const entry = await service.addBlockedDomain('*.Example.ORG', 'spam')
+      expect(entry).to.include({ pattern: '*.example.org', reason: 'spam' })
+      expect(await service.checkUrl('https://spam.example.org/')).to.include({ reason: 'blocklisted' })
+    })
+
+    it('should reject invalid patterns', async () => {
+      let error
+      try {
+        await createService().addBlockedDomain('not a domain')
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.message).to.equal('Invalid blocklist pattern: not a domain')
+    })
+  })
+})
\ No newline at end of file
@@ -1,7 +1,9 @@
-import { describe, it, beforeEach } from 'mocha'
+import { describe, it, beforeEach, afterEach } from 'mocha'
 import { expect } from 'chai'
 import UrlService from '../../services/UrlService.js'
 import createLogger from '../../libs/logger.js'
+import { hashNormalizedUrl } from '../../utils/urlNormalizer.js'
+import { appConfig } from '../../config/app.js'
 
 /**
  * Unit tests for UrlService integration with DatabaseService and RedisService
@@ -12,15 +14,23 @@ describe('UrlService Integration Tests', () => {
   let logger
   let mockDatabase
   let mockRedis
+  let urlSafety
 
   beforeEach(() => {
     logger = createLogger()
+
+    // Keep destination screening off the network
+    urlSafety = appConfig.url.safety
+    appConfig.url.safety = { ...urlSafety, resolveDns: false }
     
     // Create mock database service
     mockDatabase = {
       isConnected: true,
       healthCheck: () => Promise.resolve({ healthy: true, responseTime: 10 }),
       getClient: () => ({
+        shortCodeQuarantine: {
+          findUnique: () => Promise.resolve(null)
+        },
         url: {
           create: (options) => Promise.resolve({
             id: 'test-id',
@@ -60,10 +70,17 @@ describe('UrlService Integration Tests', () => {
       }),
       cacheUrl: () => Promise.resolve(),
       getCachedUrl: () => Promise.resolve(null),
-      removeCachedUrl: () => Promise.resolve()
+      removeCachedUrl: () => Promise.resolve(),
+      getMissingUrl: () => Promise.resolve(null),
+      cacheMissingUrl: () => Promise.resolve(),
+      removeMissingUrl: () => Promise.resolve()
     }
   })
 
+  afterEach(() => {
+    appConfig.url.safety = urlSafety
+  })
+
   describe('Constructor and Dependency Validation', () => {
     it('should throw error when database service is missing', () => {
       expect(() => {
@@ -233,12 +250,52 @@ describe('UrlService Integration Tests', () => {
       // Should use local fallback generation
     })
 
+    it('should not use a quarantined code from local generation', async () => {
+      mockRedis.isConnected = false
+      const quarantined = 'held1'
+      const generated = [quarantined, 'fresh']
+      urlService._generateFallbackShortCode = () => generated.shift()
+      const client = mockDatabase.getClient()
+      const lookups = []
+      client.shortCodeQuarantine.findUnique = ({ where }) => {
+        lookups.push(where.shortCode)
+        return Promise.resolve(where.shortCode === quarantined ? { shortCode: quarantined } : null)
+      }
+      mockDatabase.getClient = () => client
+
+      const result = await urlService.createShortUrl('https://example.com')
+
+      expect(lookups).to.deep.equal(['held1', 'fresh'])
+      expect(result.shortCode).to.equal('fresh')
+    })
+
+    it('should fail rather than use a quarantined code when every attempt is quarantined', async () => {
+      mockRedis.isConnected = false
+      const client = mockDatabase.getClient()
+      let created = false
+      client.shortCodeQuarantine.findUnique = ({ where }) => Promise.resolve({ shortCode: where.shortCode })
+      client.url.create = () => {
+        created = true
+        return Promise.resolve({})
+      }
+      mockDatabase.getClient = () => client
+
+      try {
+        await urlService.createShortUrl('https://example.com')
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.equal('Failed to generate short code')
+      }
+
+      expect(created).to.be.false
+    })
+
     it('should cache URLs when Redis is available', async () => {
       let cacheUrlCalled = false
-      mockRedis.cacheUrl = (shortCode, originalUrl, ttl) => {
+      mockRedis.cacheUrl = (shortCode, urlData, ttl) => {
         cacheUrlCalled = true
         expect(shortCode).to.be.a('string')
-        expect(originalUrl).to.equal('https://example.com')
+        expect(urlData.originalUrl).to.equal('https://example.com')
         expect(ttl).to.be.a('number')
         return Promise.resolve()
       }
@@ -417,23 +474,20 @@ describe('UrlService Integration Tests', () => {
     it('should handle Redis unavailable during bulk operations', async () => {
       mockRedis.isConnected = false
 
-      // Mock successful transaction
-      let transactionCalled = false
+      const result = await urlService.createBulkShortUrls([
+        'https://example1.com',
+        'https://example2.com'
+      ])
+
+      expect(result.successCount).to.equal(2)
+      expect(result.failureCount).to.equal(0)
+      expect(result.successful.map(url => url.index)).to.deep.equal([0, 1])
+    })
+
+    it('should report database failures per item', async () => {
       mockDatabase.getClient = () => ({
-        $transaction: (fn) => {
-          transactionCalled = true
-          return fn({
-            url: {
-              create: (options) => Promise.resolve({
-                id: `test-id-${Date.now()}`,
-                originalUrl: options.data.originalUrl,
-                shortCode: options.data.shortCode,
-                createdAt: new Date(),
-                expiresAt: options.data.expiresAt,
-                clickCount: 0
-              })
-            }
-          })
+        url: {
+          create: () => Promise.reject(new Error('Write failed'))
         }
       })
 
@@ -442,14 +496,23 @@ describe('UrlService Integration Tests', () => {
         'https://example2.com'
       ])
 
-      expect(transactionCalled).to.be.true
-      expect(result.successCount).to.equal(2)
-      expect(result.failureCount).to.equal(0)
+      expect(result.successCount).to.equal(0)
+      expect(result.failed).to.deep.equal([
+        { index: 0, url: 'https://example1.com', code: 'CREATE_FAILED', error: 'Failed to create shortened URL' },
+        { index: 1, url: 'https://example2.com', code: 'CREATE_FAILED', error: 'Failed to create shortened URL' }
+      ])
     })
 
     it('should handle database failures during bulk operations', async () => {
+      let createCalled = false
+      mockDatabase.healthCheck = () => Promise.reject(new Error('Database health check failed'))
       mockDatabase.getClient = () => ({
-        $transaction: () => Promise.reject(new Error('Transaction failed'))
+        url: {
+          create: () => {
+            createCalled = true
+            return Promise.reject(new Error('Write failed'))
+          }
+        }
       })
 
       try {
@@ -459,8 +522,1722 @@ describe('UrlService Integration Tests', () => {
         ])
         expect.fail('Should have thrown an error')
       } catch (error) {
-        expect(error.message).to.include('Failed to create bulk URLs')
+        expect(error.message).to.equal('Database service unavailable')
+      }
+
+      expect(createCalled).to.be.false
+    })
+
+    it('should report an insert that returns no record as a failed item', async () => {
+      let attempts = 0
+      mockDatabase.getClient = () => ({
+        url: {
+          create: (options) => {
+            attempts++
+            return Promise.resolve(attempts === 1
+              ? null
+              : { id: `id-${attempts}`, createdAt: new Date(), clickCount: 0, ...options.data })
+          }
+        }
+      })
+
+      const result = await urlService.createBulkShortUrls(['https://example1.com', 'https://example2.com'])
+
+      expect(result.successful.map(url => url.index)).to.deep.equal([1])
+      expect(result.failed).to.deep.equal([
+        { index: 0, url: 'https://example1.com', code: 'CREATE_FAILED', error: 'Failed to create shortened URL' }
+      ])
+    })
+
+    it('should create the valid URLs and report the invalid ones', async () => {
+      const result = await urlService.createBulkShortUrls([
+        'https://example1.com',
+        'not-a-url',
+        'https://example3.com'
+      ])
+
+      expect(result.successCount).to.equal(2)
+      expect(result.successful.map(url => url.index)).to.deep.equal([0, 2])
+      expect(result.failed).to.have.length(1)
+      expect(result.failed[0]).to.include({ index: 1, url: 'not-a-url', code: 'INVALID_URL' })
+    })
+
+    it('should retry a colliding short code without affecting other URLs', async () => {
+      let attempts = 0
+      const codes = ['taken', 'fresh1', 'fresh2']
+      mockRedis.getShortCode = () => Promise.resolve({ code: codes.shift(), source: 'redis_pool' })
+      mockDatabase.getClient = () => ({
+        url: {
+          create: (options) => {
+            attempts++
+            if (options.data.shortCode === 'taken') {
+              return Promise.reject(Object.assign(new Error('Unique constraint failed'), {
+                code: 'P2002',
+                meta: { target: ['shortCode'] }
+              }))
+            }
+            return Promise.resolve({ id: `id-${attempts}`, createdAt: new Date(), clickCount: 0, ...options.data })
+          }
+        }
+      })
+
+      const result = await urlService.createBulkShortUrls(['https://example1.com', 'https://example2.com'])
+
+      expect(attempts).to.equal(3)
+      expect(result.successful.map(url => url.shortCode)).to.deep.equal(['fresh1', 'fresh2'])
+      expect(result.failureCount).to.equal(0)
+    })
+
+    it('should report a retryable failure when every short code collides', async () => {
+      let attempts = 0
+      mockDatabase.getClient = () => ({
+        url: {
+          create: () => {
+            attempts++
+            return Promise.reject(Object.assign(new Error('Unique constraint failed'), {
+              code: 'P2002',
+              meta: { target: ['shortCode'] }
+            }))
+          }
+        }
+      })
+
+      const result = await urlService.createBulkShortUrls(['https://example1.com'])
+
+      expect(attempts).to.equal(3)
+      expect(result.failed).to.deep.equal([
+        { index: 0, url: 'https://example1.com', code: 'SHORT_CODE_UNAVAILABLE', error: 'Failed to create shortened URL after multiple attempts' }
+      ])
+    })
+
+    it('should stop writing and report an outage when the database is unreachable', async () => {
+      let attempts = 0
+      mockDatabase.getClient = () => ({
+        url: {
+          create: () => {
+            attempts++
+            return Promise.reject(new Error('Connection refused'))
+          }
+        }
+      })
+
+      try {
+        await urlService.createBulkShortUrls(['https://example1.com', 'https://example2.com', 'https://example3.com'])
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.equal('Database service unavailable during bulk operation')
+      }
+
+      expect(attempts).to.equal(1)
+    })
+
+    it('should report every item when none of the URLs are valid', async () => {
+      const result = await urlService.createBulkShortUrls(['not-a-url', 'ftp://example.com'])
+
+      expect(result.successCount).to.equal(0)
+      expect(result.failed.map(failure => failure.code)).to.deep.equal(['INVALID_URL', 'INVALID_URL'])
+    })
+
+    it('should still reject a malformed batch outright', async () => {
+      try {
+        await urlService.createBulkShortUrls([])
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.equal('URLs array cannot be empty')
+      }
+    })
+  })
+
+  describe('Custom Alias Tests', () => {
+    beforeEach(() => {
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should use the alias as the short code without touching the pool', async () => {
+      let getShortCodeCalled = false
+      let createData = null
+      mockRedis.getShortCode = () => {
+        getShortCodeCalled = true
+        return Promise.resolve({ code: 'abc12', source: 'redis_pool', responseTime: 5 })
+      }
+      const client = mockDatabase.getClient()
+      mockDatabase.getClient = () => ({
+        shortCodeQuarantine: client.shortCodeQuarantine,
+        url: {
+          ...client.url,
+          create: async (options) => {
+            createData = options.data
+            return { ...await client.url.create(options), isCustomAlias: options.data.isCustomAlias }
+          }
+        }
+      })
+
+      const result = await urlService.createShortUrl('https://example.com/sale', { alias: 'spring-sale' })
+
+      expect(result.shortCode).to.equal('spring-sale')
+      expect(result.isCustomAlias).to.be.true
+      expect(createData.isCustomAlias).to.be.true
+      expect(getShortCodeCalled).to.be.false
+    })
+
+    it('should reject an alias that is already in use', async () => {
+      mockDatabase.getClient = () => ({
+        shortCodeQuarantine: {
+          findUnique: () => Promise.resolve(null)
+        },
+        url: {
+          findUnique: () => Promise.resolve({ id: 'existing', shortCode: 'spring-sale' }),
+          create: () => expect.fail('Should not attempt to create')
+        }
+      })
+
+      try {
+        await urlService.createShortUrl('https://example.com/sale', { alias: 'spring-sale' })
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.equal('Alias is already in use')
+      }
+    })
+
+    it('should reject an alias held in quarantine after its link was purged', async () => {
+      mockDatabase.getClient = () => ({
+        shortCodeQuarantine: {
+          findUnique: () => Promise.resolve({ shortCode: 'spring-sale', isCustomAlias: true, releaseAt: null })
+        },
+        url: {
+          findUnique: () => Promise.resolve(null),
+          create: () => expect.fail('Should not attempt to create')
+        }
+      })
+
+      try {
+        await urlService.createShortUrl('https://example.com/sale', { alias: 'spring-sale' })
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.equal('Alias is already in use')
+      }
+    })
+
+    it('should not retry when an alias is claimed concurrently', async () => {
+      let createCallCount = 0
+      mockDatabase.getClient = () => ({
+        shortCodeQuarantine: {
+          findUnique: () => Promise.resolve(null)
+        },
+        url: {
+          findUnique: () => Promise.resolve(null),
+          create: () => {
+            createCallCount++
+            const error = new Error('Unique constraint failed')
+            error.code = 'P2002'
+            error.meta = { target: ['shortCode'] }
+            return Promise.reject(error)
+          }
+        }
+      })
+
+      try {
+        await urlService.createShortUrl('https://example.com/sale', { alias: 'spring-sale' })
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.equal('Alias is already in use')
+        expect(createCallCount).to.equal(1)
+      }
+    })
+
+    it('should reject reserved aliases before touching the database', async () => {
+      mockDatabase.healthCheck = () => expect.fail('Should not check database health')
+
+      try {
+        await urlService.createShortUrl('https://example.com/sale', { alias: 'api' })
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.include('reserved')
+      }
+    })
+
+    it('should remove code-shaped aliases from the short code pool', async () => {
+      let removedCodes = null
+      mockRedis.removeCodesFromPool = (codes) => {
+        removedCodes = codes
+        return Promise.resolve(1)
+      }
+
+      await urlService.createShortUrl('https://example.com/sale', { alias: 'Sale5' })
+      expect(removedCodes).to.deep.equal(['Sale5'])
+    })
+
+    it('should skip pool removal for aliases that cannot be pool codes', async () => {
+      let removeCalled = false
+      mockRedis.removeCodesFromPool = () => {
+        removeCalled = true
+        return Promise.resolve(0)
+      }
+
+      await urlService.createShortUrl('https://example.com/sale', { alias: 'spring-sale' })
+      expect(removeCalled).to.be.false
+    })
+  })
+
+  describe('Expiration Options Tests', () => {
+    beforeEach(() => {
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should apply the default expiration when no option is given', async () => {
+      const result = await urlService.createShortUrl('https://example.com')
+      const months = (result.expiresAt.getTime() - Date.now()) / (30 * 24 * 60 * 60 * 1000)
+      expect(months).to.be.closeTo(6, 0.2)
+    })
+
+    it('should store a null expiration for never-expiring links', async () => {
+      const result = await urlService.createShortUrl('https://example.com/docs', { neverExpires: true })
+      expect(result.expiresAt).to.be.null
+    })
+
+    it('should honor expiresIn', async () => {
+      const result = await urlService.createShortUrl('https://example.com/sale', { expiresIn: 'PT12H' })
+      expect(result.expiresAt.getTime() - Date.now()).to.be.closeTo(12 * 60 * 60 * 1000, 5000)
+    })
+
+    it('should reject invalid expiration before touching the database', async () => {
+      mockDatabase.healthCheck = () => expect.fail('Should not check database health')
+
+      try {
+        await urlService.createShortUrl('https://example.com', { expiresAt: '2020-01-01T00:00:00Z' })
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.include('in the future')
+      }
+    })
+
+    it('should apply the same expiration to every URL in a bulk request', async () => {
+      const result = await urlService.createBulkShortUrls(
+        ['https://example1.com', 'https://example2.com'],
+        { neverExpires: true }
+      )
+
+      expect(result.successful.map(url => url.expiresAt)).to.deep.equal([null, null])
+    })
+
+    it('should treat never-expiring URLs as active', async () => {
+      mockDatabase.getClient = () => ({
+        url: {
+          findMany: () => Promise.resolve([
+            { id: '1', originalUrl: 'https://example.com/a', shortCode: 'aaaaa', createdAt: new Date(), expiresAt: null, clickCount: 0 },
+            { id: '2', originalUrl: 'https://example.com/b', shortCode: 'bbbbb', createdAt: new Date(), expiresAt: new Date(Date.now() - 1000), clickCount: 0 }
+          ]),
+          findUnique: () => Promise.resolve({ id: '1', originalUrl: 'https://example.com/a', shortCode: 'aaaaa', createdAt: new Date(), expiresAt: null, clickCount: 0 })
+        }
+      })
+
+      const urls = await urlService.getAllUrls()
+      expect(urls.map(url => url.shortCode)).to.deep.equal(['aaaaa'])
+
+      const url = await urlService.getUrlByShortCode('aaaaa')
+      expect(url).to.have.property('expiresAt', null)
+    })
+  })
+
+  describe('Update URL Tests', () => {
+    let storedUrl
+    let cacheCalls
+
+    beforeEach(() => {
+      storedUrl = {
+        id: 'test-id',
+        originalUrl: 'https://example.com/typo',
+        shortCode: 'abc123',
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        clickCount: 3
+      }
+      cacheCalls = []
+
+      mockDatabase.getClient = () => ({
+        url: {
+          findUnique: ({ where }) => Promise.resolve(where.shortCode === storedUrl.shortCode ? storedUrl : null),
+          update: ({ where, data }) => {
+            if (where.shortCode !== storedUrl.shortCode) {
+              const error = new Error('Record to update not found.')
+              error.code = 'P2025'
+              return Promise.reject(error)
+            }
+            storedUrl = { ...storedUrl, ...data }
+            return Promise.resolve(storedUrl)
+          }
+        }
+      })
+      mockRedis.removeCachedUrl = (shortCode) => {
+        cacheCalls.push(['remove', shortCode])
+        return Promise.resolve()
+      }
+      mockRedis.cacheUrl = (shortCode, urlData) => {
+        cacheCalls.push(['cache', shortCode, urlData.originalUrl])
+        return Promise.resolve()
+      }
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should update the destination and re-prime the cache', async () => {
+      const result = await urlService.updateUrl('abc123', { originalUrl: 'https://example.com/fixed' })
+
+      expect(result.shortCode).to.equal('abc123')
+      expect(result.originalUrl).to.equal('https://example.com/fixed')
+      expect(result.clickCount).to.equal(3)
+      expect(cacheCalls).to.deep.equal([
+        ['remove', 'abc123'],
+        ['cache', 'abc123', 'https://example.com/fixed']
+      ])
+    })
+
+    it('should update only the expiration when no URL is given', async () => {
+      const result = await urlService.updateUrl('abc123', { neverExpires: true })
+
+      expect(result.originalUrl).to.equal('https://example.com/typo')
+      expect(result.expiresAt).to.be.null
+    })
+
+    it('should return null for unknown short codes', async () => {
+      const result = await urlService.updateUrl('zzz999', { originalUrl: 'https://example.com/fixed' })
+
+      expect(result).to.be.null
+      expect(cacheCalls).to.be.empty
+    })
+
+    it('should reject invalid destination URLs', async () => {
+      try {
+        await urlService.updateUrl('abc123', { originalUrl: 'not-a-url' })
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.not.equal('Should have thrown an error')
+        expect(storedUrl.originalUrl).to.equal('https://example.com/typo')
+      }
+    })
+
+    it('should reject updates with nothing to change', async () => {
+      try {
+        await urlService.updateUrl('abc123', {})
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.include('Invalid update')
       }
     })
+
+    it('should still update when Redis is unavailable', async () => {
+      mockRedis.isConnected = false
+
+      const result = await urlService.updateUrl('abc123', { originalUrl: 'https://example.com/fixed' })
+
+      expect(result.originalUrl).to.equal('https://example.com/fixed')
+      expect(cacheCalls).to.be.empty
+    })
+  })
+
+  describe('Click Tracking Tests', () => {
+    let bufferedClicks
+    let databaseIncrements
+
+    beforeEach(() => {
+      bufferedClicks = []
+      databaseIncrements = []
+
+      mockRedis.bufferClick = (shortCode) => {
+        bufferedClicks.push(shortCode)
+        return Promise.resolve()
+      }
+      mockDatabase.healthCheck = () => expect.fail('Click tracking should not run a health check')
+      mockDatabase.getClient = () => ({
+        url: {
+          update: ({ where }) => {
+            databaseIncrements.push(where.shortCode)
+            return Promise.resolve({ clickCount: 7 })
+          }
+        }
+      })
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should buffer clicks in Redis without touching the database', async () => {
+      const result = await urlService.trackClick('abc123')
+
+      expect(result).to.deep.equal({ source: 'redis' })
+      expect(bufferedClicks).to.deep.equal(['abc123'])
+      expect(databaseIncrements).to.be.empty
+    })
+
+    it('should write directly to the database when Redis is unavailable', async () => {
+      mockRedis.isConnected = false
+
+      const result = await urlService.trackClick('abc123')
+
+      expect(result).to.deep.equal({ source: 'database', clickCount: 7 })
+      expect(bufferedClicks).to.be.empty
+      expect(databaseIncrements).to.deep.equal(['abc123'])
+    })
+
+    it('should fall back to the database when buffering fails', async () => {
+      mockRedis.bufferClick = () => Promise.reject(new Error('Redis command timeout'))
+
+      const result = await urlService.trackClick('abc123')
+
+      expect(result.source).to.equal('database')
+      expect(databaseIncrements).to.deep.equal(['abc123'])
+    })
+
+    it('should report clicks still buffered in Redis', async () => {
+      mockRedis.getBufferedClickCounts = (codes) => Promise.resolve(codes.map(code => code === 'abc123' ? 4 : 0))
+
+      expect(await urlService.getBufferedClickCount('abc123')).to.equal(4)
+      expect(await urlService.getBufferedClickCount('zzz999')).to.equal(0)
+    })
+
+    it('should report no buffered clicks when Redis is unavailable or fails', async () => {
+      mockRedis.getBufferedClickCounts = () => Promise.reject(new Error('Redis command timeout'))
+      expect(await urlService.getBufferedClickCount('abc123')).to.equal(0)
+
+      mockRedis.isConnected = false
+      expect(await urlService.getBufferedClickCount('abc123')).to.equal(0)
+    })
+  })
+
+  describe('Redirect Cache Tests', () => {
+    let databaseLookups
+    let cachedEntries
+    let storedUrl
+
+    beforeEach(() => {
+      databaseLookups = 0
+      cachedEntries = new Map()
+      storedUrl = {
+        id: 'test-id',
+        originalUrl: 'https://example.com/landing',
+        shortCode: 'abc123',
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        clickCount: 0,
+        isCustomAlias: false
+      }
+
+      mockDatabase.healthCheck = () => expect.fail('Redirects should not run a health check')
+      mockDatabase.getClient = () => ({
+        url: {
+          findUnique: ({ where }) => {
+            databaseLookups++
+            return Promise.resolve(where.shortCode === storedUrl.shortCode ? storedUrl : null)
+          }
+        }
+      })
+      mockRedis.cacheUrl = (shortCode, urlData, ttl) => {
+        cachedEntries.set(shortCode, { urlData, ttl })
+        return Promise.resolve()
+      }
+      mockRedis.getCachedUrl = (shortCode) => Promise.resolve(cachedEntries.get(shortCode)?.urlData || null)
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should serve repeat redirects from cache without a database lookup', async () => {
+      const first = await urlService.getRedirectTarget('abc123')
+      const second = await urlService.getRedirectTarget('abc123')
+
+      expect(first.originalUrl).to.equal('https://example.com/landing')
+      expect(second).to.deep.equal(first)
+      expect(databaseLookups).to.equal(1)
+    })
+
+    it('should cache the fields the redirect needs', async () => {
+      await urlService.getRedirectTarget('abc123')
+
+      const { urlData } = cachedEntries.get('abc123')
+      expect(urlData).to.have.all.keys('id', 'originalUrl', 'shortCode', 'expiresAt', 'status', 'passwordProtected', 'maxClicks', 'activatesAt', 'forwardQuery', 'forwardPath', 'redirectType')
+      expect(urlData.expiresAt).to.equal(storedUrl.expiresAt)
+    })
+
+    it('should cap the cache TTL at the time remaining until expiration', async () => {
+      storedUrl.expiresAt = new Date(Date.now() + 60 * 1000)
+
+      await urlService.getRedirectTarget('abc123')
+
+      expect(cachedEntries.get('abc123').ttl).to.be.within(59, 60)
+    })
+
+    it('should use the configured TTL for never-expiring URLs', async () => {
+      storedUrl.expiresAt = null
+
+      await urlService.getRedirectTarget('abc123')
+
+      expect(cachedEntries.get('abc123').ttl).to.equal(3600)
+    })
+
+    it('should return expired URLs without caching them', async () => {
+      storedUrl.expiresAt = new Date(Date.now() - 1000)
+
+      const result = await urlService.getRedirectTarget('abc123')
+
+      expect(result.expiresAt).to.equal(storedUrl.expiresAt)
+      expect(cachedEntries.has('abc123')).to.be.false
+    })
+
+    it('should return null for unknown short codes', async () => {
+      const result = await urlService.getRedirectTarget('zzz999')
+
+      expect(result).to.be.null
+    })
+
+    it('should fall back to the database when the cache read fails', async () => {
+      mockRedis.getCachedUrl = () => Promise.reject(new Error('Redis command timeout'))
+
+      const result = await urlService.getRedirectTarget('abc123')
+
+      expect(result.originalUrl).to.equal('https://example.com/landing')
+      expect(databaseLookups).to.equal(1)
+    })
+  })
+
+  describe('Negative Cache Tests', () => {
+    let databaseLookups
+    let missingMarkers
+    let storedUrls
+
+    beforeEach(() => {
+      databaseLookups = 0
+      missingMarkers = new Map()
+      storedUrls = new Map()
+
+      mockDatabase.getClient = () => ({
+        shortCodeQuarantine: {
+          findUnique: () => Promise.resolve(null)
+        },
+        url: {
+          findUnique: ({ where }) => {
+            databaseLookups++
+            return Promise.resolve(storedUrls.get(where.shortCode) || null)
+          },
+          create: (options) => {
+            const url = { id: 'test-id', createdAt: new Date(), clickCount: 0, ...options.data }
+            storedUrls.set(url.shortCode, url)
+            return Promise.resolve(url)
+          }
+        }
+      })
+      mockRedis.getMissingUrl = (shortCode) => Promise.resolve(missingMarkers.get(shortCode) || null)
+      mockRedis.cacheMissingUrl = (shortCode, marker) => {
+        missingMarkers.set(shortCode, marker)
+        return Promise.resolve()
+      }
+      mockRedis.removeMissingUrl = (shortCode) => {
+        missingMarkers.delete(shortCode)
+        return Promise.resolve()
+      }
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should answer repeated lookups of unknown codes without the database', async () => {
+      expect(await urlService.getRedirectTarget('zzzzz')).to.be.null
+      expect(await urlService.getRedirectTarget('zzzzz')).to.be.null
+      expect(await urlService.getUrlByShortCode('zzzzz')).to.be.null
+
+      expect(databaseLookups).to.equal(1)
+      expect(missingMarkers.get('zzzzz')).to.deep.equal({ reason: 'not_found' })
+    })
+
+    it('should remember expired URLs so the expired page can still be shown', async () => {
+      storedUrls.set('old12', {
+        id: 'old-id',
+        originalUrl: 'https://example.com/old',
+        shortCode: 'old12',
+        expiresAt: new Date(Date.now() - 1000)
+      })
+
+      await urlService.getRedirectTarget('old12')
+      const result = await urlService.getRedirectTarget('old12')
+
+      expect(databaseLookups).to.equal(1)
+      expect(result.originalUrl).to.equal('https://example.com/old')
+      expect(missingMarkers.get('old12').reason).to.equal('expired')
+    })
+
+    it('should clear the marker when the code is later created as an alias', async () => {
+      await urlService.getRedirectTarget('spring-sale')
+      expect(missingMarkers.has('spring-sale')).to.be.true
+
+      await urlService.createShortUrl('https://example.com/sale', { alias: 'spring-sale' })
+
+      expect(missingMarkers.has('spring-sale')).to.be.false
+    })
+
+    it('should clear the marker when a pooled code is handed out', async () => {
+      missingMarkers.set('abc123', { reason: 'not_found' })
+
+      await urlService.createShortUrl('https://example.com/pooled')
+
+      expect(missingMarkers.has('abc123')).to.be.false
+    })
+  })
+
+  describe('Ownership Scope Tests', () => {
+    let storedUrls
+    let findManyWhere
+    let deleted
+
+    beforeEach(() => {
+      storedUrls = new Map([
+        ['mine1', { id: 'id-1', originalUrl: 'https://example.com/mine', shortCode: 'mine1', ownerId: 'owner-a', createdAt: new Date(), expiresAt: null, clickCount: 0 }],
+        ['them1', { id: 'id-2', originalUrl: 'https://example.com/theirs', shortCode: 'them1', ownerId: 'owner-b', createdAt: new Date(), expiresAt: null, clickCount: 0 }],
+        ['anon1', { id: 'id-3', originalUrl: 'https://example.com/anon', shortCode: 'anon1', ownerId: null, createdAt: new Date(), expiresAt: null, clickCount: 0 }]
+      ])
+      findManyWhere = null
+      deleted = []
+
+      mockDatabase.getClient = () => ({
+        url: {
+          create: (options) => Promise.resolve({ id: 'new-id', createdAt: new Date(), clickCount: 0, ...options.data }),
+          findUnique: ({ where }) => Promise.resolve(storedUrls.get(where.shortCode) || null),
+          findMany: ({ where }) => {
+            findManyWhere = where
+            return Promise.resolve([...storedUrls.values()]
+              .filter(url => where.ownerId === undefined || url.ownerId === where.ownerId))
+          },
+          delete: ({ where }) => {
+            deleted.push(where.shortCode)
+            return Promise.resolve(storedUrls.get(where.shortCode))
+          }
+        }
+      })
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should stamp the owner on created links', async () => {
+      const owned = await urlService.createShortUrl('https://example.com/new', { ownerId: 'owner-a' })
+      const anonymous = await urlService.createShortUrl('https://example.com/new')
+
+      expect(owned.ownerId).to.equal('owner-a')
+      expect(anonymous.ownerId).to.be.null
+    })
+
+    it('should only list links in scope', async () => {
+      const owned = await urlService.getAllUrls({ ownerId: 'owner-a' })
+      expect(findManyWhere).to.deep.equal({ ownerId: 'owner-a' })
+      expect(owned.map(url => url.shortCode)).to.deep.equal(['mine1'])
+
+      const anonymous = await urlService.getAllUrls({ ownerId: null })
+      expect(anonymous.map(url => url.shortCode)).to.deep.equal(['anon1'])
+
+      const all = await urlService.getAllUrls()
+      expect(all).to.have.length(3)
+    })
+
+    it('should hide links owned by someone else', async () => {
+      expect(await urlService.getUrlByShortCode('them1', { ownerId: 'owner-a' })).to.be.null
+      expect(await urlService.getUrlByShortCode('mine1', { ownerId: 'owner-a' })).to.include({ shortCode: 'mine1' })
+    })
+
+    it('should refuse to delete links owned by someone else', async () => {
+      expect(await urlService.deleteUrl('them1', { ownerId: 'owner-a' })).to.be.false
+      expect(await urlService.deleteUrl('anon1', { ownerId: 'owner-a' })).to.be.false
+      expect(deleted).to.be.empty
+
+      expect(await urlService.deleteUrl('mine1', { ownerId: 'owner-a' })).to.be.true
+      expect(deleted).to.deep.equal(['mine1'])
+    })
+  })
+
+  describe('List URLs Tests', () => {
+    let findManyCalls
+    let rows
+
+    const makeRows = (count) => Array.from({ length: count }, (_, i) => ({
+      id: `id-${i}`,
+      originalUrl: `https://example.com/${i}`,
+      shortCode: `code${i}`,
+      createdAt: new Date(Date.UTC(2024, 0, 30 - i)),
+      expiresAt: null,
+      clickCount: i,
+      ownerId: null
+    }))
+
+    beforeEach(() => {
+      findManyCalls = []
+      rows = makeRows(3)
+
+      mockDatabase.getClient = () => ({
+        url: {
+          findMany: (options) => {
+            findManyCalls.push(options)
+            return Promise.resolve(rows.slice(0, options.take))
+          }
+        }
+      })
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should push paging, sorting and filters into the query', async () => {
+      await urlService.listUrls({ limit: 2, sort: 'clickCount', order: 'asc', search: 'docs', status: 'active' }, { ownerId: 'owner-a' })
+
+      const [query] = findManyCalls
+      expect(query.take).to.equal(3)
+      expect(query.orderBy).to.deep.equal([{ clickCount: 'asc' }, { id: 'asc' }])
+      expect(query.where.AND[0]).to.deep.equal({ ownerId: 'owner-a' })
+      expect(query.where.AND[1].OR[0]).to.deep.equal({ expiresAt: null })
+      expect(query.where.AND[2]).to.deep.equal({
+        OR: [
+          { originalUrl: { contains: 'docs', mode: 'insensitive' } },
+          { shortCode: { contains: 'docs' } }
+        ]
+      })
+    })
+
+    it('should filter expired URLs by expiry date', async () => {
+      await urlService.listUrls({ status: 'expired' })
+
+      expect(findManyCalls[0].where.AND[1].expiresAt.lte).to.be.instanceOf(Date)
+    })
+
+    it('should return a cursor only when there is another page', async () => {
+      const firstPage = await urlService.listUrls({ limit: 2 })
+      expect(firstPage.urls.map(url => url.shortCode)).to.deep.equal(['code0', 'code1'])
+      expect(firstPage.nextCursor).to.be.a('string')
+
+      const lastPage = await urlService.listUrls({ limit: 3 })
+      expect(lastPage.urls).to.have.length(3)
+      expect(lastPage.nextCursor).to.be.null
+    })
+
+    it('should continue after the last row of the previous page', async () => {
+      const { nextCursor } = await urlService.listUrls({ limit: 2 })
+
+      await urlService.listUrls({ limit: 2, cursor: nextCursor })
+
+      const condition = findManyCalls[1].where.AND.at(-1)
+      expect(condition).to.deep.equal({
+        OR: [
+          { createdAt: { lt: rows[1].createdAt } },
+          { createdAt: rows[1].createdAt, id: { lt: 'id-1' } }
+        ]
+      })
+    })
+
+    it('should keep never-expiring URLs last when sorting by expiry', async () => {
+      rows[0].expiresAt = new Date('2025-01-01T00:00:00Z')
+
+      const { nextCursor } = await urlService.listUrls({ limit: 1, sort: 'expiresAt', order: 'asc' })
+      await urlService.listUrls({ limit: 1, sort: 'expiresAt', order: 'asc', cursor: nextCursor })
+
+      expect(findManyCalls[0].orderBy[0]).to.deep.equal({ expiresAt: { sort: 'asc', nulls: 'last' } })
+      expect(findManyCalls[1].where.AND.at(-1).OR).to.deep.include({ expiresAt: null })
+
+      rows.shift()
+      const nullPage = await urlService.listUrls({ limit: 1, sort: 'expiresAt', order: 'asc' })
+      await urlService.listUrls({ limit: 1, sort: 'expiresAt', order: 'asc', cursor: nullPage.nextCursor })
+      expect(findManyCalls[3].where.AND.at(-1)).to.deep.equal({ expiresAt: null, id: { gt: 'id-1' } })
+    })
+
+    it('should reject malformed cursors and cursors for a different sort', async () => {
+      const { nextCursor } = await urlService.listUrls({ limit: 2 })
+
+      for (const options of [{ cursor: 'not-a-cursor' }, { cursor: nextCursor, sort: 'clickCount' }, { cursor: nextCursor, order: 'asc' }]) {
+        try {
+          await urlService.listUrls(options)
+          expect.fail('Should have thrown an error')
+        } catch (error) {
+          expect(error.message).to.match(/^Invalid cursor/)
+        }
+      }
+
+      expect(findManyCalls).to.have.length(1)
+    })
+  })
+
+  describe('Deduplication Tests', () => {
+    let rows
+    let findFirstWhere
+    let codeCounter
+
+    beforeEach(() => {
+      rows = []
+      findFirstWhere = null
+      codeCounter = 0
+
+      mockRedis.getShortCode = () => Promise.resolve({ code: `code${++codeCounter}`, source: 'redis_pool', responseTime: 1 })
+      mockDatabase.getClient = () => ({
+        shortCodeQuarantine: {
+          findUnique: () => Promise.resolve(null)
+        },
+        url: {
+          create: ({ data }) => {
+            const row = { id: `id-${rows.length + 1}`, createdAt: new Date(), clickCount: 0, ...data }
+            rows.push(row)
+            return Promise.resolve(row)
+          },
+          findUnique: () => Promise.resolve(null),
+          findFirst: ({ where }) => {
+            findFirstWhere = where
+            return Promise.resolve(rows.find(row =>
+              row.normalizedUrlHash === where.normalizedUrlHash &&
+              (row.ownerId ?? null) === where.ownerId &&
+              (!row.expiresAt || row.expiresAt > new Date())) || null)
+          }
+        }
+      })
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should store the normalized URL hash on every new link', async () => {
+      const result = await urlService.createShortUrl('https://Example.com/page?b=2&a=1')
+
+      expect(result.deduplicated).to.be.false
+      expect(rows[0].normalizedUrlHash).to.equal(hashNormalizedUrl('https://example.com/page?a=1&b=2'))
+      expect(findFirstWhere).to.be.null
+    })
+
+    it('should return the existing link for an equivalent destination when dedupe is on', async () => {
+      const first = await urlService.createShortUrl('https://example.com/page?a=1&b=2', { dedupe: true })
+      const second = await urlService.createShortUrl('https://EXAMPLE.com:443/page?b=2&utm_source=mail&a=1', { dedupe: true })
+
+      expect(second.deduplicated).to.be.true
+      expect(second.shortCode).to.equal(first.shortCode)
+      expect(rows).to.have.length(1)
+      expect(findFirstWhere.ownerId).to.be.null
+    })
+
+    it('should not reuse links across owners, expired links or aliases', async () => {
+      await urlService.createShortUrl('https://example.com/owned', { dedupe: true, ownerId: 'owner-a' })
+      const otherOwner = await urlService.createShortUrl('https://example.com/owned', { dedupe: true, ownerId: 'owner-b' })
+
+      rows.push({ id: 'expired', shortCode: 'old12', originalUrl: 'https://example.com/old', normalizedUrlHash: hashNormalizedUrl('https://example.com/old'), ownerId: null, expiresAt: new Date(Date.now() - 1000) })
+      const afterExpired = await urlService.createShortUrl('https://example.com/old', { dedupe: true })
+
+      const aliased = await urlService.createShortUrl('https://example.com/owned', { dedupe: true, ownerId: 'owner-a', alias: 'my-alias' })
+
+      expect(otherOwner.deduplicated).to.be.false
+      expect(afterExpired.deduplicated).to.be.false
+      expect(aliased).to.include({ shortCode: 'my-alias', deduplicated: false })
+    })
+
+    it('should follow appConfig.url.dedupe when the option is omitted', async () => {
+      const originalDedupe = appConfig.url.dedupe
+      appConfig.url.dedupe = true
+
+      try {
+        await urlService.createShortUrl('https://example.com/default')
+        const second = await urlService.createShortUrl('https://example.com/default')
+        expect(second.deduplicated).to.be.true
+      } finally {
+        appConfig.url.dedupe = originalDedupe
+      }
+    })
+
+    it('should dedupe bulk items against existing links and earlier items of the batch', async () => {
+      await urlService.createShortUrl('https://example.com/existing')
+
+      const result = await urlService.createBulkShortUrls([
+        'https://example.com/existing',
+        'https://example.com/new',
+        'https://example.com/new?fbclid=abc'
+      ], { dedupe: true })
+
+      expect(result.successCount).to.equal(3)
+      expect(result.successful.map(url => url.deduplicated)).to.deep.equal([true, false, true])
+      expect(result.successful[2].shortCode).to.equal(result.successful[1].shortCode)
+      expect(rows).to.have.length(2)
+    })
+
+    it('should not dedupe requests that ask for their own expiration', async () => {
+      const first = await urlService.createShortUrl('https://example.com/page', { dedupe: true, expiresIn: 'P1D' })
+      const second = await urlService.createShortUrl('https://example.com/page', { dedupe: true, expiresIn: 'P30D' })
+      const third = await urlService.createShortUrl('https://example.com/page', { dedupe: true, neverExpires: true })
+
+      expect([first, second, third].map(url => url.deduplicated)).to.deep.equal([false, false, false])
+      expect(new Set([first.shortCode, second.shortCode, third.shortCode]).size).to.equal(3)
+      expect(findFirstWhere).to.be.null
+    })
+
+    it('should not dedupe bulk items created with an expiration option', async () => {
+      await urlService.createShortUrl('https://example.com/existing')
+
+      const result = await urlService.createBulkShortUrls(['https://example.com/existing'], {
+        dedupe: true,
+        expiresIn: 'P1D'
+      })
+
+      expect(result.successful[0].deduplicated).to.be.false
+      expect(rows).to.have.length(2)
+    })
+  })
+
+  describe('Export Iteration Tests', () => {
+    let findManyCalls
+    let rows
+
+    beforeEach(() => {
+      findManyCalls = []
+      rows = Array.from({ length: 5 }, (_, i) => ({
+        id: `id-${i}`,
+        originalUrl: `https://example.com/${i}`,
+        shortCode: `code${i}`,
+        createdAt: new Date(),
+        expiresAt: null,
+        clickCount: 0,
+        ownerId: 'owner-a'
+      }))
+
+      mockDatabase.getClient = () => ({
+        url: {
+          findMany: (options) => {
+            findManyCalls.push(options)
+            const start = options.cursor ? rows.findIndex(row => row.id === options.cursor.id) + options.skip : 0
+            return Promise.resolve(rows.slice(start, start + options.take))
+          }
+        }
+      })
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should walk the scope in id-ordered batches with a Prisma cursor', async () => {
+      const batches = []
+      for await (const batch of urlService.iterateUrls({ ownerId: 'owner-a' }, { batchSize: 2 })) {
+        batches.push(batch.map(url => url.shortCode))
+      }
+
+      expect(batches).to.deep.equal([['code0', 'code1'], ['code2', 'code3'], ['code4']])
+      expect(findManyCalls[0]).to.deep.include({ where: { ownerId: 'owner-a' }, orderBy: { id: 'asc' }, take: 2 })
+      expect(findManyCalls[0]).to.not.have.property('cursor')
+      expect(findManyCalls[1]).to.deep.include({ cursor: { id: 'id-1' }, skip: 1 })
+    })
+
+    it('should stop without an empty batch when the last batch is full', async () => {
+      rows = rows.slice(0, 4)
+      const batches = []
+      for await (const batch of urlService.iterateUrls({}, { batchSize: 2 })) {
+        batches.push(batch)
+      }
+
+      expect(batches).to.have.length(2)
+      expect(findManyCalls).to.have.length(3)
+    })
+
+    it('should fail before querying when the database is disconnected', async () => {
+      mockDatabase.isConnected = false
+
+      try {
+        await urlService.iterateUrls().next()
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.equal('Database service unavailable')
+      }
+
+      expect(findManyCalls).to.be.empty
+    })
+
+    it('should fail before querying when the database health check fails', async () => {
+      mockDatabase.healthCheck = () => Promise.reject(new Error('Server closed the connection unexpectedly'))
+
+      try {
+        await urlService.iterateUrls().next()
+        expect.fail('Should have thrown an error')
+      } catch (error) {
+        expect(error.message).to.equal('Database service unavailable')
+      }
+
+      expect(findManyCalls).to.be.empty
+    })
+  })
+
+  describe('Destination Safety Tests', () => {
+    let created
+    let checkedUrls
+
+    beforeEach(() => {
+      created = []
+      checkedUrls = []
+      const client = mockDatabase.getClient()
+      const create = client.url.create
+      client.url.create = (options) => {
+        created.push(options.data.originalUrl)
+        return create(options)
+      }
+      client.url.findUnique = ({ where }) => Promise.resolve(where.shortCode === 'abc123'
+        ? { id: 'test-id', shortCode: 'abc123', originalUrl: 'https://example.com/old', createdAt: new Date(), clickCount: 0 }
+        : null)
+      client.url.update = ({ data }) => Promise.resolve({ id: 'test-id', shortCode: 'abc123', createdAt: new Date(), clickCount: 0, ...data })
+      mockDatabase.getClient = () => client
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+      urlService.safetyService.checkUrl = (url) => {
+        checkedUrls.push(url)
+        return Promise.resolve(url.includes('evil.com')
+          ? { isValid: false, error: 'URL destination is blocked', details: ["Host 'evil.com' matches blocklist entry 'evil.com'"], reason: 'blocklisted' }
+          : { isValid: true })
+      }
+    })
+
+    it('should refuse an unsafe destination with the structured safety result', async () => {
+      let error
+      try {
+        await urlService.createShortUrl('https://evil.com/login')
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.message).to.equal('URL destination is blocked')
+      expect(error.validation).to.include({ isValid: false, reason: 'blocklisted' })
+      expect(created).to.be.empty
+    })
+
+    it('should screen the new destination of an update', async () => {
+      let error
+      try {
+        await urlService.updateUrl('abc123', { originalUrl: 'https://evil.com/' })
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.validation.reason).to.equal('blocklisted')
+
+      const result = await urlService.updateUrl('abc123', { originalUrl: 'https://example.com/' })
+      expect(result.originalUrl).to.equal('https://example.com/')
+      expect(checkedUrls).to.deep.equal(['https://evil.com/', 'https://example.com/'])
+    })
+
+    it('should report unsafe bulk items without failing the others', async () => {
+      const result = await urlService.createBulkShortUrls(['https://example.com/a', 'https://evil.com/b'])
+
+      expect(result.successCount).to.equal(1)
+      expect(result.failed).to.deep.equal([
+        { index: 1, url: 'https://evil.com/b', code: 'UNSAFE_URL', error: 'URL destination is blocked', reason: 'blocklisted' }
+      ])
+      expect(created).to.deep.equal(['https://example.com/a'])
+    })
+  })
+
+  describe('URL Status Tests', () => {
+    let storedUrl
+    let cachedEntries
+    let cacheCalls
+
+    beforeEach(() => {
+      storedUrl = {
+        id: 'test-id',
+        originalUrl: 'https://example.com/phish',
+        shortCode: 'abc123',
+        createdAt: new Date(),
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        clickCount: 3,
+        status: 'active'
+      }
+      cachedEntries = new Map()
+      cacheCalls = []
+
+      mockDatabase.getClient = () => ({
+        url: {
+          findUnique: ({ where }) => Promise.resolve(where.shortCode === storedUrl.shortCode ? storedUrl : null),
+          update: ({ where, data }) => {
+            if (where.shortCode !== storedUrl.shortCode) {
+              return Promise.reject(Object.assign(new Error('Record to update not found.'), { code: 'P2025' }))
+            }
+            storedUrl = { ...storedUrl, ...data }
+            return Promise.resolve(storedUrl)
+          }
+        }
+      })
+      mockRedis.getCachedUrl = (shortCode) => Promise.resolve(cachedEntries.get(shortCode) || null)
+      mockRedis.cacheUrl = (shortCode, urlData) => {
+        cacheCalls.push(['cache', shortCode])
+        cachedEntries.set(shortCode, urlData)
+        return Promise.resolve()
+      }
+      mockRedis.removeCachedUrl = (shortCode) => {
+        cacheCalls.push(['remove', shortCode])
+        cachedEntries.delete(shortCode)
+        return Promise.resolve()
+      }
+      mockRedis.removeMissingUrl = (shortCode) => {
+        cacheCalls.push(['clearMissing', shortCode])
+        return Promise.resolve()
+      }
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should take a link down and keep the record with an audit trail', async () => {
+      const result = await urlService.setUrlStatus('abc123', { status: 'taken_down', reason: ' Phishing report #42 ' }, 'admin-team')
+
+      expect(result).to.include({ shortCode: 'abc123', status: 'taken_down', statusReason: 'Phishing report #42' })
+      expect(storedUrl.statusChangedBy).to.equal('admin-team')
+      expect(storedUrl.statusChangedAt).to.be.instanceOf(Date)
+    })
+
+    it('should replace the cached redirect so it stops immediately', async () => {
+      const before = await urlService.getRedirectTarget('abc123')
+      expect(before.status).to.equal('active')
+
+      cacheCalls = []
+      await urlService.setUrlStatus('abc123', { status: 'disabled', reason: 'Owner request' })
+
+      expect(cacheCalls).to.deep.equal([['remove', 'abc123'], ['clearMissing', 'abc123'], ['cache', 'abc123']])
+      const after = await urlService.getRedirectTarget('abc123')
+      expect(after.status).to.equal('disabled')
+    })
+
+    it('should clear the reason when a link is re-activated', async () => {
+      await urlService.setUrlStatus('abc123', { status: 'disabled', reason: 'Owner request' })
+
+      const result = await urlService.setUrlStatus('abc123', { status: 'active' })
+
+      expect(result).to.include({ status: 'active', statusReason: null })
+    })
+
+    it('should return null for an unknown short code', async () => {
+      const result = await urlService.setUrlStatus('zzzzz', { status: 'disabled', reason: 'Spam' })
+
+      expect(result).to.be.null
+      expect(cacheCalls).to.be.empty
+    })
+
+    it('should reject an invalid status change before touching the database', async () => {
+      let error
+      try {
+        await urlService.setUrlStatus('abc123', { status: 'disabled' })
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.message).to.equal('A reason is required to disable a link')
+      expect(storedUrl.status).to.equal('active')
+    })
+  })
+
+  describe('Password Protection Tests', () => {
+    let rows
+
+    beforeEach(() => {
+      rows = []
+
+      mockDatabase.getClient = () => ({
+        url: {
+          create: ({ data }) => {
+            const row = { id: `id-${rows.length + 1}`, createdAt: new Date(), clickCount: 0, ...data }
+            rows.push(row)
+            return Promise.resolve(row)
+          },
+          findUnique: ({ where }) => Promise.resolve(rows.find(row => row.shortCode === where.shortCode) || null),
+          findFirst: ({ where }) => Promise.resolve(rows.find(row =>
+            row.normalizedUrlHash === where.normalizedUrlHash &&
+            (row.passwordHash ?? null) === where.passwordHash) || null)
+        }
+      })
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should store a salted hash and never return it', async () => {
+      const result = await urlService.createShortUrl('https://example.com/internal', { password: 'hunter22' })
+
+      expect(result.passwordProtected).to.be.true
+      expect(result).to.not.have.property('passwordHash')
+      expect(rows[0].passwordHash).to.match(/^scrypt\$/)
+      expect(rows[0].passwordHash).to.not.include('hunter22')
+    })
+
+    it('should flag protected links in the redirect cache payload', async () => {
+      await urlService.createShortUrl('https://example.com/internal', { password: 'hunter22' })
+
+      const target = await urlService.getRedirectTarget('abc123')
+
+      expect(target.passwordProtected).to.be.true
+      expect(target).to.not.have.property('passwordHash')
+    })
+
+    it('should verify the password against the stored hash', async () => {
+      await urlService.createShortUrl('https://example.com/internal', { password: 'hunter22' })
+
+      expect(await urlService.verifyUrlPassword('abc123', 'hunter22')).to.be.true
+      expect(await urlService.verifyUrlPassword('abc123', 'hunter2')).to.be.false
+      expect(await urlService.verifyUrlPassword('abc123', undefined)).to.be.false
+      expect(await urlService.verifyUrlPassword('zzzzz', 'hunter22')).to.be.null
+    })
+
+    it('should reject an invalid password before creating anything', async () => {
+      let error
+      try {
+        await urlService.createShortUrl('https://example.com/internal', { password: 'abc' })
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.message).to.equal('Password must be between 4 and 128 characters')
+      expect(rows).to.be.empty
+    })
+
+    it('should never deduplicate to or from a protected link', async () => {
+      const open = await urlService.createShortUrl('https://example.com/shared', { dedupe: true })
+      const protectedUrl = await urlService.createShortUrl('https://example.com/shared', { dedupe: true, password: 'hunter22' })
+
+      expect(protectedUrl.deduplicated).to.be.false
+      expect(protectedUrl.passwordProtected).to.be.true
+      expect(open.passwordProtected).to.be.false
+    })
+  })
+
+  describe('Click Limit Tests', () => {
+    let storedUrl
+    let updateManyCalls
+
+    beforeEach(() => {
+      storedUrl = null
+      updateManyCalls = 0
+
+      mockDatabase.getClient = () => ({
+        url: {
+          create: ({ data }) => {
+            storedUrl = { id: 'test-id', createdAt: new Date(), clickCount: 0, ...data }
+            return Promise.resolve(storedUrl)
+          },
+          findUnique: ({ where }) => Promise.resolve(storedUrl?.shortCode === where.shortCode ? storedUrl : null),
+          // Mirrors the conditional UPDATE: only rows matching every condition change
+          updateMany: ({ where, data }) => {
+            updateManyCalls++
+            if (!storedUrl || storedUrl.shortCode !== where.shortCode || !(storedUrl.clickCount < where.clickCount.lt)) {
+              return Promise.resolve({ count: 0 })
+            }
+            storedUrl.clickCount += data.clickCount.increment
+            return Promise.resolve({ count: 1 })
+          }
+        }
+      })
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should store the limit and report the remaining clicks', async () => {
+      const result = await urlService.createShortUrl('https://example.com/invite', { maxClicks: 3 })
+
+      expect(result).to.include({ maxClicks: 3, remainingClicks: 3 })
+
+      storedUrl.clickCount = 2
+      const details = await urlService.getUrlByShortCode('abc123')
+      expect(details).to.include({ maxClicks: 3, remainingClicks: 1 })
+    })
+
+    it('should report no limit for ordinary links', async () => {
+      const result = await urlService.createShortUrl('https://example.com/page')
+
+      expect(result).to.include({ maxClicks: null, remainingClicks: null })
+    })
+
+    it('should allow exactly maxClicks claims, even when they arrive together', async () => {
+      await urlService.createShortUrl('https://example.com/invite', { maxClicks: 2 })
+
+      const claims = await Promise.all([1, 2, 3, 4].map(() => urlService.claimLimitedClick('abc123', 2)))
+
+      expect(claims.filter(Boolean)).to.have.length(2)
+      expect(storedUrl.clickCount).to.equal(2)
+      expect(updateManyCalls).to.equal(4)
+    })
+
+    it('should carry the limit in the redirect cache payload', async () => {
+      await urlService.createShortUrl('https://example.com/invite', { maxClicks: 1 })
+
+      const target = await urlService.getRedirectTarget('abc123')
+
+      expect(target.maxClicks).to.equal(1)
+    })
+
+    it('should reject an invalid limit before creating anything', async () => {
+      let error
+      try {
+        await urlService.createShortUrl('https://example.com/invite', { maxClicks: 0 })
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.message).to.equal('maxClicks must be an integer between 1 and 1000000')
+      expect(storedUrl).to.be.null
+    })
+  })
+
+  describe('Scheduled Activation Tests', () => {
+    let storedUrl
+    let cachedEntries
+
+    beforeEach(() => {
+      storedUrl = null
+      cachedEntries = new Map()
+
+      mockDatabase.getClient = () => ({
+        url: {
+          create: ({ data }) => {
+            storedUrl = { id: 'test-id', createdAt: new Date(), clickCount: 0, ...data }
+            return Promise.resolve(storedUrl)
+          },
+          findUnique: ({ where }) => Promise.resolve(storedUrl?.shortCode === where.shortCode ? storedUrl : null),
+          update: ({ data }) => {
+            storedUrl = { ...storedUrl, ...data }
+            return Promise.resolve(storedUrl)
+          }
+        }
+      })
+      mockRedis.getCachedUrl = (shortCode) => Promise.resolve(cachedEntries.get(shortCode) || null)
+      mockRedis.cacheUrl = (shortCode, urlData) => {
+        cachedEntries.set(shortCode, urlData)
+        return Promise.resolve()
+      }
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should store the activation time and report the link as pending', async () => {
+      const activatesAt = new Date(Date.now() + 24 * 60 * 60 * 1000)
+
+      const result = await urlService.createShortUrl('https://example.com/launch', { activatesAt: activatesAt.toISOString() })
+
+      expect(storedUrl.activatesAt).to.deep.equal(activatesAt)
+      expect(result).to.include({ pending: true })
+      expect(result.activatesAt).to.deep.equal(activatesAt)
+    })
+
+    it('should return pending links from getUrlByShortCode rather than treating them as missing', async () => {
+      await urlService.createShortUrl('https://example.com/launch', { activatesAt: new Date(Date.now() + 60 * 1000).toISOString() })
+
+      const details = await urlService.getUrlByShortCode('abc123')
+
+      expect(details).to.include({ shortCode: 'abc123', pending: true })
+    })
+
+    it('should keep the activation time in the cached redirect entry', async () => {
+      const activatesAt = new Date(Date.now() + 60 * 1000)
+      await urlService.createShortUrl('https://example.com/launch', { activatesAt: activatesAt.toISOString() })
+
+      const target = await urlService.getRedirectTarget('abc123')
+
+      expect(cachedEntries.get('abc123').activatesAt).to.deep.equal(activatesAt)
+      expect(target.activatesAt).to.deep.equal(activatesAt)
+    })
+
+    it('should require activation before expiration', async () => {
+      let error
+      try {
+        await urlService.createShortUrl('https://example.com/launch', {
+          activatesAt: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+          expiresIn: 'PT1H'
+        })
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.message).to.equal('Invalid activation: activatesAt must be before the expiration date')
+      expect(storedUrl).to.be.null
+    })
+
+    it('should activate a scheduled link immediately when the schedule is cleared', async () => {
+      await urlService.createShortUrl('https://example.com/launch', { activatesAt: new Date(Date.now() + 60 * 1000).toISOString() })
+
+      const result = await urlService.updateUrl('abc123', { activatesAt: null })
+
+      expect(result).to.include({ activatesAt: null, pending: false })
+    })
+
+    it('should check a new activation time against the stored expiration', async () => {
+      await urlService.createShortUrl('https://example.com/launch', { expiresIn: 'PT1H' })
+
+      let error
+      try {
+        await urlService.updateUrl('abc123', { activatesAt: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString() })
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.message).to.equal('Invalid activation: activatesAt must be before the expiration date')
+      expect(storedUrl.activatesAt).to.be.null
+
+      const activatesAt = new Date(Date.now() + 30 * 60 * 1000)
+      const result = await urlService.updateUrl('abc123', { activatesAt: activatesAt.toISOString() })
+      expect(result.activatesAt).to.deep.equal(activatesAt)
+    })
+
+    it('should check a new expiration against the stored activation time', async () => {
+      await urlService.createShortUrl('https://example.com/launch', { activatesAt: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString() })
+      const { expiresAt } = storedUrl
+
+      let error
+      try {
+        await urlService.updateUrl('abc123', { expiresIn: 'PT1H' })
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.message).to.equal('Invalid activation: activatesAt must be before the expiration date')
+      expect(storedUrl.expiresAt).to.deep.equal(expiresAt)
+    })
+  })
+
+  describe('UTM Tests', () => {
+    let storedUrl
+    let findFirstWhere
+
+    beforeEach(() => {
+      storedUrl = null
+      findFirstWhere = null
+
+      mockDatabase.getClient = () => ({
+        url: {
+          create: ({ data }) => {
+            storedUrl = { id: 'test-id', createdAt: new Date(), clickCount: 0, ...data }
+            return Promise.resolve(storedUrl)
+          },
+          findUnique: ({ where }) => Promise.resolve(storedUrl?.shortCode === where.shortCode ? storedUrl : null),
+          findFirst: ({ where }) => {
+            findFirstWhere = where
+            return Promise.resolve(null)
+          },
+          update: ({ data }) => {
+            storedUrl = { ...storedUrl, ...data }
+            return Promise.resolve(storedUrl)
+          }
+        }
+      })
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should merge the set into the destination and store it on the link', async () => {
+      const result = await urlService.createShortUrl('https://example.com/page?id=7&utm_source=old', {
+        utm: { source: 'news', medium: 'email' }
+      })
+
+      expect(storedUrl.originalUrl).to.equal('https://example.com/page?id=7&utm_source=news&utm_medium=email')
+      expect(storedUrl).to.include({ utmSource: 'news', utmMedium: 'email', utmCampaign: null })
+      expect(result.utm).to.deep.equal({ source: 'news', medium: 'email' })
+    })
+
+    it('should report no set for untagged links', async () => {
+      const result = await urlService.createShortUrl('https://example.com/page?utm_source=manual')
+
+      expect(result.originalUrl).to.equal('https://example.com/page?utm_source=manual')
+      expect(result.utm).to.be.null
+    })
+
+    it('should not dedupe tagged links, nor return them for untagged requests', async () => {
+      await urlService.createShortUrl('https://example.com/page', { utm: { source: 'news' }, dedupe: true })
+      expect(findFirstWhere).to.be.null
+
+      await urlService.createShortUrl('https://example.com/page', { dedupe: true })
+      expect(findFirstWhere).to.include({ utmSource: null })
+    })
+
+    it('should reject an invalid set before creating anything', async () => {
+      let error
+      try {
+        await urlService.createShortUrl('https://example.com/page', { utm: { medium: 'email' } })
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.message).to.equal('Invalid UTM parameters')
+      expect(storedUrl).to.be.null
+    })
+
+    it('should replace the set on update and keep other query parameters', async () => {
+      await urlService.createShortUrl('https://example.com/page?id=7', { utm: { source: 'news', medium: 'email' } })
+
+      const result = await urlService.updateUrl('abc123', { utm: { source: 'ads', campaign: 'spring' } })
+
+      expect(result.originalUrl).to.equal('https://example.com/page?id=7&utm_source=ads&utm_campaign=spring')
+      expect(result.utm).to.deep.equal({ source: 'ads', campaign: 'spring' })
+      expect(storedUrl.utmMedium).to.be.null
+    })
+
+    it('should remove the tags when the set is cleared', async () => {
+      await urlService.createShortUrl('https://example.com/page?id=7', { utm: { source: 'news' } })
+
+      const result = await urlService.updateUrl('abc123', { utm: null })
+
+      expect(result.originalUrl).to.equal('https://example.com/page?id=7')
+      expect(result.utm).to.be.null
+    })
+
+    it('should re-apply the stored set to a new destination', async () => {
+      await urlService.createShortUrl('https://example.com/page', { utm: { source: 'news' } })
+
+      const result = await urlService.updateUrl('abc123', { originalUrl: 'https://example.com/other' })
+
+      expect(result.originalUrl).to.equal('https://example.com/other?utm_source=news')
+      expect(result.utm).to.deep.equal({ source: 'news' })
+    })
+
+    it('should not update links outside the scope', async () => {
+      await urlService.createShortUrl('https://example.com/page', { utm: { source: 'news' }, ownerId: 'owner-a' })
+
+      const result = await urlService.updateUrl('abc123', { utm: null }, { ownerId: 'owner-b' })
+
+      expect(result).to.be.null
+      expect(storedUrl.utmSource).to.equal('news')
+    })
+  })
+
+  describe('Redirect Forwarding Tests', () => {
+    let storedUrl
+    let cachedEntries
+    let findFirstWhere
+
+    beforeEach(() => {
+      storedUrl = null
+      cachedEntries = new Map()
+      findFirstWhere = null
+
+      mockDatabase.getClient = () => ({
+        url: {
+          create: ({ data }) => {
+            storedUrl = { id: 'test-id', createdAt: new Date(), clickCount: 0, ...data }
+            return Promise.resolve(storedUrl)
+          },
+          findUnique: ({ where }) => Promise.resolve(storedUrl?.shortCode === where.shortCode ? storedUrl : null),
+          findFirst: ({ where }) => {
+            findFirstWhere = where
+            return Promise.resolve(null)
+          },
+          update: ({ data }) => {
+            storedUrl = { ...storedUrl, ...data }
+            return Promise.resolve(storedUrl)
+          }
+        }
+      })
+      mockRedis.cacheUrl = (shortCode, urlData) => {
+        cachedEntries.set(shortCode, urlData)
+        return Promise.resolve()
+      }
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should default to not forwarding anything', async () => {
+      const result = await urlService.createShortUrl('https://example.com/page')
+
+      expect(storedUrl).to.include({ forwardQuery: 'ignore', forwardPath: false })
+      expect(result).to.include({ forwardQuery: 'ignore', forwardPath: false })
+    })
+
+    it('should store the settings and carry them in the redirect cache payload', async () => {
+      const result = await urlService.createShortUrl('https://example.com/docs', { forwardQuery: 'merge', forwardPath: true })
+
+      expect(result).to.include({ forwardQuery: 'merge', forwardPath: true })
+      expect(cachedEntries.get('abc123')).to.include({ forwardQuery: 'merge', forwardPath: true })
+    })
+
+    it('should not dedupe forwarding links, nor return them for plain requests', async () => {
+      await urlService.createShortUrl('https://example.com/docs', { forwardPath: true, dedupe: true })
+      expect(findFirstWhere).to.be.null
+
+      await urlService.createShortUrl('https://example.com/docs', { dedupe: true })
+      expect(findFirstWhere).to.include({ forwardQuery: 'ignore', forwardPath: false })
+    })
+
+    it('should reject unknown modes before creating anything', async () => {
+      let error
+      try {
+        await urlService.createShortUrl('https://example.com/docs', { forwardQuery: 'append' })
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.message).to.equal('Invalid forwardQuery')
+      expect(storedUrl).to.be.null
+    })
+
+    it('should change the settings on update and re-prime the cache', async () => {
+      await urlService.createShortUrl('https://example.com/docs')
+
+      const result = await urlService.updateUrl('abc123', { forwardQuery: 'override' })
+
+      expect(result).to.include({ forwardQuery: 'override', forwardPath: false })
+      expect(cachedEntries.get('abc123').forwardQuery).to.equal('override')
+    })
+  })
+
+  describe('Redirect Type Tests', () => {
+    let storedUrl
+    let cachedEntries
+    let findFirstWhere
+
+    beforeEach(() => {
+      storedUrl = null
+      cachedEntries = new Map()
+      findFirstWhere = null
+
+      mockDatabase.getClient = () => ({
+        url: {
+          create: ({ data }) => {
+            storedUrl = { id: 'test-id', createdAt: new Date(), clickCount: 0, ...data }
+            return Promise.resolve(storedUrl)
+          },
+          findUnique: ({ where }) => Promise.resolve(storedUrl?.shortCode === where.shortCode ? storedUrl : null),
+          findFirst: ({ where }) => {
+            findFirstWhere = where
+            return Promise.resolve(null)
+          },
+          update: ({ data }) => {
+            storedUrl = { ...storedUrl, ...data }
+            return Promise.resolve(storedUrl)
+          }
+        }
+      })
+      mockRedis.cacheUrl = (shortCode, urlData) => {
+        cachedEntries.set(shortCode, urlData)
+        return Promise.resolve()
+      }
+
+      urlService = new UrlService(mockDatabase, mockRedis, logger)
+    })
+
+    it('should default to a 302 redirect', async () => {
+      const result = await urlService.createShortUrl('https://example.com/page')
+
+      expect(storedUrl.redirectType).to.equal('302')
+      expect(result.redirectType).to.equal('302')
+    })
+
+    it('should store numeric status codes as redirect types and cache them', async () => {
+      const result = await urlService.createShortUrl('https://example.com/docs', { redirectType: 301 })
+
+      expect(result.redirectType).to.equal('301')
+      expect(cachedEntries.get('abc123').redirectType).to.equal('301')
+    })
+
+    it('should not dedupe links with another redirect type, nor return them for plain requests', async () => {
+      await urlService.createShortUrl('https://example.com/docs', { redirectType: 'interstitial', dedupe: true })
+      expect(findFirstWhere).to.be.null
+
+      await urlService.createShortUrl('https://example.com/docs', { dedupe: true })
+      expect(findFirstWhere).to.include({ redirectType: '302' })
+    })
+
+    it('should reject unsupported status codes before creating anything', async () => {
+      let error
+      try {
+        await urlService.createShortUrl('https://example.com/docs', { redirectType: 303 })
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.message).to.equal('Invalid redirect type')
+      expect(storedUrl).to.be.null
+    })
+
+    it('should change the redirect type on update', async () => {
+      await urlService.createShortUrl('https://example.com/docs')
+
+      const result = await urlService.updateUrl('abc123', { redirectType: 'interstitial' })
+
+      expect(result.redirectType).to.equal('interstitial')
+      expect(cachedEntries.get('abc123').redirectType).to.equal('interstitial')
+    })
   })
-}) 
\ No newline at end of file
+})
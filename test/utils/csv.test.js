@@ -0,0 +1,70 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+import { parseCsv, parseCsvUrls, escapeCsvField, toCsvRow } from '../../utils/csv.js'
+
+/**
+ * Unit tests for the CSV helpers used by bulk job uploads and result downloads
+ */
+describe('CSV Utilities Unit Tests', () => {
+  describe('parseCsv()', () => {
+    it('should parse quoted fields, escaped quotes and CRLF line endings', () => {
+      const rows = parseCsv('a,"b,c","say ""hi"""\r\n1,2,3\r\n')
+
+      expect(rows).to.deep.equal([
+        ['a', 'b,c', 'say "hi"'],
+        ['1', '2', '3']
+      ])
+    })
+
+    it('should keep newlines inside quoted fields and skip blank lines', () => {
+      const rows = parseCsv('"line1\nline2",x\n\n\ny,z')
+
+      expect(rows).to.deep.equal([
+        ['line1\nline2', 'x'],
+        ['y', 'z']
+      ])
+    })
+
+    it('should throw on an unterminated quoted field', () => {
+      expect(() => parseCsv('"open,field\n')).to.throw('Unterminated quoted field')
+    })
+  })
+
+  describe('parseCsvUrls()', () => {
+    it('should use the url column when the first row is a header', () => {
+      const result = parseCsvUrls('\uFEFFname,URL\nHome,https://example.com\nDocs,https://example.com/docs\n')
+
+      expect(result.isValid).to.be.true
+      expect(result.urls).to.deep.equal(['https://example.com', 'https://example.com/docs'])
+    })
+
+    it('should use the first column of every row when there is no header', () => {
+      const result = parseCsvUrls('https://example.com,ignored\n https://example.org \n')
+
+      expect(result.urls).to.deep.equal(['https://example.com', 'https://example.org'])
+    })
+
+    it('should reject empty and malformed documents', () => {
+      expect(parseCsvUrls('   ').isValid).to.be.false
+      expect(parseCsvUrls('"https://example.com').error).to.equal('Invalid CSV document')
+    })
+  })
+
+  describe('escapeCsvField() / toCsvRow()', () => {
+    it('should quote fields containing separators, quotes or newlines', () => {
+      expect(escapeCsvField('plain')).to.equal('plain')
+      expect(escapeCsvField('a,b')).to.equal('"a,b"')
+      expect(escapeCsvField('say "hi"')).to.equal('"say ""hi"""')
+      expect(escapeCsvField(null)).to.equal('')
+    })
+
+    it('should neutralise values that a spreadsheet would run as formulas', () => {
+      expect(escapeCsvField('=HYPERLINK("x")')).to.equal('"\'=HYPERLINK(""x"")"')
+      expect(escapeCsvField('@SUM(A1)')).to.equal('\'@SUM(A1)')
+    })
+
+    it('should format a row with a CRLF terminator', () => {
+      expect(toCsvRow([0, 'https://example.com', null])).to.equal('0,https://example.com,\r\n')
+    })
+  })
+})
\ No newline at end of file
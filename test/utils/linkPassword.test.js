@@ -0,0 +1,70 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+import {
+  hashPassword,
+  verifyPassword,
+  createUnlockToken,
+  verifyUnlockToken,
+  readCookie
+} from '../../utils/linkPassword.js'
+
+/**
+ * Unit tests for link password hashing and unlock tokens
+ */
+describe('Link Password Unit Tests', () => {
+  describe('hashPassword() / verifyPassword()', () => {
+    it('should salt every hash', async () => {
+      const first = await hashPassword('hunter22')
+      const second = await hashPassword('hunter22')
+
+      expect(first).to.match(/^scrypt\$[\w-]+\$[\w-]+$/)
+      expect(first).to.not.equal(second)
+    })
+
+    it('should only accept the original password', async () => {
+      const stored = await hashPassword('hunter22')
+
+      expect(await verifyPassword('hunter22', stored)).to.be.true
+      expect(await verifyPassword('Hunter22', stored)).to.be.false
+      expect(await verifyPassword(undefined, stored)).to.be.false
+    })
+
+    it('should reject malformed stored hashes', async () => {
+      expect(await verifyPassword('hunter22', 'hunter22')).to.be.false
+      expect(await verifyPassword('hunter22', 'bcrypt$abc$def')).to.be.false
+      expect(await verifyPassword('hunter22', null)).to.be.false
+    })
+  })
+
+  describe('createUnlockToken() / verifyUnlockToken()', () => {
+    it('should accept a token for the code it was issued for until it expires', () => {
+      const now = Date.now()
+      const token = createUnlockToken('abc12', 60, now)
+
+      expect(verifyUnlockToken('abc12', token, now)).to.be.true
+      expect(verifyUnlockToken('abc12', token, now + 61 * 1000)).to.be.false
+      expect(verifyUnlockToken('xyz98', token, now)).to.be.false
+    })
+
+    it('should reject tampered or malformed tokens', () => {
+      const token = createUnlockToken('abc12', 60)
+      const [expiresAt, signature] = token.split('.')
+      const forged = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1)
+
+      expect(verifyUnlockToken('abc12', `${Number(expiresAt) + 1000}.${signature}`)).to.be.false
+      expect(verifyUnlockToken('abc12', `${expiresAt}.${forged}`)).to.be.false
+      expect(verifyUnlockToken('abc12', 'garbage')).to.be.false
+      expect(verifyUnlockToken('abc12', undefined)).to.be.false
+    })
+  })
+
+  describe('readCookie()', () => {
+    it('should read one cookie from the Cookie header', () => {
+      const req = { headers: { cookie: 'theme=dark; unlock_abc12=123.sig%3D; other=1' } }
+
+      expect(readCookie(req, 'unlock_abc12')).to.equal('123.sig=')
+      expect(readCookie(req, 'missing')).to.be.undefined
+      expect(readCookie({ headers: {} }, 'theme')).to.be.undefined
+    })
+  })
+})
\ No newline at end of file
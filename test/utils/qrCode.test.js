@@ -0,0 +1,118 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+import zlib from 'zlib'
+import { encodeQr, renderQrSvg, renderQrPng } from '../../utils/qrCode.js'
+
+/**
+ * Unit tests for the QR code encoder and its SVG and PNG renderers
+ */
+describe('QR Code Unit Tests', () => {
+  const toRows = (qr) => qr.modules.map(row => row.map(dark => dark ? '#' : '.').join(''))
+
+  describe('encodeQr()', () => {
+    it('should match a reference encoding module for module', () => {
+      const qr = encodeQr('HELLO', { ecc: 'M', mask: 2 })
+
+      expect(qr).to.include({ version: 1, size: 21, mask: 2, ecc: 'M' })
+      expect(toRows(qr)).to.deep.equal([
+        '#######....#..#######',
+        '#.....#...#.#.#.....#',
+        '#.###.#.##....#.###.#',
+        '#.###.#.#.#.#.#.###.#',
+        '#.###.#.##..#.#.###.#',
+        '#.....#.####..#.....#',
+        '#######.#.#.#.#######',
+        '........##...........',
+        '#.#####...##..#####..',
+        '.##.##.#.######..##..',
+        '..#####.#...#.##.###.',
+        '.##.#....######..##..',
+        '.#.######...#..#..#.#',
+        '........#.#.#..#.#...',
+        '#######..###.#..#.##.',
+        '#.....#.#.#....#####.',
+        '#.###.#.##.#.#..#.##.',
+        '#.###.#.##.#####.#...',
+        '#.###.#.##..#.##..#..',
+        '#.....#..######.###..',
+        '#######.##..#...#.##.'
+      ])
+    })
+
+    it('should pick the smallest version that fits the text', () => {
+      // Byte mode capacities at level M: 14 bytes for version 1, 26 for version 2
+      expect(encodeQr('a'.repeat(14), { ecc: 'M' }).version).to.equal(1)
+      expect(encodeQr('a'.repeat(15), { ecc: 'M' }).version).to.equal(2)
+      expect(encodeQr('a'.repeat(15), { ecc: 'L' }).version).to.equal(1)
+      expect(encodeQr('https://example.com/abc12', { ecc: 'H' }).version).to.equal(4)
+    })
+
+    it('should encode long text in a large version with version information', () => {
+      const qr = encodeQr('x'.repeat(2953), { ecc: 'L' })
+
+      expect(qr.version).to.equal(40)
+      expect(qr.size).to.equal(177)
+    })
+
+    it('should choose a mask when none is forced', () => {
+      const qr = encodeQr('https://example.com/abc12')
+
+      expect(qr.mask).to.be.within(0, 7)
+      expect(toRows(qr)).to.deep.equal(toRows(encodeQr('https://example.com/abc12', { mask: qr.mask })))
+    })
+
+    it('should reject unknown levels and text too long for any version', () => {
+      expect(() => encodeQr('abc', { ecc: 'X' })).to.throw('Invalid error correction level')
+      expect(() => encodeQr('x'.repeat(2954), { ecc: 'L' })).to.throw('too long')
+    })
+  })
+
+  describe('renderQrSvg()', () => {
+    it('should scale to the requested size with a quiet zone', () => {
+      const svg = renderQrSvg(encodeQr('HELLO'), { size: 300, margin: 4 })
+
+      // 21 modules plus 2 x 4 quiet zone = 29 modules, at 10 pixels each
+      expect(svg).to.include('width="290" height="290" viewBox="0 0 29 29"')
+      expect(svg).to.include('<path d="M4,4h7v1h-7z')
+    })
+  })
+
+  describe('renderQrPng()', () => {
+    const readPng = (png) => {
+      const chunks = {}
+      for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset)
+        chunks[png.toString('ascii', offset + 4, offset + 8)] = png.subarray(offset + 8, offset + 8 + length)
+        offset += length + 12
+      }
+      const width = chunks.IHDR.readUInt32BE(0)
+      const raw = zlib.inflateSync(chunks.IDAT)
+      const rowBytes = Math.ceil(width / 8)
+      const isWhite = (x, y) => ((raw[y * (rowBytes + 1) + 1 + (x >>> 3)] >>> (7 - (x & 7))) & 1) === 1
+      return { width, height: chunks.IHDR.readUInt32BE(4), isWhite }
+    }
+
+    it('should render a valid PNG with dark modules where the matrix has them', () => {
+      const qr = encodeQr('HELLO')
+      const png = renderQrPng(qr, { size: 300, margin: 4 })
+
+      expect(png.subarray(0, 8).toString('hex')).to.equal('89504e470d0a1a0a')
+
+      const image = readPng(png)
+      expect(image.width).to.equal(290)
+      expect(image.height).to.equal(290)
+      expect(image.isWhite(0, 0)).to.be.true
+      qr.modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+          expect(image.isWhite((x + 4) * 10 + 5, (y + 4) * 10 + 5)).to.equal(!dark)
+        })
+      })
+    })
+
+    it('should use at least one pixel per module', () => {
+      const image = readPng(renderQrPng(encodeQr('HELLO'), { size: 10, margin: 0 }))
+
+      expect(image.width).to.equal(21)
+    })
+  })
+})
@@ -0,0 +1,46 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+import { buildForwardedUrl } from '../../utils/redirectForwarding.js'
+
+/**
+ * Unit tests for forwarding a redirect request's query string and path suffix
+ */
+describe('Redirect Forwarding Unit Tests', () => {
+  describe('buildForwardedUrl()', () => {
+    const destination = 'https://example.com/landing?ref=site&lang=en#offer'
+
+    it('should return the destination unchanged when forwarding is off', () => {
+      expect(buildForwardedUrl(destination, { query: 'ref=newsletter', pathSuffix: '/extra' }, {}))
+        .to.equal(destination)
+    })
+
+    it('should add only new parameters in merge mode', () => {
+      expect(buildForwardedUrl(destination, { query: 'ref=newsletter&id=7' }, { forwardQuery: 'merge' }))
+        .to.equal('https://example.com/landing?ref=site&lang=en&id=7#offer')
+    })
+
+    it('should let incoming parameters win in override mode', () => {
+      expect(buildForwardedUrl(destination, { query: 'ref=newsletter&ref=x&id=7' }, { forwardQuery: 'override' }))
+        .to.equal('https://example.com/landing?lang=en&ref=newsletter&ref=x&id=7#offer')
+    })
+
+    it('should forward parameters as sent, without re-encoding', () => {
+      expect(buildForwardedUrl('https://example.com/', { query: 'q=a+b&path=%2Fx&flag' }, { forwardQuery: 'merge' }))
+        .to.equal('https://example.com/?q=a+b&path=%2Fx&flag')
+    })
+
+    it('should append the path suffix before the query and fragment', () => {
+      expect(buildForwardedUrl(destination, { pathSuffix: '/extra/path' }, { forwardPath: true }))
+        .to.equal('https://example.com/landing/extra/path?ref=site&lang=en#offer')
+      expect(buildForwardedUrl('https://example.com/docs/', { pathSuffix: '/intro' }, { forwardPath: true }))
+        .to.equal('https://example.com/docs/intro')
+      expect(buildForwardedUrl('https://example.com', { pathSuffix: '/intro' }, { forwardPath: true }))
+        .to.equal('https://example.com/intro')
+    })
+
+    it('should ignore a bare trailing slash and empty queries', () => {
+      expect(buildForwardedUrl(destination, { query: '', pathSuffix: '/' }, { forwardQuery: 'merge', forwardPath: true }))
+        .to.equal(destination)
+    })
+  })
+})
@@ -0,0 +1,116 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+import express from 'express'
+import request from 'supertest'
+import { streamUrlExport } from '../../utils/urlExport.js'
+
+/**
+ * Unit tests for streaming URL exports as CSV, JSON and NDJSON downloads
+ */
+describe('URL Export Unit Tests', () => {
+  const urls = [
+    {
+      id: 'id-1',
+      shortCode: 'abc12',
+      shortUrl: 'http://localhost:3000/abc12',
+      originalUrl: 'https://example.com/a,b',
+      createdAt: new Date('2024-01-01T00:00:00.000Z'),
+      expiresAt: null,
+      clickCount: 3,
+      isCustomAlias: false
+    },
+    {
+      id: 'id-2',
+      shortCode: 'def34',
+      shortUrl: 'http://localhost:3000/def34',
+      originalUrl: 'https://example.org',
+      createdAt: new Date('2024-01-02T00:00:00.000Z'),
+      expiresAt: new Date('2024-07-02T00:00:00.000Z'),
+      clickCount: 0,
+      isCustomAlias: false
+    }
+  ]
+
+  const createApp = (batches) => {
+    const app = express()
+    app.get('/export', async (req, res) => {
+      try {
+        await streamUrlExport(res, batches(), req.query.format, 'urls-export')
+      } catch (error) {
+        if (res.headersSent) {
+          return res.destroy(error)
+        }
+        res.status(503).json({ error: error.message })
+      }
+    })
+    return app
+  }
+
+  async function * twoBatches() {
+    yield [urls[0]]
+    yield [urls[1]]
+  }
+
+  it('should stream CSV rows under a header as an attachment', async () => {
+    const response = await request(createApp(twoBatches)).get('/export?format=csv').expect(200)
+
+    expect(response.headers['content-type']).to.match(/^text\/csv/)
+    expect(response.headers['content-disposition']).to.include('urls-export.csv')
+    expect(response.text.split('\r\n')).to.deep.equal([
+      'short_code,short_url,original_url,created_at,expires_at,click_count',
+      'abc12,http://localhost:3000/abc12,"https://example.com/a,b",2024-01-01T00:00:00.000Z,,3',
+      'def34,http://localhost:3000/def34,https://example.org,2024-01-02T00:00:00.000Z,2024-07-02T00:00:00.000Z,0',
+      ''
+    ])
+  })
+
+  it('should stream a JSON array of export records', async () => {
+    const response = await request(createApp(twoBatches)).get('/export?format=json').expect(200)
+
+    const records = JSON.parse(response.text)
+    expect(records).to.have.length(2)
+    expect(records[0]).to.deep.equal({
+      shortCode: 'abc12',
+      shortUrl: 'http://localhost:3000/abc12',
+      originalUrl: 'https://example.com/a,b',
+      createdAt: '2024-01-01T00:00:00.000Z',
+      expiresAt: null,
+      clickCount: 3
+    })
+  })
+
+  it('should stream one JSON object per line for NDJSON', async () => {
+    // supertest doesn't buffer NDJSON as text on its own
+    const response = await request(createApp(twoBatches))
+      .get('/export?format=ndjson')
+      .buffer(true)
+      .parse((res, callback) => {
+        let body = ''
+        res.on('data', chunk => { body += chunk })
+        res.on('end', () => callback(null, body))
+      })
+      .expect(200)
+
+    const lines = response.body.trim().split('\n')
+    expect(response.headers['content-type']).to.match(/^application\/x-ndjson/)
+    expect(lines.map(line => JSON.parse(line).shortCode)).to.deep.equal(['abc12', 'def34'])
+  })
+
+  it('should produce a valid empty document when there are no URLs', async () => {
+    async function * empty() {}
+
+    const response = await request(createApp(empty)).get('/export?format=json').expect(200)
+
+    expect(JSON.parse(response.text)).to.deep.equal([])
+  })
+
+  it('should leave the response untouched when the first batch fails', async () => {
+    async function * failing() {
+      throw new Error('Database service unavailable')
+    }
+
+    const response = await request(createApp(failing)).get('/export?format=csv').expect(503)
+
+    expect(response.body.error).to.equal('Database service unavailable')
+  })
+})
\ No newline at end of file
@@ -0,0 +1,50 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+import { normalizeUrl, hashNormalizedUrl } from '../../utils/urlNormalizer.js'
+
+/**
+ * Unit tests for URL normalization used to deduplicate links
+ */
+describe('URL Normalizer Unit Tests', () => {
+  describe('normalizeUrl()', () => {
+    it('should lowercase the scheme and host but keep the path case', () => {
+      expect(normalizeUrl('HTTPS://Example.COM/Path/To')).to.equal('https://example.com/Path/To')
+    })
+
+    it('should strip default ports and keep others', () => {
+      expect(normalizeUrl('https://example.com:443/a')).to.equal('https://example.com/a')
+      expect(normalizeUrl('http://example.com:80/a')).to.equal('http://example.com/a')
+      expect(normalizeUrl('https://example.com:8443/a')).to.equal('https://example.com:8443/a')
+    })
+
+    it('should sort query parameters by name, then value', () => {
+      expect(normalizeUrl('https://example.com/?b=2&a=2&a=1')).to.equal('https://example.com/?a=1&a=2&b=2')
+    })
+
+    it('should drop tracking parameters, including utm_* by prefix', () => {
+      const url = 'https://example.com/page?utm_source=news&UTM_Medium=email&id=7&fbclid=x&gclid=y'
+
+      expect(normalizeUrl(url)).to.equal('https://example.com/page?id=7')
+    })
+
+    it('should honour a custom tracking parameter list', () => {
+      expect(normalizeUrl('https://example.com/?ref=abc&id=1', { trackingParams: ['ref'] })).to.equal('https://example.com/?id=1')
+    })
+
+    it('should drop an empty query string and keep the fragment', () => {
+      expect(normalizeUrl('https://example.com/page?utm_source=x#section')).to.equal('https://example.com/page#section')
+    })
+  })
+
+  describe('hashNormalizedUrl()', () => {
+    it('should give equivalent URLs the same hash', () => {
+      expect(hashNormalizedUrl('https://EXAMPLE.com:443/a?y=2&x=1&utm_campaign=z'))
+        .to.equal(hashNormalizedUrl('https://example.com/a?x=1&y=2'))
+    })
+
+    it('should give different destinations different hashes', () => {
+      expect(hashNormalizedUrl('https://example.com/a')).to.not.equal(hashNormalizedUrl('https://example.com/A'))
+      expect(hashNormalizedUrl('https://example.com/a')).to.match(/^[0-9a-f]{64}$/)
+    })
+  })
+})
\ No newline at end of file
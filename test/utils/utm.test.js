@@ -0,0 +1,64 @@
+import { describe, it } from 'mocha'
+import { expect } from 'chai'
+import { applyUtmParams, toUtmColumns, fromUtmColumns } from '../../utils/utm.js'
+
+/**
+ * Unit tests for merging UTM campaign sets into destination URLs
+ */
+describe('UTM Unit Tests', () => {
+  describe('applyUtmParams()', () => {
+    it('should append the set in field order', () => {
+      expect(applyUtmParams('https://example.com/page', { campaign: 'spring', source: 'news', medium: 'email' }))
+        .to.equal('https://example.com/page?utm_source=news&utm_medium=email&utm_campaign=spring')
+    })
+
+    it('should keep existing parameters and the fragment as written', () => {
+      expect(applyUtmParams('https://example.com/page?q=a+b&x=%2F&flag#top', { source: 'news' }))
+        .to.equal('https://example.com/page?q=a+b&x=%2F&flag&utm_source=news#top')
+    })
+
+    it('should replace parameters the set specifies and leave the others', () => {
+      expect(applyUtmParams('https://example.com/?utm_source=old&utm_term=shoes&id=7', { source: 'news' }))
+        .to.equal('https://example.com/?utm_term=shoes&id=7&utm_source=news')
+    })
+
+    it('should remove the previous set when replacing it', () => {
+      const url = 'https://example.com/?id=7&utm_source=news&utm_medium=email'
+
+      expect(applyUtmParams(url, { source: 'ads' }, { source: 'news', medium: 'email' }))
+        .to.equal('https://example.com/?id=7&utm_source=ads')
+      expect(applyUtmParams(url, null, { source: 'news', medium: 'email' }))
+        .to.equal('https://example.com/?id=7')
+    })
+
+    it('should encode values', () => {
+      expect(applyUtmParams('https://example.com/', { source: 'news', term: 'running shoes&more' }))
+        .to.equal('https://example.com/?utm_source=news&utm_term=running%20shoes%26more')
+    })
+
+    it('should return unparseable URLs and empty sets unchanged', () => {
+      expect(applyUtmParams('not-a-url', { source: 'news' })).to.equal('not-a-url')
+      expect(applyUtmParams('https://example.com/?utm_source=x', null)).to.equal('https://example.com/?utm_source=x')
+    })
+  })
+
+  describe('toUtmColumns() and fromUtmColumns()', () => {
+    it('should round-trip a set through the urls columns', () => {
+      const columns = toUtmColumns({ source: 'news', campaign: 'spring' })
+
+      expect(columns).to.deep.equal({
+        utmSource: 'news',
+        utmMedium: null,
+        utmCampaign: 'spring',
+        utmTerm: null,
+        utmContent: null
+      })
+      expect(fromUtmColumns(columns)).to.deep.equal({ source: 'news', campaign: 'spring' })
+    })
+
+    it('should read links without tags as having no set', () => {
+      expect(fromUtmColumns(toUtmColumns(null))).to.be.null
+      expect(fromUtmColumns({ shortCode: 'abc12' })).to.be.null
+    })
+  })
+})
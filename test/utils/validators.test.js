@@ -6,6 +6,19 @@ import {
   validateBulkUrls, 
   validateRequestSize, 
   validateShortCode,
+  validateAlias,
+  validateShortCodeOrAlias,
+  validateExpiration,
+  validateStatsQuery,
+  validateListQuery,
+  validateStatusChange,
+  validatePassword,
+  validateMaxClicks,
+  validateActivation,
+  validateQrOptions,
+  validateUtm,
+  validateForwarding,
+  validateRedirectType,
   createValidationErrorResponse 
 } from '../../utils/validators.js'
 
@@ -368,4 +381,365 @@ describe('URL Validators Unit Tests', () => {
       expect(result.context).to.equal('test context')
     })
   })
-}) 
\ No newline at end of file
+
+  describe('validateAlias()', () => {
+    it('should accept valid aliases', () => {
+      const validAliases = ['spring-sale', 'docs_v2', 'abc', 'Launch2024']
+
+      validAliases.forEach(alias => {
+        const result = validateAlias(alias)
+        expect(result.isValid).to.be.true
+      })
+    })
+
+    it('should reject aliases with invalid characters or edges', () => {
+      const invalidAliases = ['spring sale', 'sale!', '-sale', 'sale_', 'a/b', 'über']
+
+      invalidAliases.forEach(alias => {
+        const result = validateAlias(alias)
+        expect(result.isValid).to.be.false
+        expect(result.error).to.include('invalid characters')
+      })
+    })
+
+    it('should enforce length limits', () => {
+      expect(validateAlias('ab').isValid).to.be.false
+      expect(validateAlias('a'.repeat(51)).isValid).to.be.false
+      expect(validateAlias('abcdef', { maxLength: 5 }).isValid).to.be.false
+    })
+
+    it('should reject reserved words regardless of case', () => {
+      const reserved = ['api', 'health', 'create', 'delete', 'API', 'Health']
+
+      reserved.forEach(alias => {
+        const result = validateAlias(alias)
+        expect(result.isValid).to.be.false
+        expect(result.error).to.include('reserved')
+      })
+    })
+
+    it('should handle null, undefined and non-string input', () => {
+      expect(validateAlias(null).isValid).to.be.false
+      expect(validateAlias(undefined).isValid).to.be.false
+      expect(validateAlias(123).isValid).to.be.false
+    })
+  })
+
+  describe('validateShortCodeOrAlias()', () => {
+    it('should accept generated short codes and aliases', () => {
+      expect(validateShortCodeOrAlias('abc12').isValid).to.be.true
+      expect(validateShortCodeOrAlias('spring-sale').isValid).to.be.true
+    })
+
+    it('should not apply reserved words to lookups', () => {
+      expect(validateShortCodeOrAlias('health').isValid).to.be.true
+    })
+
+    it('should reject values that are neither', () => {
+      const result = validateShortCodeOrAlias('bad code!')
+      expect(result.isValid).to.be.false
+      expect(result.details).to.be.an('array').with.lengthOf(2)
+    })
+  })
+
+  describe('validateExpiration()', () => {
+    const dayMs = 24 * 60 * 60 * 1000
+
+    it('should leave expiration unresolved when no option is given', () => {
+      const result = validateExpiration({})
+      expect(result.isValid).to.be.true
+      expect(result.expiresAt).to.be.undefined
+    })
+
+    it('should treat neverExpires: false as no option', () => {
+      const result = validateExpiration({ neverExpires: false })
+      expect(result.isValid).to.be.true
+      expect(result.expiresAt).to.be.undefined
+    })
+
+    it('should resolve an ISO 8601 duration relative to now', () => {
+      const result = validateExpiration({ expiresIn: 'P30D' })
+      expect(result.isValid).to.be.true
+      expect(result.expiresAt.getTime() - Date.now()).to.be.closeTo(30 * dayMs, 5000)
+    })
+
+    it('should accept an absolute ISO 8601 date in the future', () => {
+      const future = new Date(Date.now() + 10 * dayMs).toISOString()
+      const result = validateExpiration({ expiresAt: future })
+      expect(result.isValid).to.be.true
+      expect(result.expiresAt.toISOString()).to.equal(future)
+    })
+
+    it('should resolve neverExpires to null', () => {
+      const result = validateExpiration({ neverExpires: true })
+      expect(result.isValid).to.be.true
+      expect(result.expiresAt).to.be.null
+    })
+
+    it('should reject never-expiring links when not allowed', () => {
+      const result = validateExpiration({ neverExpires: true }, { allowNeverExpires: false })
+      expect(result.isValid).to.be.false
+    })
+
+    it('should reject expirations in the past', () => {
+      const result = validateExpiration({ expiresAt: '2020-01-01T00:00:00Z' })
+      expect(result.isValid).to.be.false
+      expect(result.error).to.include('in the future')
+    })
+
+    it('should reject expirations beyond the maximum lifetime', () => {
+      const result = validateExpiration({ expiresIn: 'P60D' }, { maxLifetimeDays: 30 })
+      expect(result.isValid).to.be.false
+      expect(result.error).to.include('30 days')
+    })
+
+    it('should reject malformed values', () => {
+      expect(validateExpiration({ expiresIn: '30 days' }).isValid).to.be.false
+      expect(validateExpiration({ expiresIn: 'P' }).isValid).to.be.false
+      expect(validateExpiration({ expiresAt: 'next tuesday' }).isValid).to.be.false
+      expect(validateExpiration({ expiresAt: 12345 }).isValid).to.be.false
+      expect(validateExpiration({ neverExpires: 'yes' }).isValid).to.be.false
+    })
+
+    it('should reject more than one expiration option', () => {
+      const result = validateExpiration({ expiresIn: 'P1D', neverExpires: true })
+      expect(result.isValid).to.be.false
+      expect(result.error).to.include('Only one')
+    })
+  })
+
+  describe('validateStatsQuery()', () => {
+    it('should default to daily buckets over the last 30 days', () => {
+      const result = validateStatsQuery({})
+      expect(result.isValid).to.be.true
+      expect(result.interval).to.equal('day')
+      expect(result.to.getTime() - result.from.getTime()).to.equal(30 * 24 * 60 * 60 * 1000)
+    })
+
+    it('should use a 24 hour window for hourly buckets', () => {
+      const result = validateStatsQuery({ interval: 'hour', to: '2024-05-02T00:00:00Z' })
+      expect(result.isValid).to.be.true
+      expect(result.from.toISOString()).to.equal('2024-05-01T00:00:00.000Z')
+    })
+
+    it('should accept an explicit window', () => {
+      const result = validateStatsQuery({ interval: 'week', from: '2024-01-01T00:00:00Z', to: '2024-03-01T00:00:00Z' })
+      expect(result.isValid).to.be.true
+      expect(result.from.toISOString()).to.equal('2024-01-01T00:00:00.000Z')
+      expect(result.to.toISOString()).to.equal('2024-03-01T00:00:00.000Z')
+    })
+
+    it('should reject unknown intervals', () => {
+      const result = validateStatsQuery({ interval: 'minute' })
+      expect(result.isValid).to.be.false
+      expect(result.error).to.equal('Invalid interval')
+    })
+
+    it('should reject malformed or inverted windows', () => {
+      expect(validateStatsQuery({ from: 'yesterday' }).isValid).to.be.false
+      expect(validateStatsQuery({ from: '2024-02-01T00:00:00Z', to: '2024-01-01T00:00:00Z' }).isValid).to.be.false
+    })
+
+    it('should reject windows spanning too many buckets', () => {
+      const result = validateStatsQuery(
+        { interval: 'hour', from: '2024-01-01T00:00:00Z', to: '2024-01-03T00:00:00Z' },
+        { maxBuckets: 24 }
+      )
+      expect(result.isValid).to.be.false
+      expect(result.details[0]).to.include('48 hour buckets')
+    })
+  })
+
+  describe('validateListQuery()', () => {
+    it('should default to the newest active URLs', () => {
+      const result = validateListQuery({})
+      expect(result).to.deep.equal({
+        isValid: true,
+        cursor: undefined,
+        limit: 20,
+        sort: 'createdAt',
+        order: 'desc',
+        search: undefined,
+        status: 'active'
+      })
+    })
+
+    it('should accept explicit paging, sorting and filters', () => {
+      const result = validateListQuery({ cursor: 'abc', limit: '50', sort: 'clickCount', order: 'asc', search: ' docs ', status: 'all' })
+      expect(result.isValid).to.be.true
+      expect(result).to.include({ cursor: 'abc', limit: 50, sort: 'clickCount', order: 'asc', search: 'docs', status: 'all' })
+    })
+
+    it('should reject out of range or non-numeric limits', () => {
+      expect(validateListQuery({ limit: '0' }).isValid).to.be.false
+      expect(validateListQuery({ limit: '101' }).isValid).to.be.false
+      expect(validateListQuery({ limit: 'ten' }).error).to.equal('Invalid limit')
+    })
+
+    it('should reject unknown sort fields, orders and statuses', () => {
+      expect(validateListQuery({ sort: 'originalUrl' }).error).to.equal('Invalid sort field')
+      expect(validateListQuery({ order: 'up' }).error).to.equal('Invalid sort order')
+      expect(validateListQuery({ status: 'deleted' }).error).to.equal('Invalid status filter')
+    })
+
+    it('should reject overlong search terms and repeated parameters', () => {
+      expect(validateListQuery({ search: 'a'.repeat(201) }).isValid).to.be.false
+      expect(validateListQuery({ search: ['a', 'b'] }).isValid).to.be.false
+      expect(validateListQuery({ cursor: ['a', 'b'] }).isValid).to.be.false
+    })
+  })
+
+  describe('validatePassword()', () => {
+    it('should accept passwords within the length limits', () => {
+      expect(validatePassword('hunter22').isValid).to.be.true
+      expect(validatePassword('abcd', { minLength: 4 }).isValid).to.be.true
+    })
+
+    it('should reject passwords that are too short or too long', () => {
+      expect(validatePassword('abc').error).to.equal('Password must be between 4 and 128 characters')
+      expect(validatePassword('a'.repeat(129)).isValid).to.be.false
+    })
+
+    it('should reject non-string passwords', () => {
+      expect(validatePassword(1234).error).to.equal('Password must be a string')
+      expect(validatePassword(['hunter22']).isValid).to.be.false
+    })
+  })
+
+  describe('validateMaxClicks()', () => {
+    it('should accept positive integers up to the limit', () => {
+      expect(validateMaxClicks(1).isValid).to.be.true
+      expect(validateMaxClicks(10, { limit: 10 }).isValid).to.be.true
+    })
+
+    it('should reject zero, fractions, strings and values over the limit', () => {
+      expect(validateMaxClicks(0).error).to.equal('maxClicks must be an integer between 1 and 1000000')
+      expect(validateMaxClicks(1.5).isValid).to.be.false
+      expect(validateMaxClicks('5').isValid).to.be.false
+      expect(validateMaxClicks(11, { limit: 10 }).isValid).to.be.false
+    })
+  })
+
+  describe('validateActivation()', () => {
+    it('should resolve a future ISO 8601 date', () => {
+      const activatesAt = new Date(Date.now() + 60 * 60 * 1000)
+      const result = validateActivation(activatesAt.toISOString())
+
+      expect(result.isValid).to.be.true
+      expect(result.activatesAt.getTime()).to.equal(activatesAt.getTime())
+    })
+
+    it('should pass through a missing or cleared activation', () => {
+      expect(validateActivation(undefined)).to.deep.equal({ isValid: true, activatesAt: undefined })
+      expect(validateActivation(null)).to.deep.equal({ isValid: true, activatesAt: null })
+    })
+
+    it('should reject past, malformed and too distant dates', () => {
+      expect(validateActivation(new Date(Date.now() - 1000).toISOString()).error).to.equal('Activation must be in the future')
+      expect(validateActivation('next tuesday').error).to.equal('activatesAt must be a valid ISO 8601 date')
+      expect(validateActivation(12345).isValid).to.be.false
+      expect(validateActivation(new Date(Date.now() + 3 * 24 * 60 * 60 * 1000), { maxLifetimeDays: 2 }).isValid).to.be.false
+    })
+  })
+
+  describe('validateStatusChange()', () => {
+    it('should accept a takedown with a reason', () => {
+      expect(validateStatusChange({ status: 'taken_down', reason: 'Phishing report #42' }).isValid).to.be.true
+      expect(validateStatusChange({ status: 'disabled', reason: 'Owner request' }).isValid).to.be.true
+    })
+
+    it('should accept re-activation without a reason', () => {
+      expect(validateStatusChange({ status: 'active' }).isValid).to.be.true
+    })
+
+    it('should require a reason to disable a link', () => {
+      expect(validateStatusChange({ status: 'disabled' }).error).to.equal('A reason is required to disable a link')
+      expect(validateStatusChange({ status: 'taken_down', reason: '  ' }).isValid).to.be.false
+    })
+
+    it('should reject unknown statuses and malformed reasons', () => {
+      expect(validateStatusChange({ status: 'deleted', reason: 'x' }).error).to.equal('Invalid status')
+      expect(validateStatusChange({ status: 'disabled', reason: 'a'.repeat(501) }).error).to.equal('Invalid reason')
+      expect(validateStatusChange({ status: 'disabled', reason: ['x'] }).error).to.equal('Invalid reason')
+    })
+  })
+
+  describe('validateQrOptions()', () => {
+    it('should apply defaults when no options are given', () => {
+      expect(validateQrOptions({})).to.deep.equal({ isValid: true, format: 'svg', size: 256, margin: 4, ecc: 'M' })
+    })
+
+    it('should parse query string values and accept lowercase levels', () => {
+      expect(validateQrOptions({ format: 'png', size: '512', margin: '0', ecc: 'h' }))
+        .to.deep.equal({ isValid: true, format: 'png', size: 512, margin: 0, ecc: 'H' })
+    })
+
+    it('should reject unknown formats and levels', () => {
+      expect(validateQrOptions({ format: 'gif' }).error).to.equal('Invalid QR format')
+      expect(validateQrOptions({ ecc: 'X' }).error).to.equal('Invalid QR error correction level')
+      expect(validateQrOptions({ ecc: ['L'] }).isValid).to.be.false
+    })
+
+    it('should reject out of range sizes and margins', () => {
+      expect(validateQrOptions({ size: '10' }).error).to.equal('Invalid QR size')
+      expect(validateQrOptions({ size: '99999' }).isValid).to.be.false
+      expect(validateQrOptions({ size: '300.5' }).isValid).to.be.false
+      expect(validateQrOptions({ margin: '-1' }).error).to.equal('Invalid QR margin')
+      expect(validateQrOptions({ margin: '100' }).isValid).to.be.false
+    })
+  })
+
+  describe('validateUtm()', () => {
+    it('should trim values and drop blank fields', () => {
+      expect(validateUtm({ source: ' news ', medium: 'email', campaign: '', term: null }))
+        .to.deep.equal({ isValid: true, utm: { source: 'news', medium: 'email' } })
+    })
+
+    it('should resolve a set of blank fields to no set', () => {
+      expect(validateUtm({ source: '  ', medium: '' })).to.deep.equal({ isValid: true, utm: null })
+    })
+
+    it('should require a source when other fields are given', () => {
+      const result = validateUtm({ medium: 'email' })
+
+      expect(result.isValid).to.be.false
+      expect(result.details[0]).to.include('source is required')
+    })
+
+    it('should reject unknown fields, non-string values and non-objects', () => {
+      expect(validateUtm({ source: 'news', id: '1' }).error).to.equal('Invalid UTM parameters')
+      expect(validateUtm({ source: 42 }).isValid).to.be.false
+      expect(validateUtm({ source: 'a'.repeat(201) }).isValid).to.be.false
+      expect(validateUtm('utm_source=news').isValid).to.be.false
+      expect(validateUtm(['news']).isValid).to.be.false
+    })
+  })
+
+  describe('validateForwarding()', () => {
+    it('should accept known modes and booleans, and omitted settings', () => {
+      expect(validateForwarding({ forwardQuery: 'merge', forwardPath: true }).isValid).to.be.true
+      expect(validateForwarding({ forwardQuery: 'override' }).isValid).to.be.true
+      expect(validateForwarding({}).isValid).to.be.true
+    })
+
+    it('should reject unknown modes and non-boolean path forwarding', () => {
+      expect(validateForwarding({ forwardQuery: 'append' }).error).to.equal('Invalid forwardQuery')
+      expect(validateForwarding({ forwardQuery: null }).isValid).to.be.false
+      expect(validateForwarding({ forwardPath: 'true' }).error).to.equal('Invalid forwardPath')
+    })
+  })
+
+  describe('validateRedirectType()', () => {
+    it('should accept redirect status codes as strings or numbers, and interstitial', () => {
+      expect(validateRedirectType('301')).to.deep.equal({ isValid: true, redirectType: '301' })
+      expect(validateRedirectType(308)).to.deep.equal({ isValid: true, redirectType: '308' })
+      expect(validateRedirectType('interstitial')).to.deep.equal({ isValid: true, redirectType: 'interstitial' })
+    })
+
+    it('should reject other status codes and values', () => {
+      expect(validateRedirectType(303).error).to.equal('Invalid redirect type')
+      expect(validateRedirectType('permanent').isValid).to.be.false
+      expect(validateRedirectType(null).isValid).to.be.false
+    })
+  })
+})
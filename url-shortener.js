@@ -8,6 +8,9 @@ import { appConfig } from './config/app.js'
 // Services imports
 import ShortCodePoolService from './services/ShortCodePoolService.js'
 import ShortCodePoolMonitor from './utils/ShortCodePoolMonitor.js'
+import ClickCountFlusher from './utils/ClickCountFlusher.js'
+import BulkJobWorker from './utils/BulkJobWorker.js'
+import ExpiredUrlPurger from './utils/ExpiredUrlPurger.js'
 
 // Route and middleware factory imports
 import createApiRoutes from './routes/api.js'
@@ -31,6 +34,9 @@ class UrlShortenerServer {
     this.redis = null
     this.poolService = null
     this.poolMonitor = null
+    this.clickFlusher = null
+    this.bulkJobWorker = null
+    this.urlPurger = null
     
     // Setup basic middleware first (doesn't need dependencies)
     this._setupBasicMiddleware()
@@ -54,6 +60,13 @@ class UrlShortenerServer {
     })
   }
 
+  _validateConfiguration() {
+    // Checked before anything connects, so a misconfigured instance never serves a request
+    if (appConfig.analytics.enabled && !appConfig.analytics.ipHashSalt) {
+      throw new Error('ANALYTICS_IP_HASH_SALT must be set while ANALYTICS_ENABLED=true')
+    }
+  }
+
   async _initializeDependencies() {
     console.log('UrlShortenerServer: Initializing core dependencies...')
     
@@ -72,13 +85,23 @@ class UrlShortenerServer {
     // Create application services with dependencies
     this.poolService = new ShortCodePoolService(this.database, this.redis, this.logger)
     this.poolMonitor = new ShortCodePoolMonitor(this.redis, this.logger)
+    this.clickFlusher = new ClickCountFlusher(this.database, this.redis, this.logger)
+    this.bulkJobWorker = new BulkJobWorker(this.database, this.redis, this.logger)
+    this.urlPurger = new ExpiredUrlPurger(this.database, this.redis, this.logger)
     
+    if (!appConfig.analytics.enabled && !appConfig.analytics.ipHashSalt) {
+      this.logger.warn(this.logPrefix, 'Click analytics disabled: set ANALYTICS_IP_HASH_SALT to record click events')
+    }
+
     // Set pool service reference in monitor
     this.poolMonitor.setPoolService(this.poolService)
     
     // Initialize services
     await this.poolService.initialize()
     await this.poolMonitor.startMonitoring()
+    await this.clickFlusher.startFlushing()
+    await this.bulkJobWorker.startProcessing()
+    await this.urlPurger.startPurging()
     
     this.logger.info(this.logPrefix, 'Application services initialized successfully')
   }
@@ -171,6 +194,15 @@ class UrlShortenerServer {
           if (this.poolMonitor) {
             await this.poolMonitor.stopMonitoring()
           }
+          if (this.bulkJobWorker) {
+            await this.bulkJobWorker.stopProcessing()
+          }
+          if (this.urlPurger) {
+            await this.urlPurger.stopPurging()
+          }
+          if (this.clickFlusher) {
+            await this.clickFlusher.stopFlushing()
+          }
           if (this.poolService) {
             await this.poolService.shutdown()
           }
@@ -196,6 +228,8 @@ class UrlShortenerServer {
 
   async start() {
     try {
+      this._validateConfiguration()
+
       // Initialize dependencies first - FAIL FAST if any fail
       await this._initializeDependencies()
       
@@ -0,0 +1,223 @@
+import __ from '../libs/attempt.mjs'
+import { appConfig } from '../config/app.js'
+import UrlService from '../services/UrlService.js'
+import BulkJobService from '../services/BulkJobService.js'
+
+/**
+ * Processes queued bulk import jobs in the background, one chunk of URLs at a
+ * time through UrlService.createBulkShortUrls.
+ *
+ * Progress is written after every chunk. Items are marked done only after their
+ * links are created, so a crash between the two re-runs that one chunk and can
+ * create duplicate links for it, but never skips a URL. Items that failed
+ * because the database went away stay pending and are retried.
+ */
+class BulkJobWorker {
+  constructor(database, redis, logger) {
+    this.logPrefix = 'BulkJobWorker'
+    this.database = database
+    this.redis = redis
+    this.logger = logger
+    this.urlService = new UrlService(database, redis, logger)
+    this.jobService = new BulkJobService(database, logger)
+
+    // Configuration from centralized config
+    this.pollInterval = appConfig.jobs.pollIntervalMs
+    // A chunk is one createBulkShortUrls call, so it can't exceed the bulk limit
+    this.chunkSize = Math.min(appConfig.jobs.chunkSize, appConfig.url.bulkOperationLimit)
+
+    this.pollTimer = null
+    this.isRunning = false
+    this.isProcessing = false
+    this.metrics = {
+      jobsCompleted: 0,
+      jobsFailed: 0,
+      chunksProcessed: 0,
+      itemsProcessed: 0,
+      lastChunk: null
+    }
+
+    this.logger.debug(this.logPrefix, 'Initialized with configuration', {
+      pollInterval: this.pollInterval,
+      chunkSize: this.chunkSize
+    })
+  }
+
+  async startProcessing() {
+    if (this.isRunning) {
+      this.logger.debug(this.logPrefix, 'Processing already active')
+      return
+    }
+
+    this.logger.info(this.logPrefix, 'Starting bulk job processing...', {
+      interval: this.pollInterval
+    })
+
+    this.isRunning = true
+
+    this.pollTimer = setInterval(async () => {
+      try {
+        await this.processNextJob()
+      } catch (error) {
+        this.logger.error(this.logPrefix, 'Error during bulk job processing', error)
+      }
+    }, this.pollInterval)
+
+    this.logger.info(this.logPrefix, 'Bulk job processing started successfully')
+  }
+
+  async stopProcessing() {
+    if (!this.isRunning) {
+      this.logger.debug(this.logPrefix, 'Processing not active')
+      return
+    }
+
+    this.logger.info(this.logPrefix, 'Stopping bulk job processing...')
+
+    // The job loop checks isRunning between chunks and puts its job back in the queue
+    this.isRunning = false
+
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer)
+      this.pollTimer = null
+    }
+
+    while (this.isProcessing) {
+      await new Promise(resolve => setTimeout(resolve, 50))
+    }
+
+    this.logger.info(this.logPrefix, 'Bulk job processing stopped')
+  }
+
+  /**
+   * Claim the next runnable job, if any, and work through it chunk by chunk
+   * until it is finished, the worker is stopped or the database goes away
+   *
+   * @returns {Object|null} { jobId, status } for the job worked on, or null if there was none
+   */
+  async processNextJob() {
+    if (this.isProcessing || !this.database.isConnected) {
+      return null
+    }
+
+    this.isProcessing = true
+
+    try {
+      const job = await this.jobService.claimNextJob()
+      if (!job) {
+        return null
+      }
+
+      this.logger.info(this.logPrefix, 'Processing bulk job', {
+        jobId: job.id,
+        totalCount: job.totalCount,
+        processedCount: job.processedCount
+      })
+
+      const status = await this._runJob(job)
+      return { jobId: job.id, status }
+    } finally {
+      this.isProcessing = false
+    }
+  }
+
+  async _runJob(job) {
+    while (this.isRunning) {
+      const items = await this.jobService.getPendingItems(job.id, this.chunkSize)
+
+      if (items.length === 0) {
+        await this.jobService.finishJob(job.id, 'completed')
+        this.metrics.jobsCompleted++
+        return 'completed'
+      }
+
+      const outcome = await this._processChunk(job, items)
+
+      if (outcome === 'failed' || outcome === 'released') {
+        return outcome
+      }
+    }
+
+    await this._release(job)
+    return 'released'
+  }
+
+  async _processChunk(job, items) {
+    const [bulkError, result] = await __(this.urlService.createBulkShortUrls(
+      items.map(item => item.originalUrl),
+      { ...job.options, ownerId: job.ownerId }
+    ))
+
+    if (bulkError) {
+      if (bulkError.message.includes('Database service unavailable')) {
+        this.logger.warn(this.logPrefix, 'Database unavailable, bulk job will be retried', { jobId: job.id })
+        await this._release(job)
+        return 'released'
+      }
+
+      // Anything else is a problem with the job itself (e.g. its expiration has
+      // passed while it waited) and would fail the same way on every retry
+      await this.jobService.finishJob(job.id, 'failed', bulkError.message)
+      this.metrics.jobsFailed++
+      return 'failed'
+    }
+
+    const results = [
+      ...result.successful.map(url => ({
+        id: items[url.index].id,
+        status: 'succeeded',
+        shortCode: url.shortCode
+      })),
+      ...result.failed
+        .filter(failure => failure.code !== 'DATABASE_UNAVAILABLE')
+        .map(failure => ({
+          id: items[failure.index].id,
+          status: 'failed',
+          errorCode: failure.code,
+          error: failure.error
+        }))
+    ]
+
+    await this.jobService.recordResults(job.id, results)
+
+    this.metrics.chunksProcessed++
+    this.metrics.itemsProcessed += results.length
+    this.metrics.lastChunk = new Date().toISOString()
+
+    // Some items lost the database mid-chunk: leave them pending for a later attempt
+    if (results.length < items.length) {
+      this.logger.warn(this.logPrefix, 'Database unavailable mid-chunk, bulk job will be retried', {
+        jobId: job.id,
+        pendingCount: items.length - results.length
+      })
+      await this._release(job)
+      return 'released'
+    }
+
+    return 'processed'
+  }
+
+  async _release(job) {
+    const [releaseError] = await __(this.jobService.releaseJob(job.id))
+    if (releaseError) {
+      // Not fatal: the job is picked up again once its heartbeat goes stale
+      this.logger.error(this.logPrefix, 'Failed to release bulk job', {
+        jobId: job.id,
+        error: releaseError.message
+      })
+    }
+  }
+
+  getMetrics() {
+    return {
+      ...this.metrics,
+      processing: {
+        isActive: this.isRunning,
+        interval: this.pollInterval,
+        chunkSize: this.chunkSize
+      }
+    }
+  }
+}
+
+export default BulkJobWorker
\ No newline at end of file
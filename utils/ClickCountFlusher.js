@@ -0,0 +1,272 @@
+import __ from '../libs/attempt.mjs'
+import { appConfig } from '../config/app.js'
+
+/**
+ * Periodically applies click counts buffered in Redis (see UrlService.trackClick)
+ * to urls.click_count, and inserts buffered click events (see
+ * AnalyticsService.recordClick) into clicks, in batched database writes.
+ *
+ * Counts are delivered at-least-once: counters are only decremented after the
+ * database transaction commits. If that settle step fails, or the process dies
+ * before it, the counter still holds the applied clicks and the next flush
+ * applies them again, so click_count can overcount by that batch but never
+ * loses clicks.
+ *
+ * Events are popped before they are inserted and put back if the insert fails,
+ * so a crash between the two loses that batch of events (but not their counts).
+ */
+class ClickCountFlusher {
+  constructor(database, redis, logger) {
+    this.logPrefix = 'ClickCountFlusher'
+    this.database = database
+    this.redis = redis
+    this.logger = logger
+
+    // Configuration from centralized config
+    this.flushInterval = appConfig.clickTracking.flushIntervalMs
+    this.batchSize = appConfig.clickTracking.flushBatchSize
+    // Bounds one flush under sustained traffic; leftovers wait for the next tick
+    this.maxBatchesPerFlush = 10
+
+    this.flushTimer = null
+    this.isRunning = false
+    this.isFlushing = false
+    this.metrics = {
+      flushCount: 0,
+      flushedCodes: 0,
+      flushedClicks: 0,
+      flushedEvents: 0,
+      failedFlushes: 0,
+      lastFlush: null
+    }
+
+    this.logger.debug(this.logPrefix, 'Initialized with configuration', {
+      flushInterval: this.flushInterval,
+      batchSize: this.batchSize
+    })
+  }
+
+  async startFlushing() {
+    if (this.isRunning) {
+      this.logger.debug(this.logPrefix, 'Flushing already active')
+      return
+    }
+
+    this.logger.info(this.logPrefix, 'Starting click count flushing...', {
+      interval: this.flushInterval
+    })
+
+    this.isRunning = true
+
+    this.flushTimer = setInterval(async () => {
+      try {
+        await this.flush()
+      } catch (error) {
+        this.logger.error(this.logPrefix, 'Error during periodic click flush', error)
+      }
+    }, this.flushInterval)
+
+    this.logger.info(this.logPrefix, 'Click count flushing started successfully')
+  }
+
+  async stopFlushing() {
+    if (!this.isRunning) {
+      this.logger.debug(this.logPrefix, 'Flushing not active')
+      return
+    }
+
+    this.logger.info(this.logPrefix, 'Stopping click count flushing...')
+
+    this.isRunning = false
+
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer)
+      this.flushTimer = null
+    }
+
+    // Drain what is buffered so a clean shutdown doesn't leave clicks waiting in Redis
+    const [flushError] = await __(this.flush())
+    if (flushError) {
+      this.logger.error(this.logPrefix, 'Final click flush failed', flushError)
+    }
+
+    this.logger.info(this.logPrefix, 'Click count flushing stopped')
+  }
+
+  /**
+   * Flush buffered click counts and click events to the database, one batch at a
+   * time, until nothing more is pending or maxBatchesPerFlush is reached
+   *
+   * @returns {Object} Number of short codes and clicks applied, and click events inserted
+   */
+  async flush() {
+    const result = { flushedCodes: 0, flushedClicks: 0, flushedEvents: 0 }
+
+    if (this.isFlushing || !this.redis.isConnected) {
+      return result
+    }
+
+    this.isFlushing = true
+
+    try {
+      let batch
+      let batchCount = 0
+      do {
+        batch = await this._flushBatch()
+        batchCount++
+        result.flushedCodes += batch.flushedCodes
+        result.flushedClicks += batch.flushedClicks
+      } while (batch.poppedCodes === this.batchSize && batchCount < this.maxBatchesPerFlush)
+
+      let eventBatch
+      let eventBatchCount = 0
+      do {
+        eventBatch = await this._flushEventBatch()
+        eventBatchCount++
+        result.flushedEvents += eventBatch.flushedEvents
+      } while (eventBatch.poppedEvents === this.batchSize && eventBatchCount < this.maxBatchesPerFlush)
+    } finally {
+      this.isFlushing = false
+    }
+
+    this.metrics.flushCount++
+    this.metrics.flushedCodes += result.flushedCodes
+    this.metrics.flushedClicks += result.flushedClicks
+    this.metrics.flushedEvents += result.flushedEvents
+    this.metrics.lastFlush = new Date().toISOString()
+
+    if (result.flushedClicks > 0 || result.flushedEvents > 0) {
+      this.logger.debug(this.logPrefix, 'Flushed buffered clicks', result)
+    }
+
+    return result
+  }
+
+  async _flushBatch() {
+    const codes = await this.redis.popPendingClickCodes(this.batchSize)
+    if (codes.length === 0) {
+      return { poppedCodes: 0, flushedCodes: 0, flushedClicks: 0 }
+    }
+
+    const [countsError, counts] = await __(this.redis.getBufferedClickCounts(codes))
+    if (countsError) {
+      await this._requeue(codes)
+      throw countsError
+    }
+
+    const deltas = codes
+      .map((code, index) => ({ code, count: counts[index] }))
+      .filter(delta => delta.count > 0)
+
+    if (deltas.length > 0) {
+      const prisma = this.database.getClient()
+
+      // updateMany rather than update so a URL deleted since the click is skipped, not fatal
+      const [updateError] = await __(prisma.$transaction(deltas.map(({ code, count }) =>
+        prisma.url.updateMany({
+          where: { shortCode: code },
+          data: { clickCount: { increment: count } }
+        })
+      )))
+
+      if (updateError) {
+        this.metrics.failedFlushes++
+        this.logger.error(this.logPrefix, 'Failed to apply buffered clicks, will retry', {
+          codeCount: deltas.length,
+          error: updateError.message
+        })
+        await this._requeue(codes)
+        throw updateError
+      }
+
+      for (const { code, count } of deltas) {
+        const [settleError] = await __(this.redis.settleBufferedClicks(code, count))
+        if (settleError) {
+          // The counter still holds these clicks, so the next flush applies them again
+          this.logger.error(this.logPrefix, 'Failed to settle buffered clicks after flush, they will be applied again', {
+            shortCode: code,
+            count,
+            error: settleError.message
+          })
+        }
+      }
+    }
+
+    return {
+      poppedCodes: codes.length,
+      flushedCodes: deltas.length,
+      flushedClicks: deltas.reduce((sum, delta) => sum + delta.count, 0)
+    }
+  }
+
+  async _flushEventBatch() {
+    const events = await this.redis.popClickEvents(this.batchSize)
+    if (events.length === 0) {
+      return { poppedEvents: 0, flushedEvents: 0 }
+    }
+
+    const prisma = this.database.getClient()
+
+    // Events of URLs deleted since the click would fail the whole insert on the foreign key;
+    // their clicks were deleted with the URL, so these are dropped too
+    const [insertError, inserted] = await __(prisma.$transaction(async (tx) => {
+      const urlIds = [...new Set(events.map(event => event.urlId))]
+      const existing = await tx.url.findMany({
+        where: { id: { in: urlIds } },
+        select: { id: true }
+      })
+      const existingIds = new Set(existing.map(url => url.id))
+
+      const data = events
+        .filter(event => existingIds.has(event.urlId))
+        .map(event => ({ ...event, clickedAt: new Date(event.clickedAt) }))
+
+      if (data.length > 0) {
+        await tx.click.createMany({ data })
+      }
+      return data.length
+    }))
+
+    if (insertError) {
+      this.metrics.failedFlushes++
+      this.logger.error(this.logPrefix, 'Failed to insert buffered click events, will retry', {
+        eventCount: events.length,
+        error: insertError.message
+      })
+
+      const [requeueError] = await __(this.redis.requeueClickEvents(events))
+      if (requeueError) {
+        this.logger.error(this.logPrefix, 'Failed to requeue click events', {
+          eventCount: events.length,
+          error: requeueError.message
+        })
+      }
+      throw insertError
+    }
+
+    return { poppedEvents: events.length, flushedEvents: inserted }
+  }
+
+  async _requeue(codes) {
+    const [requeueError] = await __(this.redis.requeuePendingClickCodes(codes))
+    if (requeueError) {
+      this.logger.error(this.logPrefix, 'Failed to requeue pending click codes', {
+        codeCount: codes.length,
+        error: requeueError.message
+      })
+    }
+  }
+
+  getMetrics() {
+    return {
+      ...this.metrics,
+      flushing: {
+        isActive: this.isRunning,
+        interval: this.flushInterval,
+        batchSize: this.batchSize
+      }
+    }
+  }
+}
+
+export default ClickCountFlusher
\ No newline at end of file
@@ -0,0 +1,152 @@
+import __ from '../libs/attempt.mjs'
+import { appConfig } from '../config/app.js'
+import UrlPurgeService from '../services/UrlPurgeService.js'
+
+/**
+ * Periodically purges links past their expiration plus the cleanup grace period,
+ * and releases quarantined codes that are due (see UrlPurgeService)
+ */
+class ExpiredUrlPurger {
+  constructor(database, redis, logger) {
+    this.logPrefix = 'ExpiredUrlPurger'
+    this.database = database
+    this.redis = redis
+    this.logger = logger
+
+    this.purgeService = new UrlPurgeService(database, redis, logger)
+
+    // Configuration from centralized config
+    this.enabled = appConfig.cleanup.enabled
+    this.purgeInterval = appConfig.cleanup.intervalMs
+
+    this.purgeTimer = null
+    this.isRunning = false
+    this.isPurging = false
+    this.metrics = {
+      runCount: 0,
+      purgedUrls: 0,
+      archivedUrls: 0,
+      releasedCodes: 0,
+      recycledCodes: 0,
+      failedRuns: 0,
+      lastRun: null
+    }
+
+    this.logger.debug(this.logPrefix, 'Initialized with configuration', {
+      enabled: this.enabled,
+      purgeInterval: this.purgeInterval,
+      graceDays: appConfig.cleanup.graceDays,
+      recycleCodes: appConfig.cleanup.recycleCodes
+    })
+  }
+
+  async startPurging() {
+    if (!this.enabled) {
+      this.logger.info(this.logPrefix, 'Expired URL purging disabled by configuration')
+      return
+    }
+
+    if (this.isRunning) {
+      this.logger.debug(this.logPrefix, 'Purging already active')
+      return
+    }
+
+    this.logger.info(this.logPrefix, 'Starting expired URL purging...', {
+      interval: this.purgeInterval
+    })
+
+    this.isRunning = true
+
+    this.purgeTimer = setInterval(async () => {
+      try {
+        await this.runOnce()
+      } catch (error) {
+        this.logger.error(this.logPrefix, 'Error during periodic expired URL purge', error)
+      }
+    }, this.purgeInterval)
+
+    this.logger.info(this.logPrefix, 'Expired URL purging started successfully')
+  }
+
+  async stopPurging() {
+    if (!this.isRunning) {
+      this.logger.debug(this.logPrefix, 'Purging not active')
+      return
+    }
+
+    this.logger.info(this.logPrefix, 'Stopping expired URL purging...')
+
+    this.isRunning = false
+
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer)
+      this.purgeTimer = null
+    }
+
+    this.logger.info(this.logPrefix, 'Expired URL purging stopped')
+  }
+
+  /**
+   * Purge expired links, then release due quarantined codes. A failed release
+   * doesn't undo the purge; it is retried on the next run.
+   *
+   * @param {Date} now - Current time
+   * @returns {Object} Purge and release counts, or null if a run was already in progress
+   */
+  async runOnce(now = new Date()) {
+    if (this.isPurging || !this.database.isConnected) {
+      return null
+    }
+
+    this.isPurging = true
+
+    let purge
+    let release
+    try {
+      const [purgeError, purgeResult] = await __(this.purgeService.purgeExpired(now))
+      if (purgeError) {
+        this.metrics.failedRuns++
+        throw purgeError
+      }
+      purge = purgeResult
+
+      const [releaseError, releaseResult] = await __(this.purgeService.releaseQuarantinedCodes(now))
+      if (releaseError) {
+        this.logger.error(this.logPrefix, 'Failed to release quarantined codes, will retry', {
+          error: releaseError.message
+        })
+      }
+      release = releaseResult
+    } finally {
+      this.isPurging = false
+    }
+
+    const result = {
+      purgedCount: purge.purgedCount,
+      archivedCount: purge.archivedCount,
+      releasedCount: release?.releasedCount || 0,
+      recycledCount: release?.recycledCount || 0
+    }
+
+    this.metrics.runCount++
+    this.metrics.purgedUrls += result.purgedCount
+    this.metrics.archivedUrls += result.archivedCount
+    this.metrics.releasedCodes += result.releasedCount
+    this.metrics.recycledCodes += result.recycledCount
+    this.metrics.lastRun = new Date().toISOString()
+
+    return result
+  }
+
+  getMetrics() {
+    return {
+      ...this.metrics,
+      purging: {
+        isActive: this.isRunning,
+        interval: this.purgeInterval
+      }
+    }
+  }
+}
+
+export default ExpiredUrlPurger
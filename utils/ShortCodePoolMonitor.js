@@ -236,7 +236,9 @@ class ShortCodePoolMonitor {
       },
       fallbackRate: this.metrics.retrievalCount > 0 
         ? (this.metrics.fallbackCount / this.metrics.retrievalCount) * 100 
-        : 0
+        : 0,
+      // Lookups answered by a missing: marker instead of the database
+      negativeCacheHits: this.redis?.negativeCacheHits || 0
     }
   }
 
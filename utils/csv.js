@@ -0,0 +1,150 @@
+/**
+ * Minimal RFC 4180 CSV helpers for bulk import uploads and result downloads
+ */
+
+/**
+ * Header names recognised as the URL column of an uploaded CSV
+ */
+const URL_COLUMN_NAMES = ['url', 'original_url', 'originalurl', 'long_url']
+
+/**
+ * Parse CSV text into rows of fields
+ *
+ * Handles quoted fields, doubled quotes inside quoted fields, and LF or CRLF
+ * line endings. Blank lines are skipped.
+ *
+ * @param {string} text - CSV document
+ * @returns {Array<Array<string>>} Parsed rows
+ * @throws {Error} If a quoted field is never closed
+ */
+export const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let inQuotes = false
+  let i = 0
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text
+
+  const endRow = () => {
+    row.push(field)
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row)
+    }
+    row = []
+    field = ''
+  }
+
+  while (i < input.length) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i += 2
+        continue
+      }
+      if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+      i++
+      continue
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n') {
+      endRow()
+    } else if (char !== '\r') {
+      field += char
+    }
+    i++
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field')
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow()
+  }
+
+  return rows
+}
+
+/**
+ * Extract the URL list from an uploaded CSV document
+ *
+ * Uses the column headed `url` (or `original_url`, `long_url`) when the first row
+ * is a header, otherwise the first column of every row.
+ *
+ * @param {string} text - CSV document
+ * @returns {Object} Validation result with urls array
+ */
+export const parseCsvUrls = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return {
+      isValid: false,
+      error: 'CSV body cannot be empty',
+      details: ['Upload a CSV document with one URL per row']
+    }
+  }
+
+  let rows
+  try {
+    rows = parseCsv(text)
+  } catch (error) {
+    return {
+      isValid: false,
+      error: 'Invalid CSV document',
+      details: [error.message]
+    }
+  }
+
+  const header = rows[0].map(name => name.trim().toLowerCase())
+  const headerColumn = header.findIndex(name => URL_COLUMN_NAMES.includes(name))
+  const column = headerColumn === -1 ? 0 : headerColumn
+  const dataRows = headerColumn === -1 ? rows : rows.slice(1)
+
+  return {
+    isValid: true,
+    urls: dataRows.map(row => (row[column] || '').trim())
+  }
+}
+
+/**
+ * Escape one CSV field
+ *
+ * Fields starting with a formula character are prefixed with a quote so
+ * user-supplied values can't run as formulas when the file is opened in a spreadsheet.
+ *
+ * @param {*} value - Field value; null and undefined become empty fields
+ * @returns {string} Escaped field
+ */
+export const escapeCsvField = (value) => {
+  let field = value === null || value === undefined ? '' : String(value)
+
+  if (/^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`
+  }
+
+  if (/[",\r\n]/.test(field)) {
+    return `"${field.replace(/"/g, '""')}"`
+  }
+
+  return field
+}
+
+/**
+ * Format one CSV row, including the trailing CRLF
+ *
+ * @param {Array} values - Field values
+ * @returns {string} CSV row
+ */
+export const toCsvRow = (values) => `${values.map(escapeCsvField).join(',')}\r\n`
\ No newline at end of file
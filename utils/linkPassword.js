@@ -0,0 +1,132 @@
+import crypto from 'crypto'
+import { promisify } from 'util'
+import { appConfig } from '../config/app.js'
+
+const scrypt = promisify(crypto.scrypt)
+
+/**
+ * scrypt output length in bytes, and the prefix identifying the hash format
+ * so the algorithm can be changed later without breaking stored hashes
+ */
+const KEY_LENGTH = 32
+const HASH_SCHEME = 'scrypt'
+
+/**
+ * Fallback for appConfig.url.unlockSecret, generated once per process
+ */
+const processSecret = crypto.randomBytes(32)
+
+/**
+ * Hash a link password with a random salt, as stored in urls.password_hash
+ *
+ * Link passwords are short, user-chosen secrets, so unlike API keys they get
+ * a slow, salted hash rather than a plain SHA-256.
+ *
+ * @param {string} password - Plaintext password that has passed validatePassword
+ * @returns {string} `scrypt$<salt>$<hash>`, base64url-encoded
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16)
+  const hash = await scrypt(password, salt, KEY_LENGTH)
+  return [HASH_SCHEME, salt.toString('base64url'), hash.toString('base64url')].join('$')
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ *
+ * @param {string} password - Plaintext password from the unlock form
+ * @param {string} storedHash - Value produced by hashPassword
+ * @returns {boolean} True if the password matches; false for malformed hashes
+ */
+export const verifyPassword = async (password, storedHash) => {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') {
+    return false
+  }
+
+  const [scheme, salt, hash] = storedHash.split('$')
+  if (scheme !== HASH_SCHEME || !salt || !hash) {
+    return false
+  }
+
+  const expected = Buffer.from(hash, 'base64url')
+  const actual = await scrypt(password, Buffer.from(salt, 'base64url'), expected.length)
+  return crypto.timingSafeEqual(actual, expected)
+}
+
+/**
+ * Name of the cookie holding the unlock token for a short code
+ *
+ * @param {string} shortCode - Short code or alias
+ * @returns {string} Cookie name
+ */
+export const getUnlockCookieName = (shortCode) => `unlock_${shortCode}`
+
+const signUnlock = (shortCode, expiresAtMs) => crypto
+  .createHmac('sha256', appConfig.url?.unlockSecret || processSecret)
+  .update(`${shortCode}:${expiresAtMs}`)
+  .digest('base64url')
+
+/**
+ * Create the signed, short-lived token set as a cookie once a link's password is entered
+ *
+ * @param {string} shortCode - Short code the token unlocks
+ * @param {number} ttlSeconds - Token lifetime (defaults to appConfig.url.unlockTtlSeconds)
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} `<expiresAtMs>.<signature>`
+ */
+export const createUnlockToken = (shortCode, ttlSeconds = appConfig.url?.unlockTtlSeconds || 900, now = Date.now()) => {
+  const expiresAtMs = now + ttlSeconds * 1000
+  return `${expiresAtMs}.${signUnlock(shortCode, expiresAtMs)}`
+}
+
+/**
+ * Check an unlock token from a cookie
+ *
+ * @param {string} shortCode - Short code being visited
+ * @param {string} token - Cookie value
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the token was issued for this short code and has not expired
+ */
+export const verifyUnlockToken = (shortCode, token, now = Date.now()) => {
+  if (typeof token !== 'string') {
+    return false
+  }
+
+  const [expiresAt, signature] = token.split('.')
+  const expiresAtMs = Number(expiresAt)
+  if (!Number.isInteger(expiresAtMs) || expiresAtMs <= now || !signature) {
+    return false
+  }
+
+  const expected = Buffer.from(signUnlock(shortCode, expiresAtMs))
+  const actual = Buffer.from(signature)
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected)
+}
+
+/**
+ * Read one cookie from a request's Cookie header
+ *
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|undefined} Decoded cookie value, or undefined if absent
+ */
+export const readCookie = (req, name) => {
+  const header = req.headers?.cookie
+  if (!header) {
+    return undefined
+  }
+
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=')
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      const value = part.slice(separator + 1).trim()
+      try {
+        return decodeURIComponent(value)
+      } catch {
+        return value
+      }
+    }
+  }
+
+  return undefined
+}
\ No newline at end of file
@@ -0,0 +1,559 @@
+import zlib from 'zlib'
+
+/**
+ * QR code encoder (ISO/IEC 18004, byte mode, versions 1-40) with SVG and PNG
+ * renderers, so short links can be turned into printable codes without an
+ * external service
+ */
+
+/**
+ * Output formats and the Content-Type each is served with
+ */
+export const QR_CONTENT_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png'
+}
+
+/**
+ * Error correction levels, from 7% (L) to 30% (H) of the code recoverable
+ */
+export const QR_ECC_LEVELS = ['L', 'M', 'Q', 'H']
+
+// Format information bits for each level (note the spec's L/M/Q/H order isn't 0-3)
+const ECC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 }
+
+// Error correction codewords per block and number of blocks, indexed by version (0 unused)
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+}
+const ECC_BLOCK_COUNT = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+}
+
+const MIN_VERSION = 1
+const MAX_VERSION = 40
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0
+
+/**
+ * Modules available for data and error correction once function patterns are placed
+ */
+const getRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2
+    result -= (25 * alignCount - 10) * alignCount - 55
+    if (version >= 7) {
+      result -= 36
+    }
+  }
+  return result
+}
+
+const getDataCodewords = (version, ecc) =>
+  Math.floor(getRawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[ecc][version] * ECC_BLOCK_COUNT[ecc][version]
+
+const getAlignmentPositions = (version, size) => {
+  if (version === 1) {
+    return []
+  }
+  const alignCount = Math.floor(version / 7) + 2
+  const step = Math.floor((version * 8 + alignCount * 3 + 5) / (alignCount * 4 - 4)) * 2
+  const result = [6]
+  for (let position = size - 7; result.length < alignCount; position -= step) {
+    result.splice(1, 0, position)
+  }
+  return result
+}
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+const gfMultiply = (x, y) => {
+  let z = 0
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D)
+    z ^= ((y >>> i) & 1) * x
+  }
+  return z
+}
+
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0)
+  result[degree - 1] = 1
+  let root = 1
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root)
+      if (j + 1 < degree) {
+        result[j] ^= result[j + 1]
+      }
+    }
+    root = gfMultiply(root, 0x02)
+  }
+  return result
+}
+
+const reedSolomonRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0)
+  for (const byte of data) {
+    const factor = byte ^ result.shift()
+    result.push(0)
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor)
+    })
+  }
+  return result
+}
+
+/**
+ * Build the data codewords: byte mode indicator, character count, payload,
+ * terminator and pad bytes
+ */
+const buildDataCodewords = (bytes, version, ecc) => {
+  const bits = []
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1)
+    }
+  }
+
+  append(0x4, 4)
+  append(bytes.length, version <= 9 ? 8 : 16)
+  for (const byte of bytes) {
+    append(byte, 8)
+  }
+
+  const capacityBits = getDataCodewords(version, ecc) * 8
+  append(0, Math.min(4, capacityBits - bits.length))
+  append(0, (8 - bits.length % 8) % 8)
+
+  const codewords = []
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0))
+  }
+  for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+    codewords.push(pad)
+  }
+  return codewords
+}
+
+/**
+ * Split data into blocks, add error correction to each and interleave them
+ */
+const addErrorCorrection = (data, version, ecc) => {
+  const blockCount = ECC_BLOCK_COUNT[ecc][version]
+  const blockEccLength = ECC_CODEWORDS_PER_BLOCK[ecc][version]
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8)
+  const shortBlockCount = blockCount - rawCodewords % blockCount
+  const shortBlockLength = Math.floor(rawCodewords / blockCount)
+  const divisor = reedSolomonDivisor(blockEccLength)
+
+  const blocks = []
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const block = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < shortBlockCount ? 0 : 1))
+    offset += block.length
+    const blockEcc = reedSolomonRemainder(block, divisor)
+    if (i < shortBlockCount) {
+      block.push(0)
+    }
+    blocks.push(block.concat(blockEcc))
+  }
+
+  const result = []
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the placeholder added to short blocks
+      if (i !== shortBlockLength - blockEccLength || j >= shortBlockCount) {
+        result.push(block[i])
+      }
+    })
+  }
+  return result
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => x * y % 2 + x * y % 3 === 0,
+  (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+]
+
+/**
+ * Module grid under construction; modules[y][x] is true for dark modules
+ */
+class QrMatrix {
+  constructor(version, ecc) {
+    this.version = version
+    this.ecc = ecc
+    this.size = version * 4 + 17
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false))
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false))
+  }
+
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark
+    this.isFunction[y][x] = true
+  }
+
+  drawFunctionPatterns() {
+    for (let i = 0; i < this.size; i++) {
+      this.setFunctionModule(6, i, i % 2 === 0)
+      this.setFunctionModule(i, 6, i % 2 === 0)
+    }
+
+    this.drawFinderPattern(3, 3)
+    this.drawFinderPattern(this.size - 4, 3)
+    this.drawFinderPattern(3, this.size - 4)
+
+    const positions = getAlignmentPositions(this.version, this.size)
+    const last = positions.length - 1
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        // The three corners with finder patterns have no alignment pattern
+        if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+          this.drawAlignmentPattern(x, y)
+        }
+      })
+    })
+
+    // Reserve the format areas now; the real bits are drawn once the mask is chosen
+    this.drawFormatBits(0)
+    this.drawVersionBits()
+  }
+
+  drawFinderPattern(cx, cy) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx
+        const y = cy + dy
+        if (x >= 0 && x < this.size && y >= 0 && y < this.size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy))
+          this.setFunctionModule(x, y, distance !== 2 && distance !== 4)
+        }
+      }
+    }
+  }
+
+  drawAlignmentPattern(cx, cy) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1)
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const data = (ECC_FORMAT_BITS[this.ecc] << 3) | mask
+    let remainder = data
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537)
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412
+
+    // Copy around the top left finder pattern
+    for (let i = 0; i <= 5; i++) {
+      this.setFunctionModule(8, i, getBit(bits, i))
+    }
+    this.setFunctionModule(8, 7, getBit(bits, 6))
+    this.setFunctionModule(8, 8, getBit(bits, 7))
+    this.setFunctionModule(7, 8, getBit(bits, 8))
+    for (let i = 9; i < 15; i++) {
+      this.setFunctionModule(14 - i, 8, getBit(bits, i))
+    }
+
+    // Copy split between the other two finder patterns, plus the always-dark module
+    for (let i = 0; i < 8; i++) {
+      this.setFunctionModule(this.size - 1 - i, 8, getBit(bits, i))
+    }
+    for (let i = 8; i < 15; i++) {
+      this.setFunctionModule(8, this.size - 15 + i, getBit(bits, i))
+    }
+    this.setFunctionModule(8, this.size - 8, true)
+  }
+
+  drawVersionBits() {
+    if (this.version < 7) {
+      return
+    }
+
+    let remainder = this.version
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25)
+    }
+    const bits = (this.version << 12) | remainder
+
+    for (let i = 0; i < 18; i++) {
+      const a = this.size - 11 + i % 3
+      const b = Math.floor(i / 3)
+      this.setFunctionModule(a, b, getBit(bits, i))
+      this.setFunctionModule(b, a, getBit(bits, i))
+    }
+  }
+
+  // Place codewords in the zigzag order: two-module columns from the right, alternating up and down
+  drawCodewords(codewords) {
+    let bitIndex = 0
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      // The vertical timing pattern shifts the columns left of it by one
+      if (right === 6) {
+        right = 5
+      }
+      for (let vertical = 0; vertical < this.size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j
+          const upward = ((right + 1) & 2) === 0
+          const y = upward ? this.size - 1 - vertical : vertical
+          if (!this.isFunction[y][x] && bitIndex < codewords.length * 8) {
+            this.modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7))
+            bitIndex++
+          }
+        }
+      }
+    }
+  }
+
+  // XOR a mask pattern over the data modules; applying the same mask twice undoes it
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+          this.modules[y][x] = !this.modules[y][x]
+        }
+      }
+    }
+  }
+
+  /**
+   * Score the matrix with the spec's four penalty rules; the mask with the
+   * lowest score is used
+   */
+  getPenaltyScore() {
+    const size = this.size
+    const lines = []
+    for (let i = 0; i < size; i++) {
+      lines.push(this.modules[i])
+      lines.push(this.modules.map(row => row[i]))
+    }
+
+    let score = 0
+    // A dark-light-dark-dark-dark-light-dark run with four light modules on either side looks like a finder pattern
+    const finderLike = [
+      [true, false, true, true, true, false, true, false, false, false, false],
+      [false, false, false, false, true, false, true, true, true, false, true]
+    ]
+
+    for (const line of lines) {
+      let runLength = 1
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          runLength++
+        } else {
+          if (runLength >= 5) {
+            score += 3 + (runLength - 5)
+          }
+          runLength = 1
+        }
+      }
+
+      for (let i = 0; i + 11 <= size; i++) {
+        if (finderLike.some(pattern => pattern.every((dark, k) => line[i + k] === dark))) {
+          score += 40
+        }
+      }
+    }
+
+    let darkCount = 0
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const dark = this.modules[y][x]
+        if (dark) {
+          darkCount++
+        }
+        if (x + 1 < size && y + 1 < size &&
+            dark === this.modules[y][x + 1] &&
+            dark === this.modules[y + 1][x] &&
+            dark === this.modules[y + 1][x + 1]) {
+          score += 3
+        }
+      }
+    }
+
+    const total = size * size
+    score += (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10
+
+    return score
+  }
+}
+
+/**
+ * Encode text as a QR code, in byte mode at the smallest version that fits
+ *
+ * @param {string} text - Text to encode (UTF-8)
+ * @param {Object} options - Encoding options
+ * @param {string} options.ecc - Error correction level (L, M, Q or H)
+ * @param {number} options.mask - Force a mask pattern (0-7) instead of choosing the best
+ * @returns {Object} `{ version, ecc, mask, size, modules }`, modules[y][x] true for dark
+ * @throws {Error} If the level is unknown or the text is too long for any version
+ */
+export const encodeQr = (text, options = {}) => {
+  const { ecc = 'M', mask } = options
+
+  if (!QR_ECC_LEVELS.includes(ecc)) {
+    throw new Error(`Invalid error correction level: must be one of ${QR_ECC_LEVELS.join(', ')}`)
+  }
+
+  const bytes = [...Buffer.from(String(text), 'utf8')]
+
+  let version = MIN_VERSION
+  for (; version <= MAX_VERSION; version++) {
+    const countBits = version <= 9 ? 8 : 16
+    if (4 + countBits + bytes.length * 8 <= getDataCodewords(version, ecc) * 8) {
+      break
+    }
+  }
+  if (version > MAX_VERSION) {
+    throw new Error('Invalid QR content: text is too long to encode')
+  }
+
+  const matrix = new QrMatrix(version, ecc)
+  matrix.drawFunctionPatterns()
+  matrix.drawCodewords(addErrorCorrection(buildDataCodewords(bytes, version, ecc), version, ecc))
+
+  let chosenMask = mask
+  if (chosenMask === undefined) {
+    let lowestScore = Infinity
+    for (let candidate = 0; candidate < MASKS.length; candidate++) {
+      matrix.applyMask(candidate)
+      matrix.drawFormatBits(candidate)
+      const score = matrix.getPenaltyScore()
+      if (score < lowestScore) {
+        lowestScore = score
+        chosenMask = candidate
+      }
+      matrix.applyMask(candidate)
+    }
+  }
+
+  matrix.applyMask(chosenMask)
+  matrix.drawFormatBits(chosenMask)
+
+  return { version, ecc, mask: chosenMask, size: matrix.size, modules: matrix.modules }
+}
+
+/**
+ * Pixels per module so the code, including its quiet zone, fits within size pixels
+ */
+const getScale = (qr, size, margin) => Math.max(1, Math.floor(size / (qr.size + margin * 2)))
+
+/**
+ * Render an encoded QR code as SVG, one path for all dark modules
+ *
+ * @param {Object} qr - Result of encodeQr
+ * @param {Object} options - Rendering options
+ * @param {number} options.size - Target width and height in pixels
+ * @param {number} options.margin - Quiet zone width in modules
+ * @returns {string} SVG document
+ */
+export const renderQrSvg = (qr, { size = 256, margin = 4 } = {}) => {
+  const dimension = qr.size + margin * 2
+  const pixels = getScale(qr, size, margin) * dimension
+
+  // One rectangle per horizontal run of dark modules keeps the path short
+  const path = []
+  qr.modules.forEach((row, y) => {
+    for (let x = 0; x < qr.size; x++) {
+      if (!row[x]) {
+        continue
+      }
+      const start = x
+      while (x + 1 < qr.size && row[x + 1]) {
+        x++
+      }
+      const run = x - start + 1
+      path.push(`M${start + margin},${y + margin}h${run}v1h-${run}z`)
+    }
+  })
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="${pixels}" height="${pixels}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="#FFFFFF"/><path d="${path.join('')}" fill="#000000"/></svg>\n`
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+const crc32 = (buffer) => {
+  let crc = 0xFFFFFFFF
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4)
+  length.writeUInt32BE(data.length)
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data])
+  const crc = Buffer.alloc(4)
+  crc.writeUInt32BE(crc32(body))
+  return Buffer.concat([length, body, crc])
+}
+
+/**
+ * Render an encoded QR code as a 1-bit grayscale PNG
+ *
+ * @param {Object} qr - Result of encodeQr
+ * @param {Object} options - Rendering options
+ * @param {number} options.size - Target width and height in pixels
+ * @param {number} options.margin - Quiet zone width in modules
+ * @returns {Buffer} PNG image
+ */
+export const renderQrPng = (qr, { size = 256, margin = 4 } = {}) => {
+  const scale = getScale(qr, size, margin)
+  const pixels = scale * (qr.size + margin * 2)
+  const rowBytes = Math.ceil(pixels / 8)
+
+  // Each scanline is a filter type byte (0, none) followed by packed pixels, 1 = white
+  const raw = Buffer.alloc((rowBytes + 1) * pixels)
+  for (let py = 0; py < pixels; py++) {
+    const offset = py * (rowBytes + 1)
+    const y = Math.floor(py / scale) - margin
+    for (let px = 0; px < pixels; px++) {
+      const x = Math.floor(px / scale) - margin
+      const dark = y >= 0 && y < qr.size && x >= 0 && x < qr.size && qr.modules[y][x]
+      if (!dark) {
+        raw[offset + 1 + (px >>> 3)] |= 0x80 >>> (px & 7)
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13)
+  header.writeUInt32BE(pixels, 0)
+  header.writeUInt32BE(pixels, 4)
+  header[8] = 1 // bit depth
+  header[9] = 0 // grayscale
+  header[10] = 0 // deflate
+  header[11] = 0 // adaptive filtering
+  header[12] = 0 // no interlace
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ])
+}
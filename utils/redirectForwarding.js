@@ -0,0 +1,52 @@
+import { splitUrl, getQueryParamName } from './urlNormalizer.js'
+
+/**
+ * How a link treats the query string of an incoming redirect request:
+ * - ignore: redirect to the destination as stored
+ * - merge: add incoming parameters the destination doesn't already have
+ * - override: incoming parameters replace destination parameters of the same name
+ */
+export const FORWARD_QUERY_MODES = ['ignore', 'merge', 'override']
+
+/**
+ * Build the URL to redirect to for a request that carries its own query string
+ * or path suffix (e.g. `/abc12/extra/path?ref=newsletter`)
+ *
+ * Both parts are forwarded as the visitor sent them, without decoding; the
+ * destination's own parameters and fragment are kept as written.
+ *
+ * @param {string} destination - Link destination (originalUrl)
+ * @param {Object} request - Parts of the incoming request
+ * @param {string} request.query - Raw query string, without the `?`
+ * @param {string} request.pathSuffix - Raw path after the short code, starting with `/`
+ * @param {Object} options - Link forwarding settings
+ * @param {string} options.forwardQuery - One of FORWARD_QUERY_MODES
+ * @param {boolean} options.forwardPath - Append the path suffix to the destination path
+ * @returns {string} Redirect URL
+ */
+export const buildForwardedUrl = (destination, request = {}, options = {}) => {
+  const { query: incomingQuery = '', pathSuffix = '' } = request
+  const { forwardQuery = 'ignore', forwardPath = false } = options
+
+  const appendsPath = forwardPath && pathSuffix !== '' && pathSuffix !== '/'
+  const incoming = forwardQuery === 'ignore' ? [] : incomingQuery.split('&').filter(pair => pair !== '')
+
+  if (!appendsPath && incoming.length === 0) {
+    return destination
+  }
+
+  const { base, query, fragment } = splitUrl(destination)
+  let params = query.split('&').filter(pair => pair !== '')
+
+  if (forwardQuery === 'merge') {
+    const existing = new Set(params.map(getQueryParamName))
+    params = params.concat(incoming.filter(pair => !existing.has(getQueryParamName(pair))))
+  } else if (forwardQuery === 'override') {
+    const replaced = new Set(incoming.map(getQueryParamName))
+    params = params.filter(pair => !replaced.has(getQueryParamName(pair))).concat(incoming)
+  }
+
+  const path = appendsPath ? `${base.replace(/\/$/, '')}${pathSuffix}` : base
+
+  return `${path}${params.length > 0 ? `?${params.join('&')}` : ''}${fragment}`
+}
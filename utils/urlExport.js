@@ -0,0 +1,85 @@
+import { toCsvRow } from './csv.js'
+
+/**
+ * Supported export formats and their response content types
+ */
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json',
+  ndjson: 'application/x-ndjson'
+}
+
+const CSV_HEADER = ['short_code', 'short_url', 'original_url', 'created_at', 'expires_at', 'click_count']
+
+/**
+ * Pick the exported fields of a formatted URL
+ *
+ * @param {Object} url - URL as returned by UrlService._formatUrl
+ * @returns {Object} Export record
+ */
+const toExportRecord = (url) => ({
+  shortCode: url.shortCode,
+  shortUrl: url.shortUrl,
+  originalUrl: url.originalUrl,
+  createdAt: url.createdAt,
+  expiresAt: url.expiresAt ?? null,
+  clickCount: url.clickCount
+})
+
+/**
+ * Format one export record in the given format
+ *
+ * @param {Object} record - Export record
+ * @param {string} format - csv, json or ndjson
+ * @param {boolean} first - Whether this is the first record (JSON array separators)
+ * @returns {string} Formatted record
+ */
+const formatRecord = (record, format, first) => {
+  if (format === 'csv') {
+    const toIso = (date) => date ? new Date(date).toISOString() : ''
+    return toCsvRow([record.shortCode, record.shortUrl, record.originalUrl, toIso(record.createdAt), toIso(record.expiresAt), record.clickCount])
+  }
+
+  if (format === 'ndjson') {
+    return `${JSON.stringify(record)}\n`
+  }
+
+  return `${first ? '' : ','}${JSON.stringify(record)}`
+}
+
+/**
+ * Stream URL batches to a response as a file download
+ *
+ * The first batch is read before any headers are written, so an error on the
+ * first query (e.g. the database is down) can still become a normal error
+ * response. Errors after that reject once the download has started; check
+ * res.headersSent before responding.
+ *
+ * @param {Object} res - Express response
+ * @param {AsyncIterable<Array<Object>>} batches - Batches of formatted URLs (see UrlService.iterateUrls)
+ * @param {string} format - csv, json or ndjson
+ * @param {string} filename - Download name without extension
+ * @returns {number} Number of URLs written
+ */
+export const streamUrlExport = async (res, batches, format, filename) => {
+  const iterator = batches[Symbol.asyncIterator]()
+  let batch = await iterator.next()
+  let count = 0
+
+  res.status(200)
+  // After attachment(), which would set its own type from the file extension
+  res.attachment(`${filename}.${format}`)
+  res.type(EXPORT_CONTENT_TYPES[format])
+  res.write(format === 'csv' ? toCsvRow(CSV_HEADER) : format === 'json' ? '[' : '')
+
+  while (!batch.done) {
+    for (const url of batch.value) {
+      res.write(formatRecord(toExportRecord(url), format, count === 0))
+      count++
+    }
+    batch = await iterator.next()
+  }
+
+  res.end(format === 'json' ? ']' : '')
+  return count
+}
\ No newline at end of file
@@ -0,0 +1,95 @@
+import crypto from 'crypto'
+import { appConfig } from '../config/app.js'
+
+/**
+ * Default ports that are dropped during normalization
+ */
+const DEFAULT_PORTS = {
+  'http:': '80',
+  'https:': '443'
+}
+
+/**
+ * Normalize a URL so that trivially different spellings of the same destination compare equal
+ *
+ * Lowercases the scheme and host, drops default ports and tracking parameters
+ * (see appConfig.url.trackingParams; entries ending in `*` match by prefix) and
+ * sorts the remaining query parameters. Path and fragment are kept as-is, since
+ * servers may treat them case-sensitively.
+ *
+ * @param {string} url - A URL that has passed validateUrl
+ * @param {Object} options - Normalization options
+ * @param {Array<string>} options.trackingParams - Query parameters to drop
+ * @returns {string} Normalized URL
+ */
+export const normalizeUrl = (url, options = {}) => {
+  const { trackingParams = appConfig.url?.trackingParams || [] } = options
+  const parsed = new URL(url.trim())
+
+  parsed.hostname = parsed.hostname.toLowerCase()
+  if (parsed.port === DEFAULT_PORTS[parsed.protocol]) {
+    parsed.port = ''
+  }
+
+  const isTrackingParam = (name) => {
+    const lowerName = name.toLowerCase()
+    return trackingParams.some(param => param.endsWith('*')
+      ? lowerName.startsWith(param.slice(0, -1))
+      : lowerName === param)
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([nameA, valueA], [nameB, valueB]) => nameA === nameB
+      ? (valueA < valueB ? -1 : valueA > valueB ? 1 : 0)
+      : (nameA < nameB ? -1 : 1))
+
+  parsed.search = new URLSearchParams(params).toString()
+
+  return parsed.toString()
+}
+
+/**
+ * Hash of a URL's normalized form, as stored in urls.normalized_url_hash
+ *
+ * @param {string} url - A URL that has passed validateUrl
+ * @returns {string} Hex-encoded SHA-256 of the normalized URL
+ */
+export const hashNormalizedUrl = (url) => {
+  return crypto.createHash('sha256').update(normalizeUrl(url)).digest('hex')
+}
+
+/**
+ * Split a URL into the part before the query, the raw query and the fragment,
+ * so query parameters can be edited without re-serializing the rest
+ *
+ * @param {string} url - URL to split
+ * @returns {Object} `{ base, query, fragment }`; query excludes the `?`, fragment includes the `#`
+ */
+export const splitUrl = (url) => {
+  const hashIndex = url.indexOf('#')
+  const fragment = hashIndex === -1 ? '' : url.slice(hashIndex)
+  const withoutFragment = hashIndex === -1 ? url : url.slice(0, hashIndex)
+  const queryIndex = withoutFragment.indexOf('?')
+
+  return {
+    base: queryIndex === -1 ? withoutFragment : withoutFragment.slice(0, queryIndex),
+    query: queryIndex === -1 ? '' : withoutFragment.slice(queryIndex + 1),
+    fragment
+  }
+}
+
+/**
+ * Decoded name of a raw `name=value` query string pair
+ *
+ * @param {string} pair - Query string pair as written in the URL
+ * @returns {string} Parameter name; left as written if it is not valid percent-encoding
+ */
+export const getQueryParamName = (pair) => {
+  const name = pair.split('=')[0].replace(/\+/g, ' ')
+  try {
+    return decodeURIComponent(name)
+  } catch {
+    return name
+  }
+}
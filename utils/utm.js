@@ -0,0 +1,67 @@
+import { splitUrl, getQueryParamName } from './urlNormalizer.js'
+
+/**
+ * UTM campaign fields, in the order their query parameters are appended.
+ * Each maps to a `utm_<field>` query parameter and a `utm<Field>` column on urls.
+ */
+export const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content']
+
+const toParamName = (field) => `utm_${field}`
+const toColumnName = (field) => `utm${field[0].toUpperCase()}${field.slice(1)}`
+
+/**
+ * Merge a UTM set into a destination URL
+ *
+ * Query parameters the set specifies are replaced; every other parameter, and
+ * the fragment, is kept byte for byte rather than re-serialized. Parameters of
+ * `previousUtm` are removed as well, so editing a link's set drops tags that
+ * are no longer part of it.
+ *
+ * @param {string} url - Destination URL
+ * @param {Object|null} utm - UTM set to apply (see validateUtm), or null to apply none
+ * @param {Object|null} previousUtm - UTM set previously applied to the URL
+ * @returns {string} URL with the UTM parameters applied; unparseable URLs are returned unchanged
+ */
+export const applyUtmParams = (url, utm, previousUtm = null) => {
+  if (typeof url !== 'string' || (!utm && !previousUtm) || !URL.canParse(url)) {
+    return url
+  }
+
+  const { base, query, fragment } = splitUrl(url)
+
+  const replaced = new Set(UTM_FIELDS
+    .filter(field => utm?.[field] || previousUtm?.[field])
+    .map(toParamName))
+
+  const params = query.split('&')
+    .filter(pair => pair !== '' && !replaced.has(getQueryParamName(pair)))
+    .concat(UTM_FIELDS
+      .filter(field => utm?.[field])
+      .map(field => `${toParamName(field)}=${encodeURIComponent(utm[field])}`))
+
+  return `${base}${params.length > 0 ? `?${params.join('&')}` : ''}${fragment}`
+}
+
+/**
+ * Column values for a UTM set, as stored on urls
+ *
+ * @param {Object|null} utm - UTM set, or null to clear every column
+ * @returns {Object} `{ utmSource, utmMedium, ... }`, null for fields the set leaves out
+ */
+export const toUtmColumns = (utm) => {
+  return Object.fromEntries(UTM_FIELDS.map(field => [toColumnName(field), utm?.[field] ?? null]))
+}
+
+/**
+ * Read a link's UTM set back from its columns
+ *
+ * @param {Object} url - URL record from the database
+ * @returns {Object|null} UTM set with only the fields present, or null if the link has none
+ */
+export const fromUtmColumns = (url) => {
+  const entries = UTM_FIELDS
+    .filter(field => url?.[toColumnName(field)])
+    .map(field => [field, url[toColumnName(field)]])
+
+  return entries.length > 0 ? Object.fromEntries(entries) : null
+}
@@ -1,4 +1,8 @@
 import { appConfig } from '../config/app.js'
+import moment from 'moment'
+import { QR_CONTENT_TYPES, QR_ECC_LEVELS } from './qrCode.js'
+import { UTM_FIELDS } from './utm.js'
+import { FORWARD_QUERY_MODES } from './redirectForwarding.js'
 
 /**
  * URL Validation Utilities
@@ -375,4 +379,689 @@ export const validateShortCode = (shortCode) => {
   }
 
   return { isValid: true }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Validate a custom vanity alias requested in place of a generated short code
+ * 
+ * @param {string} alias - Alias to validate
+ * @param {Object} options - Validation options
+ * @param {number} options.minLength - Minimum alias length
+ * @param {number} options.maxLength - Maximum alias length
+ * @param {Array<string>} options.reservedWords - Aliases that collide with application routes
+ * @returns {Object} Validation result
+ */
+export const validateAlias = (alias, options = {}) => {
+  const {
+    minLength = appConfig.url?.aliasMinLength || 3,
+    maxLength = appConfig.url?.aliasMaxLength || 50,
+    reservedWords = appConfig.url?.reservedAliases || []
+  } = options
+
+  if (!alias || typeof alias !== 'string') {
+    return {
+      isValid: false,
+      error: 'Alias is required and must be a string',
+      details: ['alias parameter is missing or not a string type']
+    }
+  }
+
+  if (alias.length < minLength || alias.length > maxLength) {
+    return {
+      isValid: false,
+      error: `Alias must be between ${minLength} and ${maxLength} characters`,
+      details: [`Provided length: ${alias.length}, allowed: ${minLength}-${maxLength}`]
+    }
+  }
+
+  // Letters, digits, hyphens and underscores, starting and ending with a letter or digit
+  if (!/^[A-Za-z0-9](?:[A-Za-z0-9_-]*[A-Za-z0-9])?$/.test(alias)) {
+    return {
+      isValid: false,
+      error: 'Alias contains invalid characters',
+      details: ['Alias may only contain letters, numbers, hyphens and underscores, and must start and end with a letter or number']
+    }
+  }
+
+  if (reservedWords.some(word => word.toLowerCase() === alias.toLowerCase())) {
+    return {
+      isValid: false,
+      error: `Alias '${alias}' is reserved`,
+      details: [`Reserved aliases: ${reservedWords.join(', ')}`]
+    }
+  }
+
+  return { isValid: true }
+}
+
+/**
+ * Validate an optional link password
+ * 
+ * @param {string} password - Password that visitors must enter before being redirected
+ * @param {Object} options - Validation options
+ * @param {number} options.minLength - Minimum password length
+ * @param {number} options.maxLength - Maximum password length
+ * @returns {Object} Validation result
+ */
+export const validatePassword = (password, options = {}) => {
+  const {
+    minLength = appConfig.url?.passwordMinLength || 4,
+    maxLength = appConfig.url?.passwordMaxLength || 128
+  } = options
+
+  if (typeof password !== 'string') {
+    return {
+      isValid: false,
+      error: 'Password must be a string',
+      details: [`Provided type: ${typeof password}`]
+    }
+  }
+
+  if (password.length < minLength || password.length > maxLength) {
+    return {
+      isValid: false,
+      error: `Password must be between ${minLength} and ${maxLength} characters`,
+      details: [`Provided length: ${password.length}, allowed: ${minLength}-${maxLength}`]
+    }
+  }
+
+  return { isValid: true }
+}
+
+/**
+ * Validate an optional click limit (burn-after-N-clicks)
+ * 
+ * @param {number} maxClicks - Number of redirects allowed before the link stops working
+ * @param {Object} options - Validation options
+ * @param {number} options.limit - Largest click limit allowed
+ * @returns {Object} Validation result
+ */
+export const validateMaxClicks = (maxClicks, options = {}) => {
+  const { limit = appConfig.url?.maxClicksLimit || 1000000 } = options
+
+  if (!Number.isInteger(maxClicks) || maxClicks < 1 || maxClicks > limit) {
+    return {
+      isValid: false,
+      error: `maxClicks must be an integer between 1 and ${limit}`,
+      details: [`Provided value: ${maxClicks}`]
+    }
+  }
+
+  return { isValid: true }
+}
+
+/**
+ * Validate an optional UTM campaign set and trim its values
+ * 
+ * @param {Object} utm - UTM set keyed by field name (source, medium, campaign, term, content)
+ * @param {Object} options - Validation options
+ * @param {number} options.maxLength - Maximum length of each value
+ * @returns {Object} Validation result with the trimmed set, or null if every value is blank
+ */
+export const validateUtm = (utm, options = {}) => {
+  const { maxLength = appConfig.url?.utmValueMaxLength || 200 } = options
+
+  if (typeof utm !== 'object' || utm === null || Array.isArray(utm)) {
+    return {
+      isValid: false,
+      error: 'Invalid UTM parameters',
+      details: ['utm must be an object']
+    }
+  }
+
+  const unknownFields = Object.keys(utm).filter(field => !UTM_FIELDS.includes(field))
+  if (unknownFields.length > 0) {
+    return {
+      isValid: false,
+      error: 'Invalid UTM parameters',
+      details: [`Unknown fields: ${unknownFields.join(', ')}; allowed: ${UTM_FIELDS.join(', ')}`]
+    }
+  }
+
+  const resolved = {}
+  for (const field of UTM_FIELDS) {
+    const value = utm[field]
+    if (value === undefined || value === null) {
+      continue
+    }
+
+    if (typeof value !== 'string' || value.trim().length > maxLength) {
+      return {
+        isValid: false,
+        error: 'Invalid UTM parameters',
+        details: [`${field} must be a string of at most ${maxLength} characters`]
+      }
+    }
+
+    if (value.trim()) {
+      resolved[field] = value.trim()
+    }
+  }
+
+  if (Object.keys(resolved).length === 0) {
+    return { isValid: true, utm: null }
+  }
+
+  // Analytics tools drop the other fields when utm_source is missing
+  if (!resolved.source) {
+    return {
+      isValid: false,
+      error: 'Invalid UTM parameters',
+      details: ['source is required when any UTM field is given']
+    }
+  }
+
+  return { isValid: true, utm: resolved }
+}
+
+/**
+ * Validate optional redirect forwarding settings
+ * 
+ * @param {Object} options - Settings to validate; omitted fields are not checked
+ * @param {string} options.forwardQuery - How the incoming query string is forwarded (see FORWARD_QUERY_MODES)
+ * @param {boolean} options.forwardPath - Append path suffixes after the short code to the destination path
+ * @returns {Object} Validation result
+ */
+export const validateForwarding = (options = {}) => {
+  const { forwardQuery, forwardPath } = options || {}
+
+  if (forwardQuery !== undefined && !FORWARD_QUERY_MODES.includes(forwardQuery)) {
+    return {
+      isValid: false,
+      error: 'Invalid forwardQuery',
+      details: [`forwardQuery must be one of: ${FORWARD_QUERY_MODES.join(', ')}`]
+    }
+  }
+
+  if (forwardPath !== undefined && typeof forwardPath !== 'boolean') {
+    return {
+      isValid: false,
+      error: 'Invalid forwardPath',
+      details: ['forwardPath must be a boolean']
+    }
+  }
+
+  return { isValid: true }
+}
+
+/**
+ * Validate a path parameter that may be either a generated short code or a custom alias.
+ * Used by lookup routes, which must accept aliases of any allowed length.
+ * 
+ * @param {string} code - Short code or alias to validate
+ * @returns {Object} Validation result
+ */
+export const validateShortCodeOrAlias = (code) => {
+  const shortCodeValidation = validateShortCode(code)
+  if (shortCodeValidation.isValid) {
+    return shortCodeValidation
+  }
+
+  // Reserved words are only enforced at creation time
+  const aliasValidation = validateAlias(code, { reservedWords: [] })
+  if (aliasValidation.isValid) {
+    return aliasValidation
+  }
+
+  return {
+    isValid: false,
+    error: 'Short code or alias is invalid',
+    details: [shortCodeValidation.error, aliasValidation.error]
+  }
+}
+
+/**
+ * Validate per-link expiration options and resolve them to an expiration date
+ * 
+ * Accepts at most one of `expiresAt` (ISO 8601 date), `expiresIn` (ISO 8601 duration,
+ * e.g. `P30D` or `PT12H`) or `neverExpires: true`. When none is provided the result
+ * carries `expiresAt: undefined` so callers can apply the default expiration.
+ * 
+ * @param {Object} expiration - Expiration options from the request
+ * @param {string|Date} expiration.expiresAt - Absolute expiration date
+ * @param {string} expiration.expiresIn - ISO 8601 duration from now
+ * @param {boolean} expiration.neverExpires - Whether the link should never expire
+ * @param {Object} options - Validation options
+ * @param {number} options.maxLifetimeDays - Maximum allowed lifetime in days
+ * @param {boolean} options.allowNeverExpires - Whether never-expiring links are allowed
+ * @returns {Object} Validation result with resolved expiresAt (Date, null or undefined)
+ */
+export const validateExpiration = (expiration = {}, options = {}) => {
+  const {
+    maxLifetimeDays = appConfig.url?.maxLifetimeDays || 730,
+    allowNeverExpires = appConfig.url?.allowNeverExpires ?? true
+  } = options
+  const { expiresAt, expiresIn, neverExpires } = expiration || {}
+
+  // neverExpires: false is the same as not asking for a never-expiring link
+  const provided = [expiresAt, expiresIn, neverExpires].filter(value => value !== undefined && value !== null && value !== false)
+  if (provided.length === 0) {
+    return { isValid: true, expiresAt: undefined }
+  }
+
+  if (provided.length > 1) {
+    return {
+      isValid: false,
+      error: 'Only one of expiresAt, expiresIn or neverExpires may be provided',
+      details: ['Expiration options are mutually exclusive']
+    }
+  }
+
+  if (neverExpires !== undefined && neverExpires !== null && neverExpires !== false) {
+    if (typeof neverExpires !== 'boolean') {
+      return {
+        isValid: false,
+        error: 'neverExpires must be a boolean',
+        details: [`Provided type: ${typeof neverExpires}`]
+      }
+    }
+
+    if (!allowNeverExpires) {
+      return {
+        isValid: false,
+        error: 'Never-expiring links are not allowed',
+        details: ['Set an explicit expiresAt or expiresIn instead']
+      }
+    }
+
+    return { isValid: true, expiresAt: null }
+  }
+
+  const now = moment()
+  const maxExpiration = moment(now).add(maxLifetimeDays, 'days')
+  let resolved
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    if (typeof expiresAt === 'string') {
+      resolved = moment(expiresAt, moment.ISO_8601, true)
+    } else if (expiresAt instanceof Date) {
+      resolved = moment(expiresAt)
+    } else {
+      resolved = moment.invalid()
+    }
+
+    if (!resolved.isValid()) {
+      return {
+        isValid: false,
+        error: 'expiresAt must be a valid ISO 8601 date',
+        details: [`Provided value: ${expiresAt}`]
+      }
+    }
+  } else {
+    const duration = typeof expiresIn === 'string' && /^P(?!$)/.test(expiresIn)
+      ? moment.duration(expiresIn)
+      : null
+
+    if (!duration || !duration.isValid() || duration.asMilliseconds() <= 0) {
+      return {
+        isValid: false,
+        error: 'expiresIn must be a positive ISO 8601 duration (e.g. P30D, PT12H)',
+        details: [`Provided value: ${expiresIn}`]
+      }
+    }
+
+    resolved = moment(now).add(duration)
+  }
+
+  if (!resolved.isAfter(now)) {
+    return {
+      isValid: false,
+      error: 'Expiration must be in the future',
+      details: [`Resolved expiration: ${resolved.toISOString()}`]
+    }
+  }
+
+  if (resolved.isAfter(maxExpiration)) {
+    return {
+      isValid: false,
+      error: `Expiration cannot be more than ${maxLifetimeDays} days in the future`,
+      details: [`Resolved expiration: ${resolved.toISOString()}, latest allowed: ${maxExpiration.toISOString()}`]
+    }
+  }
+
+  return { isValid: true, expiresAt: resolved.toDate() }
+}
+
+/**
+ * Validate a scheduled activation time and resolve it to a date
+ * 
+ * A link with an activation time exists, but doesn't redirect until then.
+ * `null` means the link is active immediately (clears a schedule on update).
+ * 
+ * @param {string|Date|null} activatesAt - ISO 8601 activation date
+ * @param {Object} options - Validation options
+ * @param {number} options.maxLifetimeDays - How far ahead a link may be scheduled, in days
+ * @returns {Object} Validation result with resolved activatesAt (Date, null or undefined)
+ */
+export const validateActivation = (activatesAt, options = {}) => {
+  const { maxLifetimeDays = appConfig.url?.maxLifetimeDays || 730 } = options
+
+  if (activatesAt === undefined || activatesAt === null) {
+    return { isValid: true, activatesAt }
+  }
+
+  let resolved
+  if (typeof activatesAt === 'string') {
+    resolved = moment(activatesAt, moment.ISO_8601, true)
+  } else if (activatesAt instanceof Date) {
+    resolved = moment(activatesAt)
+  } else {
+    resolved = moment.invalid()
+  }
+
+  if (!resolved.isValid()) {
+    return {
+      isValid: false,
+      error: 'activatesAt must be a valid ISO 8601 date',
+      details: [`Provided value: ${activatesAt}`]
+    }
+  }
+
+  const now = moment()
+  if (!resolved.isAfter(now)) {
+    return {
+      isValid: false,
+      error: 'Activation must be in the future',
+      details: [`Resolved activation: ${resolved.toISOString()}`]
+    }
+  }
+
+  const maxActivation = moment(now).add(maxLifetimeDays, 'days')
+  if (resolved.isAfter(maxActivation)) {
+    return {
+      isValid: false,
+      error: `Activation cannot be more than ${maxLifetimeDays} days in the future`,
+      details: [`Resolved activation: ${resolved.toISOString()}, latest allowed: ${maxActivation.toISOString()}`]
+    }
+  }
+
+  return { isValid: true, activatesAt: resolved.toDate() }
+}
+
+/**
+ * Default lookback window for each click statistics interval
+ */
+const STATS_DEFAULT_WINDOWS = {
+  hour: { amount: 24, unit: 'hours' },
+  day: { amount: 30, unit: 'days' },
+  week: { amount: 12, unit: 'weeks' }
+}
+
+/**
+ * Validate click statistics query parameters and resolve the reporting window
+ * 
+ * `interval` defaults to `day`. `to` defaults to now and `from` defaults to a
+ * window that suits the interval (24 hours, 30 days or 12 weeks).
+ * 
+ * @param {Object} query - Query parameters from the request
+ * @param {string} query.interval - Bucket size: hour, day or week
+ * @param {string} query.from - ISO 8601 start of the window (inclusive)
+ * @param {string} query.to - ISO 8601 end of the window (exclusive)
+ * @param {Object} options - Validation options
+ * @param {number} options.maxBuckets - Maximum number of buckets a window may span
+ * @returns {Object} Validation result with resolved interval, from and to
+ */
+export const validateStatsQuery = (query = {}, options = {}) => {
+  const { maxBuckets = appConfig.analytics?.maxBuckets || 1000 } = options
+  const { interval = 'day', from, to } = query || {}
+
+  if (!Object.keys(STATS_DEFAULT_WINDOWS).includes(interval)) {
+    return {
+      isValid: false,
+      error: 'Invalid interval',
+      details: [`interval must be one of: ${Object.keys(STATS_DEFAULT_WINDOWS).join(', ')}`]
+    }
+  }
+
+  const parseDate = (value) => value === undefined ? null : moment.utc(value, moment.ISO_8601, true)
+  const end = parseDate(to) || moment.utc()
+  const window = STATS_DEFAULT_WINDOWS[interval]
+  const start = parseDate(from) || moment(end).subtract(window.amount, window.unit)
+
+  if (!start.isValid() || !end.isValid()) {
+    return {
+      isValid: false,
+      error: 'Invalid date range',
+      details: ['from and to must be valid ISO 8601 dates']
+    }
+  }
+
+  if (!start.isBefore(end)) {
+    return {
+      isValid: false,
+      error: 'Invalid date range',
+      details: ['from must be earlier than to']
+    }
+  }
+
+  const bucketCount = Math.ceil(end.diff(start, interval, true))
+  if (bucketCount > maxBuckets) {
+    return {
+      isValid: false,
+      error: 'Invalid date range',
+      details: [`Range spans ${bucketCount} ${interval} buckets, maximum is ${maxBuckets}`]
+    }
+  }
+
+  return { isValid: true, interval, from: start.toDate(), to: end.toDate() }
+}
+
+/**
+ * Sort fields, statuses and orders accepted by the URL listing endpoints
+ */
+const LIST_SORT_FIELDS = ['createdAt', 'clickCount', 'expiresAt', 'shortCode']
+const LIST_STATUSES = ['active', 'scheduled', 'expired', 'disabled', 'all']
+const LIST_ORDERS = ['asc', 'desc']
+
+/**
+ * Validate URL listing query parameters and apply defaults
+ * 
+ * The cursor is opaque here; UrlService.listUrls decodes it and rejects cursors
+ * that are malformed or were issued for a different sort.
+ * 
+ * @param {Object} query - Query parameters from the request
+ * @param {string} query.cursor - Cursor from a previous page's nextCursor
+ * @param {string} query.limit - Page size
+ * @param {string} query.sort - Sort field: createdAt, clickCount, expiresAt or shortCode
+ * @param {string} query.order - Sort order: asc or desc
+ * @param {string} query.search - Substring to match against the original URL or short code
+ * @param {string} query.status - active, scheduled, expired, disabled or all
+ * @param {Object} options - Validation options
+ * @param {number} options.defaultLimit - Page size when none is given
+ * @param {number} options.maxLimit - Largest page size allowed
+ * @returns {Object} Validation result with resolved listing options
+ */
+export const validateListQuery = (query = {}, options = {}) => {
+  const {
+    defaultLimit = appConfig.url?.listDefaultLimit || 20,
+    maxLimit = appConfig.url?.listMaxLimit || 100
+  } = options
+  const { cursor, limit, sort = 'createdAt', order = 'desc', search, status = 'active' } = query || {}
+
+  const pageSize = limit === undefined ? defaultLimit : Number(limit)
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > maxLimit) {
+    return {
+      isValid: false,
+      error: 'Invalid limit',
+      details: [`limit must be an integer between 1 and ${maxLimit}`]
+    }
+  }
+
+  if (!LIST_SORT_FIELDS.includes(sort)) {
+    return {
+      isValid: false,
+      error: 'Invalid sort field',
+      details: [`sort must be one of: ${LIST_SORT_FIELDS.join(', ')}`]
+    }
+  }
+
+  if (!LIST_ORDERS.includes(order)) {
+    return {
+      isValid: false,
+      error: 'Invalid sort order',
+      details: [`order must be one of: ${LIST_ORDERS.join(', ')}`]
+    }
+  }
+
+  if (!LIST_STATUSES.includes(status)) {
+    return {
+      isValid: false,
+      error: 'Invalid status filter',
+      details: [`status must be one of: ${LIST_STATUSES.join(', ')}`]
+    }
+  }
+
+  if (search !== undefined && (typeof search !== 'string' || search.length > 200)) {
+    return {
+      isValid: false,
+      error: 'Invalid search term',
+      details: ['search must be a string of at most 200 characters']
+    }
+  }
+
+  if (cursor !== undefined && (typeof cursor !== 'string' || cursor === '')) {
+    return {
+      isValid: false,
+      error: 'Invalid cursor',
+      details: ['cursor must be the nextCursor value from a previous page']
+    }
+  }
+
+  return {
+    isValid: true,
+    cursor,
+    limit: pageSize,
+    sort,
+    order,
+    search: search?.trim() || undefined,
+    status
+  }
+}
+
+/**
+ * Link statuses: active links redirect; disabled (410) and taken_down (451)
+ * links keep their record but stop redirecting
+ */
+export const URL_STATUSES = ['active', 'disabled', 'taken_down']
+
+/**
+ * Validate an admin status change for a link
+ * 
+ * @param {Object} change - Requested change
+ * @param {string} change.status - active, disabled or taken_down
+ * @param {string} change.reason - Why the link is being disabled; required unless re-activating
+ * @returns {Object} Validation result
+ */
+export const validateStatusChange = (change = {}) => {
+  const { status, reason } = change || {}
+
+  if (!URL_STATUSES.includes(status)) {
+    return {
+      isValid: false,
+      error: 'Invalid status',
+      details: [`status must be one of: ${URL_STATUSES.join(', ')}`]
+    }
+  }
+
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+    return {
+      isValid: false,
+      error: 'Invalid reason',
+      details: ['reason must be a string of at most 500 characters']
+    }
+  }
+
+  if (status !== 'active' && !reason?.trim()) {
+    return {
+      isValid: false,
+      error: 'A reason is required to disable a link',
+      details: ['Provide the report or policy the link was disabled under, for the audit trail']
+    }
+  }
+
+  return { isValid: true }
+}
+
+/**
+ * How a link sends visitors on: an HTTP redirect with that status code, or
+ * an interstitial page showing the destination before forwarding
+ */
+export const REDIRECT_TYPES = ['301', '302', '307', '308', 'interstitial']
+
+/**
+ * Validate a link's redirect type
+ * 
+ * @param {string|number} redirectType - One of REDIRECT_TYPES; status codes may be given as numbers
+ * @returns {Object} Validation result with the redirect type as stored
+ */
+export const validateRedirectType = (redirectType) => {
+  const resolved = typeof redirectType === 'number' ? String(redirectType) : redirectType
+
+  if (!REDIRECT_TYPES.includes(resolved)) {
+    return {
+      isValid: false,
+      error: 'Invalid redirect type',
+      details: [`redirectType must be one of: ${REDIRECT_TYPES.join(', ')}`]
+    }
+  }
+
+  return { isValid: true, redirectType: resolved }
+}
+
+/**
+ * Validate QR code rendering query parameters and apply defaults
+ * 
+ * @param {Object} query - Query parameters from the request
+ * @param {string} query.format - svg or png
+ * @param {string} query.size - Width and height in pixels
+ * @param {string} query.margin - Quiet zone width in modules
+ * @param {string} query.ecc - Error correction level: L, M, Q or H
+ * @returns {Object} Validation result with resolved rendering options
+ */
+export const validateQrOptions = (query = {}) => {
+  const qrConfig = appConfig.qr || {}
+  const { minSize = 64, maxSize = 2048, maxMargin = 16 } = qrConfig
+  const {
+    format = 'svg',
+    size = qrConfig.defaultSize || 256,
+    margin = qrConfig.defaultMargin ?? 4,
+    ecc = qrConfig.defaultEcc || 'M'
+  } = query || {}
+
+  if (!Object.keys(QR_CONTENT_TYPES).includes(format)) {
+    return {
+      isValid: false,
+      error: 'Invalid QR format',
+      details: [`format must be one of: ${Object.keys(QR_CONTENT_TYPES).join(', ')}`]
+    }
+  }
+
+  const pixels = Number(size)
+  if (!Number.isInteger(pixels) || pixels < minSize || pixels > maxSize) {
+    return {
+      isValid: false,
+      error: 'Invalid QR size',
+      details: [`size must be an integer between ${minSize} and ${maxSize}`]
+    }
+  }
+
+  const quietZone = Number(margin)
+  if (!Number.isInteger(quietZone) || quietZone < 0 || quietZone > maxMargin) {
+    return {
+      isValid: false,
+      error: 'Invalid QR margin',
+      details: [`margin must be an integer between 0 and ${maxMargin}`]
+    }
+  }
+
+  const level = typeof ecc === 'string' ? ecc.toUpperCase() : ecc
+  if (!QR_ECC_LEVELS.includes(level)) {
+    return {
+      isValid: false,
+      error: 'Invalid QR error correction level',
+      details: [`ecc must be one of: ${QR_ECC_LEVELS.join(', ')}`]
+    }
+  }
+
+  return { isValid: true, format, size: pixels, margin: quietZone, ecc: level }
+}